@@ -4,10 +4,20 @@
  * 
  * Serves generated HTML files with live-reload via SSE.
  * Zero dependencies — pure Node.js http + fs.watch.
+ *
+ * Also serves skill data to running apps as read-only JSON under
+ * /api/context (lib/context/live.js): /api/context/health, /portfolio and
+ * /system, each with an SSE feed at /events. Forge with --live to tell the
+ * model about them. The server listens on 127.0.0.1 only, and other
+ * websites cannot read the data (see context/live.js). Apps opened from
+ * file:// can only with FORGE_SERVE_ALLOW_FILE=1, which lets sandboxed
+ * iframes on any website read it too.
  * 
  * Usage:
  *   node bin/forge-serve.js [port] [dir]
  *   node bin/forge-serve.js 3456 output/
+ *   FORGE_SERVE_HOST=0.0.0.0 node bin/forge-serve.js   (listen beyond this machine)
+ *   FORGE_SERVE_ALLOW_FILE=1 node bin/forge-serve.js   (live data for file:// apps)
  * 
  * Philosophy: "The mind's highest good is the knowledge of God."
  * But the developer's highest good is instant feedback. — Forge Corollary
@@ -17,9 +27,11 @@ import { createServer } from 'node:http';
 import { readFileSync, existsSync, readdirSync, watch, statSync } from 'node:fs';
 import { join, extname, resolve } from 'node:path';
 import { list } from '../lib/persistence/history.js';
+import { createLiveContext } from '../lib/context/live.js';
 
 const PORT = parseInt(process.argv[2]) || 3456;
 const SERVE_DIR = resolve(process.argv[3] || 'output');
+const HOST = process.env.FORGE_SERVE_HOST || '127.0.0.1';
 
 const MIME = {
   '.html': 'text/html',
@@ -34,6 +46,14 @@ const MIME = {
 // SSE clients for live reload
 const sseClients = new Set();
 
+// Skill data for running apps
+const HOSTS = [...new Set(['localhost', '127.0.0.1', HOST])].map(host => `${host}:${PORT}`);
+const live = createLiveContext({
+  origins: HOSTS.map(host => `http://${host}`),
+  hosts: HOSTS,
+  allowNull: process.env.FORGE_SERVE_ALLOW_FILE === '1',
+});
+
 // Watch output directory for changes
 if (existsSync(SERVE_DIR)) {
   try {
@@ -105,6 +125,13 @@ ${files.length === 0 ? '<p style="color:#666">No files yet. Run <code>node bin/f
 </div>
 </section>
 
+<section>
+<h2>📡 Live Data</h2>
+<div class="grid">
+${live.describe().map(s => `<div class="card"><a href="${s.url}">${s.url}</a><div class="meta">${s.description} · SSE: ${s.events}</div></div>`).join('\n')}
+</div>
+</section>
+
 <section>
 <h2>📜 Recent History</h2>
 <div class="grid">
@@ -143,6 +170,9 @@ const server = createServer((req, res) => {
     return;
   }
 
+  // Read-only skill data
+  if (live.handle(req, res)) return;
+
   // Index page
   if (url.pathname === '/') {
     res.writeHead(200, { 'Content-Type': 'text/html' });
@@ -177,9 +207,13 @@ const server = createServer((req, res) => {
   res.end(content);
 });
 
-server.listen(PORT, () => {
+server.listen(PORT, HOST, () => {
   console.log(`\n🔥 MODUS Forge Server`);
   console.log(`   http://localhost:${PORT}`);
   console.log(`   Serving: ${SERVE_DIR}`);
-  console.log(`   Live reload: enabled\n`);
+  console.log(`   Live reload: enabled`);
+  console.log(`   Live data: ${live.describe().map(s => s.url).join(', ')}`);
+  if (process.env.FORGE_SERVE_ALLOW_FILE === '1') console.log('   ⚠️ file:// apps may read live data — so may sandboxed iframes on any website');
+  if (HOST !== '127.0.0.1' && HOST !== 'localhost') console.log(`   ⚠️ Listening on ${HOST} — health and portfolio data are readable from the network`);
+  console.log('');
 });
@@ -9,15 +9,39 @@
 
 import { parseArgs } from 'node:util';
 import { readFileSync } from 'node:fs';
-import { enhance } from '../lib/rune/enhancer.js';
+import { createInterface } from 'node:readline';
+import { compose } from '../lib/rune/enhancer.js';
 import { route } from '../lib/generators/router.js';
 import { validate } from '../lib/rune/validator.js';
+import { judge, blend } from '../lib/rune/judge.js';
+import { classify, brief } from '../lib/rune/intent.js';
+import { readSpec, writeSpec, specPath, summarizeSpec } from '../lib/rune/spec.js';
+import { clarify, ask, resolveAnswers } from '../lib/rune/clarify.js';
+import { loadLayers } from '../lib/rune/layers.js';
+import { findExamples } from '../lib/rune/examples.js';
+import { loadConfig } from '../lib/config/loader.js';
 import { render } from '../lib/renderer/html.js';
 import { preview } from '../lib/renderer/preview.js';
 import { buildSystemInstruction, detectProvider } from '../lib/rune/system-instruction.js';
 import { sense } from '../lib/context/sensors.js';
 import { loadProfile, recordForge, profileContext } from '../lib/context/profile.js';
+import { record } from '../lib/persistence/history.js';
+import { resolveSources } from '../lib/context/live.js';
 import { refine } from '../lib/iterate/refiner.js';
+import { listProviders } from '../lib/generators/registry.js';
+import { parseCommand, runCommand, SUBCOMMANDS } from '../lib/cli/commands.js';
+
+// Subcommands with an in-process handler (forge edit, forge grimoire, ...)
+const sub = parseCommand(process.argv.slice(2));
+if (SUBCOMMANDS[sub.command]?.handler) {
+  try {
+    await runCommand(sub.command, sub.args);
+  } catch (err) {
+    console.error(`\n❌ ${err.message}`);
+    process.exitCode = 1;
+  }
+  process.exit();
+}
 
 const { values, positionals } = parseArgs({
   allowPositionals: true,
@@ -28,12 +52,28 @@ const { values, positionals } = parseArgs({
     lang: { type: 'string', short: 'l', default: 'en' },
     iterate: { type: 'string', short: 'i', default: '1' },
     refine: { type: 'boolean', short: 'r', default: false },
+    'refine-mode': { type: 'string' },
+    rubric: { type: 'string' },
+    archetype: { type: 'string', short: 'a' },
+    judge: { type: 'boolean', default: false },
+    examples: { type: 'boolean', default: false },
+    clarify: { type: 'boolean', short: 'c', default: false },
+    spec: { type: 'string' },
+    persona: { type: 'string' },
+    'no-runtime': { type: 'boolean', default: false },
+    live: { type: 'string' },
     'no-open': { type: 'boolean', default: false },
     help: { type: 'boolean', short: 'h', default: false },
   },
 });
 
-if (values.help || positionals.length === 0) {
+if (values.help || (positionals.length === 0 && !values.spec)) {
+  // One line per labelled model in the provider registry
+  const modelLines = listProviders()
+    .flatMap(p => p.models.filter(m => m.label))
+    .map(m => `  ${(m.aliases[0] || m.id).padEnd(14)}${m.label}`)
+    .join('\n');
+
   console.log(`
 🔥 MODUS Forge — Speak it. See it. Use it.
 
@@ -42,29 +82,49 @@ Usage:
   modus-forge "Budget dashboard for March" --model claude
   modus-forge "Sleep tracker" --style minimal --lang tr
   modus-forge "Habit tracker" --iterate 3   (generate 3x, keep best)
+  modus-forge edit output/habit-tracker.html "add a dark mode toggle"
+  modus-forge spec "Marathon training plan"  (write an editable spec first)
+  modus-forge --spec output/marathon-training-plan.spec.json
 
 Options:
   -m, --model     LLM: gemini | claude | opus | openai | grok (default: gemini)
-  -s, --style     Visual style: cyberpunk | minimal | terminal (default: cyberpunk)
+  -s, --style     Visual style: cyberpunk | minimal | terminal, or one from rune.styles (default: cyberpunk)
   -o, --output    Output directory (default: output/)
   -l, --lang      Language (default: en)
   -i, --iterate   Generate N versions, keep the best (default: 1)
   -r, --refine    Auto-refine if quality below threshold
+      --refine-mode patch | full — targeted edits or whole-file rewrites (default: patch)
+  -a, --archetype Build this kind of app instead of classifying the intent:
+                  tracker | dashboard | monitor | planner | calculator | journal | app
+      --rubric    Score with this rubric (default: the archetype's) — any built-in or plugin rubric
+  -c, --clarify   Ask 2–5 questions first when the intent leaves things open (Enter accepts the default)
+      --spec      Build strictly from an app spec (forge spec "<intent>" writes one)
+      --persona   Apply this persona's RUNE layer overrides (default: persona in .forgerc.json)
+      --examples  Show the model condensed past S/A apps for similar intents (from history)
+      --judge     Have a model check the app against the intent (judge.model in .forgerc.json, else --model)
+      --no-runtime  Don't inject the window.forge runtime (storage, export, themes)
+      --live      Let the app read skill data while it runs from forge-serve (health,portfolio,system or all)
       --no-open   Don't auto-open in browser
   -h, --help      Show this help
 
 Models:
-  gemini        Gemini 3 Flash (fast, great HTML)
-  gemini-pro    Gemini 3 Pro (higher quality)
-  claude        Claude Sonnet 4.5 (structured, clean)
-  opus          Claude Opus 4.6 (maximum quality)
-  openai / gpt  GPT-5.2
-  grok          Grok 4.1 Fast
+${modelLines}
+  replay:<name>             Serve recorded fixtures (offline, deterministic)
+  record:<name>:<model>     Call <model> and record fixtures into set <name>
+  fallback:<name>           Try the models in a declared fallback chain in order
+  compat:<endpoint>[:<model>]  Any OpenAI-compatible server declared in .forgerc.json
   `);
   process.exit(0);
 }
 
-const intent = positionals.join(' ');
+let spec = null;
+try {
+  spec = values.spec ? readSpec(values.spec) : null;
+} catch (err) {
+  console.error(`\n❌ ${err.message}`);
+  process.exit(1);
+}
+const intent = positionals.join(' ') || spec.intent;
 const iterations = Math.min(parseInt(values.iterate) || 1, 5);
 const doRefine = values.refine;
 
@@ -81,19 +141,61 @@ console.log(`🧠 Model: ${values.model} (${detectProvider(values.model)})`);
 console.log(`🎨 Style: ${values.style}`);
 console.log(`🌡️  Context: ${sensors.time.period} — ${sensors.time.mood}`);
 if (profile.totalForged > 0) console.log(`👤 Profile: ${profile.totalForged} apps forged, avg ${(profile.avgScore * 100).toFixed(0)}%`);
+if (spec) console.log(`📐 Spec: ${values.spec} — ${summarizeSpec(spec)}`);
 if (iterations > 1) console.log(`🔄 Iterations: ${iterations} (best-of-N)`);
 if (doRefine) console.log(`🔧 Auto-refine: enabled`);
+const judging = { ...loadConfig().judge, ...(values.judge && { enabled: true }) };
+if (judging.enabled) console.log(`⚖️  Judge: ${judging.model || values.model}`);
 console.log('');
 
 try {
-  // Step 1: RUNE Enhancement (now with sensor + profile context)
+  // Step 0: What kind of app is this?
+  const classified = values.archetype || spec
+    ? { archetype: values.archetype || spec.archetype, confidence: 1, source: values.archetype ? 'option' : 'spec' }
+    : await classify(intent);
+  const archetype = brief(classified.archetype);
+  const rubric = values.rubric || archetype.rubric;
+  console.log(`🧭 Archetype: ${archetype.name} (${classified.source}, ${Math.round(classified.confidence * 100)}%)${archetype.template ? ` — scaffold: templates/${archetype.template}` : ''}`);
+
+  // Step 0b: Ask about what the intent leaves open
+  let clarifications = [];
+  const { questions } = values.clarify && !spec ? clarify(intent, { archetype: archetype.name }) : { questions: [] };
+  if (questions.length && process.stdin.isTTY) {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    clarifications = await ask(questions, (text) => new Promise(resolve => rl.question(`   ${text}`, resolve)));
+    rl.close();
+  } else if (questions.length) {
+    clarifications = resolveAnswers(questions);
+    console.log(`   ❓ ${questions.length} open question(s), no terminal to ask — using the defaults`);
+  } else if (values.clarify && !spec) {
+    console.log('   ✔ Intent is specific enough — no questions');
+  }
+
+  // Step 1: RUNE Enhancement (now with sensor + profile context, and house rules)
   console.log('⚡ L0-L7 RUNE Enhancement...');
-  const enhanced = enhance(intent, {
+  const layers = loadLayers({ persona: values.persona || loadConfig().persona });
+  if (layers.overrides.length) console.log(`   🧱 ${layers.overrides.length} layer override(s): ${[...new Set(layers.overrides.map(o => o.source))].join(', ')} — forge rune show to inspect`);
+  const exampling = { ...loadConfig().examples, ...(values.examples && { enabled: true }) };
+  const examples = exampling.enabled ? findExamples(intent, { limit: exampling.limit, minGrade: exampling.minGrade }) : [];
+  const { prompt: enhanced, examples: used } = compose(intent, {
     style: values.style,
     lang: values.lang,
     sensorHint: sensors.contextHint,
     profileHint: profCtx,
+    archetype,
+    spec,
+    clarifications,
+    examples,
+    layers,
+    model: values.model,
+    runtime: !values['no-runtime'],
+    live: values.live,
   });
+  if (values.live) console.log(`   📡 Live data: ${resolveSources(values.live).join(', ')} — run npm run serve to feed it`);
+  if (exampling.enabled) {
+    const shown = examples.filter(ex => used.includes(ex.id));
+    console.log(`   📚 Examples: ${shown.map(ex => `${ex.id} "${ex.prompt}" (${ex.grade})`).join(', ') || 'none similar enough in history'}`);
+  }
 
   let bestCode = null;
   let bestScore = -1;
@@ -108,7 +210,7 @@ try {
 
     // Step 3: Spinoza Validation
     console.log('🔬 Spinoza Validation...');
-    const report = validate(code);
+    const report = validate(code, { rubric, spec });
     const score = (report.conatus + report.ratio + report.laetitia + report.natura) / 4;
     console.log(`   C:${report.conatus} R:${report.ratio} L:${report.laetitia} N:${report.natura} → ${report.grade} (${(score * 100).toFixed(0)}%)`);
 
@@ -126,7 +228,8 @@ try {
   // Step 4: Auto-refine if enabled and below threshold
   if (doRefine && bestScore < 0.75) {
     console.log('\n🔧 Auto-refining...');
-    const result = await refine(bestCode, { model: values.model, maxRounds: 2, threshold: 0.75 });
+    const result = await refine(bestCode, { model: values.model, maxRounds: 2, threshold: 0.75, mode: values['refine-mode'], rubric, spec });
+    if (result.patches.length) console.log(`   🩹 ${result.patches.length} patch(es): ${result.patches.map(p => `${p.id} (${p.edits.length} edits)`).join(', ')}`);
     if (result.improved) {
       bestCode = result.code;
       bestReport = result.report;
@@ -135,12 +238,55 @@ try {
     }
   }
 
-  // Step 5: Render & Open
-  const outputPath = await render(bestCode, { dir: values.output, intent });
+  // Step 5: LLM judge
+  let verdict = null;
+  if (judging.enabled) {
+    console.log('\n⚖️  Judging against the intent...');
+    try {
+      verdict = await judge(bestCode, { intent, model: judging.model || values.model });
+      bestReport = blend(bestReport, verdict, { weight: judging.weight });
+      bestScore = bestReport.total;
+      console.log(`   Intent: ${Math.round(verdict.intent * 100)}%${verdict.cached ? ' (cached)' : ''} — ${verdict.summary || 'no summary'}`);
+      if (verdict.missing.length) console.log(`   Missing: ${verdict.missing.join('; ')}`);
+      console.log(`   Blended: ${bestReport.grade} (${(bestScore * 100).toFixed(0)}%)`);
+    } catch (err) {
+      console.log(`   ⚠️ Judge failed, keeping the heuristic score: ${err.message}`);
+    }
+  }
+
+  // Step 6: Render & Open
+  const outputPath = await render(bestCode, {
+    dir: values.output,
+    intent,
+    spec,
+    runtime: !values['no-runtime'],
+    onMigration: (m) => console.log(`🧳 Data migration v${m.version}: ${m.notes.join('; ')}`),
+  });
   console.log(`\n✅ Forged: ${outputPath}`);
+  if (spec) console.log(`📐 Spec: ${writeSpec(spec, specPath(outputPath))}`);
   console.log(`📊 ${bestCode.length.toLocaleString()} bytes | Grade: ${bestReport.grade}`);
 
-  // Step 6: Record to profile
+  // Step 7: Save to history, with the examples the model saw
+  try {
+    record({
+      prompt: intent,
+      enhancedPrompt: enhanced,
+      model: values.model,
+      provider: detectProvider(values.model),
+      score: bestScore,
+      grade: bestReport.grade,
+      code: readFileSync(outputPath, 'utf-8'),
+      style: values.style,
+      archetype: archetype.name,
+      spec,
+      judge: verdict,
+      examples: used,
+    });
+  } catch (err) {
+    console.log(`⚠️ Could not save to history: ${err.message}`);
+  }
+
+  // Step 8: Record to profile
   recordForge(profile, {
     intent,
     model: values.model,
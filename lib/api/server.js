@@ -5,7 +5,11 @@
  * Makes Forge accessible from any HTTP client, web app, or remote agent.
  *
  * Endpoints:
- *   POST   /api/generate       — Run full pipeline (prompt → HTML)
+ *   POST   /api/generate       — Run full pipeline (prompt → HTML); with `clarify: true`, an
+ *                                 ambiguous prompt returns 202 and pending questions instead;
+ *                                 `clarifications` answers them up front
+ *   GET    /api/clarifications/:id — Pending questions for a generation
+ *   POST   /api/clarifications/:id — Answer them ({ answers }) and run the generation
  *   POST   /api/validate       — Validate HTML with Spinoza scoring
  *   GET    /api/grimoire       — List saved spells
  *   POST   /api/grimoire       — Save a spell
@@ -20,7 +24,12 @@
  */
 
 import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
 import { createChannel } from '../sse/server.js';
+import { listCompatModels } from '../generators/openai-compatible.js';
+import { listProviders } from '../generators/registry.js';
+import { loadConfig } from '../config/loader.js';
+import { clarify, resolveAnswers } from '../rune/clarify.js';
 
 /**
  * Parse JSON body from request.
@@ -136,18 +145,65 @@ function matchRoute(pattern, pathname) {
   return params;
 }
 
+const isText = (v) => typeof v === 'string';
+
+/**
+ * Pair answers — text by question id, or in question order — with their
+ * questions. resolveAnswers() would quietly drop unknown ids and stringify
+ * anything, so those are refused here.
+ * @param {import('../rune/clarify.js').Question[]} questions
+ * @param {*} answers
+ * @param {string} field - Request field, for the error message
+ * @returns {{ clarifications: import('../rune/clarify.js').Clarification[] } | { error: string }}
+ */
+function checkAnswers(questions, answers, field) {
+  if (answers == null) return { clarifications: resolveAnswers(questions) };
+  const plain = !Array.isArray(answers) && typeof answers === 'object';
+  if (!(Array.isArray(answers) ? answers : plain ? Object.values(answers) : [null]).every(isText)) {
+    return { error: `Invalid ${field} (expected text answers by question id or in question order)` };
+  }
+  const ids = questions.map(q => q.id);
+  const unknown = plain ? Object.keys(answers).find(id => !ids.includes(id)) : answers.length > ids.length && `#${ids.length + 1}`;
+  if (unknown) return { error: `Unknown clarification "${unknown}" (expected ${ids.join(' | ') || 'none: the prompt leaves nothing open'})` };
+  return { clarifications: resolveAnswers(questions, answers) };
+}
+
+/**
+ * Clarifications for a direct POST /api/generate: answers are paired with
+ * the prompt's clarify() questions, resolved clarifications (an earlier
+ * response's `clarifications`) pass through.
+ * @param {object} body
+ * @returns {{ clarifications: import('../rune/clarify.js').Clarification[] } | { error: string }}
+ */
+function clarificationsFor(body) {
+  const given = body.clarifications;
+  if (given == null) return { clarifications: [] };
+  if (Array.isArray(given) && given.every(c => c && isText(c.question) && isText(c.answer))) {
+    return { clarifications: given.map(c => ({ id: c.id, question: c.question, answer: c.answer, assumed: !!c.assumed })) };
+  }
+  return checkAnswers(clarify(body.prompt, { archetype: body.archetype }).questions, given, 'clarifications');
+}
+
 /**
- * Available provider/model list.
+ * Available provider/model list, derived from the provider registry.
+ * OpenAI-compatible endpoints come from config rather than the registry.
  */
-const MODELS = [
-  { provider: 'gemini', models: ['gemini-3-pro-preview', 'gemini-3-flash-preview'], default: true },
-  { provider: 'claude', models: ['claude-sonnet-4-5', 'claude-opus-4-6'] },
-  { provider: 'openai', models: ['gpt-5.2', 'gpt-4o'] },
-  { provider: 'grok', models: ['grok-4-1-fast-reasoning', 'grok-3'] },
-  { provider: 'deepseek', models: ['deepseek-chat', 'deepseek-coder'] },
-  { provider: 'anthropic-direct', models: ['claude-sonnet-4-5', 'claude-opus-4-6'] },
-  { provider: 'ollama', models: ['llama3', 'codellama', 'mistral'] },
-];
+function listModels() {
+  const config = loadConfig();
+  const models = listProviders()
+    .filter(p => p.models.length > 0)
+    .map(p => ({
+      provider: p.name,
+      models: p.models.map(m => m.id),
+      ...(p.name === config.provider ? { default: true } : {}),
+      streaming: p.streaming,
+      offline: p.offline,
+      env: p.env,
+    }));
+  const compat = listCompatModels(config.openaiCompatible);
+  if (compat.length) models.push({ provider: 'openai-compatible', models: compat, streaming: true, offline: true, env: [] });
+  return models;
+}
 
 /**
  * Create and start the Forge API server.
@@ -160,6 +216,7 @@ const MODELS = [
  * @param {function} [opts.grimoireFn] — Grimoire store access
  * @param {function} [opts.historyFn] — History access
  * @param {function} [opts.onRequest] — Hook called on each request
+ * @param {number} [opts.clarifyTtlMs=1800000] — How long pending clarification questions stay answerable
  * @returns {{ server: import('http').Server, close: () => Promise<void>, progressChannel: SSEChannel }}
  */
 export function createApiServer(opts = {}) {
@@ -172,12 +229,49 @@ export function createApiServer(opts = {}) {
     grimoireFn,
     historyFn,
     onRequest,
+    clarifyTtlMs = 30 * 60 * 1000,
   } = opts;
 
   const limiter = new RateLimiter({ maxRequests: rateMax });
   const progressChannel = createChannel({ heartbeatMs: 15000 });
   const startTime = Date.now();
   let requestCount = 0;
+  /** @type {Map<string, { body: object, archetype: string, questions: object[], expiresAt: number, running?: boolean }>} */
+  const pending = new Map();
+
+  const takePending = (id) => {
+    for (const [key, entry] of pending) if (entry.expiresAt <= Date.now()) pending.delete(key);
+    return pending.get(id) || null;
+  };
+
+  const generate = async (body, clarifications) => {
+    progressChannel.broadcast({ type: 'start', prompt: body.prompt });
+
+    const result = await generateFn({
+      prompt: body.prompt,
+      model: body.model,
+      iterations: body.iterations || 1,
+      persona: body.persona,
+      theme: body.theme,
+      archetype: body.archetype,
+      clarifications,
+      onProgress: (stage) => progressChannel.broadcast({ type: 'progress', stage }),
+    });
+
+    progressChannel.broadcast({ type: 'complete', score: result?.score });
+
+    return {
+      html: result?.html || '',
+      score: result?.score || 0,
+      validation: result?.validation || {},
+      model: result?.model || 'unknown',
+      provider: result?.provider || null,
+      iterations: result?.iterations || 1,
+      durationMs: result?.durationMs || 0,
+      enhancedPrompt: result?.enhancedPrompt || '',
+      clarifications,
+    };
+  };
 
   const server = createServer(async (req, res) => {
     const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
@@ -224,7 +318,7 @@ export function createApiServer(opts = {}) {
 
       // --- Models ---
       if (pathname === '/api/models' && method === 'GET') {
-        json(res, 200, { models: MODELS });
+        json(res, 200, { models: listModels() });
         return;
       }
 
@@ -240,28 +334,58 @@ export function createApiServer(opts = {}) {
           return;
         }
 
-        progressChannel.broadcast({ type: 'start', prompt: body.prompt });
-
-        const result = await generateFn({
-          prompt: body.prompt,
-          model: body.model,
-          iterations: body.iterations || 1,
-          persona: body.persona,
-          theme: body.theme,
-          onProgress: (stage) => progressChannel.broadcast({ type: 'progress', stage }),
-        });
+        // Ambiguous prompts wait for answers when the client asks for clarification
+        if (body.clarify && !body.clarifications) {
+          const { questions, archetype } = clarify(body.prompt, { archetype: body.archetype });
+          if (questions.length) {
+            const id = randomUUID().slice(0, 8);
+            const { clarify: _, ...rest } = body;
+            pending.set(id, { body: rest, archetype, questions, expiresAt: Date.now() + clarifyTtlMs });
+            json(res, 202, { status: 'pending', id, archetype, questions, answer: `POST /api/clarifications/${id}`, expiresInMs: clarifyTtlMs });
+            return;
+          }
+        }
 
-        progressChannel.broadcast({ type: 'complete', score: result?.score });
+        const answered = clarificationsFor(body);
+        if (answered.error) {
+          json(res, 400, { error: answered.error });
+          return;
+        }
+        json(res, 200, await generate(body, answered.clarifications));
+        return;
+      }
 
-        json(res, 200, {
-          html: result?.html || '',
-          score: result?.score || 0,
-          validation: result?.validation || {},
-          model: result?.model || 'unknown',
-          iterations: result?.iterations || 1,
-          durationMs: result?.durationMs || 0,
-          enhancedPrompt: result?.enhancedPrompt || '',
-        });
+      // --- Clarifications ---
+      const clarifyMatch = matchRoute('/api/clarifications/:id', pathname);
+      if (clarifyMatch && (method === 'GET' || method === 'POST')) {
+        const entry = takePending(clarifyMatch.id);
+        if (!entry) {
+          json(res, 404, { error: 'Clarification not found or expired' });
+          return;
+        }
+        if (method === 'GET') {
+          json(res, 200, { status: 'pending', id: clarifyMatch.id, archetype: entry.archetype, questions: entry.questions, expiresInMs: entry.expiresAt - Date.now() });
+          return;
+        }
+        if (entry.running) {
+          json(res, 409, { error: 'These answers are already being generated' });
+          return;
+        }
+        const body = await parseBody(req);
+        const answered = checkAnswers(entry.questions, body.answers, 'answers');
+        if (answered.error) {
+          json(res, 400, { error: answered.error });
+          return;
+        }
+        // The id stays answerable until a generation succeeds, so a failed one can be retried
+        entry.running = true;
+        try {
+          const result = await generate(entry.body, answered.clarifications);
+          pending.delete(clarifyMatch.id);
+          json(res, 200, result);
+        } finally {
+          entry.running = false;
+        }
         return;
       }
 
@@ -351,6 +475,8 @@ export function createApiServer(opts = {}) {
         'GET  /api/health',
         'GET  /api/models',
         'POST /api/generate',
+        'GET  /api/clarifications/:id',
+        'POST /api/clarifications/:id',
         'POST /api/validate',
         'GET  /api/grimoire',
         'POST /api/grimoire',
@@ -3,15 +3,23 @@
  * 
  * Unified entry point for all Forge capabilities:
  *   forge "prompt"       → Generate app (default)
+ *   forge edit           → Natural-language edits to a forged app
+ *   forge spec           → Write an editable app spec before generating
+ *   forge rune           → Show the resolved RUNE prompt and where each block came from
  *   forge serve          → Start preview server
  *   forge grimoire       → Manage prompt library
  *   forge recipe         → Run multi-step recipes
  *   forge evolve         → Genetic prompt evolution
  *   forge analytics      → Quality insights from history
+ *   forge calibrate      → Measure the validator against rated apps
  *   forge skills         → List/run installed skills
  */
 
 const SUBCOMMANDS = {
+  edit: {
+    description: 'Edit a forged app: edit <file|history-id> ["instruction"]',
+    handler: edit,
+  },
   serve: {
     description: 'Start the live preview server',
     module: '../../bin/forge-serve.js',
@@ -36,6 +44,18 @@ const SUBCOMMANDS = {
     description: 'List and run installed skills',
     handler: skills,
   },
+  calibrate: {
+    description: 'Check validator scores against rated apps: calibrate <dir>',
+    handler: calibrate,
+  },
+  spec: {
+    description: 'Write an editable app spec: spec "<intent>" (then forge --spec <file>)',
+    handler: spec,
+  },
+  rune: {
+    description: 'Show the resolved RUNE prompt: rune show "<intent>" [--persona zen]',
+    handler: rune,
+  },
 };
 
 export function parseCommand(args) {
@@ -55,6 +75,89 @@ export function showHelp() {
   console.log('\nRun `forge <command> --help` for details.\n');
 }
 
+/**
+ * Run a handler subcommand.
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Promise<void>}
+ */
+export async function runCommand(command, args) {
+  const cmd = SUBCOMMANDS[command];
+  if (!cmd) throw new Error(`Unknown command: ${command}`);
+  if (cmd.handler) return cmd.handler(args);
+  await import(cmd.module);
+}
+
+/**
+ * Pull `--flag value` pairs out of an argument list.
+ * @param {string[]} args
+ * @param {string[]} names - Flags that take a value
+ * @param {string[]} [switches] - Boolean flags
+ * @returns {{ flags: object, rest: string[] }}
+ */
+function takeFlags(args, names, switches = []) {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].startsWith('--') ? args[i].slice(2) : null;
+    if (name && names.includes(name)) flags[name] = args[++i];
+    else if (name && switches.includes(name)) flags[name] = true;
+    else rest.push(args[i]);
+  }
+  return { flags, rest };
+}
+
+async function edit(args) {
+  const { openSession, applyInstruction } = await import('../iterate/editor.js');
+  const { formatPatch } = await import('../iterate/patch.js');
+  const { flags, rest } = takeFlags(args, ['model', 'mode'], ['diff']);
+  const [target, ...words] = rest;
+  if (!target) {
+    console.log('Usage: forge edit <file|history-id> ["instruction"] [--model gemini] [--mode patch|full] [--diff]');
+    console.log('\nWithout an instruction, starts an edit session: one instruction per line, empty line to finish.');
+    return;
+  }
+
+  const session = openSession(target);
+  console.log(`\n✏️  Editing ${session.file || session.id} — ${session.report.grade} (${session.code.length.toLocaleString()} bytes)`);
+  if (session.instructions.length) console.log(`   ${session.instructions.length} earlier instruction(s) in context`);
+
+  const turn = async (instruction) => {
+    console.log(`\n🔧 "${instruction}"`);
+    const result = await applyInstruction(session, instruction, { model: flags.model || 'gemini', mode: flags.mode });
+    const { summary } = result;
+    const how = result.patch
+      ? `${result.patch.edits.length} edit(s) applied${result.rejected.length ? `, ${result.rejected.length} rejected` : ''}`
+      : result.fellBack ? 'no edit applied — regenerated full file' : 'full file regenerated';
+    const delta = summary.scoreDelta >= 0 ? `+${(summary.scoreDelta * 100).toFixed(0)}` : (summary.scoreDelta * 100).toFixed(0);
+    console.log(`   ${how}`);
+    console.log(`   +${summary.linesAdded} / -${summary.linesRemoved} lines | Grade ${summary.grade[0]} → ${summary.grade[1]} (${delta}%)`);
+    if (flags.diff && result.patch) console.log(formatPatch(result.patch).replace(/^/gm, '   '));
+    console.log(`   💾 ${result.id} (from ${result.parentId})${session.file ? ` → ${session.file}` : ''}`);
+  };
+
+  if (words.length) {
+    await turn(words.join(' '));
+    return;
+  }
+
+  const { createInterface } = await import('node:readline');
+  const rl = createInterface({ input: process.stdin, output: process.stdout, prompt: 'edit> ' });
+  rl.prompt();
+  for await (const line of rl) {
+    const instruction = line.trim();
+    if (!instruction || instruction === '.exit') break;
+    try {
+      await turn(instruction);
+    } catch (err) {
+      console.log(`   ❌ ${err.message}`);
+    }
+    rl.prompt();
+  }
+  rl.close();
+  console.log(`\n✅ Session done — latest version ${session.id}`);
+}
+
 async function grimoire(args) {
   const { GrimoireStore } = await import('../grimoire/store.js');
   const store = new GrimoireStore();
@@ -178,4 +281,123 @@ async function skills(args) {
   }
 }
 
+async function calibrate(args) {
+  const { calibrate: run } = await import('../rune/calibrate.js');
+  const { flags, rest } = takeFlags(args, ['rubric', 'top'], ['smoke', 'json']);
+  const [dir] = rest;
+  if (!dir) {
+    console.log('Usage: forge calibrate <dir> [--rubric default|tracker|monitor] [--top 5] [--smoke] [--json]');
+    console.log('\nEach app in <dir> is an .html file with a .json sidecar: { "overall": 4, "conatus": 5, "natura": 2 }');
+    return;
+  }
+
+  const report = await run(dir, {
+    rubric: flags.rubric,
+    smoke: flags.smoke,
+    top: flags.top ? parseInt(flags.top, 10) : 5,
+    onProgress: flags.json ? null : (app, i, total) => process.stdout.write(`\r   Scoring ${i + 1}/${total}: ${app.name.padEnd(30).slice(0, 30)}`),
+  });
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const rho = (r) => (r === null ? '  n/a' : `${r >= 0 ? ' ' : ''}${r.toFixed(2)}`);
+  console.log(`\r\n📐 Calibration — ${report.count} rated app(s), rubric ${report.rubric}\n`);
+  console.log('Rank correlation with human ratings (Spearman ρ):');
+  for (const [name, { rho: r, n }] of Object.entries(report.correlation)) {
+    console.log(`  ${name.padEnd(12)} ${rho(r)}  (n=${n})`);
+  }
+
+  if (report.misjudged.length) {
+    console.log('\n🎯 Most misjudged:');
+    for (const m of report.misjudged) {
+      console.log(`  ${m.name.padEnd(28)} ${m.verdict.padEnd(10)} validator #${m.validatorRank} (${(m.validator * 100).toFixed(0)}%) vs human #${m.humanRank} (${m.human})`);
+      if (m.notes) console.log(`    "${m.notes}"`);
+    }
+  }
+
+  const changed = report.weights.filter(w => w.id in report.config.validator.weights);
+  if (changed.length) {
+    console.log('\n⚖️  Suggested weights:');
+    for (const w of changed) {
+      console.log(`  ${w.id.padEnd(28)} ${w.current.toFixed(2)} → ${w.suggested.toFixed(2)}  (ρ ${rho(w.rho).trim()})`);
+    }
+    console.log('\nAdd to .forgerc.json:');
+    console.log(JSON.stringify(report.config, null, 2).replace(/^/gm, '  '));
+  } else {
+    console.log('\n⚖️  No weight changes suggested.');
+  }
+  for (const s of report.skipped) console.log(`  ⚠️  Skipped ${s.name}: ${s.reason}`);
+}
+
+async function spec(args) {
+  const { generateSpec, readSpec, writeSpec, summarizeSpec } = await import('../rune/spec.js');
+  const { classify } = await import('../rune/intent.js');
+  const { slugify } = await import('../renderer/html.js');
+  const { join } = await import('node:path');
+  const { flags, rest } = takeFlags(args, ['model', 'output', 'archetype']);
+  if (!rest.length) {
+    console.log('Usage: forge spec "<intent>" [--model gemini] [--output output] [--archetype tracker]');
+    console.log('       forge spec <file.spec.json>   Check an edited spec');
+    console.log('\nWrites output/<intent>.spec.json. Edit it, then build the app from it: forge --spec <file>');
+    return;
+  }
+
+  if (rest.length === 1 && rest[0].endsWith('.json')) {
+    const checked = readSpec(rest[0]);
+    console.log(`✅ ${rest[0]}: ${checked.title || checked.intent} — ${summarizeSpec(checked)}`);
+    return;
+  }
+
+  const intent = rest.join(' ');
+  const archetype = flags.archetype || (await classify(intent)).archetype;
+  console.log(`\n📐 Planning "${intent}" (${archetype})...`);
+  const written = await generateSpec(intent, { model: flags.model || 'gemini', archetype });
+  const file = writeSpec(written, join(flags.output || 'output', `${slugify(intent)}.spec.json`));
+  console.log(`   ${written.title || 'Untitled'} — ${summarizeSpec(written)}`);
+  for (const f of written.features) console.log(`   • ${f.id}: ${f.description}`);
+  console.log(`\n💾 ${file}`);
+  console.log(`   Edit it, then: forge --spec ${file}`);
+}
+
+async function rune(args) {
+  const { compose } = await import('../rune/enhancer.js');
+  const { loadLayers } = await import('../rune/layers.js');
+  const { classify, brief } = await import('../rune/intent.js');
+  const { loadConfig } = await import('../config/loader.js');
+  const { sense } = await import('../context/sensors.js');
+  const { loadProfile, profileContext } = await import('../context/profile.js');
+  const { flags, rest } = takeFlags(args, ['persona', 'style', 'lang', 'archetype'], ['blocks']);
+  const [action, ...words] = rest;
+  if (action !== 'show' || !words.length) {
+    console.log('Usage: forge rune show "<intent>" [--persona zen] [--style minimal] [--lang en] [--archetype tracker] [--blocks]');
+    console.log('\nPrints the prompt forge would send, with the source of each block.');
+    console.log('Override blocks in .forgerc.json (rune.layers, rune.personas) or .forge/layers/<block>.md.');
+    console.log('--blocks lists the blocks and their sources without the prompt.');
+    return;
+  }
+
+  const intent = words.join(' ');
+  const persona = flags.persona || loadConfig().persona;
+  const archetype = brief(flags.archetype || (await classify(intent)).archetype);
+  const { prompt, blocks } = compose(intent, {
+    style: flags.style || 'cyberpunk',
+    lang: flags.lang || 'en',
+    sensorHint: sense().contextHint,
+    profileHint: profileContext(loadProfile()),
+    archetype,
+    layers: loadLayers({ persona }),
+  });
+
+  console.log(`\n🧱 RUNE blocks for "${intent}" (${archetype.name}, persona ${persona || 'none'}):\n`);
+  for (const block of blocks) {
+    const mark = block.disabled ? '✗' : block.sources.length > 1 || block.sources[0] !== 'builtin' ? '✎' : ' ';
+    console.log(`  ${mark} ${block.id.padEnd(13)} ${block.disabled ? 'disabled — ' : ''}${block.sources.join(' + ')}`);
+  }
+  if (flags.blocks) return;
+  console.log(`\n${'─'.repeat(60)}\n${prompt}\n${'─'.repeat(60)}`);
+  console.log(`${prompt.length.toLocaleString()} chars`);
+}
+
 export { SUBCOMMANDS };
@@ -30,6 +30,48 @@ const DEFAULTS = {
   outputDir: './output',
   grimoire: './grimoire',
   telemetry: true,
+  replay: null,          // 'name' or { name, mode: 'replay'|'record', model, dir }
+  fallback: {
+    chains: {},          // e.g. { default: ['claude', 'gemini', 'ollama'] } → --model fallback:default
+    failureThreshold: 3,
+    cooldownMs: 60_000
+  },
+  continuation: {
+    maxRounds: 3         // continuation requests for output cut off at the token limit (false disables)
+  },
+  refine: {
+    mode: 'patch'        // 'patch' = targeted edits, full regeneration only when no edit applies; 'full' = always regenerate
+  },
+  validator: {
+    rubric: 'default',   // default | tracker | monitor | a name from rubrics below or a plugin
+    weights: {},         // rule id → weight, e.g. { 'laetitia.gradient': 0 } (0 switches a rule off)
+    rubrics: {}          // name → { extends, weights, expects } (see lib/rune/rules.js)
+  },
+  intent: {
+    llm: false,          // ask a model when keyword classification is not decisive
+    model: null,         // null = gemini
+    threshold: 0.6       // keyword confidence below which the model is asked
+  },
+  judge: {
+    enabled: false,      // ask a model whether the app does what was asked and blend its verdict into the score
+    model: null,         // null = the generating model; any route() model, e.g. 'ollama' or 'replay:judge'
+    weight: 0.5          // judge share of each axis, 0–1
+  },
+  examples: {
+    enabled: false,      // show the model condensed past apps for similar intents (lib/rune/examples.js)
+    limit: 2,            // examples per prompt
+    minGrade: 'A'        // lowest history grade used as an example
+  },
+  budget: {
+    enabled: true,       // fit prompts to the model's context window (lib/rune/budget.js)
+    reserveOutput: null  // tokens kept free for the answer; null = the model's maxOutput, at most half the window
+  },
+  rune: {
+    layers: {},          // block id or L0–L7 → text (replace) | false (disable) | { mode: 'append'|'prepend'|'replace'|'disable', text, title }
+    personas: {},        // persona → { block: override } — applied after layers when that persona is active
+    styles: {}           // name → { palette, font, vibe } — extra --style presets (see lib/rune/layers.js)
+  },
+  openaiCompatible: {},  // name → { baseUrl, apiKeyEnv, model, models: { alias: serverModel }, stream } → --model compat:<name>[:<alias>]
   security: {
     sanitize: true,
     maxOutputBytes: 512 * 1024,
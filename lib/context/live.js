@@ -0,0 +1,298 @@
+/**
+ * Live Context — Skill data for apps that are already running.
+ *
+ * The context skills (Apple Health, the portfolio, system resources) used to
+ * reach an app only once, as a line in the prompt. Here each one becomes a
+ * read-only JSON endpoint that bin/forge-serve.js mounts under /api/context:
+ *
+ *   GET /api/context                — The sources, their refresh interval and schema
+ *   GET /api/context/:name          — Latest snapshot (cached for the source's TTL)
+ *   GET /api/context/:name/events   — SSE: a `snapshot` on connect, an `update` when it changes
+ *                                     (`unavailable` when a read fails)
+ *
+ * Every response is wrapped as { source, data, updatedAt, cached }. This is
+ * personal data, so cross-origin reads are allowed only from the server's
+ * own origins, and requests must name the server's own Host (a DNS-rebinding
+ * page looks same-origin but cannot fake that); anything else gets a 403.
+ * `null` — file:// apps, but also sandboxed iframes and data: documents any
+ * website can create — is refused unless allowNull opts in. The enhancer
+ * describes the same endpoints to the model (liveText()).
+ *
+ * "The more the mind understands things by the second and third kind of
+ *  knowledge, the less it suffers from evil affects." — Spinoza, Ethics V, P38
+ *
+ * @module context/live
+ */
+
+import { CacheManager } from '../cache/manager.js';
+import { createChannel, formatSSE } from '../sse/server.js';
+import { getHealthSnapshot } from '../../skills/health/apple-health.js';
+import { getPortfolio } from '../../skills/finance/portfolio.js';
+import { systemResourcesContext } from './system-resources.js';
+
+export const DEFAULT_BASE = 'http://localhost:3456';
+const PREFIX = '/api/context';
+
+/**
+ * @typedef {object} LiveSource
+ * @property {string} description - What the data is, for the prompt
+ * @property {number} ttl - How long a snapshot is served from cache (ms); also the SSE poll interval
+ * @property {Record<string, string>} schema - Field → type, as shown to the model
+ * @property {() => any|Promise<any>} read - Current data (null when unavailable)
+ */
+
+/** @type {Record<string, LiveSource>} */
+export const SOURCES = {
+  health: {
+    description: 'Apple Health snapshot for today (null when no export is available)',
+    ttl: 5 * 60_000,
+    schema: {
+      steps: 'number|null',
+      heartRate: 'number|null — resting bpm',
+      sleepHours: 'number|null',
+      activeCalories: 'number|null',
+      sleepQuality: "'poor'|'fair'|'good'|'excellent'|null",
+      source: 'string',
+      timestamp: 'ISO string',
+    },
+    read: () => getHealthSnapshot(),
+  },
+  portfolio: {
+    description: 'Crypto and stock prices',
+    ttl: 5 * 60_000,
+    schema: {
+      crypto: 'Array<{ id: string, symbol: string, price: number|null, change24h: number|null }>',
+      stocks: 'Array<{ symbol: string, price: number|null, change24h: number|null }> — change24h in %',
+      summary: 'string',
+      timestamp: 'ISO string',
+    },
+    read: () => getPortfolio(),
+  },
+  system: {
+    description: "This machine's load",
+    ttl: 2 * 60_000,
+    schema: {
+      cpu: 'number — 1-minute load average',
+      memory: '{ totalGB: number, usedPercent: number }',
+      disk: '{ totalGB: number, usedPercent: number }',
+      complexity: "{ level: 'minimal'|'moderate'|'full', hint: string }",
+      summary: 'string',
+    },
+    read: () => systemResourcesContext(),
+  },
+};
+
+/**
+ * The sources a setting names: true for all of them, or a list of names.
+ * @param {boolean|string|string[]} names - `true`, 'all', 'health,portfolio' or ['health']
+ * @param {Record<string, LiveSource>} [sources]
+ * @returns {string[]}
+ * @throws {Error} On an unknown source name
+ */
+export function resolveSources(names, sources = SOURCES) {
+  if (!names) return [];
+  if (names === true || names === 'all') return Object.keys(sources);
+  const list = Array.isArray(names) ? names : String(names).split(',');
+  return [...new Set(list.map(n => n.trim()).filter(Boolean))].map((name) => {
+    if (!sources[name]) throw new Error(`Unknown live source "${name}" (expected ${Object.keys(sources).join(' | ')})`);
+    return name;
+  });
+}
+
+/**
+ * Create the cached readers and HTTP handler for a set of sources.
+ * @param {object} [opts]
+ * @param {Record<string, LiveSource>} [opts.sources=SOURCES]
+ * @param {number} [opts.heartbeatMs] - SSE keep-alive interval
+ * @param {string[]} [opts.origins=[]] - Origins allowed to read the data (e.g. the serve origin)
+ * @param {string[]} [opts.hosts] - Host headers the server answers to, e.g. 'localhost:3456' (default: any)
+ * @param {boolean} [opts.allowNull=false] - Also allow Origin `null` (apps opened from file://)
+ * @returns {{ read: (name: string, opts?: { fresh?: boolean }) => Promise<object>, describe: () => object[], handle: (req: import('http').IncomingMessage, res: import('http').ServerResponse) => boolean, close: () => void }}
+ */
+export function createLiveContext(opts = {}) {
+  const { sources = SOURCES, heartbeatMs, origins = [], hosts, allowNull = false } = opts;
+  const allowed = new Set([...origins, ...(allowNull ? ['null'] : [])]);
+  const names = hosts && new Set(hosts.map(host => host.toLowerCase()));
+  const cache = new CacheManager({ maxEntries: Object.keys(sources).length || 1 });
+  const pending = new Map();
+  const streams = new Map();
+
+  /**
+   * Latest snapshot of a source; concurrent reads share one call.
+   */
+  async function read(name, { fresh = false } = {}) {
+    const [key] = resolveSources([name], sources);
+    const hit = !fresh && cache.get(key);
+    if (hit) return { ...hit, cached: true };
+    if (!pending.has(key)) {
+      pending.set(key, (async () => {
+        try {
+          const snapshot = { source: key, data: (await sources[key].read()) ?? null, updatedAt: new Date().toISOString() };
+          cache.set(key, snapshot, sources[key].ttl);
+          return snapshot;
+        } finally {
+          pending.delete(key);
+        }
+      })());
+    }
+    return { ...(await pending.get(key)), cached: false };
+  }
+
+  function describe() {
+    return Object.entries(sources).map(([name, s]) => ({
+      name,
+      description: s.description,
+      url: `${PREFIX}/${name}`,
+      events: `${PREFIX}/${name}/events`,
+      ttl: s.ttl,
+      schema: s.schema,
+    }));
+  }
+
+  /**
+   * The SSE channel of a source, polling it while anyone listens.
+   */
+  function stream(name) {
+    if (streams.has(name)) return streams.get(name);
+    let timer = null;
+    let last = null;
+    const poll = async () => {
+      try {
+        const snapshot = await read(name, { fresh: true });
+        const body = JSON.stringify(snapshot.data);
+        if (body !== last) channel.send('update', snapshot);
+        last = body;
+      } catch (err) {
+        channel.send('unavailable', { source: name, error: err.message });
+      }
+    };
+    const channel = createChannel({
+      heartbeatMs,
+      onConnect: () => {
+        if (timer) return;
+        timer = setInterval(poll, sources[name].ttl);
+        timer.unref?.();
+      },
+      onDisconnect: (count) => {
+        if (count === 0) { clearInterval(timer); timer = null; last = null; }
+      },
+    });
+    const entry = {
+      channel,
+      stop: () => { clearInterval(timer); timer = null; },
+      remember: (snapshot) => { last = JSON.stringify(snapshot.data); },
+    };
+    streams.set(name, entry);
+    return entry;
+  }
+
+  /**
+   * CORS headers for a request: its own origin when allowed, none otherwise.
+   */
+  function cors(req) {
+    const origin = req.headers.origin;
+    return origin && allowed.has(origin) ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' } : { Vary: 'Origin' };
+  }
+
+  function reply(req, res, status, data) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache',
+      ...cors(req),
+    });
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Answer a request under /api/context.
+   * @returns {boolean} Whether the request was for a live endpoint
+   */
+  function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== PREFIX && !pathname.startsWith(`${PREFIX}/`)) return false;
+    if (names && !names.has(String(req.headers.host || '').toLowerCase())) {
+      reply(req, res, 403, { error: `Host ${req.headers.host || '(none)'} is not this server` });
+      return true;
+    }
+    // Same-origin requests and tools send no Origin; other websites never get the data
+    if (req.headers.origin && !allowed.has(req.headers.origin)) {
+      reply(req, res, 403, { error: `Origin ${req.headers.origin} may not read live context` });
+      return true;
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { ...cors(req), 'Access-Control-Allow-Methods': 'GET' });
+      res.end();
+      return true;
+    }
+    if (req.method !== 'GET') {
+      reply(req, res, 405, { error: 'Live context endpoints are read-only' });
+      return true;
+    }
+
+    const [name, tail, ...rest] = pathname.slice(PREFIX.length + 1).split('/');
+    if (!name) {
+      reply(req, res, 200, { sources: describe() });
+      return true;
+    }
+    if (!sources[name] || rest.length || (tail !== undefined && tail !== 'events')) {
+      reply(req, res, 404, { error: `Unknown live source "${name}" (expected ${Object.keys(sources).join(' | ')})` });
+      return true;
+    }
+
+    if (tail === 'events') {
+      const { channel, remember } = stream(name);
+      channel.handler(req, res, { 'Access-Control-Allow-Origin': null, ...cors(req) });
+      if (res.writableEnded) return true;
+      read(name).then((snapshot) => {
+        remember(snapshot);
+        if (!res.destroyed) res.write(formatSSE('snapshot', snapshot));
+      }, (err) => {
+        if (!res.destroyed) res.write(formatSSE('unavailable', { source: name, error: err.message }));
+      });
+      return true;
+    }
+
+    read(name).then(
+      (snapshot) => reply(req, res, 200, snapshot),
+      (err) => reply(req, res, 502, { source: name, error: err.message }),
+    );
+    return true;
+  }
+
+  function close() {
+    for (const { channel, stop } of streams.values()) {
+      stop();
+      channel.close();
+    }
+    streams.clear();
+  }
+
+  return { read, describe, handle, close };
+}
+
+/**
+ * The endpoints as prompt text, for the enhancer's LIVE DATA block.
+ * @param {string[]} names - Sources the app may use (see resolveSources())
+ * @param {object} [opts]
+ * @param {string} [opts.base] - Server origin (default: forge-serve on port 3456)
+ * @param {boolean} [opts.compact=false] - One line per source, without schemas
+ * @param {Record<string, LiveSource>} [opts.sources]
+ * @returns {string}
+ */
+export function liveText(names, opts = {}) {
+  const { base = DEFAULT_BASE, compact = false, sources = SOURCES } = opts;
+  const url = (name) => `${base}${PREFIX}/${name}`;
+  const lines = resolveSources(names, sources).map((name) => {
+    const s = sources[name];
+    if (compact) return `- ${url(name)} — ${s.description}`;
+    const fields = Object.entries(s.schema).map(([field, type]) => `    ${field}: ${type}`).join('\n');
+    return `- GET ${url(name)} — ${s.description}; refreshed every ${Math.round(s.ttl / 60_000)} min. data:\n${fields}`;
+  });
+  if (!lines.length) return '';
+  return compact
+    ? `Read-only JSON { source, data, updatedAt }; poll with fetch() or subscribe with EventSource(url + '/events') ('snapshot', 'update' events). Show a fallback when unreachable.\n${lines.join('\n')}`
+    : `The local Forge server provides live, read-only data. Each endpoint returns JSON { source, data, updatedAt, cached }:
+${lines.join('\n')}
+- Poll with fetch() no more often than the refresh interval, or subscribe: new EventSource(url + '/events') sends a 'snapshot' event on connect and an 'update' event whenever the data changes (event.data is the same JSON)
+- The server may be unreachable (app opened offline or from a file): keep the app usable, show the last known value or a short notice, and retry later`;
+}
@@ -2,7 +2,8 @@
  * Doctor — System health diagnostics for Forge.
  * 
  * Checks: Node version, dependencies, API keys, providers, disk space,
- * workspace integrity, and optional services (Ollama, Antigravity).
+ * workspace integrity, and optional services (Ollama, Antigravity,
+ * OpenAI-compatible endpoints).
  * 
  * Usage: `forge doctor` → prints a diagnostic report with ✅/⚠️/❌ per check.
  * Spinoza: adequate knowledge of the system's state enables adequate action.
@@ -12,6 +13,8 @@ import { execSync } from 'node:child_process';
 import { existsSync, readFileSync, statSync } from 'node:fs';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
+import { loadConfig } from '../config/loader.js';
+import { listProviders } from '../generators/registry.js';
 
 const CHECKS = [];
 
@@ -19,6 +22,25 @@ function registerCheck(name, category, fn) {
   CHECKS.push({ name, category, fn });
 }
 
+/**
+ * One credentials check per registered provider that needs env vars.
+ * Built at run time so plugin-registered providers show up too.
+ */
+function providerChecks() {
+  return listProviders()
+    .filter(p => p.env.length > 0)
+    .map(p => ({
+      name: p.env.join(' | '),
+      category: 'providers',
+      fn: () => {
+        const set = p.env.find(key => process.env[key]);
+        return set
+          ? { status: 'ok', detail: p.env.length > 1 ? `Set (${set})` : 'Set' }
+          : { status: 'warn', detail: `Not set — ${p.label} calls will fail` };
+      },
+    }));
+}
+
 // --- Checks ---
 
 registerCheck('Node.js version', 'runtime', () => {
@@ -40,24 +62,6 @@ registerCheck('package.json', 'project', () => {
   }
 });
 
-registerCheck('GEMINI_API_KEY', 'providers', () => {
-  return process.env.GEMINI_API_KEY
-    ? { status: 'ok', detail: 'Set' }
-    : { status: 'warn', detail: 'Not set — Gemini direct calls will fail' };
-});
-
-registerCheck('OPENAI_API_KEY', 'providers', () => {
-  return process.env.OPENAI_API_KEY
-    ? { status: 'ok', detail: 'Set' }
-    : { status: 'warn', detail: 'Not set — OpenAI/GPT calls will fail' };
-});
-
-registerCheck('ANTHROPIC_API_KEY', 'providers', () => {
-  return process.env.ANTHROPIC_API_KEY
-    ? { status: 'ok', detail: 'Set' }
-    : { status: 'warn', detail: 'Not set — Claude direct calls will fail' };
-});
-
 registerCheck('Antigravity gateway', 'providers', async () => {
   try {
     const res = await fetch('http://127.0.0.1:8045/v1/models', {
@@ -86,6 +90,31 @@ registerCheck('Ollama', 'providers', async () => {
   }
 });
 
+registerCheck('OpenAI-compatible endpoints', 'providers', async () => {
+  const endpoints = Object.entries(loadConfig().openaiCompatible || {});
+  if (endpoints.length === 0) return { status: 'ok', detail: 'None configured' };
+
+  const results = await Promise.all(endpoints.map(async ([name, cfg]) => {
+    if (!cfg.baseUrl) return `${name}: no baseUrl`;
+    if (cfg.apiKeyEnv && !process.env[cfg.apiKeyEnv]) return `${name}: ${cfg.apiKeyEnv} not set`;
+    try {
+      const key = cfg.apiKeyEnv ? process.env[cfg.apiKeyEnv] : cfg.apiKey;
+      const res = await fetch(`${cfg.baseUrl.replace(/\/+$/, '')}/models`, {
+        headers: key ? { Authorization: `Bearer ${key}` } : {},
+        signal: AbortSignal.timeout(3000),
+      });
+      return res.ok ? null : `${name}: responded with ${res.status}`;
+    } catch {
+      return `${name}: not reachable`;
+    }
+  }));
+
+  const problems = results.filter(Boolean);
+  return problems.length === 0
+    ? { status: 'ok', detail: `${endpoints.length} endpoint(s) reachable` }
+    : { status: 'warn', detail: problems.join('; ') };
+});
+
 registerCheck('Disk space', 'system', () => {
   try {
     const output = execSync("df -h . | tail -1 | awk '{print $4}'", { encoding: 'utf-8' }).trim();
@@ -128,7 +157,7 @@ registerCheck('curl', 'tools', () => {
     execSync('which curl', { encoding: 'utf-8' });
     return { status: 'ok', detail: 'Available' };
   } catch {
-    return { status: 'fail', detail: 'Not found — required for LLM API calls' };
+    return { status: 'warn', detail: 'Not found — some context sensors (weather, news) unavailable' };
   }
 });
 
@@ -143,7 +172,7 @@ const STATUS_PRIORITY = { fail: 0, warn: 1, ok: 2 };
 export async function runAll(opts = {}) {
   const results = [];
   
-  for (const check of CHECKS) {
+  for (const check of [...providerChecks(), ...CHECKS]) {
     if (opts.category && check.category !== opts.category) continue;
     try {
       const result = await check.fn();
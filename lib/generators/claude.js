@@ -3,31 +3,23 @@
  * Supports Claude Sonnet 4.5 and Opus 4.6
  */
 
-import { execSync } from 'node:child_process';
-import { writeFileSync, unlinkSync } from 'node:fs';
+import { postJSON, stripFences, stripPartialFences, normalizeFinishReason, ProviderError } from './transport.js';
+import { resolveAlias } from './registry.js';
 
 const ANTIGRAVITY = 'http://127.0.0.1:8045';
 const ANTIGRAVITY_KEY = process.env.ANTIGRAVITY_API_KEY;
 
-const MODEL_MAP = {
-  'claude': 'claude-sonnet-4-5-thinking',
-  'claude-sonnet': 'claude-sonnet-4-5-thinking',
-  'claude-opus': 'claude-opus-4-6-thinking',
-  'sonnet': 'claude-sonnet-4-5-thinking',
-  'opus': 'claude-opus-4-6-thinking',
-};
-
 /**
  * Generate HTML from an enhanced prompt using Claude via Antigravity.
  * @param {string} prompt - Enhanced RUNE prompt
- * @param {object} opts - { model }
+ * @param {object} opts - { model, signal, timeoutMs }
  * @returns {Promise<string>} Generated HTML
  */
 export async function generate(prompt, opts = {}) {
   const modelKey = opts.model || 'claude';
-  const model = MODEL_MAP[modelKey] || modelKey;
+  const model = resolveAlias(modelKey, 'claude');
 
-  const payload = JSON.stringify({
+  const json = await postJSON(`${ANTIGRAVITY}/v1/chat/completions`, {
     model,
     messages: [
       {
@@ -38,40 +30,28 @@ export async function generate(prompt, opts = {}) {
     ],
     max_tokens: 16000,
     temperature: 0.7,
+  }, {
+    provider: 'claude',
+    headers: { Authorization: `Bearer ${ANTIGRAVITY_KEY}` },
+    signal: opts.signal,
+    timeoutMs: opts.timeoutMs ?? 180_000,
   });
 
-  const tmpFile = `/tmp/modus-forge-claude-${Date.now()}.json`;
-  writeFileSync(tmpFile, payload);
-
-  try {
-    const result = execSync(
-      `curl -s -X POST "${ANTIGRAVITY}/v1/chat/completions" \
-        -H "Content-Type: application/json" \
-        -H "Authorization: Bearer ${ANTIGRAVITY_KEY}" \
-        -d @${tmpFile}`,
-      { encoding: 'utf-8', timeout: 180_000, maxBuffer: 10 * 1024 * 1024 }
-    );
-
-    unlinkSync(tmpFile);
-
-    const json = JSON.parse(result);
-    if (json.error) {
-      throw new Error(`Claude error: ${json.error.message || JSON.stringify(json.error)}`);
-    }
+  if (json.error) {
+    throw new ProviderError(`Claude error: ${json.error.message || JSON.stringify(json.error)}`, { provider: 'claude' });
+  }
 
-    let html = json.choices?.[0]?.message?.content;
-    if (!html) throw new Error('Empty response from Claude');
+  opts.onFinishReason?.(normalizeFinishReason(json.choices?.[0]?.finish_reason));
 
-    // Clean markdown fences
-    html = html.replace(/^```html?\n?/i, '').replace(/\n?```$/i, '').trim();
+  let html = json.choices?.[0]?.message?.content;
+  if (opts.partial) return stripPartialFences(html);
+  if (!html) throw new ProviderError('Empty response from Claude', { provider: 'claude', code: 'empty' });
 
-    if (!html.includes('<html') && !html.includes('<!DOCTYPE')) {
-      throw new Error('Generated output does not appear to be valid HTML');
-    }
+  html = stripFences(html);
 
-    return html;
-  } catch (err) {
-    try { unlinkSync(tmpFile); } catch {}
-    throw err;
+  if (!html.includes('<html') && !html.includes('<!DOCTYPE')) {
+    throw new ProviderError('Generated output does not appear to be valid HTML', { provider: 'claude', code: 'malformed' });
   }
+
+  return html;
 }
@@ -0,0 +1,142 @@
+/**
+ * Continuation — Detect truncated apps and resume them from the cut point.
+ *
+ * Large apps regularly hit the provider's output limit and come back cut off
+ * mid-<script> with no </html>. Truncation is detected from the provider's
+ * finish reason when it reports one ('length' / MAX_TOKENS / max_tokens) and
+ * from document structure otherwise. A truncated app gets continuation
+ * requests that show the model the tail of what it wrote and ask for the
+ * rest; the fragments are stitched together (dropping any text the model
+ * repeated) until the document is complete or the round limit is hit.
+ *
+ * @module generators/continuation
+ */
+
+const DEFAULT_MAX_ROUNDS = 3;
+const TAIL_CHARS = 3000;
+const MAX_OVERLAP = 2000;
+const MIN_OVERLAP = 8;
+
+/**
+ * Count opening and closing tags of an element.
+ * @param {string} html
+ * @param {string} tag
+ * @returns {{ open: number, close: number }}
+ */
+function tagBalance(html, tag) {
+  const open = (html.match(new RegExp(`<${tag}\\b`, 'gi')) || []).length;
+  const close = (html.match(new RegExp(`</${tag}\\s*>`, 'gi')) || []).length;
+  return { open, close };
+}
+
+/**
+ * Decide whether a generated document was cut off.
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {'length'|'stop'|null} [opts.finishReason] - Normalized provider finish reason
+ * @param {boolean} [opts.fragment=false] - Output is a fragment (e.g. one <section>), not a whole document
+ * @returns {{ truncated: boolean, reason: string|null }}
+ */
+export function detectTruncation(html, opts = {}) {
+  if (opts.finishReason === 'length') return { truncated: true, reason: 'finish-reason' };
+
+  const text = (html || '').trimEnd();
+  const tags = opts.fragment ? ['script', 'style', 'section'] : ['script', 'style'];
+  for (const tag of tags) {
+    const { open, close } = tagBalance(text, tag);
+    if (open > close) return { truncated: true, reason: `unclosed-${tag}` };
+  }
+  if (opts.fragment) return { truncated: false, reason: null };
+  if (!/<\/html\s*>(\s*<!--[\s\S]*?-->)*$/i.test(text)) {
+    return { truncated: true, reason: 'no-closing-html' };
+  }
+  return { truncated: false, reason: null };
+}
+
+/**
+ * Build the prompt for the next continuation round.
+ * @param {string} prompt - The original prompt
+ * @param {string} partial - Everything generated so far
+ * @param {object} [opts]
+ * @param {boolean} [opts.fragment=false] - Continuing a fragment rather than a document
+ * @returns {string}
+ */
+export function continuationPrompt(prompt, partial, opts = {}) {
+  const tail = partial.slice(-TAIL_CHARS);
+  const end = opts.fragment ? 'the end of the fragment' : 'the closing </html>';
+  return `${prompt}
+
+---
+Your previous response was cut off because it hit the output limit. These are the last ${tail.length} characters you produced:
+
+<<<PARTIAL
+${tail}
+PARTIAL>>>
+
+Continue EXACTLY from the last character above, mid-token if necessary. Output ONLY the remaining part through ${end}. Do not repeat anything already written, do not start over, no markdown fences, no explanation.`;
+}
+
+/**
+ * Join a continuation fragment onto the partial document.
+ * Drops any prefix of the fragment that repeats the end of the partial;
+ * a fragment that starts a brand new document replaces the partial.
+ * @param {string} partial
+ * @param {string} fragment
+ * @returns {string}
+ */
+export function stitch(partial, fragment) {
+  if (!fragment) return partial;
+  if (/^\s*(<!DOCTYPE|<html\b)/i.test(fragment)) return fragment;
+
+  const max = Math.min(MAX_OVERLAP, partial.length, fragment.length);
+  for (let k = max; k >= MIN_OVERLAP; k--) {
+    if (partial.endsWith(fragment.slice(0, k))) return partial + fragment.slice(k);
+  }
+  return partial + fragment;
+}
+
+/**
+ * @typedef {object} ContinuationResult
+ * @property {string} html - The (possibly stitched) document
+ * @property {number} continuations - Continuation rounds that were needed
+ * @property {boolean} complete - Whether the final document passes the structural check
+ * @property {string|null} truncation - Why the first response was considered truncated
+ */
+
+/**
+ * Generate, then keep continuing while the output looks truncated.
+ * @param {string} prompt
+ * @param {(prompt: string, opts: object) => Promise<string>} generate - Single-model generator
+ * @param {object} [opts] - Passed through to generate()
+ * @param {number} [opts.maxRounds=3] - Max continuation requests (0 disables)
+ * @param {boolean} [opts.fragment=false] - Expect a raw fragment; generators skip their whole-document check
+ * @param {function} [opts.onContinue] - Called with { round, reason, length } before each round
+ * @returns {Promise<ContinuationResult>}
+ */
+export async function generateWithContinuation(prompt, generate, opts = {}) {
+  const { maxRounds = DEFAULT_MAX_ROUNDS, fragment = false, onContinue, ...genOpts } = opts;
+
+  let finishReason = null;
+  const onFinishReason = (reason) => { finishReason = reason; };
+
+  let html = await generate(prompt, { ...genOpts, ...(fragment ? { partial: true } : {}), onFinishReason });
+  let check = detectTruncation(html, { finishReason, fragment });
+  const truncation = check.reason;
+  let rounds = 0;
+
+  while (check.truncated && rounds < maxRounds) {
+    rounds++;
+    onContinue?.({ round: rounds, reason: check.reason, length: html.length });
+
+    finishReason = null;
+    const piece = await generate(continuationPrompt(prompt, html, { fragment }), { ...genOpts, partial: true, onFinishReason });
+    const next = stitch(html, piece);
+    if (next === html) break; // Model produced nothing new — stop asking
+    html = next;
+    check = detectTruncation(html, { finishReason, fragment });
+  }
+
+  // Verify the stitched result structurally, whatever the last finish reason said
+  const complete = !detectTruncation(html, { fragment }).truncated;
+  return { html, continuations: rounds, complete, truncation };
+}
@@ -4,23 +4,14 @@
  * Falls back to Antigravity gateway if no direct API key.
  */
 
-import { execSync } from 'node:child_process';
-import { writeFileSync, unlinkSync, mkdtempSync } from 'node:fs';
-import { join } from 'node:path';
-import { tmpdir } from 'node:os';
+import { postJSON, stripFences, stripPartialFences, normalizeFinishReason } from './transport.js';
+import { resolveAlias, aliasMap } from './registry.js';
 
 const DEEPSEEK_ENDPOINT = process.env.DEEPSEEK_ENDPOINT || 'https://api.deepseek.com/v1/chat/completions';
 const DEEPSEEK_KEY = process.env.DEEPSEEK_API_KEY || '';
 const ANTIGRAVITY_ENDPOINT = 'http://127.0.0.1:8045/v1/chat/completions';
 const ANTIGRAVITY_KEY = process.env.ANTIGRAVITY_API_KEY;
 
-const MODELS = {
-  'deepseek': 'deepseek-chat',
-  'deepseek-chat': 'deepseek-chat',
-  'deepseek-coder': 'deepseek-coder',
-  'deepseek-reasoner': 'deepseek-reasoner',
-};
-
 const SYSTEM = `You are MODUS Forge (DeepSeek mode). Generate complete, self-contained HTML apps.
 Output ONLY valid HTML — no markdown fences, no explanation. Start with <!DOCTYPE html>.
 Use modern CSS with custom properties. Prefer clean, modular JavaScript.
@@ -30,13 +21,13 @@ DeepSeek strength: precise code generation with strong reasoning. Use it.`;
  * Resolve model alias to full model name.
  */
 export function resolveModel(alias) {
-  return MODELS[alias] || alias;
+  return resolveAlias(alias, 'deepseek');
 }
 
 /**
  * Generate HTML via DeepSeek API (direct or via Antigravity gateway).
  * @param {string} prompt - Enhanced RUNE prompt
- * @param {object} opts - { model, maxTokens }
+ * @param {object} opts - { model, maxTokens, signal, timeoutMs }
  * @returns {Promise<string>} Generated HTML
  */
 export async function generate(prompt, opts = {}) {
@@ -48,7 +39,7 @@ export async function generate(prompt, opts = {}) {
   const endpoint = useDirectApi ? DEEPSEEK_ENDPOINT : ANTIGRAVITY_ENDPOINT;
   const apiKey = useDirectApi ? DEEPSEEK_KEY : ANTIGRAVITY_KEY;
 
-  const payload = {
+  const json = await postJSON(endpoint, {
     model,
     messages: [
       { role: 'system', content: SYSTEM },
@@ -56,36 +47,23 @@ export async function generate(prompt, opts = {}) {
     ],
     max_tokens: maxTokens,
     temperature: 0.7,
-  };
-
-  const tmp = join(mkdtempSync(join(tmpdir(), 'forge-deepseek-')), 'payload.json');
-
-  try {
-    writeFileSync(tmp, JSON.stringify(payload));
-
-    const result = execSync(
-      `curl -sf -X POST "${endpoint}" ` +
-      `-H "Content-Type: application/json" ` +
-      `-H "Authorization: Bearer ${apiKey}" ` +
-      `-d @${tmp}`,
-      { timeout: 120_000, encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }
-    );
-
-    const json = JSON.parse(result);
-    let html = json.choices?.[0]?.message?.content || '';
+  }, {
+    provider: 'deepseek',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    signal: opts.signal,
+    timeoutMs: opts.timeoutMs ?? 120_000,
+  });
 
-    // Strip markdown fences if present
-    html = html.replace(/^```html?\n?/i, '').replace(/\n?```$/i, '').trim();
+  opts.onFinishReason?.(normalizeFinishReason(json.choices?.[0]?.finish_reason));
 
-    return html;
-  } finally {
-    try { unlinkSync(tmp); } catch {}
-  }
+  // Strip markdown fences if present
+  const text = json.choices?.[0]?.message?.content;
+  return opts.partial ? stripPartialFences(text) : stripFences(text);
 }
 
 /**
  * List available DeepSeek models.
  */
 export function listModels() {
-  return { ...MODELS };
+  return aliasMap('deepseek');
 }
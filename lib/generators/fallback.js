@@ -0,0 +1,208 @@
+/**
+ * Fallback Chains — Declarative provider failover with circuit breakers.
+ *
+ * A chain is an ordered list of models, declared in .forgerc.json:
+ *
+ *   "fallback": {
+ *     "chains": { "default": ["claude", "gemini", "ollama"] },
+ *     "failureThreshold": 3,
+ *     "cooldownMs": 60000
+ *   }
+ *
+ * and selected with `--model fallback:default`. Each model is tried in turn;
+ * only retryable failures (rate limits, timeouts, server/network errors,
+ * malformed output, missing replay fixtures) fall through to the next one. Auth errors and caller
+ * aborts stop the chain immediately.
+ *
+ * Every provider has a circuit breaker: after `failureThreshold` consecutive
+ * failures it opens and the provider is skipped until `cooldownMs` has
+ * elapsed, after which a single trial call is allowed (half-open).
+ *
+ * @module generators/fallback
+ */
+
+import { detectProvider } from '../rune/system-instruction.js';
+
+const DEFAULT_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60_000;
+
+/** Error classes that are worth retrying on another provider */
+const RETRYABLE = new Set(['rate-limit', 'timeout', 'server', 'malformed', 'unavailable']);
+
+/**
+ * Classify a generator error.
+ * @param {Error} err - Usually a ProviderError from transport.js
+ * @returns {'auth' | 'rate-limit' | 'timeout' | 'malformed' | 'server' | 'unavailable' | 'aborted' | 'unknown'}
+ */
+export function classifyError(err) {
+  const status = err?.status;
+  const code = err?.code;
+
+  if (code === 'aborted') return 'aborted';
+  if (code === 'auth' || status === 401 || status === 403) return 'auth';
+  if (status === 429 || /rate.?limit|quota/i.test(err?.message || '')) return 'rate-limit';
+  if (code === 'timeout') return 'timeout';
+  if (code === 'parse' || code === 'empty' || code === 'malformed') return 'malformed';
+  if (code === 'network' || (status && status >= 500)) return 'server';
+  if (code === 'replay-miss') return 'unavailable';
+  if (/does not appear to be valid HTML|Empty response/i.test(err?.message || '')) return 'malformed';
+  return 'unknown';
+}
+
+/**
+ * Whether an error class should fall through to the next provider.
+ * @param {string} errorClass
+ * @returns {boolean}
+ */
+export function isRetryable(errorClass) {
+  return RETRYABLE.has(errorClass);
+}
+
+/**
+ * Per-provider circuit breaker.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.failureThreshold=3] - Consecutive failures before opening
+   * @param {number} [opts.cooldownMs=60000] - Time before a half-open trial
+   */
+  constructor({ failureThreshold = DEFAULT_THRESHOLD, cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Current state.
+   * @returns {'closed' | 'open' | 'half-open'}
+   */
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  /** Whether a call may go through right now. */
+  canRequest() {
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    // A failed half-open trial re-opens immediately
+    if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/** @type {Map<string, CircuitBreaker>} */
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a provider.
+ * @param {string} provider
+ * @param {object} [opts] - CircuitBreaker options, used on creation
+ * @returns {CircuitBreaker}
+ */
+export function getBreaker(provider, opts = {}) {
+  if (!breakers.has(provider)) breakers.set(provider, new CircuitBreaker(opts));
+  return breakers.get(provider);
+}
+
+/**
+ * Snapshot of all breakers (for doctor / debugging).
+ * @returns {object} provider → { state, failures }
+ */
+export function breakerStatus() {
+  const status = {};
+  for (const [provider, b] of breakers) {
+    status[provider] = { state: b.state, failures: b.failures };
+  }
+  return status;
+}
+
+/**
+ * Reset all breakers (for testing).
+ */
+export function resetBreakers() {
+  breakers.clear();
+}
+
+/**
+ * Resolve a `fallback:<name>` model into a list of models.
+ * @param {string} model
+ * @param {object} [fallbackConfig] - The `fallback` config block
+ * @returns {string[]|null} Null when the model is not a chain reference
+ */
+export function resolveChain(model, fallbackConfig = {}) {
+  const match = /^fallback:(.+)$/i.exec(model || '');
+  if (!match) return null;
+  const chain = fallbackConfig.chains?.[match[1]];
+  if (!Array.isArray(chain) || chain.length === 0) {
+    throw new Error(`Unknown fallback chain "${match[1]}" — declare it under fallback.chains in .forgerc.json`);
+  }
+  return chain;
+}
+
+/**
+ * @typedef {object} FallbackResult
+ * @property {string} html - Generated output
+ * @property {string} model - Model that produced it
+ * @property {string} provider - Provider that produced it
+ * @property {Array<{ model: string, provider: string, ok: boolean, skipped?: boolean, errorClass?: string, error?: string }>} attempts
+ */
+
+/**
+ * Try each model in order until one succeeds.
+ * @param {string} prompt
+ * @param {(prompt: string, opts: object) => Promise<string>} generate - Single-model generator
+ * @param {object} opts
+ * @param {string[]} opts.chain - Models to try, in order
+ * @param {number} [opts.failureThreshold]
+ * @param {number} [opts.cooldownMs]
+ * @returns {Promise<FallbackResult>}
+ */
+export async function routeWithFallback(prompt, generate, opts = {}) {
+  const { chain, failureThreshold, cooldownMs, ...genOpts } = opts;
+  const attempts = [];
+  let lastError = null;
+
+  for (const model of chain) {
+    const provider = detectProvider(model);
+    const breaker = getBreaker(provider, { failureThreshold, cooldownMs });
+
+    if (!breaker.canRequest()) {
+      attempts.push({ model, provider, ok: false, skipped: true, errorClass: 'circuit-open' });
+      continue;
+    }
+
+    try {
+      const html = await generate(prompt, { ...genOpts, model });
+      breaker.recordSuccess();
+      attempts.push({ model, provider, ok: true });
+      return { html, model, provider, attempts };
+    } catch (err) {
+      const errorClass = classifyError(err);
+      if (errorClass !== 'aborted') breaker.recordFailure();
+      attempts.push({ model, provider, ok: false, errorClass, error: err.message });
+      lastError = err;
+
+      if (!isRetryable(errorClass)) {
+        err.attempts = attempts;
+        throw err;
+      }
+    }
+  }
+
+  const summary = attempts.map(a => `${a.model}: ${a.errorClass}`).join(', ');
+  const err = new Error(`All providers in fallback chain failed (${summary})`, lastError ? { cause: lastError } : undefined);
+  err.attempts = attempts;
+  throw err;
+}
@@ -3,8 +3,8 @@
  * Primary: Direct Gemini API. Fallback: Antigravity gateway.
  */
 
-import { execSync } from 'node:child_process';
-import { writeFileSync, unlinkSync } from 'node:fs';
+import { postJSON, stripFences, stripPartialFences, normalizeFinishReason, ProviderError } from './transport.js';
+import { resolveAlias } from './registry.js';
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
@@ -12,77 +12,55 @@ const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
 const ANTIGRAVITY = 'http://127.0.0.1:8045';
 const ANTIGRAVITY_KEY = process.env.ANTIGRAVITY_API_KEY;
 
-const GEMINI_MODELS = {
-  'gemini': 'gemini-2.0-flash',
-  'gemini-flash': 'gemini-2.0-flash',
-  'gemini-pro': 'gemini-2.0-pro',
-  'gemini-2.0-flash': 'gemini-2.0-flash',
-};
-
-const ANTIGRAVITY_MODELS = {
-  'claude': 'claude-sonnet-4-5-thinking',
-  'grok': 'grok-4-1-fast-reasoning',
-};
+// Bare provider aliases that Gemini hands off to the Antigravity gateway
+const ANTIGRAVITY_PROVIDERS = new Set(['claude', 'grok']);
 
 const SYSTEM_INSTRUCTION = 'You are MODUS Forge. Generate complete, self-contained HTML apps. Output ONLY valid HTML. No markdown fences. No explanation. Start with <!DOCTYPE html>.';
 
 /**
  * Generate HTML from an enhanced prompt using LLM.
  * @param {string} prompt - Enhanced RUNE prompt
- * @param {object} opts - { model }
+ * @param {object} opts - { model, signal, timeoutMs }
  * @returns {Promise<string>} Generated HTML
  */
 export async function generate(prompt, opts = {}) {
   const modelKey = opts.model || 'gemini-2.0-flash';
 
   // Route to Antigravity for non-Gemini models
-  if (ANTIGRAVITY_MODELS[modelKey]) {
-    return generateAntigravity(prompt, ANTIGRAVITY_MODELS[modelKey]);
+  if (ANTIGRAVITY_PROVIDERS.has(modelKey)) {
+    return generateAntigravity(prompt, resolveAlias(modelKey, modelKey), opts);
   }
 
-  const model = GEMINI_MODELS[modelKey] || modelKey;
-  return generateGemini(prompt, model);
+  const model = resolveAlias(modelKey, 'gemini');
+  return generateGemini(prompt, model, opts);
 }
 
-async function generateGemini(prompt, model) {
+async function generateGemini(prompt, model, opts) {
   const url = `${GEMINI_BASE}/${model}:generateContent?key=${GEMINI_API_KEY}`;
 
-  const payload = JSON.stringify({
+  const json = await postJSON(url, {
     system_instruction: { parts: [{ text: SYSTEM_INSTRUCTION }] },
     contents: [{ parts: [{ text: prompt }] }],
     generationConfig: {
       temperature: 0.7,
       maxOutputTokens: 16384,
     },
-  });
+  }, { provider: 'gemini', signal: opts.signal, timeoutMs: opts.timeoutMs ?? 120_000 });
 
-  const tmpFile = `/tmp/modus-forge-${Date.now()}.json`;
-  writeFileSync(tmpFile, payload);
-
-  try {
-    const result = execSync(
-      `curl -s -X POST "${url}" -H "Content-Type: application/json" -d @${tmpFile}`,
-      { encoding: 'utf-8', timeout: 120_000, maxBuffer: 10 * 1024 * 1024 }
-    );
-    unlinkSync(tmpFile);
+  if (json.error) {
+    throw new ProviderError(`Gemini error: ${json.error.message || JSON.stringify(json.error)}`, { provider: 'gemini', status: json.error.code || null });
+  }
 
-    const json = JSON.parse(result);
-    if (json.error) {
-      throw new Error(`Gemini error: ${json.error.message || JSON.stringify(json.error)}`);
-    }
+  opts.onFinishReason?.(normalizeFinishReason(json.candidates?.[0]?.finishReason));
 
-    let html = json.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!html) throw new Error('Empty response from Gemini');
+  const html = json.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!html) throw new ProviderError('Empty response from Gemini', { provider: 'gemini', code: 'empty' });
 
-    return cleanHtml(html);
-  } catch (err) {
-    try { unlinkSync(tmpFile); } catch {}
-    throw err;
-  }
+  return cleanHtml(html, opts);
 }
 
-async function generateAntigravity(prompt, model) {
-  const payload = JSON.stringify({
+async function generateAntigravity(prompt, model, opts) {
+  const json = await postJSON(`${ANTIGRAVITY}/v1/chat/completions`, {
     model,
     messages: [
       { role: 'system', content: SYSTEM_INSTRUCTION },
@@ -90,35 +68,28 @@ async function generateAntigravity(prompt, model) {
     ],
     max_tokens: 16000,
     temperature: 0.7,
+  }, {
+    provider: 'gemini',
+    headers: { Authorization: `Bearer ${ANTIGRAVITY_KEY}` },
+    signal: opts.signal,
+    timeoutMs: opts.timeoutMs ?? 120_000,
   });
 
-  const tmpFile = `/tmp/modus-forge-${Date.now()}.json`;
-  writeFileSync(tmpFile, payload);
-
-  try {
-    const result = execSync(
-      `curl -s -X POST "${ANTIGRAVITY}/v1/chat/completions" -H "Content-Type: application/json" -H "Authorization: Bearer ${ANTIGRAVITY_KEY}" -d @${tmpFile}`,
-      { encoding: 'utf-8', timeout: 120_000, maxBuffer: 10 * 1024 * 1024 }
-    );
-    unlinkSync(tmpFile);
+  if (json.error) throw new ProviderError(`LLM error: ${json.error.message || JSON.stringify(json.error)}`, { provider: 'gemini' });
 
-    const json = JSON.parse(result);
-    if (json.error) throw new Error(`LLM error: ${json.error.message || JSON.stringify(json.error)}`);
+  opts.onFinishReason?.(normalizeFinishReason(json.choices?.[0]?.finish_reason));
 
-    let html = json.choices?.[0]?.message?.content;
-    if (!html) throw new Error('Empty response from LLM');
+  const html = json.choices?.[0]?.message?.content;
+  if (!html) throw new ProviderError('Empty response from LLM', { provider: 'gemini', code: 'empty' });
 
-    return cleanHtml(html);
-  } catch (err) {
-    try { unlinkSync(tmpFile); } catch {}
-    throw err;
-  }
+  return cleanHtml(html, opts);
 }
 
-function cleanHtml(html) {
-  html = html.replace(/^```html?\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+function cleanHtml(html, opts = {}) {
+  if (opts.partial) return stripPartialFences(html);
+  html = stripFences(html);
   if (!html.includes('<html') && !html.includes('<!DOCTYPE')) {
-    throw new Error('Generated output does not appear to be valid HTML');
+    throw new ProviderError('Generated output does not appear to be valid HTML', { provider: 'gemini', code: 'malformed' });
   }
   return html;
 }
@@ -0,0 +1,168 @@
+/**
+ * OpenAI-Compatible Generator — Any server that speaks /v1/chat/completions.
+ *
+ * LM Studio, vLLM, llama.cpp server, LocalAI, text-generation-webui and
+ * friends all expose the OpenAI chat API. Declare them as named endpoints
+ * in .forgerc.json:
+ *
+ *   "openaiCompatible": {
+ *     "lmstudio": {
+ *       "baseUrl": "http://127.0.0.1:1234/v1",
+ *       "models": { "default": "qwen2.5-coder-32b-instruct", "small": "qwen2.5-coder-7b-instruct" }
+ *     },
+ *     "vllm": {
+ *       "baseUrl": "http://gpu-box:8000/v1",
+ *       "apiKeyEnv": "VLLM_API_KEY",
+ *       "model": "meta-llama/Llama-3.3-70B-Instruct",
+ *       "stream": true
+ *     }
+ *   }
+ *
+ * and select them with `--model compat:<endpoint>[:<model>]`. The model part
+ * is looked up in the endpoint's `models` map first, so short aliases work;
+ * anything else is sent to the server verbatim.
+ *
+ * @module generators/openai-compatible
+ */
+
+import { postJSON, linkSignals, stripFences, stripPartialFences, normalizeFinishReason, ProviderError } from './transport.js';
+import { streamOpenAI } from '../streaming/handler.js';
+import { loadConfig } from '../config/loader.js';
+
+const PROVIDER = 'openai-compatible';
+
+const SYSTEM_PROMPT = 'You are MODUS Forge. Generate complete, self-contained HTML apps. Output ONLY valid HTML. No markdown. No explanation. Start with <!DOCTYPE html>.';
+
+/**
+ * Parse a `compat:<endpoint>[:<model>]` model string.
+ * @param {string} model
+ * @returns {{ endpoint: string, model: string|null }|null}
+ */
+export function parseCompatModel(model) {
+  const match = /^compat:([^:]+)(?::(.+))?$/i.exec(model || '');
+  if (!match) return null;
+  return { endpoint: match[1], model: match[2] || null };
+}
+
+/**
+ * Resolve a model string into a concrete endpoint + server model name.
+ * @param {string} model - `compat:<endpoint>[:<model>]`
+ * @param {object} [endpoints] - The `openaiCompatible` config block
+ * @returns {{ name: string, baseUrl: string, apiKey: string|null, model: string, stream: boolean, headers: object, timeoutMs?: number }}
+ * @throws {ProviderError} code 'config' when the endpoint is missing or incomplete
+ */
+export function resolveEndpoint(model, endpoints = {}) {
+  const parsed = parseCompatModel(model);
+  if (!parsed) {
+    throw new ProviderError(`Not an OpenAI-compatible model: "${model}" (expected compat:<endpoint>[:<model>])`, {
+      provider: PROVIDER, code: 'config',
+    });
+  }
+
+  const cfg = endpoints[parsed.endpoint];
+  if (!cfg?.baseUrl) {
+    throw new ProviderError(`Unknown OpenAI-compatible endpoint "${parsed.endpoint}" — declare it under openaiCompatible in .forgerc.json`, {
+      provider: PROVIDER, code: 'config',
+    });
+  }
+
+  const models = cfg.models || {};
+  const alias = parsed.model || 'default';
+  const serverModel = models[alias] || parsed.model || cfg.model || models.default;
+  if (!serverModel) {
+    throw new ProviderError(`Endpoint "${parsed.endpoint}" has no default model — set "model" or models.default`, {
+      provider: PROVIDER, code: 'config',
+    });
+  }
+
+  return {
+    name: parsed.endpoint,
+    baseUrl: cfg.baseUrl.replace(/\/+$/, ''),
+    apiKey: cfg.apiKeyEnv ? process.env[cfg.apiKeyEnv] || null : cfg.apiKey || null,
+    model: serverModel,
+    stream: Boolean(cfg.stream),
+    headers: cfg.headers || {},
+    timeoutMs: cfg.timeoutMs,
+  };
+}
+
+/**
+ * List every selectable model across the declared endpoints.
+ * @param {object} [endpoints] - The `openaiCompatible` config block
+ * @returns {string[]} e.g. ['compat:lmstudio', 'compat:lmstudio:small']
+ */
+export function listCompatModels(endpoints = {}) {
+  const models = [];
+  for (const [name, cfg] of Object.entries(endpoints)) {
+    models.push(`compat:${name}`);
+    for (const alias of Object.keys(cfg.models || {})) {
+      if (alias !== 'default') models.push(`compat:${name}:${alias}`);
+    }
+  }
+  return models;
+}
+
+/**
+ * Generate HTML from an enhanced prompt via an OpenAI-compatible server.
+ * @param {string} prompt - Enhanced RUNE prompt
+ * @param {object} opts - { model, signal, timeoutMs, stream, onChunk, endpoints }
+ * @returns {Promise<string>} Generated HTML
+ */
+export async function generate(prompt, opts = {}) {
+  const endpoints = opts.endpoints || loadConfig().openaiCompatible || {};
+  const endpoint = resolveEndpoint(opts.model, endpoints);
+  const timeoutMs = opts.timeoutMs ?? endpoint.timeoutMs ?? 300_000;
+  const headers = { ...endpoint.headers };
+  if (endpoint.apiKey) headers.Authorization = `Bearer ${endpoint.apiKey}`;
+
+  let html;
+  if (opts.stream ?? endpoint.stream) {
+    const link = linkSignals(opts.signal, timeoutMs);
+    html = await streamOpenAI(prompt, endpoint.model, {
+      endpoint: `${endpoint.baseUrl}/chat/completions`,
+      apiKey: endpoint.apiKey,
+      headers: endpoint.headers,
+      provider: `${PROVIDER}:${endpoint.name}`,
+      onChunk: opts.onChunk,
+      onFinishReason: opts.onFinishReason,
+      signal: link.signal,
+    }).catch((err) => {
+      if (err instanceof ProviderError) throw err;
+      const code = link.timedOut() ? 'timeout' : err.name === 'AbortError' ? 'aborted' : 'network';
+      throw new ProviderError(`${endpoint.name} stream failed: ${err.message}`, { provider: PROVIDER, code, cause: err });
+    }).finally(link.cleanup);
+  } else {
+    const json = await postJSON(`${endpoint.baseUrl}/chat/completions`, {
+      model: endpoint.model,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: prompt },
+      ],
+      max_tokens: 16000,
+      temperature: 0.7,
+    }, {
+      provider: PROVIDER,
+      headers,
+      signal: opts.signal,
+      timeoutMs,
+    });
+
+    if (json.error) {
+      throw new ProviderError(`${endpoint.name} error: ${json.error.message || JSON.stringify(json.error)}`, { provider: PROVIDER });
+    }
+    opts.onFinishReason?.(normalizeFinishReason(json.choices?.[0]?.finish_reason));
+    html = json.choices?.[0]?.message?.content;
+  }
+
+  if (opts.partial) return stripPartialFences(html);
+
+  if (!html) throw new ProviderError(`Empty response from ${endpoint.name}`, { provider: PROVIDER, code: 'empty' });
+
+  html = stripFences(html);
+
+  if (!html.includes('<html') && !html.includes('<!DOCTYPE')) {
+    throw new ProviderError('Generated output does not appear to be valid HTML', { provider: PROVIDER, code: 'malformed' });
+  }
+
+  return html;
+}
@@ -3,8 +3,8 @@
  * Supports GPT-5.2, o3, o4-mini
  */
 
-import { execSync } from 'node:child_process';
-import { writeFileSync, unlinkSync } from 'node:fs';
+import { postJSON, stripFences, stripPartialFences, normalizeFinishReason, ProviderError } from './transport.js';
+import { resolveAlias } from './registry.js';
 
 const OPENAI_ENDPOINT = 'https://api.openai.com/v1';
 const OPENAI_KEY = process.env.OPENAI_API_KEY || '';
@@ -13,33 +13,22 @@ const OPENAI_KEY = process.env.OPENAI_API_KEY || '';
 const ANTIGRAVITY = 'http://127.0.0.1:8045';
 const ANTIGRAVITY_KEY = process.env.ANTIGRAVITY_API_KEY;
 
-const MODEL_MAP = {
-  'openai': 'gpt-5.2',
-  'gpt': 'gpt-5.2',
-  'gpt5': 'gpt-5.2',
-  'gpt-5': 'gpt-5.2',
-  'gpt-codex': 'gpt-5.2-codex',
-  'o3': 'o3',
-  'o4-mini': 'o4-mini',
-  'gpt-4o': 'gpt-4o',
-};
-
 /**
  * Generate HTML from an enhanced prompt using OpenAI.
  * Falls back to Antigravity gateway if no OPENAI_API_KEY.
  * @param {string} prompt - Enhanced RUNE prompt
- * @param {object} opts - { model }
+ * @param {object} opts - { model, signal, timeoutMs }
  * @returns {Promise<string>} Generated HTML
  */
 export async function generate(prompt, opts = {}) {
   const modelKey = opts.model || 'openai';
-  const model = MODEL_MAP[modelKey] || modelKey;
+  const model = resolveAlias(modelKey, 'openai');
 
   const useAntigravity = !OPENAI_KEY;
   const endpoint = useAntigravity ? ANTIGRAVITY : OPENAI_ENDPOINT;
   const apiKey = useAntigravity ? ANTIGRAVITY_KEY : OPENAI_KEY;
 
-  const payload = JSON.stringify({
+  const json = await postJSON(`${endpoint}/v1/chat/completions`, {
     model,
     messages: [
       {
@@ -50,39 +39,28 @@ export async function generate(prompt, opts = {}) {
     ],
     max_tokens: 16000,
     temperature: 0.7,
+  }, {
+    provider: 'openai',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    signal: opts.signal,
+    timeoutMs: opts.timeoutMs ?? 180_000,
   });
 
-  const tmpFile = `/tmp/modus-forge-openai-${Date.now()}.json`;
-  writeFileSync(tmpFile, payload);
-
-  try {
-    const result = execSync(
-      `curl -s -X POST "${endpoint}/v1/chat/completions" \
-        -H "Content-Type: application/json" \
-        -H "Authorization: Bearer ${apiKey}" \
-        -d @${tmpFile}`,
-      { encoding: 'utf-8', timeout: 180_000, maxBuffer: 10 * 1024 * 1024 }
-    );
-
-    unlinkSync(tmpFile);
-
-    const json = JSON.parse(result);
-    if (json.error) {
-      throw new Error(`OpenAI error: ${json.error.message || JSON.stringify(json.error)}`);
-    }
+  if (json.error) {
+    throw new ProviderError(`OpenAI error: ${json.error.message || JSON.stringify(json.error)}`, { provider: 'openai' });
+  }
 
-    let html = json.choices?.[0]?.message?.content;
-    if (!html) throw new Error('Empty response from OpenAI');
+  opts.onFinishReason?.(normalizeFinishReason(json.choices?.[0]?.finish_reason));
 
-    html = html.replace(/^```html?\n?/i, '').replace(/\n?```$/i, '').trim();
+  let html = json.choices?.[0]?.message?.content;
+  if (opts.partial) return stripPartialFences(html);
+  if (!html) throw new ProviderError('Empty response from OpenAI', { provider: 'openai', code: 'empty' });
 
-    if (!html.includes('<html') && !html.includes('<!DOCTYPE')) {
-      throw new Error('Generated output does not appear to be valid HTML');
-    }
+  html = stripFences(html);
 
-    return html;
-  } catch (err) {
-    try { unlinkSync(tmpFile); } catch {}
-    throw err;
+  if (!html.includes('<html') && !html.includes('<!DOCTYPE')) {
+    throw new ProviderError('Generated output does not appear to be valid HTML', { provider: 'openai', code: 'malformed' });
   }
+
+  return html;
 }
@@ -0,0 +1,337 @@
+/**
+ * Provider Registry — The one place Forge learns what a model is.
+ *
+ * Every provider declares how to recognise its model names, what it needs
+ * from the environment, whether it works offline and whether it streams.
+ * Every model declares its aliases, context window, max output tokens and
+ * cost per 1M tokens. The router, generators, telemetry, API server, doctor
+ * and CLI help all read from here instead of keeping their own tables.
+ *
+ * Plugins extend it through the plugin contract (`providers` / `models`),
+ * which lands in registerProvider() / registerModel() tagged with the
+ * plugin name so disabling the plugin removes them again.
+ *
+ * "By reality and perfection I understand the same thing." — Spinoza, Ethics II, Def 6
+ *
+ * @module generators/registry
+ */
+
+/**
+ * @typedef {object} ModelSpec
+ * @property {string} id - Name sent to the provider's API
+ * @property {string[]} [aliases] - Short names accepted on the CLI
+ * @property {string} [label] - Human description for help text
+ * @property {number} [contextWindow] - Input context in tokens
+ * @property {number} [maxOutput] - Max output tokens
+ * @property {boolean} [streaming] - Overrides the provider default
+ * @property {{ input: number, output: number }} [cost] - USD per 1M tokens
+ */
+
+/**
+ * @typedef {object} ProviderSpec
+ * @property {string} name - Provider key (gemini, ollama, ...)
+ * @property {string} [label]
+ * @property {RegExp} [match] - Recognises model names for this provider
+ * @property {string[]} [env] - Env vars it needs (any one of them is enough)
+ * @property {boolean} [offline] - Works without internet access
+ * @property {boolean} [streaming] - Supports streamed output
+ * @property {ModelSpec[]} [models] - First model is the provider default
+ * @property {(prompt: string, opts: object) => Promise<string>} [generate] - For plugin providers
+ * @property {string} [source] - 'builtin' or the registering plugin's name
+ */
+
+/** Fallback rate for models nobody has priced (USD per 1M tokens) */
+export const DEFAULT_COST = Object.freeze({ input: 1.00, output: 3.00 });
+const FREE = Object.freeze({ input: 0, output: 0 });
+
+// Order matters: earlier patterns win, so prefix-style patterns come first
+const BUILTIN = [
+  {
+    // Models come from the openaiCompatible config block, not from here
+    name: 'openai-compatible',
+    label: 'OpenAI-compatible server',
+    match: /^compat:/i,
+    offline: true,
+    streaming: true,
+    models: [],
+  },
+  {
+    name: 'anthropic-direct',
+    label: 'Anthropic Messages API',
+    match: /^anthropic-direct/i,
+    env: ['ANTHROPIC_API_KEY'],
+    streaming: false,
+    models: [
+      { id: 'claude-sonnet-4-5-20250514', aliases: ['claude-sonnet'], contextWindow: 200_000, maxOutput: 64_000, cost: { input: 3.00, output: 15.00 } },
+      { id: 'claude-opus-4-6', aliases: ['claude-opus'], contextWindow: 200_000, maxOutput: 32_000, cost: { input: 15.00, output: 75.00 } },
+      { id: 'claude-haiku-3-5-20241022', aliases: ['claude-haiku'], contextWindow: 200_000, maxOutput: 8_192, cost: { input: 0.80, output: 4.00 } },
+    ],
+  },
+  {
+    name: 'gemini',
+    label: 'Google Gemini',
+    match: /gemini|flash|pro-preview/i,
+    env: ['GEMINI_API_KEY'],
+    streaming: true,
+    models: [
+      { id: 'gemini-2.0-flash', aliases: ['gemini', 'gemini-flash'], label: 'Gemini Flash (fast, great HTML)', contextWindow: 1_048_576, maxOutput: 8_192, cost: { input: 0.10, output: 0.40 } },
+      { id: 'gemini-2.0-pro', aliases: ['gemini-pro'], label: 'Gemini Pro (higher quality)', contextWindow: 2_097_152, maxOutput: 8_192, cost: { input: 1.25, output: 5.00 } },
+      { id: 'gemini-2.5-flash', contextWindow: 1_048_576, maxOutput: 65_536, cost: { input: 0.15, output: 0.60 } },
+      { id: 'gemini-2.5-pro', contextWindow: 1_048_576, maxOutput: 65_536, cost: { input: 1.25, output: 5.00 } },
+      { id: 'gemini-3-flash-preview', aliases: ['gemini-3-flash'], contextWindow: 1_048_576, maxOutput: 65_536, cost: { input: 0.15, output: 0.60 } },
+      { id: 'gemini-3-pro-preview', aliases: ['gemini-3-pro'], contextWindow: 1_048_576, maxOutput: 65_536, cost: { input: 1.25, output: 5.00 } },
+    ],
+  },
+  {
+    name: 'claude',
+    label: 'Claude via Antigravity',
+    match: /claude|sonnet|opus|haiku/i,
+    env: ['ANTIGRAVITY_API_KEY'],
+    streaming: true,
+    models: [
+      { id: 'claude-sonnet-4-5-thinking', aliases: ['claude', 'claude-sonnet', 'sonnet'], label: 'Claude Sonnet 4.5 (structured, clean)', contextWindow: 200_000, maxOutput: 64_000, cost: { input: 3.00, output: 15.00 } },
+      { id: 'claude-opus-4-6-thinking', aliases: ['opus', 'claude-opus'], label: 'Claude Opus 4.6 (maximum quality)', contextWindow: 200_000, maxOutput: 32_000, cost: { input: 15.00, output: 75.00 } },
+    ],
+  },
+  {
+    name: 'openai',
+    label: 'OpenAI',
+    match: /gpt|o3|o4|codex/i,
+    env: ['OPENAI_API_KEY', 'ANTIGRAVITY_API_KEY'],
+    streaming: true,
+    models: [
+      { id: 'gpt-5.2', aliases: ['openai', 'gpt', 'gpt5', 'gpt-5'], label: 'GPT-5.2', contextWindow: 400_000, maxOutput: 128_000, cost: { input: 5.00, output: 15.00 } },
+      { id: 'gpt-5.2-codex', aliases: ['gpt-codex'], contextWindow: 400_000, maxOutput: 128_000, cost: { input: 5.00, output: 15.00 } },
+      { id: 'o3', contextWindow: 200_000, maxOutput: 100_000, cost: { input: 2.00, output: 8.00 } },
+      { id: 'o4-mini', contextWindow: 200_000, maxOutput: 100_000, cost: { input: 1.10, output: 4.40 } },
+      { id: 'gpt-4o', contextWindow: 128_000, maxOutput: 16_384, cost: { input: 2.50, output: 10.00 } },
+    ],
+  },
+  {
+    name: 'grok',
+    label: 'xAI Grok',
+    match: /grok/i,
+    env: ['GROK_API_KEY'],
+    streaming: true,
+    models: [
+      { id: 'grok-4-1-fast-reasoning', aliases: ['grok', 'grok-fast'], label: 'Grok 4.1 Fast', contextWindow: 2_000_000, maxOutput: 30_000, cost: { input: 0.20, output: 0.50 } },
+      { id: 'grok-4-fast', aliases: ['grok-4'], contextWindow: 2_000_000, maxOutput: 30_000, cost: { input: 0.20, output: 0.50 } },
+      { id: 'grok-3', contextWindow: 131_072, maxOutput: 16_384, cost: { input: 3.00, output: 15.00 } },
+      { id: 'grok-3-mini', aliases: ['grok-mini'], contextWindow: 131_072, maxOutput: 16_384, cost: { input: 0.30, output: 0.50 } },
+      { id: 'grok-code-fast-1', aliases: ['grok-code'], contextWindow: 256_000, maxOutput: 10_000, cost: { input: 0.20, output: 1.50 } },
+    ],
+  },
+  {
+    name: 'deepseek',
+    label: 'DeepSeek',
+    match: /^deepseek/i,
+    env: ['DEEPSEEK_API_KEY', 'ANTIGRAVITY_API_KEY'],
+    streaming: true,
+    models: [
+      { id: 'deepseek-chat', aliases: ['deepseek'], label: 'DeepSeek V3', contextWindow: 128_000, maxOutput: 8_192, cost: { input: 0.14, output: 0.28 } },
+      { id: 'deepseek-coder', contextWindow: 128_000, maxOutput: 8_192, cost: { input: 0.14, output: 0.28 } },
+      { id: 'deepseek-reasoner', contextWindow: 128_000, maxOutput: 64_000, cost: { input: 0.55, output: 2.19 } },
+    ],
+  },
+  {
+    name: 'ollama',
+    label: 'Ollama (local)',
+    match: /llama|mistral|mixtral|qwen|phi|gemma|ollama|codellama/i,
+    offline: true,
+    streaming: true,
+    models: [
+      { id: 'llama3.3', aliases: ['ollama', 'llama', 'llama3'], label: 'Llama 3.3 via Ollama (local, free)', contextWindow: 131_072, maxOutput: 8_192, cost: FREE },
+      { id: 'codellama:34b', aliases: ['codellama'], contextWindow: 16_384, maxOutput: 4_096, cost: FREE },
+      { id: 'mistral', contextWindow: 32_768, maxOutput: 8_192, cost: FREE },
+      { id: 'mixtral', contextWindow: 32_768, maxOutput: 8_192, cost: FREE },
+      { id: 'qwen2.5:32b', aliases: ['qwen'], contextWindow: 32_768, maxOutput: 8_192, cost: FREE },
+      { id: 'deepseek-coder-v2', aliases: ['deepseek'], contextWindow: 131_072, maxOutput: 8_192, cost: FREE },
+      { id: 'phi4', aliases: ['phi'], contextWindow: 16_384, maxOutput: 4_096, cost: FREE },
+      { id: 'gemma2:27b', aliases: ['gemma'], contextWindow: 8_192, maxOutput: 4_096, cost: FREE },
+    ],
+  },
+];
+
+/** @type {Map<string, ProviderSpec & { models: ModelSpec[] }>} */
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider.
+ * @param {ProviderSpec} spec
+ * @param {object} [opts]
+ * @param {string} [opts.source='builtin'] - Owner, for unregisterSource()
+ * @returns {ProviderSpec}
+ */
+export function registerProvider(spec, opts = {}) {
+  if (!spec?.name) throw new Error('Provider spec needs a name');
+  const entry = {
+    label: spec.name,
+    env: [],
+    offline: false,
+    streaming: false,
+    ...spec,
+    source: opts.source || spec.source || 'builtin',
+    models: [],
+  };
+  providers.set(spec.name, entry);
+  for (const model of spec.models || []) registerModel(spec.name, model, { source: entry.source });
+  return entry;
+}
+
+/**
+ * Add a model to an existing provider.
+ * @param {string} providerName
+ * @param {ModelSpec} spec
+ * @param {object} [opts]
+ * @param {string} [opts.source='builtin']
+ * @returns {ModelSpec}
+ */
+export function registerModel(providerName, spec, opts = {}) {
+  const provider = providers.get(providerName);
+  if (!provider) throw new Error(`Unknown provider "${providerName}" — register it before adding models`);
+  if (!spec?.id) throw new Error(`Model spec for ${providerName} needs an id`);
+
+  const model = { aliases: [], ...spec, source: opts.source || spec.source || provider.source };
+  provider.models = provider.models.filter(m => m.id !== model.id);
+  provider.models.push(model);
+  return model;
+}
+
+/**
+ * Remove every provider and model registered by a source (e.g. a plugin).
+ * @param {string} source
+ */
+export function unregisterSource(source) {
+  for (const [name, provider] of providers) {
+    if (provider.source === source) {
+      providers.delete(name);
+      continue;
+    }
+    provider.models = provider.models.filter(m => m.source !== source);
+  }
+}
+
+/**
+ * Restore the built-in registry (for testing).
+ */
+export function resetRegistry() {
+  providers.clear();
+  for (const spec of BUILTIN) registerProvider(spec);
+}
+
+/**
+ * @param {string} name
+ * @returns {ProviderSpec|null}
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * All registered providers, in detection order.
+ * @returns {ProviderSpec[]}
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+function owns(provider, name, filter = () => true) {
+  return provider.models.some(m => filter(m) && (m.id === name || m.aliases.includes(name)));
+}
+
+function matches(provider, name) {
+  return provider.match ? provider.match.test(name) : owns(provider, name);
+}
+
+/**
+ * Work out which provider serves a model name.
+ *
+ * Names registered by plugins win outright. Otherwise a provider whose
+ * pattern matches *and* which declares the name wins; then the first provider
+ * whose pattern matches; then any provider that declares the name.
+ *
+ * @param {string} model
+ * @returns {string} Provider name, or 'unknown'
+ */
+export function providerFor(model) {
+  const name = model || '';
+  const all = listProviders();
+  const hit = all.find(p => owns(p, name, m => m.source !== 'builtin'))
+    || all.find(p => matches(p, name) && owns(p, name))
+    || all.find(p => matches(p, name))
+    || all.find(p => owns(p, name));
+  return hit ? hit.name : 'unknown';
+}
+
+/**
+ * Look up a model by alias or id.
+ * @param {string} model
+ * @param {string} [providerName] - Restrict to one provider (defaults to providerFor())
+ * @returns {(ModelSpec & { provider: string })|null}
+ */
+export function findModel(model, providerName = providerFor(model)) {
+  const provider = providers.get(providerName);
+  if (!provider) return null;
+  const spec = provider.models.find(m => m.aliases.includes(model))
+    || provider.models.find(m => m.id === model);
+  return spec ? { ...spec, provider: provider.name } : null;
+}
+
+/**
+ * Resolve an alias to the name the provider's API expects.
+ * Unknown names pass through untouched.
+ * @param {string} alias
+ * @param {string} providerName
+ * @returns {string}
+ */
+export function resolveAlias(alias, providerName) {
+  return findModel(alias, providerName)?.id || alias;
+}
+
+/**
+ * Alias → model id map for one provider (ids map to themselves).
+ * @param {string} providerName
+ * @returns {Record<string, string>}
+ */
+export function aliasMap(providerName) {
+  const map = {};
+  for (const m of providers.get(providerName)?.models || []) {
+    map[m.id] = m.id;
+    for (const alias of m.aliases) map[alias] = m.id;
+  }
+  return map;
+}
+
+/**
+ * Capabilities for a model name: the model's own spec merged over its
+ * provider's defaults. Unknown models get the provider default model's numbers.
+ * @param {string} model
+ * @returns {{ provider: string, id: string, contextWindow: number|null, maxOutput: number|null, streaming: boolean, offline: boolean, env: string[], cost: { input: number, output: number } }}
+ */
+export function capabilities(model) {
+  const providerName = providerFor(model);
+  const provider = providers.get(providerName);
+  const spec = findModel(model, providerName) || provider?.models[0] || null;
+
+  return {
+    provider: providerName,
+    id: findModel(model, providerName)?.id || model,
+    contextWindow: spec?.contextWindow ?? null,
+    maxOutput: spec?.maxOutput ?? null,
+    streaming: spec?.streaming ?? provider?.streaming ?? false,
+    offline: provider?.offline ?? false,
+    env: provider?.env || [],
+    cost: spec?.cost || (provider?.offline ? FREE : DEFAULT_COST),
+  };
+}
+
+/**
+ * Cost per 1M tokens for a model name.
+ * @param {string} model
+ * @returns {{ input: number, output: number }}
+ */
+export function costFor(model) {
+  return capabilities(model).cost;
+}
+
+resetRegistry();
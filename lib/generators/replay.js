@@ -0,0 +1,163 @@
+/**
+ * Replay Provider — Record/replay fixtures for offline, deterministic generation.
+ *
+ * Record mode wraps any real provider and stores each request/response pair
+ * on disk. Replay mode serves those stored responses without touching the
+ * network, so chain, genetic, recipe, batch and the API can run in CI and
+ * demos with no API keys.
+ *
+ * Selection:
+ *   --model replay:<name>[:<model>]          → serve fixtures from set <name>
+ *   --model record:<name>:<model>            → call <model> for real, save to set <name>
+ *   .forgerc.json { "replay": "demo" }       → same as replay:demo for every call
+ *   .forgerc.json { "replay": { "name": "demo", "mode": "record", "model": "gemini", "dir": "./fixtures" } }
+ *
+ * Fixtures live in <dir>/<name>/<key>.json, where key is a hash of the
+ * underlying model name and the prompt. Each set keeps a manifest.json that
+ * remembers the model it was recorded with, so `replay:<name>` needs no model.
+ *
+ * @module generators/replay
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { createHash } from 'node:crypto';
+import { ProviderError } from './transport.js';
+
+const FIXTURE_DIR = join(homedir(), '.modus-forge', 'fixtures');
+const MANIFEST = 'manifest.json';
+
+/**
+ * Parse a replay/record model string.
+ * @param {string} model - e.g. 'replay:demo', 'record:demo:gemini'
+ * @returns {{ mode: 'replay'|'record', name: string, model: string|null }|null}
+ */
+export function parseReplayModel(model) {
+  const match = /^(replay|record):([^:]+)(?::(.+))?$/i.exec(model || '');
+  if (!match) return null;
+  return { mode: match[1].toLowerCase(), name: match[2], model: match[3] || null };
+}
+
+/**
+ * Normalize the `replay` config value (string or object) into a target.
+ * @param {string|object|null} config
+ * @returns {{ mode: string, name: string, model: string|null, dir?: string }|null}
+ */
+export function replayFromConfig(config) {
+  if (!config) return null;
+  if (typeof config === 'string') return { mode: 'replay', name: config, model: null };
+  if (!config.name) return null;
+  return {
+    mode: config.mode === 'record' ? 'record' : 'replay',
+    name: config.name,
+    model: config.model || null,
+    dir: config.dir,
+  };
+}
+
+/**
+ * Deterministic fixture key for a model + prompt pair.
+ * @param {string} model
+ * @param {string} prompt
+ * @returns {string}
+ */
+export function fixtureKey(model, prompt) {
+  return createHash('sha256').update(`${model}\n${prompt}`).digest('hex').slice(0, 16);
+}
+
+function setDir(name, dir = FIXTURE_DIR) {
+  return join(dir, name);
+}
+
+function readManifest(name, dir) {
+  const path = join(setDir(name, dir), MANIFEST);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wrap a real generator call and store the response as a fixture.
+ * @param {(prompt: string, opts: object) => Promise<string>} generator
+ * @param {string} prompt
+ * @param {object} target - { name, model, dir }
+ * @param {object} [opts] - Passed through to the generator
+ * @returns {Promise<string>} The real provider's response
+ */
+export async function recordFixture(generator, prompt, target, opts = {}) {
+  if (!target.model) {
+    throw new ProviderError(`Record mode needs an underlying model (record:${target.name}:<model>)`, {
+      provider: 'replay', code: 'config',
+    });
+  }
+
+  const response = await generator(prompt, { ...opts, model: target.model });
+  const dir = setDir(target.name, target.dir);
+  const key = fixtureKey(target.model, prompt);
+
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, `${key}.json`), JSON.stringify({
+    key,
+    model: target.model,
+    prompt,
+    response,
+    recordedAt: new Date().toISOString(),
+  }, null, 2));
+  writeFileSync(join(dir, MANIFEST), JSON.stringify({
+    name: target.name,
+    model: target.model,
+    updatedAt: new Date().toISOString(),
+  }, null, 2));
+
+  return response;
+}
+
+/**
+ * Serve a stored response for a prompt.
+ * @param {string} prompt
+ * @param {object} target - { name, model, dir }
+ * @returns {Promise<string>}
+ * @throws {ProviderError} code 'replay-miss' when nothing was recorded
+ */
+export async function replayFixture(prompt, target) {
+  const model = target.model || readManifest(target.name, target.dir)?.model;
+  if (!model) {
+    throw new ProviderError(`Replay set "${target.name}" not found or has no manifest — record it first with record:${target.name}:<model>`, {
+      provider: 'replay', code: 'replay-miss',
+    });
+  }
+
+  const key = fixtureKey(model, prompt);
+  const path = join(setDir(target.name, target.dir), `${key}.json`);
+  if (!existsSync(path)) {
+    throw new ProviderError(`Replay miss in set "${target.name}": no recording for model=${model} key=${key} (prompt starts "${prompt.slice(0, 60)}")`, {
+      provider: 'replay', code: 'replay-miss',
+    });
+  }
+
+  return JSON.parse(readFileSync(path, 'utf-8')).response;
+}
+
+/**
+ * List fixtures in a set.
+ * @param {string} name
+ * @param {string} [dir]
+ * @returns {Array<{ key: string, model: string, prompt: string, recordedAt: string }>}
+ */
+export function listFixtures(name, dir) {
+  const path = setDir(name, dir);
+  if (!existsSync(path)) return [];
+  return readdirSync(path)
+    .filter(f => f.endsWith('.json') && f !== MANIFEST)
+    .map(f => {
+      try {
+        const { key, model, prompt, recordedAt } = JSON.parse(readFileSync(join(path, f), 'utf-8'));
+        return { key, model, prompt: prompt.slice(0, 80), recordedAt };
+      } catch { return null; }
+    })
+    .filter(Boolean);
+}
@@ -7,10 +7,16 @@ import { generate as geminiGenerate } from './gemini.js';
 import { generate as claudeGenerate } from './claude.js';
 import { generate as openaiGenerate } from './openai.js';
 import { generate as grokGenerate } from './grok.js';
-import { generate as ollamaGenerate, isAvailable as ollamaAvailable } from './ollama.js';
+import { generate as ollamaGenerate } from './ollama.js';
 import { generate as deepseekGenerate } from './deepseek.js';
 import { generate as anthropicDirectGenerate } from './anthropic-direct.js';
+import { generate as compatGenerate } from './openai-compatible.js';
+import { parseReplayModel, replayFromConfig, recordFixture, replayFixture } from './replay.js';
+import { resolveChain, routeWithFallback } from './fallback.js';
+import { generateWithContinuation } from './continuation.js';
+import { getProvider } from './registry.js';
 import { detectProvider } from '../rune/system-instruction.js';
+import { loadConfig } from '../config/loader.js';
 
 const GENERATORS = {
   gemini: geminiGenerate,
@@ -20,19 +26,104 @@ const GENERATORS = {
   ollama: ollamaGenerate,
   deepseek: deepseekGenerate,
   'anthropic-direct': anthropicDirectGenerate,
+  'openai-compatible': compatGenerate,
   unknown: geminiGenerate, // fallback to gemini via Antigravity
 };
 
 /**
  * Route generation to the appropriate provider.
+ * Generators are fully async (see transport.js), so concurrent calls run in parallel.
+ *
+ * `replay:<name>` / `record:<name>:<model>` models (or the `replay` config key)
+ * switch to the fixture provider in replay.js. `fallback:<name>` models run a
+ * declared fallback chain (see fallback.js). `compat:<endpoint>[:<model>]`
+ * targets a declared OpenAI-compatible server (see openai-compatible.js).
+ *
+ * Output cut off at the provider's token limit is resumed with continuation
+ * requests and stitched back together (see continuation.js); pass
+ * `continuation: false` to disable or `{ maxRounds }` to tune.
+ *
  * @param {string} prompt - Enhanced RUNE prompt
- * @param {object} opts - { model }
+ * @param {object} opts - { model, signal, timeoutMs, replay, fallback, continuation, onContinue, fragment }
+ *   `fragment: true` asks for a raw HTML fragment instead of a whole document.
  * @returns {Promise<string>} Generated HTML
  */
 export async function route(prompt, opts = {}) {
+  const result = await routeDetailed(prompt, opts);
+  return result.html;
+}
+
+/**
+ * Like route(), but reports which model/provider actually produced the output
+ * and how many continuation rounds it took.
+ * @param {string} prompt
+ * @param {object} opts - Same as route()
+ * @returns {Promise<import('./fallback.js').FallbackResult & { continuations: number, complete: boolean }>}
+ */
+export async function routeDetailed(prompt, opts = {}) {
+  const model = opts.model || 'gemini';
+  const needsConfig = [opts.replay, opts.fallback, opts.continuation].includes(undefined);
+  const config = needsConfig ? loadConfig() : {};
+  const replay = opts.replay !== undefined ? opts.replay : config.replay;
+  const fallback = opts.fallback !== undefined ? opts.fallback : config.fallback;
+  const continuation = opts.continuation !== undefined ? opts.continuation : config.continuation;
+
+  // Every attempt (including each fallback model) continues its own truncated output
+  let last = null;
+  const generate = async (p, o) => {
+    last = await generateWithContinuation(p, routeSingle, {
+      ...o,
+      maxRounds: continuation === false ? 0 : continuation?.maxRounds,
+    });
+    return last.html;
+  };
+
+  const chain = resolveChain(model, fallback || {});
+  let result;
+  if (chain) {
+    result = await routeWithFallback(prompt, generate, {
+      ...opts,
+      replay,
+      chain,
+      failureThreshold: fallback.failureThreshold,
+      cooldownMs: fallback.cooldownMs,
+    });
+  } else {
+    const html = await generate(prompt, { ...opts, replay });
+    const provider = detectProvider(model);
+    result = { html, model, provider, attempts: [{ model, provider, ok: true }] };
+  }
+
+  return { ...result, continuations: last.continuations, complete: last.complete };
+}
+
+/**
+ * Route a single model, honouring replay/record targets.
+ */
+async function routeSingle(prompt, opts = {}) {
+  const model = opts.model || 'gemini';
+  const fromConfig = replayFromConfig(opts.replay);
+  const fromModel = parseReplayModel(model);
+  const target = fromModel ? { ...fromModel, dir: fromConfig?.dir } : fromConfig;
+
+  if (target) {
+    if (target.mode === 'record') {
+      return recordFixture(direct, prompt, { ...target, model: target.model || (fromModel ? null : model) }, opts);
+    }
+    return replayFixture(prompt, { ...target, model: target.model || (fromModel ? null : opts.model || null) });
+  }
+
+  return direct(prompt, opts);
+}
+
+/**
+ * Call the real generator for a model, bypassing replay.
+ * Plugin-registered providers bring their own generate() via the registry.
+ */
+function direct(prompt, opts = {}) {
   const model = opts.model || 'gemini';
   const provider = detectProvider(model);
-  const generator = GENERATORS[provider] || GENERATORS.unknown;
+  const generator = GENERATORS[provider] || getProvider(provider)?.generate || GENERATORS.unknown;
 
   return generator(prompt, opts);
 }
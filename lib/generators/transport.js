@@ -0,0 +1,220 @@
+/**
+ * Provider Transport — Shared async HTTP layer for every generator.
+ *
+ * Replaces the old execSync + curl + temp-file approach with native fetch,
+ * so generation never blocks the event loop and concurrent runs (A/B tests,
+ * batches, the API server) genuinely run in parallel.
+ *
+ * Every failure surfaces as a ProviderError carrying the provider name,
+ * the HTTP status (when there is one) and a short machine-readable code:
+ *   'http' | 'timeout' | 'aborted' | 'network' | 'parse' | 'empty' | 'malformed'
+ *
+ * Generators report why the model stopped through `opts.onFinishReason`
+ * (see normalizeFinishReason) and return raw fragments when `opts.partial`
+ * is set — both are used by continuation.js to resume truncated output.
+ *
+ * @module generators/transport
+ */
+
+const DEFAULT_TIMEOUT_MS = 120_000;
+
+/**
+ * Structured error raised by provider calls.
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {string} [details.provider='unknown'] - Provider name (gemini, ollama, ...)
+   * @param {number|null} [details.status=null] - HTTP status, if a response arrived
+   * @param {string} [details.code='http'] - Failure class
+   * @param {string|null} [details.body=null] - Raw response body (truncated)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { provider = 'unknown', status = null, code = 'http', body = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.body = body;
+  }
+}
+
+/**
+ * Combine a caller's AbortSignal with a per-request timeout.
+ * (AbortSignal.any() would do, but only from Node 20.3.)
+ * @param {AbortSignal} [signal]
+ * @param {number} timeoutMs - 0 disables the timeout
+ * @returns {{ signal: AbortSignal, timedOut: () => boolean, cleanup: () => void }}
+ */
+export function linkSignals(signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = timeoutMs > 0
+    ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs)
+    : null;
+
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) controller.abort(signal.reason);
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    cleanup() {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+}
+
+/**
+ * Pull a human-readable message out of a provider error body.
+ * @param {string} text
+ * @returns {string}
+ */
+function errorMessage(text) {
+  try {
+    const json = JSON.parse(text);
+    const err = json.error;
+    if (typeof err === 'string') return err;
+    if (err?.message) return err.message;
+  } catch { /* not JSON */ }
+  return text.slice(0, 200);
+}
+
+/**
+ * Perform an HTTP request and return the response body as text.
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {string} [opts.method='GET']
+ * @param {object} [opts.headers]
+ * @param {string} [opts.body]
+ * @param {number} [opts.timeoutMs=120000] - Covers connect + full body read
+ * @param {AbortSignal} [opts.signal] - Caller cancellation
+ * @param {string} [opts.provider='unknown'] - Used in error reporting
+ * @returns {Promise<string>}
+ * @throws {ProviderError}
+ */
+export async function request(url, opts = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    signal,
+    provider = 'unknown',
+  } = opts;
+
+  const link = linkSignals(signal, timeoutMs);
+
+  try {
+    const res = await fetch(url, { method, headers, body, signal: link.signal });
+    const text = await res.text();
+
+    if (!res.ok) {
+      throw new ProviderError(`${provider} HTTP ${res.status}: ${errorMessage(text)}`, {
+        provider,
+        status: res.status,
+        code: 'http',
+        body: text.slice(0, 2000),
+      });
+    }
+
+    return text;
+  } catch (err) {
+    if (err instanceof ProviderError) throw err;
+    if (link.timedOut()) {
+      throw new ProviderError(`${provider} request timed out after ${timeoutMs}ms`, {
+        provider, code: 'timeout', cause: err,
+      });
+    }
+    if (signal?.aborted) {
+      throw new ProviderError(`${provider} request aborted`, {
+        provider, code: 'aborted', cause: err,
+      });
+    }
+    throw new ProviderError(`${provider} unreachable: ${err.cause?.message || err.message}`, {
+      provider, code: 'network', cause: err,
+    });
+  } finally {
+    link.cleanup();
+  }
+}
+
+/**
+ * Parse a response body as JSON, raising a ProviderError on garbage.
+ * @param {string} text
+ * @param {string} provider
+ * @returns {object}
+ */
+function parseJSON(text, provider) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ProviderError(`${provider} returned invalid JSON`, {
+      provider, code: 'parse', body: text.slice(0, 2000), cause: err,
+    });
+  }
+}
+
+/**
+ * POST a JSON payload and parse the JSON response.
+ * @param {string} url
+ * @param {object} payload
+ * @param {object} [opts] - Same as request(), plus extra headers
+ * @returns {Promise<object>}
+ */
+export async function postJSON(url, payload, opts = {}) {
+  const text = await request(url, {
+    ...opts,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...opts.headers },
+    body: JSON.stringify(payload),
+  });
+  return parseJSON(text, opts.provider || 'unknown');
+}
+
+/**
+ * GET a URL and parse the JSON response.
+ * @param {string} url
+ * @param {object} [opts] - Same as request()
+ * @returns {Promise<object>}
+ */
+export async function getJSON(url, opts = {}) {
+  const text = await request(url, { ...opts, method: 'GET' });
+  return parseJSON(text, opts.provider || 'unknown');
+}
+
+/**
+ * Strip markdown code fences that models sometimes wrap HTML in.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripFences(text) {
+  return (text || '').replace(/^```html?\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+}
+
+/**
+ * Strip fences from a continuation fragment without trimming it —
+ * whitespace at the edges matters where fragments are joined.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripPartialFences(text) {
+  return (text || '').replace(/^```html?\n/i, '').replace(/\n?```\s*$/i, '');
+}
+
+/**
+ * Normalize a provider's finish/stop reason.
+ * @param {string|null|undefined} reason - e.g. 'length', 'MAX_TOKENS', 'max_tokens', 'stop', 'end_turn'
+ * @returns {'length' | 'stop' | null} 'length' when output hit the token limit, null when unknown
+ */
+export function normalizeFinishReason(reason) {
+  if (!reason) return null;
+  return /^(length|max_tokens)$/i.test(reason) ? 'length' : 'stop';
+}
@@ -10,12 +10,16 @@
 import { createInterface } from 'node:readline';
 import { enhance } from '../rune/enhancer.js';
 import { validate } from '../rune/validator.js';
+import { clarify, ask } from '../rune/clarify.js';
+import { loadLayers } from '../rune/layers.js';
+import { loadConfig } from '../config/loader.js';
 
 const COMMANDS = {
   '.help': 'Show available commands',
   '.enhance <text>': 'Run RUNE 8-layer enhancement on text',
   '.validate <code>': 'Run Spinoza validator on code/HTML',
   '.compare <text>': 'Enhance + validate, show scores',
+  '.clarify <text>': 'Answer questions about an open intent, then enhance',
   '.model <name>': 'Set active model (e.g., gemini-2.5-flash)',
   '.context': 'Show current session context',
   '.history': 'Show command history',
@@ -25,12 +29,12 @@ const COMMANDS = {
 
 /**
  * Start the interactive REPL.
- * @param {object} options - { model, context }
+ * @param {object} options - { model, context } — context holds enhance() options (layers default to the workspace's)
  */
 export function startRepl(options = {}) {
   const state = {
     model: options.model || 'gemini-2.5-flash',
-    context: options.context || {},
+    context: { layers: loadLayers({ persona: loadConfig().persona }), ...options.context },
     history: [],
     sessionStart: new Date()
   };
@@ -82,6 +86,14 @@ export function startRepl(options = {}) {
         console.log('\n\x1b[32m--- Validation ---\x1b[0m');
         console.log(`Conatus: ${result.conatus} | Ratio: ${result.ratio} | Laetitia: ${result.laetitia} | Natura: ${result.natura}`);
         console.log(`Total: ${result.total || (result.conatus + result.ratio + result.laetitia + result.natura)}`);
+      } else if (input.startsWith('.clarify ')) {
+        const text = input.slice(9);
+        const { questions, archetype } = clarify(text);
+        if (!questions.length) console.log(`Clear enough (${archetype}) — nothing to ask.`);
+        const clarifications = await ask(questions, (q) => new Promise(resolve => rl.question(q, resolve)));
+        const result = enhance(text, { ...state.context, clarifications });
+        console.log('\n\x1b[32m--- Intent Analysis ---\x1b[0m');
+        console.log(intentAnalysis(result));
       } else if (input.startsWith('.compare ')) {
         const text = input.slice(9);
         const enhanced = enhance(text, state.context);
@@ -110,6 +122,16 @@ export function startRepl(options = {}) {
   return rl;
 }
 
+/**
+ * The L2 section of an enhanced prompt.
+ * @param {string} prompt
+ * @returns {string}
+ */
+function intentAnalysis(prompt) {
+  const match = /## INTENT ANALYSIS \(L2\)\n([\s\S]*?)\n\n## /.exec(prompt);
+  return match ? match[1] : prompt;
+}
+
 /**
  * Non-interactive evaluate: enhance + validate a prompt.
  */
@@ -6,18 +6,27 @@
  * if no improvement after patience rounds.
  * 
  * Pattern: generate → validate → refine → validate → ... → best output
+ *
+ * Unless disabled, every candidate is also booted in the smoke runner
+ * (rune/smoke.js): runtime errors lower its score and are handed to the
+ * next refinement round as precise fixes.
  */
 
-import { route } from '../generators/router.js';
+import { routeDetailed } from '../generators/router.js';
 import { validate } from '../rune/validator.js';
-import { refine } from './refiner.js';
+import { refineOnce } from './refiner.js';
+import { smokeTest, smokeInstructions } from '../rune/smoke.js';
 
 /**
  * @typedef {object} ChainResult
  * @property {string} html - Best HTML output
  * @property {number} score - Best Spinoza score
  * @property {number} iterations - Total iterations run
- * @property {Array<{iteration: number, score: number, improved: boolean}>} history
+ * @property {string} provider - Provider that produced the initial generation
+ * @property {Array<object>} attempts - Provider attempts (more than one when a fallback chain kicked in)
+ * @property {Array<object>} patches - Patches applied on the way to the best output (see iterate/patch.js)
+ * @property {import('../rune/smoke.js').SmokeResult|null} smoke - Smoke run of the best output (null when disabled)
+ * @property {Array<{iteration: number, score: number, improved: boolean, mode?: string, runtimeErrors?: number}>} history
  */
 
 /**
@@ -28,6 +37,10 @@ import { refine } from './refiner.js';
  * @param {number} [opts.maxIterations=3] - Max refinement rounds
  * @param {number} [opts.threshold=0.85] - Stop if score >= this
  * @param {number} [opts.patience=2] - Stop after N rounds without improvement
+ * @param {'patch'|'full'} [opts.refineMode] - Refinement style (default: config refine.mode)
+ * @param {boolean} [opts.smoke=true] - Boot each candidate in the smoke runner
+ * @param {string} [opts.rubric] - Validator rubric for the app's archetype (default: config validator.rubric)
+ * @param {import('../rune/spec.js').AppSpec} [opts.spec] - App spec to hold candidates to
  * @param {boolean} [opts.verbose=false] - Log progress
  * @returns {Promise<ChainResult>}
  */
@@ -37,6 +50,10 @@ export async function chain(prompt, opts = {}) {
     maxIterations = 3,
     threshold = 0.85,
     patience = 2,
+    refineMode,
+    smoke = true,
+    rubric,
+    spec,
     verbose = false,
   } = opts;
 
@@ -44,23 +61,33 @@ export async function chain(prompt, opts = {}) {
   let bestScore = 0;
   let noImproveCount = 0;
   const history = [];
+  const patches = [];
+  let bestPatches = [];
+  let bestSmoke = null;
 
   const log = verbose ? console.log.bind(console) : () => {};
+  const assess = async (candidate) => {
+    const run = smoke ? await smokeTest(candidate) : null;
+    if (run && !run.ok) log(`[chain] smoke: ${run.errors.length} runtime error(s)${run.booted ? '' : ' — app does not boot'}`);
+    return { run, scores: validate(candidate, { smoke: run, rubric, spec }) };
+  };
 
   // Initial generation
   log(`[chain] Starting with model=${model}, maxIterations=${maxIterations}`);
-  let html = await route(prompt, { model });
-  let scores = validate(html);
+  const generated = await routeDetailed(prompt, { model });
+  let html = generated.html;
+  let { run, scores } = await assess(html);
   let score = computeTotal(scores);
 
   bestHtml = html;
   bestScore = score;
-  history.push({ iteration: 0, score, improved: true });
+  bestSmoke = run;
+  history.push({ iteration: 0, score, improved: true, runtimeErrors: run?.errors.length });
   log(`[chain] IT-0: score=${score.toFixed(3)}`);
 
   if (score >= threshold) {
     log(`[chain] Threshold met on first try`);
-    return { html: bestHtml, score: bestScore, iterations: 1, history };
+    return { html: bestHtml, score: bestScore, iterations: 1, history, patches: [], smoke: bestSmoke, provider: generated.provider, attempts: generated.attempts };
   }
 
   // Refinement loop
@@ -68,16 +95,29 @@ export async function chain(prompt, opts = {}) {
     log(`[chain] Refining IT-${i}...`);
 
     const issues = identifyIssues(scores);
-    html = await refine(html, issues, { model });
-    scores = validate(html);
+    let step;
+    try {
+      step = await refineOnce(html, { model, issues, report: scores, mode: refineMode, fixes: smokeInstructions(run), rubric, spec });
+    } catch (err) {
+      // Too large to refine with this model: keep the best so far
+      if (err.name !== 'BudgetError') throw err;
+      log(`[chain] IT-${i}: ${err.message}`);
+      break;
+    }
+    html = step.code;
+    if (step.patch) patches.push(step.patch);
+    if (step.fellBack) log(`[chain] IT-${i}: no edit applied — regenerated full file`);
+    ({ run, scores } = await assess(html));
     score = computeTotal(scores);
 
     const improved = score > bestScore;
-    history.push({ iteration: i, score, improved });
+    history.push({ iteration: i, score, improved, mode: step.mode, runtimeErrors: run?.errors.length });
 
     if (improved) {
       bestHtml = html;
       bestScore = score;
+      bestSmoke = run;
+      bestPatches = [...patches];
       noImproveCount = 0;
       log(`[chain] IT-${i}: score=${score.toFixed(3)} ✅ (new best)`);
     } else {
@@ -96,7 +136,7 @@ export async function chain(prompt, opts = {}) {
     }
   }
 
-  return { html: bestHtml, score: bestScore, iterations: history.length, history };
+  return { html: bestHtml, score: bestScore, iterations: history.length, history, patches: bestPatches, smoke: bestSmoke, provider: generated.provider, attempts: generated.attempts };
 }
 
 /**
@@ -0,0 +1,223 @@
+/**
+ * Editor — Natural-language edits to apps that were already forged.
+ *
+ *   forge edit output/habit-tracker.html "make the chart weekly instead of daily"
+ *   forge edit 3f9c2a1b "add a dark mode toggle"
+ *
+ * An edit is one refiner round driven by the user's instruction instead of
+ * the validator's issues. The result is re-validated and stored in history
+ * as a new version whose parentId points at the one it was edited from, and
+ * which carries every instruction applied so far — so the next edit, in the
+ * same session or a later one, still has the earlier requests in context.
+ *
+ * "The endeavour wherewith each thing endeavours to persist in its own
+ *  being is nothing else but the actual essence of the thing."
+ *  — Spinoza, Ethics III, P7
+ *
+ * @module iterate/editor
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { refineOnce } from './refiner.js';
+import { savePatches } from './patch.js';
+import { validate } from '../rune/validator.js';
+import { detectProvider } from '../rune/system-instruction.js';
+import { extractRuntime } from '../renderer/runtime.js';
+import { prepare } from '../renderer/html.js';
+import { stripMigrations } from '../persistence/schema.js';
+import * as history from '../persistence/history.js';
+
+/**
+ * The app's own code, without the runtime and migration scripts rendering adds.
+ * @param {string} html
+ * @returns {{ code: string, runtime: string|null }}
+ */
+function bare(html) {
+  const { html: code, app: runtime } = extractRuntime(html);
+  return { code: stripMigrations(code), runtime };
+}
+
+/**
+ * @typedef {object} EditSession
+ * @property {string} code - Current HTML
+ * @property {string|null} file - File the app lives in (written back after each edit)
+ * @property {string|null} [runtime] - Namespace of the window.forge runtime the file was rendered with;
+ *   it is taken out while editing (with any data migrations) and put back when the file is written
+ * @property {string} id - History ID of the current version
+ * @property {string} prompt - Prompt of the original generation
+ * @property {string[]} instructions - Instructions applied so far, oldest first
+ * @property {object} report - Validation report of the current version
+ */
+
+const RECENT = 50;
+
+function average(report) {
+  return (report.conatus + report.ratio + report.laetitia + report.natura) / 4;
+}
+
+function axes(report) {
+  const { conatus, ratio, laetitia, natura } = report;
+  return { conatus, ratio, laetitia, natura };
+}
+
+/**
+ * Open an edit session on a file or a history entry.
+ * A file whose contents match a recent version continues from that version
+ * (and its instructions); any other file is imported as a root version
+ * first, so the original stays recoverable.
+ * @param {string} ref - Path to an HTML file, or a history ID
+ * @returns {EditSession}
+ * @throws {Error} When ref is neither a readable file nor a stored generation
+ */
+export function openSession(ref) {
+  if (existsSync(ref)) {
+    const { code, runtime } = bare(readFileSync(ref, 'utf-8'));
+    const report = validate(code);
+    const known = history.list({ limit: RECENT }).find(e => e.codeLength >= code.length && bare(history.getCode(e.id) || '').code === code);
+    if (known) {
+      return { code, file: ref, runtime, id: known.id, prompt: known.prompt, instructions: known.instructions || [], report };
+    }
+
+    const prompt = `Imported ${basename(ref)}`;
+    const id = history.record({
+      prompt,
+      model: null,
+      provider: null,
+      score: axes(report),
+      grade: report.grade,
+      code,
+      tags: ['imported'],
+    });
+    return { code, file: ref, runtime, id, prompt, instructions: [], report };
+  }
+
+  const entry = history.get(ref);
+  const stored = entry && history.getCode(ref);
+  if (!stored) throw new Error(`"${ref}" is neither a file nor a stored generation`);
+  const { code, runtime } = bare(stored);
+  return {
+    code,
+    file: null,
+    runtime,
+    id: ref,
+    prompt: entry.prompt,
+    instructions: entry.instructions || [],
+    report: validate(code),
+  };
+}
+
+/**
+ * Summarise what an edit changed.
+ * @param {string} before
+ * @param {string} after
+ * @param {object} beforeReport
+ * @param {object} afterReport
+ * @returns {{ linesAdded: number, linesRemoved: number, grade: [string, string], scoreDelta: number, axes: Record<string, number> }}
+ */
+export function summarizeChange(before, after, beforeReport, afterReport) {
+  // Multiset line diff — order-insensitive, but enough for "what moved"
+  const counts = new Map();
+  for (const line of before.split('\n')) counts.set(line, (counts.get(line) || 0) + 1);
+  let linesAdded = 0;
+  for (const line of after.split('\n')) {
+    const n = counts.get(line) || 0;
+    if (n > 0) counts.set(line, n - 1);
+    else linesAdded++;
+  }
+  const linesRemoved = [...counts.values()].reduce((a, b) => a + b, 0);
+
+  const deltas = {};
+  for (const axis of ['conatus', 'ratio', 'laetitia', 'natura']) {
+    deltas[axis] = afterReport[axis] - beforeReport[axis];
+  }
+
+  return {
+    linesAdded,
+    linesRemoved,
+    grade: [beforeReport.grade, afterReport.grade],
+    scoreDelta: average(afterReport) - average(beforeReport),
+    axes: deltas,
+  };
+}
+
+/**
+ * Apply one instruction to the session's current version.
+ * The new version is validated, stored in history (linked to its parent,
+ * with its patch log) and written back to the session's file if it has one.
+ * @param {EditSession} session - Updated in place
+ * @param {string} instruction - e.g. "add a dark mode toggle"
+ * @param {object} [opts]
+ * @param {string} [opts.model='gemini']
+ * @param {'patch'|'full'} [opts.mode] - Refinement style (default: config refine.mode)
+ * @param {boolean} [opts.persist=true] - Record the new version in history
+ * @param {function} [opts.generate] - Injected generator (tests)
+ * @returns {Promise<{ id: string|null, parentId: string, code: string, report: object, mode: string, fellBack: boolean, patch: object|null, rejected: object[], summary: object }>}
+ */
+export async function applyInstruction(session, instruction, opts = {}) {
+  const { model = 'gemini', mode, persist = true, generate } = opts;
+  if (!instruction?.trim()) throw new Error('Edit instruction is empty');
+
+  const step = await refineOnce(session.code, {
+    model,
+    mode,
+    generate,
+    report: session.report,
+    instruction: instruction.trim(),
+    previous: session.instructions,
+  });
+
+  const report = validate(step.code);
+  const summary = summarizeChange(session.code, step.code, session.report, report);
+  const parentId = session.id;
+  const instructions = [...session.instructions, instruction.trim()];
+
+  let id = null;
+  if (persist) {
+    id = history.record({
+      prompt: session.prompt,
+      model,
+      provider: detectProvider(model),
+      score: axes(report),
+      grade: report.grade,
+      code: step.code,
+      tags: ['edit'],
+      parentId,
+      instructions,
+    });
+    if (step.patch) savePatches(id, [step.patch]);
+  }
+
+  if (session.file) writeFileSync(session.file, session.runtime ? prepare(step.code, { app: session.runtime }) : step.code, 'utf-8');
+
+  Object.assign(session, { code: step.code, id: id || session.id, instructions, report });
+
+  return {
+    id,
+    parentId,
+    code: step.code,
+    report,
+    mode: step.mode,
+    fellBack: step.fellBack,
+    patch: step.patch,
+    rejected: step.rejected,
+    summary,
+  };
+}
+
+/**
+ * Walk a version's ancestry in history.
+ * @param {string} id
+ * @returns {Array<object>} Entries from the given version back to the original
+ */
+export function lineage(id) {
+  const chain = [];
+  const seen = new Set();
+  let entry = history.get(id);
+  while (entry && !seen.has(entry.id)) {
+    seen.add(entry.id);
+    chain.push(entry);
+    entry = entry.parentId ? history.get(entry.parentId) : null;
+  }
+  return chain;
+}
@@ -0,0 +1,223 @@
+/**
+ * Patch — Deterministic application of LLM-proposed edits.
+ *
+ * Instead of returning the whole file again, the refiner asks the model for
+ * targeted edits, in either of two formats:
+ *
+ *   <<<<<<< SEARCH                      @@ -12,3 +12,4 @@
+ *   <button id="go">Go</button>          <main>
+ *   =======                             -  <button id="go">Go</button>
+ *   <button id="go" aria-label="Go">    +  <button id="go" aria-label="Go">
+ *   >>>>>>> REPLACE                       </main>
+ *
+ * Every edit must match the current document exactly once; anything that is
+ * missing or ambiguous is rejected rather than guessed at. Applied edits are
+ * recorded with their offsets, so a patch can be shown, stored and reverted.
+ *
+ * "The more perfect a thing is, the more reality it has." — Spinoza, Ethics V, P40
+ *
+ * @module iterate/patch
+ */
+
+import { createHash } from 'node:crypto';
+import * as store from '../persistence/store.js';
+
+const COLLECTION = 'patches';
+
+const BLOCK_RE = /^<{5,}\s*SEARCH\s*\n([\s\S]*?)\n?^={5,}\s*\n([\s\S]*?)\n?^>{5,}\s*REPLACE\s*$/gm;
+const HUNK_RE = /^@@ [^\n]*@@[^\n]*$/m;
+
+/**
+ * @typedef {object} Edit
+ * @property {string} search - Exact text to find (must occur once)
+ * @property {string} replace - Text to put in its place
+ */
+
+/**
+ * @typedef {object} PatchRecord
+ * @property {string} id - Short content hash of the patch
+ * @property {'search-replace'|'diff'} format
+ * @property {Array<Edit & { at: number }>} edits - Applied edits, in order, with the offset each was applied at
+ * @property {Array<Edit & { reason: string }>} rejected - Edits that did not apply
+ * @property {string} before - Hash of the document before the patch
+ * @property {string} after - Hash of the document after the patch
+ * @property {string} timestamp
+ */
+
+function hash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Parse SEARCH/REPLACE blocks.
+ * @param {string} text
+ * @returns {Edit[]}
+ */
+function parseBlocks(text) {
+  const edits = [];
+  for (const m of text.matchAll(BLOCK_RE)) {
+    edits.push({ search: m[1], replace: m[2] });
+  }
+  return edits;
+}
+
+/**
+ * Parse a unified diff into edits. Line numbers are ignored — each hunk's
+ * context and removed lines become the search text, so hunks still apply
+ * when the model miscounts.
+ * @param {string} text
+ * @returns {Edit[]}
+ */
+function parseDiff(text) {
+  const edits = [];
+  let hunk = null;
+  const flush = () => {
+    if (hunk && (hunk.search.length || hunk.replace.length)) {
+      edits.push({ search: hunk.search.join('\n'), replace: hunk.replace.join('\n') });
+    }
+    hunk = null;
+  };
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('@@')) { flush(); hunk = { search: [], replace: [] }; continue; }
+    if (!hunk) continue;
+    if (line.startsWith('--- ') || line.startsWith('+++ ')) { flush(); continue; }
+    if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+    if (line.startsWith('-')) hunk.search.push(line.slice(1));
+    else if (line.startsWith('+')) hunk.replace.push(line.slice(1));
+    else if (line.startsWith(' ') || line === '') {
+      hunk.search.push(line.slice(1));
+      hunk.replace.push(line.slice(1));
+    } else flush();
+  }
+  flush();
+
+  // Trailing blank context lines are usually an artefact of the fence — drop them
+  for (const edit of edits) {
+    while (edit.search.endsWith('\n') && edit.replace.endsWith('\n')) {
+      edit.search = edit.search.slice(0, -1);
+      edit.replace = edit.replace.slice(0, -1);
+    }
+  }
+  return edits;
+}
+
+/**
+ * Extract edits from a model response.
+ * @param {string} text - Raw model output
+ * @returns {{ format: 'search-replace'|'diff'|null, edits: Edit[] }}
+ */
+export function parseEdits(text) {
+  const body = (text || '').replace(/\r\n/g, '\n');
+  const blocks = parseBlocks(body);
+  if (blocks.length) return { format: 'search-replace', edits: blocks };
+  if (HUNK_RE.test(body)) {
+    const hunks = parseDiff(body);
+    if (hunks.length) return { format: 'diff', edits: hunks };
+  }
+  return { format: null, edits: [] };
+}
+
+/**
+ * Apply edits in order. An edit applies only when its search text occurs
+ * exactly once in the document as it stands at that point.
+ * @param {string} html
+ * @param {Edit[]} edits
+ * @returns {{ html: string, applied: Array<Edit & { at: number }>, rejected: Array<Edit & { reason: string }> }}
+ */
+export function applyEdits(html, edits) {
+  let current = html;
+  const applied = [];
+  const rejected = [];
+
+  for (const edit of edits) {
+    const { search, replace } = edit;
+    if (!search) { rejected.push({ search, replace, reason: 'empty-search' }); continue; }
+    if (search === replace) { rejected.push({ search, replace, reason: 'no-op' }); continue; }
+
+    const at = current.indexOf(search);
+    if (at === -1) { rejected.push({ search, replace, reason: 'not-found' }); continue; }
+    if (current.indexOf(search, at + 1) !== -1) { rejected.push({ search, replace, reason: 'ambiguous' }); continue; }
+
+    current = current.slice(0, at) + replace + current.slice(at + search.length);
+    applied.push({ search, replace, at });
+  }
+
+  return { html: current, applied, rejected };
+}
+
+/**
+ * Parse and apply a model response, producing a patch record.
+ * @param {string} html - Current document
+ * @param {string} response - Model output containing edits
+ * @returns {{ html: string, patch: PatchRecord|null, rejected: Array<Edit & { reason: string }> }} patch is null when nothing applied
+ */
+export function applyPatch(html, response) {
+  const { format, edits } = parseEdits(response);
+  if (!edits.length) return { html, patch: null, rejected: [] };
+
+  const result = applyEdits(html, edits);
+  if (!result.applied.length) return { html, patch: null, rejected: result.rejected };
+
+  const patch = {
+    id: hash(JSON.stringify(result.applied)),
+    format,
+    edits: result.applied,
+    rejected: result.rejected,
+    before: hash(html),
+    after: hash(result.html),
+    timestamp: new Date().toISOString(),
+  };
+  return { html: result.html, patch, rejected: result.rejected };
+}
+
+/**
+ * Undo a recorded patch.
+ * @param {string} html - The document the patch produced
+ * @param {PatchRecord} patch
+ * @returns {string} The document before the patch
+ * @throws {Error} When the document is not the one the patch produced
+ */
+export function revertPatch(html, patch) {
+  if (hash(html) !== patch.after) {
+    throw new Error(`Patch ${patch.id} does not match this document (expected ${patch.after}, got ${hash(html)})`);
+  }
+  let current = html;
+  for (const { search, replace, at } of [...patch.edits].reverse()) {
+    current = current.slice(0, at) + search + current.slice(at + replace.length);
+  }
+  return current;
+}
+
+/**
+ * Render a patch as a readable listing for `--verbose` output or review.
+ * @param {PatchRecord} patch
+ * @returns {string}
+ */
+export function formatPatch(patch) {
+  const lines = [`patch ${patch.id} (${patch.format}, ${patch.edits.length} applied, ${patch.rejected.length} rejected)`];
+  for (const { search, replace, at } of patch.edits) {
+    lines.push(`@@ offset ${at} @@`);
+    for (const l of search.split('\n')) lines.push(`-${l}`);
+    for (const l of replace.split('\n')) lines.push(`+${l}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Store the patch log of a generation.
+ * @param {string} id - History entry ID
+ * @param {PatchRecord[]} patches
+ */
+export function savePatches(id, patches) {
+  store.set(COLLECTION, id, patches);
+}
+
+/**
+ * Load the patch log of a generation.
+ * @param {string} id - History entry ID
+ * @returns {PatchRecord[]}
+ */
+export function getPatches(id) {
+  return store.get(COLLECTION, id) || [];
+}
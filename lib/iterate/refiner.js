@@ -2,22 +2,50 @@
  * Iterate Refiner — LLM-powered refinement of generated apps.
  * 
  * Takes a generated HTML app + its Spinoza validation report,
- * and asks the LLM to fix specific issues in a targeted way.
+ * and asks the LLM to fix specific issues in a targeted way — or, for
+ * `forge edit`, to carry out a user's instruction (see iterate/editor.js).
  * 
- * This is cheaper than regenerating from scratch because we send
- * the existing code + specific fix instructions.
+ * In 'patch' mode (the default) the model answers with targeted edits —
+ * SEARCH/REPLACE blocks or a unified diff — which are applied
+ * deterministically by iterate/patch.js. Only when no edit applies does
+ * the round fall back to asking for the complete file ('full' mode).
+ *
+ * Both prompts embed the whole app, so they are fitted to the model's
+ * context window (rune/budget.js): a brief task section when the full one
+ * does not fit, a BudgetError when the app itself is too large.
  */
 
-import { validate } from '../rune/validator.js';
+import { validate, evaluate } from '../rune/validator.js';
 import { route } from '../generators/router.js';
+import { loadConfig } from '../config/loader.js';
+import { applyPatch } from './patch.js';
+import { checkScripts, fixInstructions } from '../rune/script-check.js';
+import { audit, auditInstructions } from '../rune/a11y.js';
+import { budgetFor, estimateTokens, fit } from '../rune/budget.js';
+
+const MODES = ['patch', 'full'];
+
+// Tokens kept for a patch answer — edits are short
+const PATCH_RESERVE = 2048;
+// Items per list in a brief task section
+const BRIEF_ITEMS = 3;
+
+// Used when no rule on the axis failed, or no rule results were passed
+const AXIS_HINTS = {
+  conatus: 'Add more interactive elements, event listeners, localStorage persistence, or canvas visualizations.',
+  ratio: 'Ensure DOCTYPE, proper closing tags, try/catch error handling, and substantial code structure.',
+  laetitia: 'Add CSS custom properties, transitions/animations, gradients, and responsive media queries.',
+  natura: 'Use semantic HTML (header/main/footer/nav), ARIA attributes, placeholder text, and emoji.',
+};
 
 /**
- * Build a refinement prompt from validation issues.
- * @param {string} code - Current HTML
- * @param {{ issues: string[], conatus: number, ratio: number, laetitia: number, natura: number }} report
- * @returns {string} Refinement prompt
+ * Describe the two weakest validator axes, with the fix hints of the rules
+ * that cost them the most points.
+ * @param {{ conatus: number, ratio: number, laetitia: number, natura: number }} report
+ * @param {import('../rune/rules.js').RuleResult[]} [results] - Per-rule results from evaluate()
+ * @returns {string} Markdown list
  */
-function buildRefinementPrompt(code, report) {
+function focusAreas(report, results = []) {
   const weakest = Object.entries({
     conatus: report.conatus,
     ratio: report.ratio,
@@ -25,33 +53,83 @@ function buildRefinementPrompt(code, report) {
     natura: report.natura,
   }).sort((a, b) => a[1] - b[1]);
 
-  const focusAreas = weakest.slice(0, 2).map(([axis, score]) => {
-    const hints = {
-      conatus: 'Add more interactive elements, event listeners, localStorage persistence, or canvas visualizations.',
-      ratio: 'Ensure DOCTYPE, proper closing tags, try/catch error handling, and substantial code structure.',
-      laetitia: 'Add CSS custom properties, transitions/animations, gradients, and responsive media queries.',
-      natura: 'Use semantic HTML (header/main/footer/nav), ARIA attributes, placeholder text, and emoji.',
+  return weakest.slice(0, 2).map(([axis, score]) => {
+    const hints = results
+      .filter(r => r.axis === axis && r.pass < 1 && r.hint)
+      .sort((a, b) => b.weight * (1 - b.pass) - a.weight * (1 - a.pass))
+      .slice(0, 3)
+      .map(r => r.hint);
+    return `- **${axis}** (${(score * 100).toFixed(0)}%): ${hints.length ? hints.join(' ') : AXIS_HINTS[axis]}`;
+  }).join('\n');
+}
+
+/**
+ * List the issues to fix: explicit ones win over the report's.
+ * @param {object} report
+ * @param {string|string[]} [issues]
+ * @param {boolean} [brief] - Only the first few
+ * @returns {string}
+ */
+function issueList(report, issues, brief = false) {
+  const list = issues ? [].concat(issues) : report.issues;
+  return (brief ? list.slice(0, BRIEF_ITEMS) : list).map(i => `- ${i}`).join('\n');
+}
+
+/**
+ * Describe the task: either the validator's findings, or a user's edit
+ * instruction with the instructions already applied earlier in the session.
+ * @param {object} report - Validation report
+ * @param {object} task - { issues, instruction, previous, fixes, accessibility, results, brief }
+ *   brief: keep only the first few items of each list, to fit a small context window
+ * @returns {{ intro: string, body: string, goals: string[] }}
+ */
+function taskSection(report, task = {}) {
+  const cap = (list) => (task.brief ? list.slice(0, BRIEF_ITEMS) : list);
+  if (task.instruction) {
+    const previous = task.previous?.length
+      ? `\n\n## EARLIER INSTRUCTIONS (already applied — keep them working)\n${(task.brief ? task.previous.slice(-BRIEF_ITEMS) : task.previous).map(i => `- ${i}`).join('\n')}`
+      : '';
+    return {
+      intro: 'You are editing an existing web app at the user\'s request.',
+      body: `## REQUESTED CHANGE\n${task.instruction}${previous}`,
+      goals: ['Make exactly the requested change', 'Leave everything else as it is'],
     };
-    return `- **${axis}** (${(score * 100).toFixed(0)}%): ${hints[axis]}`;
-  });
+  }
+  const fixes = task.fixes?.length
+    ? `## SCRIPT ERRORS (fix these first — positions are line:column in the current code)\n${cap(task.fixes).map(f => `- ${f}`).join('\n')}\n\n`
+    : '';
+  const accessibility = task.accessibility?.length
+    ? `## ACCESSIBILITY (WCAG 2.1 AA)\n${cap(task.accessibility).map(f => `- ${f}`).join('\n')}\n\n`
+    : '';
+  return {
+    intro: 'You are refining an existing web app. The app works but has quality gaps.',
+    body: `${fixes}${accessibility}## ISSUES FOUND\n${issueList(report, task.issues, task.brief)}\n\n## FOCUS AREAS (lowest scores)\n${focusAreas(report, task.brief ? [] : task.results)}`,
+    goals: ['Fix the listed issues', 'Improve the focus areas specifically'],
+  };
+}
 
-  return `You are refining an existing web app. The app works but has quality gaps.
+/**
+ * Build a full-file refinement prompt.
+ * @param {string} code - Current HTML
+ * @param {{ issues: string[], conatus: number, ratio: number, laetitia: number, natura: number }} report
+ * @param {object} [task] - { issues, instruction, previous, fixes, accessibility, results } (see refineOnce)
+ * @returns {string} Refinement prompt
+ */
+function buildRefinementPrompt(code, report, task) {
+  const { intro, body, goals } = taskSection(report, task);
+  return `${intro}
 
 ## CURRENT CODE
 \`\`\`html
 ${code}
 \`\`\`
 
-## ISSUES FOUND
-${report.issues.map(i => `- ${i}`).join('\n')}
-
-## FOCUS AREAS (lowest scores)
-${focusAreas.join('\n')}
+${body}
 
 ## INSTRUCTIONS
 1. Keep all existing functionality intact
-2. Fix the listed issues
-3. Improve the focus areas specifically
+2. ${goals[0]}
+3. ${goals[1]}
 4. Do NOT remove any working features
 5. Return the COMPLETE updated HTML file
 
@@ -59,11 +137,108 @@ Return ONLY the complete HTML. No markdown fences. No explanation.
 Start with <!DOCTYPE html> and end with </html>.`;
 }
 
+/**
+ * Build a patch refinement prompt: same context, but the answer is edits.
+ * @param {string} code - Current HTML
+ * @param {object} report - Validation report
+ * @param {object} [task] - { issues, instruction, previous, fixes, accessibility, results } (see refineOnce)
+ * @returns {string} Refinement prompt
+ */
+function buildPatchPrompt(code, report, task) {
+  const { intro, body } = taskSection(report, task);
+  return `${intro}
+Do NOT rewrite the file — answer with targeted edits only.
+
+## CURRENT CODE
+\`\`\`html
+${code}
+\`\`\`
+
+${body}
+
+## EDIT FORMAT
+Return one or more SEARCH/REPLACE blocks:
+
+<<<<<<< SEARCH
+exact lines copied from the current code
+=======
+the lines that replace them
+>>>>>>> REPLACE
+
+Rules:
+1. SEARCH text must be copied verbatim (including indentation) and match exactly one place in the file
+2. Include just enough surrounding lines to make each SEARCH unique
+3. To add something, SEARCH for the line it goes next to and repeat that line in REPLACE
+4. Keep all existing functionality intact — do NOT remove working features
+5. A unified diff (\`@@ ... @@\` hunks) is also accepted
+
+Return ONLY the edit blocks. No explanation.`;
+}
+
+/**
+ * Run one refinement round.
+ * Patch mode asks for edits and applies them; if none apply (or the model
+ * ignored the format) the round falls back to full-file regeneration.
+ * @param {string} code - Current HTML
+ * @param {object} [opts]
+ * @param {string} [opts.model='gemini']
+ * @param {'patch'|'full'} [opts.mode] - Defaults to config refine.mode
+ * @param {object} [opts.report] - Validation report for code (computed if omitted)
+ * @param {string|string[]} [opts.issues] - Issues to fix instead of report.issues
+ * @param {string} [opts.instruction] - A user's edit request; replaces the validator-driven task
+ * @param {string[]} [opts.previous] - Instructions applied earlier in the same edit session
+ * @param {string[]} [opts.fixes] - Extra precise fixes, e.g. smokeInstructions() from rune/smoke.js
+ * @param {string|object} [opts.theme] - Theme the app is shown with, for the accessibility audit
+ * @param {string} [opts.rubric] - Validator rubric for the app's archetype (see rune/rules.js)
+ * @param {import('../rune/spec.js').AppSpec} [opts.spec] - App spec the code must satisfy
+ * @param {(prompt: string, opts: object) => Promise<string>} [opts.generate=route]
+ * @returns {Promise<{ code: string, mode: 'patch'|'full', patch: import('./patch.js').PatchRecord|null, rejected: object[], fellBack: boolean }>}
+ * @throws {import('../rune/budget.js').BudgetError} when the app is too large for the model's context window
+ */
+export async function refineOnce(code, opts = {}) {
+  const model = opts.model || 'gemini';
+  const generate = opts.generate || route;
+  const mode = opts.mode || loadConfig().refine?.mode || 'patch';
+  if (!MODES.includes(mode)) throw new Error(`Unknown refine mode "${mode}" (expected ${MODES.join(' | ')})`);
+  const scored = evaluate(code, { theme: opts.theme, rubric: opts.rubric, spec: opts.spec });
+  const report = opts.report || scored.report;
+  const task = opts.instruction ? opts : {
+    ...opts,
+    results: scored.results,
+    fixes: [...fixInstructions(checkScripts(code)), ...(opts.fixes || [])],
+    accessibility: auditInstructions(audit(code, { theme: opts.theme })),
+  };
+
+  // Full detail first, a brief task section when that does not fit
+  const fitted = (build, reserve, what) => fit(
+    [() => build(code, report, task), () => build(code, report, { ...task, brief: true })],
+    budgetFor(model, { reserve }),
+    what,
+  ).prompt;
+
+  let rejected = [];
+  if (mode === 'patch') {
+    // Raw output, no continuation: an edit list is not a document
+    const prompt = fitted(buildPatchPrompt, PATCH_RESERVE, 'The patch prompt for this app');
+    const response = await generate(prompt, { model, partial: true, continuation: false });
+    const result = applyPatch(code, response);
+    if (result.patch) return { code: result.html, mode: 'patch', patch: result.patch, rejected: result.rejected, fellBack: false };
+    rejected = result.rejected;
+  }
+
+  // The answer is the whole file again, so it needs about as much room as the code
+  const prompt = fitted(buildRefinementPrompt, Math.ceil(estimateTokens(code) * 1.2), 'The full-file refinement prompt for this app');
+  const refined = await generate(prompt, { model });
+  return { code: refined, mode: 'full', patch: null, rejected, fellBack: mode === 'patch' };
+}
+
 /**
  * Refine a generated app iteratively until quality threshold is met.
+ * Each kept patch is returned in `patches`, oldest first, so the
+ * refinement can be inspected or reverted with revertPatch().
  * @param {string} code - Initial HTML
- * @param {object} opts - { model, maxRounds, threshold }
- * @returns {Promise<{ code: string, report: object, rounds: number, improved: boolean }>}
+ * @param {object} opts - { model, maxRounds, threshold, mode, generate, rubric, theme, spec }
+ * @returns {Promise<{ code: string, report: object, rounds: number, improved: boolean, patches: object[] }>}
  */
 export async function refine(code, opts = {}) {
   const maxRounds = opts.maxRounds || 2;
@@ -71,22 +246,35 @@ export async function refine(code, opts = {}) {
   const model = opts.model || 'gemini';
 
   let current = code;
-  let report = validate(current);
+  const scoring = { rubric: opts.rubric, theme: opts.theme, spec: opts.spec };
+  let report = validate(current, scoring);
   let avg = (report.conatus + report.ratio + report.laetitia + report.natura) / 4;
   let rounds = 0;
+  const patches = [];
 
   while (avg < threshold && rounds < maxRounds) {
     rounds++;
     console.log(`   🔧 Refining (round ${rounds}/${maxRounds}) — current avg: ${(avg * 100).toFixed(0)}%`);
 
-    const prompt = buildRefinementPrompt(current, report);
-    const refined = await route(prompt, { model });
+    let step;
+    try {
+      step = await refineOnce(current, { model, report, mode: opts.mode, generate: opts.generate, ...scoring });
+    } catch (err) {
+      if (err.name !== 'BudgetError') throw err;
+      console.log(`   ⚠️  ${err.message} — keeping the current version`);
+      break;
+    }
+    const refined = step.code;
+    if (step.fellBack) {
+      console.log(`   ↩️  No edit applied${step.rejected.length ? ` (${step.rejected.length} rejected)` : ''} — regenerated full file`);
+    }
 
     // Validate refinement didn't make things worse
-    const newReport = validate(refined);
+    const newReport = validate(refined, scoring);
     const newAvg = (newReport.conatus + newReport.ratio + newReport.laetitia + newReport.natura) / 4;
 
     if (newAvg >= avg) {
+      if (step.patch) patches.push(step.patch);
       current = refined;
       report = newReport;
       avg = newAvg;
@@ -106,5 +294,6 @@ export async function refine(code, opts = {}) {
     report,
     rounds,
     improved: rounds > 0,
+    patches,
   };
 }
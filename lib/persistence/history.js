@@ -28,6 +28,12 @@ const COLLECTION = 'history';
  * @property {string} timestamp - ISO timestamp
  * @property {string[]} [tags] - Optional tags
  * @property {string} [style] - Style preset used
+ * @property {string|null} [archetype] - App archetype the intent was classified as (rune/intent.js)
+ * @property {import('../rune/spec.js').AppSpec|null} [spec] - App spec the generation was built from (rune/spec.js)
+ * @property {string|null} [parentId] - Entry this one was edited from (`forge edit`)
+ * @property {string[]} [instructions] - Edit instructions applied since the original generation, oldest first
+ * @property {import('../rune/judge.js').Verdict|null} [judge] - LLM judge verdict, when the app was judged
+ * @property {string[]} [examples] - History IDs shown to the model as examples (rune/examples.js)
  */
 
 /**
@@ -41,7 +47,13 @@ const COLLECTION = 'history';
  * @param {string} entry.grade
  * @param {string} entry.code - The generated HTML (stored separately)
  * @param {string} [entry.style]
+ * @param {string} [entry.archetype]
+ * @param {object} [entry.spec] - App spec, for spec-first generations
  * @param {string[]} [entry.tags]
+ * @param {string} [entry.parentId] - Version this one was derived from
+ * @param {string[]} [entry.instructions] - Edit instructions applied so far
+ * @param {object} [entry.judge] - LLM judge verdict
+ * @param {string[]} [entry.examples] - History IDs used as few-shot examples
  * @returns {string} The generation ID
  */
 export function record(entry) {
@@ -59,7 +71,13 @@ export function record(entry) {
     grade: entry.grade,
     codeLength: entry.code?.length || 0,
     style: entry.style || null,
+    archetype: entry.archetype || null,
+    spec: entry.spec || null,
     tags: entry.tags || [],
+    parentId: entry.parentId || null,
+    instructions: entry.instructions || [],
+    judge: entry.judge || null,
+    examples: entry.examples || [],
     timestamp,
   };
   store.set(COLLECTION, id, meta);
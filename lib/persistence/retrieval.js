@@ -0,0 +1,151 @@
+/**
+ * Retrieval — Rank past generations by how close their intent is to a new one.
+ *
+ * A small BM25 index over history: each entry is a document made of its
+ * prompt, archetype, tags and spec title and features. No embeddings and no
+ * dependencies; history is local and small enough to index on every query.
+ *
+ * Only entries whose code is stored and whose grade is good enough are
+ * indexed, and edits of the same prompt count once (the best-scoring one).
+ *
+ * "The more an image is associated with other images, the more often it
+ *  flourishes." — Spinoza, Ethics V, P13
+ *
+ * @module persistence/retrieval
+ */
+
+import * as history from './history.js';
+
+const GRADES = { S: 4, A: 3, B: 2, C: 1, D: 0 };
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'app', 'are', 'as', 'at', 'be', 'build', 'by', 'create', 'for', 'from', 'i', 'in', 'into', 'is', 'it',
+  'make', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'want', 'with', 'web',
+]);
+
+/**
+ * Split text into index terms: lowercase words without stopwords, plural -s dropped.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Build a BM25 index.
+ * @param {Array<{ id: string, text: string }>} docs
+ * @param {object} [opts]
+ * @param {number} [opts.k1=1.2] - Term frequency saturation
+ * @param {number} [opts.b=0.75] - Length normalisation
+ * @returns {{ size: number, search: (query: string, opts?: { limit?: number }) => Array<{ id: string, score: number, matched: string[] }> }}
+ */
+export function createIndex(docs, opts = {}) {
+  const { k1 = 1.2, b = 0.75 } = opts;
+  const entries = docs.map(doc => {
+    const terms = tokenize(doc.text);
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    return { id: doc.id, length: terms.length, tf };
+  });
+  const df = new Map();
+  for (const entry of entries) for (const term of entry.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  const avgLength = entries.reduce((sum, e) => sum + e.length, 0) / (entries.length || 1);
+  const idf = (term) => Math.log(1 + (entries.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+
+  return {
+    size: entries.length,
+    search(query, { limit = 5 } = {}) {
+      const terms = [...new Set(tokenize(query))].filter(term => df.has(term));
+      return entries
+        .map(entry => {
+          const matched = terms.filter(term => entry.tf.has(term));
+          const score = matched.reduce((sum, term) => {
+            const f = entry.tf.get(term);
+            return sum + idf(term) * (f * (k1 + 1)) / (f + k1 * (1 - b + b * entry.length / (avgLength || 1)));
+          }, 0);
+          return { id: entry.id, score: +score.toFixed(4), matched };
+        })
+        .filter(hit => hit.score > 0)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+    },
+  };
+}
+
+/**
+ * A history entry's overall score, whether stored as a number or per axis.
+ * @param {object} entry
+ * @returns {number}
+ */
+export function entryScore(entry) {
+  const s = entry.score;
+  if (typeof s === 'number') return s;
+  if (!s) return 0;
+  return s.total ?? ((s.conatus || 0) + (s.ratio || 0) + (s.laetitia || 0) + (s.natura || 0)) / 4;
+}
+
+/**
+ * The text an entry is indexed by.
+ * @param {object} entry
+ * @returns {string}
+ */
+function documentText(entry) {
+  const spec = entry.spec;
+  return [
+    entry.prompt,
+    entry.archetype,
+    ...(entry.tags || []),
+    spec?.title,
+    ...(spec?.features || []).map(f => f.description || f.id),
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Index the history entries worth learning from.
+ * @param {object} [opts]
+ * @param {string} [opts.minGrade='A'] - Lowest grade indexed (S > A > B > C > D)
+ * @param {object[]} [opts.entries] - Entries to index (default: all of history)
+ * @param {(id: string) => boolean} [opts.hasCode] - Whether an entry's code is stored (default: history.getCode)
+ * @returns {{ index: ReturnType<typeof createIndex>, entries: Map<string, object> }}
+ */
+export function indexHistory(opts = {}) {
+  const { minGrade = 'A', hasCode = (id) => Boolean(history.getCode(id)) } = opts;
+  const minRank = GRADES[minGrade] ?? GRADES.A;
+  const candidates = (opts.entries || history.list({ limit: Infinity }))
+    .filter(e => (GRADES[e.grade] ?? -1) >= minRank && e.prompt);
+
+  // One per prompt: the best version
+  const best = new Map();
+  for (const entry of candidates) {
+    const key = entry.prompt.trim().toLowerCase();
+    if (!best.has(key) || entryScore(entry) > entryScore(best.get(key))) best.set(key, entry);
+  }
+  const kept = [...best.values()].filter(e => hasCode(e.id));
+  return {
+    index: createIndex(kept.map(e => ({ id: e.id, text: documentText(e) }))),
+    entries: new Map(kept.map(e => [e.id, e])),
+  };
+}
+
+/**
+ * Past generations most similar to an intent, best match first.
+ * @param {string} intent
+ * @param {object} [opts]
+ * @param {number} [opts.limit=2]
+ * @param {string} [opts.minGrade='A']
+ * @param {string} [opts.exclude] - History ID to leave out (e.g. the version being edited)
+ * @param {object[]} [opts.entries] - Entries to search (default: all of history)
+ * @param {(id: string) => boolean} [opts.hasCode]
+ * @returns {Array<{ entry: object, score: number, matched: string[] }>}
+ */
+export function retrieve(intent, opts = {}) {
+  const { limit = 2, exclude } = opts;
+  const { index, entries } = indexHistory(opts);
+  return index.search(intent, { limit: limit + (exclude ? 1 : 0) })
+    .filter(hit => hit.id !== exclude)
+    .slice(0, limit)
+    .map(hit => ({ entry: entries.get(hit.id), score: hit.score, matched: hit.matched }));
+}
@@ -0,0 +1,387 @@
+/**
+ * Data Schema — Keep the user's data when an app is forged again.
+ *
+ * A regenerated "water tracker" is free to pick new localStorage keys and
+ * new field names, and weeks of entries would silently vanish. So Forge
+ * remembers what each app stores — every key, whether it lives in raw
+ * localStorage or in forge.storage (renderer/runtime.js), its shape and the
+ * fields of the records it holds — read from the code or from its app spec.
+ *
+ * When a new version of the same app (same intent slug, the runtime's
+ * namespace) is rendered, the schemas are diffed: a key that moved or was
+ * renamed is copied over, a record field that was renamed is carried along.
+ * Each diff becomes a numbered migration, and every rendered version gets a
+ * small script that applies the migrations it has not applied yet, once,
+ * before the app's own code reads anything. Old keys are never deleted.
+ *
+ * The first time an app is seen, the newest other history version of the
+ * same intent stands in for the schema that came before.
+ *
+ * "The mind strives to persevere in its being for an indefinite duration."
+ *  — Spinoza, Ethics III, P9
+ *
+ * @module persistence/schema
+ */
+
+import { analyze } from '../rune/validator.js';
+import { prependToHead } from '../renderer/runtime.js';
+import * as store from './store.js';
+
+const COLLECTION = 'schemas';
+const MAX_MIGRATIONS = 20;
+const TAG = /<script id="forge-migrations"[^>]*>[\s\S]*?<\/script>\n?/;
+const CALL = /\b(forge\s*\.\s*storage|localStorage)\s*(?:\.\s*(get|set|remove|getItem|setItem|removeItem)\s*\(\s*|\[\s*)(?:(['"`])([^'"`$\n]+)\3|([A-Za-z_$][\w$]*))/g;
+const AFTER_KEY = /^\s*\]?\s*(?:,|\)+\s*(?:\|\||\?\?))\s*(['"`]?)(\[|\{|-?\d|true\b|false\b|['"`])/;
+
+/**
+ * @typedef {object} StoredKey
+ * @property {string} key - The key the app uses
+ * @property {'forge'|'local'} storage - forge.storage (namespaced) or raw localStorage
+ * @property {'array'|'object'|'number'|'string'|'boolean'|'unknown'} type
+ * @property {string[]} fields - Fields of the records it holds, when known
+ * @property {string} [holds] - Entity name, from the app spec
+ */
+
+/**
+ * @typedef {object} DataSchema
+ * @property {StoredKey[]} keys - Sorted by key
+ */
+
+/**
+ * @typedef {object} MigrationStep
+ * @property {'copy'|'rename-field'} op
+ * @property {string} [from] - copy: storage key to read; rename-field: old field name
+ * @property {string} [to] - copy: storage key to write; rename-field: new field name
+ * @property {string} [key] - rename-field: storage key of the records
+ * @property {boolean} [json] - copy: the target holds JSON (forge.storage), so wrap plain strings
+ */
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - Schema version it brings the data to
+ * @property {MigrationStep[]} steps
+ * @property {string[]} notes - What changed, e.g. 'entries → logs'
+ * @property {string} at - ISO timestamp
+ */
+
+function typeOf(token) {
+  if (token === '[') return 'array';
+  if (token === '{') return 'object';
+  if (token === 'true' || token === 'false') return 'boolean';
+  if (/^-?\d/.test(token)) return 'number';
+  return 'string';
+}
+
+/**
+ * The body of the brace-delimited literal starting at `start`.
+ */
+function braced(js, start) {
+  let depth = 0;
+  for (let i = start; i < js.length; i++) {
+    const ch = js[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      for (i++; i < js.length && js[i] !== ch; i++) if (js[i] === '\\') i++;
+    } else if (ch === '{' || ch === '[' || ch === '(') depth++;
+    else if (ch === '}' || ch === ']' || ch === ')') {
+      if (--depth === 0) return js.slice(start + 1, i);
+    }
+  }
+  return js.slice(start + 1);
+}
+
+/**
+ * Top-level property names of an object literal body.
+ */
+function literalFields(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const end = body.indexOf(ch, i + 1);
+      current += body.slice(i, end === -1 ? body.length : end + 1);
+      i = end === -1 ? body.length : end;
+      continue;
+    }
+    if ('{[('.includes(ch)) depth++;
+    if ('}])'.includes(ch)) depth--;
+    if (ch === ',' && depth === 0) { parts.push(current); current = ''; continue; }
+    current += ch;
+  }
+  parts.push(current);
+  return parts
+    .map(part => /^\s*(['"]?)([A-Za-z_$][\w$]*)\1\s*(?::|\(|$)/.exec(part)?.[2])
+    .filter(Boolean);
+}
+
+/**
+ * Fields of the records pushed onto the variable a stored value was read into.
+ */
+function recordFields(js, variable) {
+  const name = variable.replace(/[.$]/g, '\\$&');
+  const fields = new Set();
+  for (const m of js.matchAll(new RegExp(`(?<![\\w$.])${name}\\s*\\.\\s*(?:push|unshift)\\(\\s*(\\{|[A-Za-z_$][\\w$]*)`, 'g'))) {
+    let start = m.index + m[0].length - 1;
+    if (m[1] !== '{') {
+      const decl = new RegExp(`(?:const|let|var)\\s+${m[1]}\\s*=\\s*\\{`).exec(js);
+      if (!decl) continue;
+      start = decl.index + decl[0].length - 1;
+    }
+    for (const field of literalFields(braced(js, start))) fields.add(field);
+  }
+  return [...fields];
+}
+
+/**
+ * Read what an app stores from its scripts, and from its app spec if it has one.
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {import('../rune/spec.js').AppSpec} [opts.spec]
+ * @returns {DataSchema}
+ */
+export function extractSchema(html, opts = {}) {
+  const { js } = analyze(html);
+  const constants = new Map([...js.matchAll(/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(['"`])([^'"`$\n]+)\2/g)].map(m => [m[1], m[3]]));
+  const keys = new Map();
+  const upsert = (key, storage) => {
+    if (!keys.has(key)) keys.set(key, { key, storage, type: 'unknown', fields: [] });
+    return keys.get(key);
+  };
+
+  for (const m of js.matchAll(CALL)) {
+    const key = m[4] ?? constants.get(m[5]);
+    if (!key) continue;
+    const entry = upsert(key, m[1].startsWith('forge') ? 'forge' : 'local');
+    const after = AFTER_KEY.exec(js.slice(m.index + m[0].length, m.index + m[0].length + 60));
+    if (entry.type === 'unknown' && after) entry.type = /^['"`]$/.test(after[2]) ? 'string' : typeOf(after[2]);
+    const bound = /(?:(?:const|let|var)\s+)?([A-Za-z_$][\w$.]*)\s*=\s*(?:JSON\s*\.\s*parse\(\s*)?$/.exec(js.slice(Math.max(0, m.index - 80), m.index));
+    if (bound) entry.fields = [...new Set([...entry.fields, ...recordFields(js, bound[1])])];
+  }
+
+  const spec = opts.spec;
+  if (spec?.persistence?.length) {
+    const storage = /\bforge\s*\.\s*storage\b/.test(js) ? 'forge' : 'local';
+    for (const p of spec.persistence) {
+      const entry = upsert(p.key, storage);
+      const entity = spec.entities?.find(e => e.name === p.holds);
+      if (p.holds) entry.holds = p.holds;
+      if (entity) {
+        entry.fields = [...new Set([...entity.fields.map(f => f.name), ...entry.fields])];
+        if (entry.type === 'unknown') entry.type = 'array';
+      }
+    }
+  }
+
+  return { keys: [...keys.values()].sort((a, b) => a.key.localeCompare(b.key)) };
+}
+
+/**
+ * Where a key's value actually sits in localStorage.
+ * @param {string} app
+ * @param {StoredKey} entry
+ * @returns {string}
+ */
+export function storageKey(app, entry) {
+  return entry.storage === 'forge' ? `forge:${app}:${entry.key}` : entry.key;
+}
+
+const words = (key) => new Set(key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).map(w => w.replace(/s$/, '')));
+const overlap = (a, b) => {
+  const x = new Set(a);
+  const y = new Set(b);
+  const shared = [...x].filter(v => y.has(v)).length;
+  return x.size && y.size ? shared / new Set([...x, ...y]).size : 0;
+};
+const compatible = (a, b) => a === b || a === 'unknown' || b === 'unknown';
+
+/**
+ * How likely a removed key is the added one under a new name, 0–1.
+ */
+function similarity(before, after, unique) {
+  if (before.holds && before.holds === after.holds) return 1;
+  if (!compatible(before.type, after.type)) return 0;
+  const score = Math.max(overlap(before.fields, after.fields), overlap(words(before.key), words(after.key)));
+  // The only key of a known shape gone and the only one of it new: most likely the same data renamed
+  return unique && before.type === after.type && before.type !== 'unknown' ? Math.max(score, 0.5) : score;
+}
+
+/**
+ * What it takes to bring data stored by one version to the next.
+ * @param {DataSchema} before
+ * @param {DataSchema} after
+ * @param {object} opts
+ * @param {string} opts.app - Runtime namespace, for forge.storage keys
+ * @returns {{ steps: MigrationStep[], notes: string[], added: string[], removed: string[] }}
+ */
+export function diffSchemas(before, after, opts) {
+  const { app } = opts;
+  const next = new Map(after.keys.map(k => [k.key, k]));
+  const prev = new Map(before.keys.map(k => [k.key, k]));
+  const pairs = after.keys.filter(k => prev.has(k.key)).map(k => [prev.get(k.key), k]);
+  let removed = before.keys.filter(k => !next.has(k.key));
+  let added = after.keys.filter(k => !prev.has(k.key));
+
+  const ofType = (keys, type) => keys.filter(k => k.type === type).length;
+  const candidates = removed
+    .flatMap(b => added.map(a => [similarity(b, a, ofType(removed, b.type) === 1 && ofType(added, a.type) === 1), b, a]))
+    .filter(([score]) => score >= 0.5)
+    .sort((x, y) => y[0] - x[0]);
+  for (const [, b, a] of candidates) {
+    if (!removed.includes(b) || !added.includes(a)) continue;
+    pairs.push([b, a]);
+    removed = removed.filter(k => k !== b);
+    added = added.filter(k => k !== a);
+  }
+
+  const steps = [];
+  const notes = [];
+  for (const [b, a] of pairs) {
+    if (!compatible(b.type, a.type)) {
+      notes.push(`${b.key}: ${b.type} → ${a.type}, not migrated`);
+      continue;
+    }
+    const from = storageKey(app, b);
+    const to = storageKey(app, a);
+    if (from !== to) {
+      steps.push({ op: 'copy', from, to, ...(a.storage === 'forge' ? { json: true } : {}) });
+      notes.push(b.key === a.key ? `${b.key}: localStorage → forge.storage` : `${b.key} → ${a.key}`);
+    }
+    const gone = b.fields.filter(f => !a.fields.includes(f));
+    const fresh = a.fields.filter(f => !b.fields.includes(f));
+    if (gone.length === 1 && fresh.length === 1) {
+      steps.push({ op: 'rename-field', key: to, from: gone[0], to: fresh[0] });
+      notes.push(`${a.key}: field ${gone[0]} → ${fresh[0]}`);
+    }
+  }
+  return { steps, notes, added: added.map(k => k.key), removed: removed.map(k => k.key) };
+}
+
+/**
+ * The migration runner. Runs in the page (stringified by migrationScript):
+ * applies each migration not yet flagged as done, then flags it.
+ * @param {object} global - `window`
+ * @param {string} app
+ * @param {Migration[]} migrations
+ * @returns {number[]} Versions applied now
+ */
+export function applyMigrations(global, app, migrations) {
+  let local;
+  try {
+    local = global.localStorage;
+    local.getItem('forge:' + app + ':@probe');
+  } catch (e) {
+    return [];
+  }
+  const parse = (text) => { try { return JSON.parse(text); } catch (e) { return undefined; } };
+  const applied = [];
+  migrations.forEach((migration) => {
+    const flag = 'forge:' + app + ':@migrated:' + migration.version;
+    if (local.getItem(flag) !== null) return;
+    try {
+      migration.steps.forEach((step) => {
+        if (step.op === 'copy') {
+          const text = local.getItem(step.from);
+          if (text === null || local.getItem(step.to) !== null) return;
+          local.setItem(step.to, step.json && parse(text) === undefined ? JSON.stringify(text) : text);
+        } else if (step.op === 'rename-field') {
+          const value = parse(local.getItem(step.key));
+          if (!value || typeof value !== 'object') return;
+          (Array.isArray(value) ? value : [value]).forEach((item) => {
+            if (item && typeof item === 'object' && step.from in item && !(step.to in item)) item[step.to] = item[step.from];
+          });
+          local.setItem(step.key, JSON.stringify(value));
+        }
+      });
+      local.setItem(flag, new Date().toISOString());
+      applied.push(migration.version);
+    } catch (e) {
+      if (global.console) global.console.error('Forge data migration ' + migration.version + ' failed', e);
+    }
+  });
+  return applied;
+}
+
+/**
+ * The migrations as a script body.
+ * @param {string} app
+ * @param {Migration[]} migrations
+ * @returns {string}
+ */
+export function migrationScript(app, migrations) {
+  const data = migrations.map(({ version, steps }) => ({ version, steps }));
+  return `(${applyMigrations.toString()})(globalThis, ${JSON.stringify(app)}, ${JSON.stringify(data)});`.replace(/<\//g, '<\\/');
+}
+
+/**
+ * Put the migration script at the top of <head>; an earlier one is replaced.
+ * Inject the runtime afterwards so it stays first.
+ * @param {string} html
+ * @param {string} app
+ * @param {Migration[]} migrations - None removes the script
+ * @returns {string}
+ */
+export function injectMigrations(html, app, migrations) {
+  const bare = stripMigrations(html);
+  if (!migrations.length) return bare;
+  return prependToHead(bare, `<script id="forge-migrations" data-app="${app}">\n${migrationScript(app, migrations)}\n</script>\n`);
+}
+
+/**
+ * Take an injected migration script back out.
+ * @param {string} html
+ * @returns {string}
+ */
+export function stripMigrations(html) {
+  return html.replace(TAG, '');
+}
+
+/**
+ * The schema remembered for an app, with its migrations.
+ * @param {string} app
+ * @returns {{ app: string, version: number, schema: DataSchema, migrations: Migration[], updatedAt: string }|undefined}
+ */
+export function getSchema(app) {
+  return store.get(COLLECTION, app);
+}
+
+/**
+ * Forget an app's schema and migrations.
+ * @param {string} app
+ */
+export function forgetSchema(app) {
+  store.del(COLLECTION, app);
+}
+
+/**
+ * Remember a new version's schema and work out the migrations it ships with.
+ * @param {string} html - The app's own HTML (no runtime or migration script)
+ * @param {object} opts
+ * @param {string} opts.app - App identity: the intent slug
+ * @param {import('../rune/spec.js').AppSpec} [opts.spec]
+ * @param {() => ({ code: string, spec?: object }|null)} [opts.previous] - The version before, when the app has no remembered schema yet
+ * @returns {{ version: number, schema: DataSchema, migrations: Migration[], added: Migration|null }}
+ */
+export function carryOver(html, opts) {
+  const { app, spec } = opts;
+  const schema = extractSchema(html, { spec });
+  let known = getSchema(app);
+  if (!known) {
+    const previous = opts.previous?.();
+    if (previous) known = { version: 1, schema: extractSchema(previous.code, { spec: previous.spec }), migrations: [] };
+  }
+
+  let version = known?.version || 1;
+  let migrations = known?.migrations || [];
+  let added = null;
+  if (known) {
+    const { steps, notes } = diffSchemas(known.schema, schema, { app });
+    if (steps.length) {
+      version++;
+      added = { version, steps, notes, at: new Date().toISOString() };
+      migrations = [...migrations, added].slice(-MAX_MIGRATIONS);
+    }
+  }
+  store.set(COLLECTION, app, { app, version, schema, migrations, updatedAt: new Date().toISOString() });
+  return { version, schema, migrations, added };
+}
@@ -9,10 +9,20 @@
  * can be imported as a library for programmatic use.
  */
 
-import { enhance } from '../rune/enhancer.js';
+import { compose } from '../rune/enhancer.js';
 import { validate } from '../rune/validator.js';
+import { judge, blend } from '../rune/judge.js';
+import { classify, brief } from '../rune/intent.js';
+import { generateSpec, normalizeSpec, summarizeSpec } from '../rune/spec.js';
+import { loadLayers } from '../rune/layers.js';
+import { findExamples } from '../rune/examples.js';
+import { loadConfig } from '../config/loader.js';
 import { chain } from '../iterate/chain.js';
-import { route } from '../generators/router.js';
+import { savePatches } from '../iterate/patch.js';
+import { routeDetailed } from '../generators/router.js';
+import { generateSections } from './sections.js';
+import { injectRuntime } from '../renderer/runtime.js';
+import { slugify } from '../renderer/html.js';
 import { sense } from '../context/sensors.js';
 import { loadProfile, profileContext } from '../context/profile.js';
 import { getEvents, calendarContext } from '../context/calendar.js';
@@ -24,13 +34,22 @@ import { record } from '../persistence/history.js';
 
 /**
  * @typedef {object} PipelineResult
- * @property {string} html - Final generated HTML
+ * @property {string} html - Final generated HTML, with the window.forge runtime unless opts.runtime is false
  * @property {number} score - Spinoza validation score
  * @property {object} validation - Full validation breakdown
  * @property {object} context - Context signals used
  * @property {object} profile - User profile used
+ * @property {import('../rune/intent.js').Classification} intent - Archetype the prompt was classified as
+ * @property {import('../rune/spec.js').AppSpec|null} spec - App spec the HTML was built from
  * @property {number} iterations - Total generation iterations
  * @property {string} model - Model used
+ * @property {string} provider - Provider that actually produced the HTML
+ * @property {Array<object>} attempts - Provider attempts (fallback chains may try several)
+ * @property {Array<object>} [sections] - Per-section results in 'sections' mode
+ * @property {Array<object>} [patches] - Refinement patches behind the final HTML (stored under the history ID)
+ * @property {object|null} [judge] - LLM judge verdict when judging was on (see rune/judge.js)
+ * @property {Array<{ id: string, prompt: string, similarity: number }>} examples - History entries shown to the model as examples
+ * @property {string} [id] - History entry ID when persisted
  * @property {string} enhancedPrompt - The RUNE-enhanced prompt
  * @property {number} durationMs - Total pipeline time
  */
@@ -40,9 +59,25 @@ import { record } from '../persistence/history.js';
  * @param {string} prompt - Raw user prompt
  * @param {object} [opts]
  * @param {string} [opts.model='gemini'] - LLM model
- * @param {boolean} [opts.iterate=true] - Use iteration chain
+ * @param {'single'|'sections'} [opts.mode='single'] - 'sections' generates a skeleton, then each section separately
+ * @param {string[]|Record<string, string>} [opts.sectionModels] - Models for sections mode (list to rotate, or id → model)
+ * @param {number} [opts.concurrency=3] - Sections generated in parallel in sections mode
+ * @param {boolean} [opts.iterate=true] - Use iteration chain (ignored in sections mode)
  * @param {number} [opts.maxIterations=3] - Max chain iterations
+ * @param {'patch'|'full'} [opts.refineMode] - How the chain refines (default: config refine.mode)
  * @param {number} [opts.threshold=0.85] - Quality threshold
+ * @param {string} [opts.archetype] - Skip classification and build this archetype (rune/intent.js)
+ * @param {string} [opts.rubric] - Validator rubric (default: the archetype's)
+ * @param {import('../rune/clarify.js').Clarification[]} [opts.clarifications] - Answers to clarify() questions, added to L2
+ * @param {boolean|import('../rune/spec.js').AppSpec} [opts.spec] - Build from this app spec, or `true` to write one
+ *   from the prompt first (rune/spec.js); the validator then checks every declared item
+ * @param {boolean|{ limit?: number, minGrade?: string }} [opts.examples] - Show the model past S/A apps for similar
+ *   intents (default: config examples.enabled; see rune/examples.js)
+ * @param {boolean|{ model?: string, weight?: number }} [opts.judge] - Blend an LLM judge's verdict into the score (default: config judge.enabled)
+ * @param {string} [opts.persona] - Persona whose RUNE layer overrides apply (default: config persona; see rune/layers.js)
+ * @param {boolean} [opts.runtime=true] - Prompt for the window.forge runtime (renderer/runtime.js) and inject it into
+ *   the returned and recorded HTML, namespaced by the prompt's slug as render() does
+ * @param {boolean|string|string[]} [opts.live] - Skill endpoints the app may read from forge-serve while it runs (context/live.js)
  * @param {boolean} [opts.persist=true] - Save to history
  * @param {boolean} [opts.verbose=false] - Verbose logging
  * @param {string} [opts.repoPath] - Git repo for context
@@ -51,8 +86,12 @@ import { record } from '../persistence/history.js';
 export async function pipeline(prompt, opts = {}) {
   const {
     model = 'gemini',
+    mode = 'single',
+    sectionModels,
+    concurrency = 3,
     iterate = true,
     maxIterations = 3,
+    refineMode,
     threshold = 0.85,
     persist = true,
     verbose = false,
@@ -85,61 +124,168 @@ export async function pipeline(prompt, opts = {}) {
 
   log(`📡 Context:\n${contextBlock}`);
 
-  // 2. RUNE Enhancement
+  // 2. What kind of app is this?
+  let spec = opts.spec && typeof opts.spec === 'object' ? normalizeSpec(opts.spec) : null;
+  const given = opts.archetype || spec?.archetype;
+  const intent = given
+    ? { archetype: given, confidence: 1, source: opts.archetype ? 'option' : 'spec', matched: [], scores: {} }
+    : await classify(prompt);
+  const archetype = brief(intent.archetype);
+  const rubric = opts.rubric || archetype.rubric;
+  log(`🧭 Archetype: ${archetype.name} (${intent.source}, ${Math.round(intent.confidence * 100)}%)${archetype.template ? ` — scaffold from ${archetype.template}` : ''}`);
+
+  // 3. Spec first: decide what the app contains before generating it
+  if (opts.spec === true) {
+    log('📐 Writing the app spec...');
+    spec = await generateSpec(prompt, { model, archetype: archetype.name });
+  }
+  if (spec) log(`📐 Spec: ${summarizeSpec(spec)}`);
+
+  // 4. Few-shot examples from history
+  const exampling = { ...loadConfig().examples };
+  if (typeof opts.examples === 'object') Object.assign(exampling, { enabled: true }, opts.examples);
+  else if (opts.examples !== undefined) exampling.enabled = opts.examples;
+  const candidates = exampling.enabled ? findExamples(prompt, { limit: exampling.limit, minGrade: exampling.minGrade }) : [];
+  if (exampling.enabled) log(`📚 Examples: ${candidates.map(ex => `${ex.id} "${ex.prompt}" (${ex.grade})`).join(', ') || 'none similar enough'}`);
+
+  // 5. RUNE Enhancement
   log('✨ Enhancing with RUNE 8-layer framework...');
-  const enhancedPrompt = enhance(prompt, {
-    context: contextBlock,
-    profile,
+  const { prompt: enhancedPrompt, budget, examples: used } = compose(spec?.intent || prompt, {
+    sensorHint: context.contextHint,
+    profileHint: profileCtx,
+    context: { calendar: calendarCtx, weather: weatherCtx, git: gitCtx, music: musicCtx },
+    model,
+    archetype,
+    spec,
+    clarifications: opts.clarifications,
+    examples: candidates,
+    runtime: opts.runtime,
+    live: opts.live,
+    layers: loadLayers({ persona: opts.persona || loadConfig().persona }),
   });
 
-  log(`✨ Enhanced prompt: ${enhancedPrompt.length} chars`);
+  log(`✨ Enhanced prompt: ${enhancedPrompt.length} chars${budget ? ` (~${budget.tokens} of ${budget.limit} tokens)` : ''}`);
+  const trimmed = budget ? [
+    ...budget.dropped.map(d => `${d} context`),
+    ...(budget.droppedExamples ? [`${budget.droppedExamples} example(s)`] : []),
+    ...(archetype.scaffold && !budget.scaffold ? ['scaffold'] : []),
+    ...(budget.compact ? ['compact layers'] : []),
+  ] : [];
+  if (trimmed.length) log(`✂️ Trimmed to fit ${model}: ${trimmed.join(', ')}`);
 
-  // 3. Generate (with or without iteration chain)
-  let html, score, iterations, validation;
+  const examples = candidates
+    .filter(ex => used.includes(ex.id))
+    .map(({ id, prompt: intent, similarity }) => ({ id, prompt: intent, similarity }));
 
-  if (iterate) {
+  // 6. Generate (with or without iteration chain)
+  let html, score, iterations, validation, provider, attempts, sections, patches;
+
+  if (mode === 'sections') {
+    log('🧩 Skeleton-then-sections generation...');
+    const result = await generateSections(enhancedPrompt, {
+      model,
+      sectionModels,
+      concurrency,
+      onStep: (id, status, detail) => {
+        if (status === 'complete' && id === 'skeleton') log(`🦴 Skeleton ready: ${detail.join(', ') || 'no sections'}`);
+        else if (status === 'error') log(`⚠️ Section ${id} failed: ${detail}`);
+        else if (status === 'generating' && id !== 'skeleton') log(`🧩 Section ${id} → ${detail}`);
+      },
+    });
+    html = result.html;
+    provider = result.provider;
+    attempts = result.attempts;
+    sections = result.sections;
+    validation = validate(html, { rubric, spec });
+    score = validation.total || (
+      (validation.conatus + validation.ratio + validation.laetitia + validation.natura) / 4
+    );
+    iterations = 1;
+  } else if (iterate) {
     log('🔄 Running iteration chain...');
     const result = await chain(enhancedPrompt, {
       model,
       maxIterations,
       threshold,
+      refineMode,
+      rubric,
+      spec,
       verbose,
     });
     html = result.html;
     score = result.score;
     iterations = result.iterations;
-    validation = validate(html);
+    provider = result.provider;
+    attempts = result.attempts;
+    patches = result.patches;
+    validation = validate(html, { rubric, spec });
   } else {
     log('⚡ Single-shot generation...');
-    html = await route(enhancedPrompt, { model });
-    validation = validate(html);
+    const generated = await routeDetailed(enhancedPrompt, {
+      model,
+      onContinue: ({ round, reason }) => log(`✂️ Output truncated (${reason}) — continuation ${round}`),
+    });
+    html = generated.html;
+    provider = generated.provider;
+    attempts = generated.attempts;
+    validation = validate(html, { rubric, spec });
     score = validation.total || (
       (validation.conatus + validation.ratio + validation.laetitia + validation.natura) / 4
     );
     iterations = 1;
   }
 
+  // 7. Judge: a model checks the app against the request
+  const judging = { ...loadConfig().judge };
+  if (typeof opts.judge === 'object') Object.assign(judging, { enabled: true }, opts.judge);
+  else if (opts.judge !== undefined) judging.enabled = opts.judge;
+  let verdict = null;
+  if (judging.enabled) {
+    log('⚖️ Judging against the request...');
+    try {
+      verdict = await judge(html, { intent: prompt, model: judging.model || model });
+      validation = blend(validation, verdict, { weight: judging.weight });
+      score = validation.total;
+      log(`⚖️ Intent ${Math.round(verdict.intent * 100)}%${verdict.cached ? ' (cached)' : ''}: ${verdict.summary || 'no summary'}`);
+    } catch (e) {
+      log(`⚠️ Judge failed, keeping the heuristic score: ${e.message}`);
+    }
+  }
+
+  // The prompt promised window.forge, so the HTML has to carry it wherever it ends up
+  if (opts.runtime !== false) html = injectRuntime(html, { app: slugify(spec?.intent || prompt) });
+
   const durationMs = Date.now() - start;
 
-  // 4. Persist
+  // 8. Persist
+  let id;
   if (persist) {
     const entry = {
       prompt,
       model,
+      provider,
+      mode,
+      archetype: archetype.name,
+      spec,
       score,
+      judge: verdict,
+      examples: examples.map(ex => ex.id),
       iterations,
       durationMs,
       timestamp: new Date().toISOString(),
     };
     try {
       set('pipeline-runs', Date.now().toString(), entry);
-      record({ ...entry, htmlLength: html.length });
+      id = record({ ...entry, grade: validation.grade, code: html });
+      if (patches?.length) savePatches(id, patches);
       log('💾 Saved to history');
     } catch (e) {
       log(`⚠️ Persist failed: ${e.message}`);
     }
   }
 
+  if (attempts?.length > 1) log(`🔀 Fallback: ${attempts.map(a => `${a.model}${a.ok ? ' ✓' : ` ✗ (${a.errorClass})`}`).join(' → ')}`);
+  if (patches?.length) log(`🩹 ${patches.length} patch(es) applied: ${patches.map(p => `${p.id} (${p.edits.length} edits)`).join(', ')}`);
   log(`✅ Pipeline complete: score=${score.toFixed(2)}, iterations=${iterations}, ${durationMs}ms`);
 
   return {
@@ -148,8 +294,17 @@ export async function pipeline(prompt, opts = {}) {
     validation,
     context: { environment: context, calendar: calendarCtx, weather: weatherCtx, git: gitCtx },
     profile,
+    intent,
+    spec,
     iterations,
     model,
+    provider,
+    attempts,
+    sections,
+    patches,
+    judge: verdict,
+    examples,
+    id,
     enhancedPrompt,
     durationMs,
   };
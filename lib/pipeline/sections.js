@@ -0,0 +1,458 @@
+/**
+ * Sections Mode — Skeleton-then-sections generation for apps too large for
+ * one completion.
+ *
+ * Phase 1 asks for a skeleton: the full document shell with layout, CSS
+ * variables, shared styles/helpers, a section manifest and one named
+ * placeholder per section. Phase 2 generates each section in its own call
+ * with the skeleton as context — in parallel, and optionally on different
+ * models. The fragments are then assembled into the skeleton as one app,
+ * with their CSS and JS hoisted and de-duplicated rather than stacked.
+ *
+ * Placeholder contract (what the skeleton must contain):
+ *
+ *   <script type="application/json" id="forge-sections">
+ *     [{ "id": "kpis", "title": "KPI cards", "description": "..." }]
+ *   </script>
+ *   ...
+ *   <!-- forge:section kpis -->
+ *
+ * This is the recipe engine's merge step (recipe/engine.js) grown up: a
+ * recipe merge step with a `skeleton` source uses assemble() from here.
+ *
+ * @module pipeline/sections
+ */
+
+import { routeDetailed } from '../generators/router.js';
+
+const MANIFEST_RE = /<script[^>]*id=["']forge-sections["'][^>]*>([\s\S]*?)<\/script>\s*/i;
+const PLACEHOLDER_RE = /<!--\s*forge:section\s+([\w-]+)\s*-->/g;
+const SKELETON_CONTEXT_CHARS = 12_000;
+
+/**
+ * Prompt for phase 1.
+ * @param {string} prompt - The (enhanced) app prompt
+ * @param {object} [opts]
+ * @param {number} [opts.maxSections=8]
+ * @returns {string}
+ */
+export function skeletonPrompt(prompt, opts = {}) {
+  const { maxSections = 8 } = opts;
+  return `${prompt}
+
+---
+## Generation Mode: Skeleton First
+This app is too large for one response, so produce ONLY its skeleton now. Sections are filled in separately.
+
+The skeleton is a complete HTML document containing:
+- The page layout (header, navigation, grid/regions) and all shared chrome
+- :root CSS custom properties for the whole design system, plus base/layout styles
+- Shared JavaScript state and helpers that sections will use, attached to \`window.app\`
+- A section manifest, exactly in this form, listing 2–${maxSections} sections:
+  <script type="application/json" id="forge-sections">[{"id": "kebab-id", "title": "Title", "description": "What this section shows and does"}]</script>
+- One placeholder comment per section where its content belongs: <!-- forge:section kebab-id -->
+
+Do NOT implement the sections themselves.`;
+}
+
+/**
+ * Prompt for one section in phase 2.
+ * @param {string} prompt - The (enhanced) app prompt
+ * @param {string} skeleton - Skeleton HTML from phase 1
+ * @param {{ id: string, title: string, description: string }} section
+ * @returns {string}
+ */
+export function sectionPrompt(prompt, skeleton, section) {
+  const context = skeleton.length > SKELETON_CONTEXT_CHARS
+    ? skeleton.slice(0, SKELETON_CONTEXT_CHARS) + '\n<!-- skeleton truncated -->'
+    : skeleton;
+
+  return `${prompt}
+
+---
+## Generation Mode: One Section
+The app skeleton below is already written. Implement ONLY the section "${section.id}" (${section.title}): ${section.description || section.title}
+
+<<<SKELETON
+${context}
+SKELETON>>>
+
+Output ONLY an HTML fragment — no <!DOCTYPE>, <html>, <head> or <body>, no markdown fences:
+- One root element: <section data-forge-section="${section.id}">…</section>
+- Optionally one <style> with rules scoped under [data-forge-section="${section.id}"]; use the skeleton's CSS variables, do not redefine :root
+- Optionally one <script> for this section's behaviour; use window.app helpers from the skeleton instead of redefining them`;
+}
+
+/**
+ * Read the section list from a skeleton.
+ * Falls back to placeholder ids when the manifest is missing or broken.
+ * @param {string} skeleton
+ * @returns {Array<{ id: string, title: string, description: string }>}
+ */
+export function parseSkeleton(skeleton) {
+  const placeholders = [...skeleton.matchAll(PLACEHOLDER_RE)].map(m => m[1]);
+  let manifest = [];
+  const match = MANIFEST_RE.exec(skeleton);
+  if (match) {
+    try {
+      const parsed = JSON.parse(match[1]);
+      if (Array.isArray(parsed)) manifest = parsed.filter(s => s && s.id);
+    } catch { /* fall back to placeholders */ }
+  }
+
+  const byId = new Map(manifest.map(s => [String(s.id), s]));
+  const ids = placeholders.length ? placeholders : [...byId.keys()];
+  return [...new Set(ids)].map(id => ({
+    id,
+    title: byId.get(id)?.title || id,
+    description: byId.get(id)?.description || '',
+  }));
+}
+
+const REGEX_AFTER = /[(,=:[!&|?{};+\-*%<>~^]/;
+const REGEX_KEYWORD = /(?:^|[^\w$.])(?:return|typeof|case|do|else|in|of|new|delete|void|throw|instanceof|yield|await)\s*$/;
+
+/**
+ * Whether the `/` at `i` starts a regex literal rather than a division,
+ * judging by the last significant character before it.
+ */
+function startsRegex(source, i, last) {
+  return last === null || REGEX_AFTER.test(last) || REGEX_KEYWORD.test(source.slice(Math.max(0, i - 12), i));
+}
+
+/** Index just past the regex literal (and its flags) starting at `i`. */
+function regexEnd(source, i) {
+  let inClass = false;
+  for (i++; i < source.length && source[i] !== '\n'; i++) {
+    const ch = source[i];
+    if (ch === '\\') i++;
+    else if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    else if (ch === '/' && !inClass) break;
+  }
+  i++;
+  while (i < source.length && /[a-z]/i.test(source[i])) i++;
+  return i;
+}
+
+/**
+ * Split source into top-level chunks — CSS rules or JS statements —
+ * skipping over strings, template literals, regex literals and comments.
+ * @param {string} source
+ * @param {'css'|'js'} lang
+ * @returns {string[]}
+ */
+function splitTopLevel(source, lang) {
+  const chunks = [];
+  let depth = 0;
+  let start = 0;
+  let i = 0;
+  let last = null;
+
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+      continue;
+    }
+    if (lang === 'js' && ch === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || (lang === 'js' && ch === '`')) {
+      i++;
+      while (i < source.length && source[i] !== ch) i += source[i] === '\\' ? 2 : 1;
+      i++;
+      last = ch;
+      continue;
+    }
+    if (lang === 'js' && ch === '/' && startsRegex(source, i, last)) {
+      i = regexEnd(source, i);
+      last = '/';
+      continue;
+    }
+
+    if (ch === '{' || (lang === 'js' && (ch === '(' || ch === '['))) depth++;
+    else if (ch === '}' || (lang === 'js' && (ch === ')' || ch === ']'))) depth = Math.max(0, depth - 1);
+
+    const endsChunk = depth === 0 && (
+      ch === ';'
+      || (ch === '}' && (lang === 'css' || /^\s*(\n|$)/.test(source.slice(i + 1, i + 3))))
+    );
+    if (endsChunk) {
+      chunks.push(source.slice(start, i + 1));
+      start = i + 1;
+    }
+    if (!/\s/.test(ch)) last = ch;
+    i++;
+  }
+
+  const rest = source.slice(start);
+  if (rest.trim()) chunks.push(rest);
+  return chunks.map(c => c.trim()).filter(Boolean);
+}
+
+const normalize = (chunk) => chunk.replace(/\s+/g, ' ').trim();
+
+/** Names declared by a top-level JS statement. */
+function declaredName(statement) {
+  const m = /^(?:export\s+)?(?:async\s+)?(?:function\s*\*?\s*([\w$]+)|(?:const|let|var|class)\s+([\w$]+))/.exec(statement);
+  return m ? (m[1] || m[2]) : null;
+}
+
+/**
+ * Pull <style> and <script> blocks out of a fragment.
+ * @param {string} fragment
+ * @returns {{ markup: string, css: string[], js: string[], external: string[] }}
+ */
+function extractAssets(fragment) {
+  const css = [];
+  const js = [];
+  const external = [];
+
+  let markup = fragment.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (_, body) => {
+    css.push(body);
+    return '';
+  });
+  markup = markup.replace(/<script([^>]*)>([\s\S]*?)<\/script>/gi, (tag, attrs, body) => {
+    if (/\bsrc=/i.test(attrs)) external.push(tag);
+    else if (!/type=["']application\/(ld\+)?json["']/i.test(attrs)) js.push(body);
+    else return tag;
+    return '';
+  });
+
+  // Models sometimes wrap a fragment in a full document anyway
+  const body = /<body[^>]*>([\s\S]*?)<\/body>/i.exec(markup);
+  if (body) markup = body[1];
+  markup = markup.replace(/<\/?(?:!DOCTYPE|html|head|body)[^>]*>/gi, '');
+
+  return { markup: markup.trim(), css, js, external };
+}
+
+/**
+ * Merge CSS blocks, dropping rules already present (in the skeleton or an earlier section).
+ * @param {string[]} blocks
+ * @param {string} [existing] - CSS already in the document
+ * @returns {string}
+ */
+export function mergeCss(blocks, existing = '') {
+  const seen = new Set(splitTopLevel(existing, 'css').map(normalize));
+  const out = [];
+  for (const block of blocks) {
+    for (const rule of splitTopLevel(block, 'css')) {
+      const key = normalize(rule);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(rule);
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Merge section scripts into one, dropping statements that are exact
+ * duplicates. A section that declares a name some earlier code already
+ * declared differently is wrapped in a block so the two don't collide.
+ * @param {Array<{ id: string, js: string[] }>} sections
+ * @param {string} [existing] - JS already in the document
+ * @returns {string}
+ */
+export function mergeJs(sections, existing = '') {
+  const seen = new Set();
+  const declared = new Map();
+  for (const statement of splitTopLevel(existing, 'js')) {
+    seen.add(normalize(statement));
+    const name = declaredName(statement);
+    if (name) declared.set(name, normalize(statement));
+  }
+
+  const parts = [];
+  for (const { id, js } of sections) {
+    const kept = [];
+    let conflict = false;
+    for (const statement of js.flatMap(block => splitTopLevel(block, 'js'))) {
+      const key = normalize(statement);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const name = declaredName(statement);
+      if (name) {
+        if (declared.has(name) && declared.get(name) !== key) conflict = true;
+        else declared.set(name, key);
+      }
+      kept.push(statement);
+    }
+    if (!kept.length) continue;
+    const code = kept.join('\n');
+    parts.push(`// ── section: ${id} ──\n${conflict ? `{\n${code}\n}` : code}`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Section code for a skeleton that keeps its shared helpers in a module
+ * script. Modules run after classic scripts, so the sections wait for
+ * DOMContentLoaded (by then window.app exists) and put their functions on
+ * window for inline handlers.
+ * @param {string} js - Merged section code
+ * @returns {string}
+ */
+function afterModules(js) {
+  const functions = splitTopLevel(js, 'js')
+    .map(statement => statement.replace(/^(?:\s*\/\/[^\n]*|\s*\/\*[\s\S]*?\*\/)*\s*/, ''))
+    .filter(statement => /^(?:async\s+)?function\b/.test(statement))
+    .map(declaredName)
+    .filter(Boolean);
+  const exported = functions.length ? `\nObject.assign(window, { ${[...new Set(functions)].join(', ')} });` : '';
+  return `document.addEventListener('DOMContentLoaded', () => {\n${js}${exported}\n});`;
+}
+
+/**
+ * Assemble section fragments into the skeleton as a single document.
+ * @param {string} skeleton - Skeleton HTML with placeholders
+ * @param {Array<{ id: string, html: string }>} fragments - In section order
+ * @returns {string}
+ */
+export function assemble(skeleton, fragments) {
+  const extracted = fragments.map(f => ({ id: f.id, ...extractAssets(f.html || '') }));
+  const byId = new Map(extracted.map(f => [f.id, f]));
+
+  const existingCss = [...skeleton.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)].map(m => m[1]).join('\n');
+  // Module code is out of the sections' scope, so it does not count as already there
+  const existingJs = [...skeleton.matchAll(/<script(?![^>]*\bsrc=)(?![^>]*application\/(?:ld\+)?json)(?![^>]*\btype=["']?module\b)[^>]*>([\s\S]*?)<\/script>/gi)]
+    .map(m => m[1]).join('\n');
+
+  let html = skeleton.replace(MANIFEST_RE, '');
+  const placed = new Set();
+  html = html.replace(PLACEHOLDER_RE, (match, id) => {
+    const f = byId.get(id);
+    if (!f) return match;
+    placed.add(id);
+    return f.markup;
+  });
+
+  // Sections without a placeholder go at the end of <main>, or the body
+  const orphans = extracted.filter(f => !placed.has(f.id)).map(f => f.markup).join('\n');
+  if (orphans) {
+    html = /<\/main>/i.test(html)
+      ? html.replace(/<\/main>/i, `${orphans}\n</main>`)
+      : html.replace(/<\/body>/i, `${orphans}\n</body>`);
+  }
+
+  const css = mergeCss(extracted.flatMap(f => f.css), existingCss);
+  if (css) {
+    html = /<\/head>/i.test(html)
+      ? html.replace(/<\/head>/i, `<style data-forge-sections>\n${css}\n</style>\n</head>`)
+      : `<style data-forge-sections>\n${css}\n</style>\n${html}`;
+  }
+
+  const external = [...new Set(extracted.flatMap(f => f.external))].filter(tag => !html.includes(tag));
+  const merged = mergeJs(extracted, existingJs);
+  const js = merged && /<script[^>]*\btype=["']?module\b/i.test(skeleton) ? afterModules(merged) : merged;
+  const scripts = [...external, js ? `<script data-forge-sections>\n${js}\n</script>` : ''].filter(Boolean).join('\n');
+  if (scripts) {
+    html = /<\/body>/i.test(html)
+      ? html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${scripts}\n</body>`)
+      : `${html}\n${scripts}`;
+  }
+
+  return html;
+}
+
+/** Text that cannot end the HTML comment it is put in (provider errors are arbitrary text). */
+const commentText = (text) => String(text).replace(/-{2,}/g, '-').replace(/>/g, '&gt;');
+
+/**
+ * Pick the model for a section.
+ * @param {object} section
+ * @param {number} index
+ * @param {string} model - Default model
+ * @param {string[]|Record<string, string>} [sectionModels]
+ * @returns {string}
+ */
+function modelFor(section, index, model, sectionModels) {
+  if (Array.isArray(sectionModels) && sectionModels.length) return sectionModels[index % sectionModels.length];
+  if (sectionModels && typeof sectionModels === 'object') return sectionModels[section.id] || model;
+  return model;
+}
+
+/**
+ * @typedef {object} SectionsResult
+ * @property {string} html - Assembled document
+ * @property {string} skeleton - Phase 1 output
+ * @property {Array<{ id: string, title: string, model: string, provider: string|null, ok: boolean, error?: string }>} sections
+ * @property {string} provider - Provider that produced the skeleton
+ * @property {Array<object>} attempts - Skeleton provider attempts
+ */
+
+/**
+ * Generate an app skeleton-first, then each section, then assemble.
+ * @param {string} prompt - The (enhanced) app prompt
+ * @param {object} [opts]
+ * @param {string} [opts.model='gemini'] - Model for the skeleton (and sections by default)
+ * @param {string[]|Record<string, string>} [opts.sectionModels] - Rotate through a list, or map section id → model
+ * @param {number} [opts.concurrency=3] - Sections generated at once
+ * @param {number} [opts.maxSections=8]
+ * @param {function} [opts.onStep] - Called with (sectionId, status, detail) like recipe steps
+ * @param {function} [opts.generate] - Override for routeDetailed (testing)
+ * @returns {Promise<SectionsResult>}
+ */
+export async function generateSections(prompt, opts = {}) {
+  const {
+    model = 'gemini',
+    sectionModels,
+    concurrency = 3,
+    maxSections = 8,
+    onStep,
+    generate = routeDetailed,
+    ...routeOpts
+  } = opts;
+
+  onStep?.('skeleton', 'generating', model);
+  const skel = await generate(skeletonPrompt(prompt, { maxSections }), { ...routeOpts, model });
+  const skeleton = skel.html;
+  const sections = parseSkeleton(skeleton).slice(0, maxSections);
+  onStep?.('skeleton', 'complete', sections.map(s => s.id));
+
+  if (sections.length === 0) {
+    return { html: skeleton, skeleton, sections: [], provider: skel.provider, attempts: skel.attempts };
+  }
+
+  // Concurrency-limited chunks, the same way batch.js runs items
+  const results = [];
+  for (let i = 0; i < sections.length; i += concurrency) {
+    const chunk = sections.slice(i, i + concurrency);
+    const settled = await Promise.all(chunk.map(async (section, j) => {
+      const sectionModel = modelFor(section, i + j, model, sectionModels);
+      onStep?.(section.id, 'generating', sectionModel);
+      try {
+        const out = await generate(sectionPrompt(prompt, skeleton, section), {
+          ...routeOpts,
+          model: sectionModel,
+          fragment: true,
+        });
+        onStep?.(section.id, 'complete', out.html);
+        return { ...section, model: out.model, provider: out.provider, ok: true, html: out.html };
+      } catch (err) {
+        onStep?.(section.id, 'error', err.message);
+        return {
+          ...section, model: sectionModel, provider: null, ok: false, error: err.message,
+          html: `<!-- Error in section ${commentText(section.id)}: ${commentText(err.message)} -->`,
+        };
+      }
+    }));
+    results.push(...settled);
+  }
+
+  const html = assemble(skeleton, results.map(r => ({ id: r.id, html: r.html })));
+  return {
+    html,
+    skeleton,
+    sections: results.map(({ html: _html, ...rest }) => rest),
+    provider: skel.provider,
+    attempts: skel.attempts,
+  };
+}
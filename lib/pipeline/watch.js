@@ -15,8 +15,12 @@ import { watch, readFileSync, existsSync, statSync } from 'node:fs';
 import { join, basename, extname } from 'node:path';
 import { createChannel, createSSEServer } from '../sse/server.js';
 import { enhance } from '../rune/enhancer.js';
+import { loadLayers } from '../rune/layers.js';
+import { loadConfig } from '../config/loader.js';
 import { validate } from '../rune/validator.js';
 import { buildSystemInstruction } from '../rune/system-instruction.js';
+import { injectRuntime } from '../renderer/runtime.js';
+import { slugify } from '../renderer/html.js';
 
 /**
  * Debounce utility — avoids triggering on every keystroke.
@@ -105,7 +109,7 @@ export async function watchMode(target, opts = {}) {
         html = await generate(promptText, model);
       } else {
         // Default: enhance + generate via router
-        const enhanced = enhance(promptText);
+        const enhanced = enhance(promptText, { layers: loadLayers({ persona: loadConfig().persona }) });
         const sysInstruction = buildSystemInstruction({ model, features: ['responsive', 'animated'] });
 
         // Dynamic import to avoid circular deps
@@ -116,7 +120,7 @@ export async function watchMode(target, opts = {}) {
 
       const elapsed = Date.now() - startTime;
       const validation = validate(html);
-      lastHtml = html;
+      lastHtml = injectRuntime(html, { app: slugify(basename(filePath, extname(filePath))) });
 
       channel.broadcast({
         type: 'result',
@@ -12,6 +12,10 @@
  *     hooks: { beforeGenerate(state) { ... } },   // lifecycle hooks
  *     context(opts) { return '...'; },              // L1 context sensor
  *     commands: { 'my-cmd': { desc, run(args) } }, // CLI commands
+ *     providers: [{ name, match, env, generate, models: [...] }], // new LLM providers
+ *     models: { ollama: [{ id, aliases, contextWindow, cost }] },  // extra models for existing providers
+ *     rules: [{ id, axis, weight, penalty, detect(ctx), issue, hint }], // validator rules (rune/rules.js)
+ *     rubrics: [{ name, extends, weights, expects }],                  // validator rubrics per app archetype
  *     init() { ... },                               // called once on load
  *     destroy() { ... },                            // called on unload
  *   }
@@ -24,6 +28,8 @@ import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { registerPlugin, unregisterPlugin } from '../hooks/lifecycle.js';
+import { registerProvider, registerModel, unregisterSource } from '../generators/registry.js';
+import { registerRule, registerRubric, unregisterSource as unregisterRules } from '../rune/rules.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PLUGINS_DIR = join(__dirname, '..', '..', 'plugins');
@@ -113,6 +119,16 @@ export async function enable(name) {
     registerPlugin({ name: plugin.name, hooks: plugin.hooks, priority: plugin.priority });
   }
 
+  // Register providers before extra models, so a plugin can extend its own provider
+  for (const spec of plugin.providers || []) {
+    registerProvider(spec, { source: plugin.name });
+  }
+  for (const [provider, models] of Object.entries(plugin.models || {})) {
+    for (const model of models) registerModel(provider, model, { source: plugin.name });
+  }
+  for (const rule of plugin.rules || []) registerRule(rule, { source: plugin.name });
+  for (const rubric of plugin.rubrics || []) registerRubric(rubric, { source: plugin.name });
+
   // Run init
   if (typeof plugin.init === 'function') {
     await plugin.init();
@@ -132,8 +148,10 @@ export async function disable(name) {
 
   const plugin = entry.module;
 
-  // Unregister hooks
+  // Unregister hooks and any providers/models/rules it added
   unregisterPlugin(plugin.name);
+  unregisterSource(plugin.name);
+  unregisterRules(plugin.name);
 
   // Run destroy
   if (typeof plugin.destroy === 'function') {
@@ -145,7 +163,7 @@ export async function disable(name) {
 
 /**
  * List all registered plugins.
- * @returns {Array<{name: string, version: string, description: string, enabled: boolean, hasHooks: boolean, hasContext: boolean, hasCommands: boolean}>}
+ * @returns {Array<{name: string, version: string, description: string, enabled: boolean, hasHooks: boolean, hasContext: boolean, hasCommands: boolean, hasProviders: boolean, hasRules: boolean}>}
  */
 export function list() {
   return [...registry.values()].map(({ meta, module, enabled }) => ({
@@ -156,6 +174,8 @@ export function list() {
     hasHooks: !!(module.hooks && Object.keys(module.hooks).length),
     hasContext: typeof module.context === 'function',
     hasCommands: !!(module.commands && Object.keys(module.commands).length),
+    hasProviders: !!(module.providers?.length || (module.models && Object.keys(module.models).length)),
+    hasRules: !!(module.rules?.length || module.rubrics?.length),
   }));
 }
 
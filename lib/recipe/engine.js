@@ -14,11 +14,22 @@
  *   ],
  *   variables: { product: "AI Dashboard Builder" }
  * }
+ *
+ * A merge step with a `skeleton` source assembles the other sources into that
+ * skeleton's `<!-- forge:section id -->` placeholders as one app, with CSS/JS
+ * de-duplicated (see pipeline/sections.js), instead of stacking them:
+ *   { id: "app", type: "merge", skeleton: "layout", sources: ["kpis", "charts"] }
+ *
+ * `{{stepId.output}}` embeds earlier output whole when the step's model has
+ * room for it; otherwise the outputs share what the rest of the prompt leaves
+ * of the model's budget (rune/budget.js) and are cut to their share.
  */
 
 import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, unlinkSync } from 'fs';
 import { homedir } from 'os';
 import { join } from 'path';
+import { assemble } from '../pipeline/sections.js';
+import { budgetFor, estimateTokens, trimToTokens, overflow } from '../rune/budget.js';
 
 const RECIPE_DIR = join(homedir(), '.modus-forge', 'recipes');
 
@@ -26,20 +37,39 @@ function ensureDir() {
   if (!existsSync(RECIPE_DIR)) mkdirSync(RECIPE_DIR, { recursive: true });
 }
 
+const REF = /\{\{(\w+(?:\.\w+)?)\}\}/g;
+
 /**
- * Interpolate {{variable}} and {{stepId.output}} references in a string
+ * Interpolate {{variable}} and {{stepId.output}} references in a string.
+ * Step outputs are cut to fit the model's budget, each to an equal share
+ * of what the rest of the prompt leaves.
+ * @param {string} template
+ * @param {object} [variables]
+ * @param {object} [stepOutputs]
+ * @param {string} [model] - Model the prompt goes to (no budget when omitted)
+ * @returns {string}
+ * @throws {import('../rune/budget.js').BudgetError} when the prompt does not fit even without the outputs
  */
-function interpolate(template, variables = {}, stepOutputs = {}) {
-  return template.replace(/\{\{(\w+(?:\.\w+)?)\}\}/g, (match, key) => {
-    if (key.includes('.')) {
-      const [stepId, field] = key.split('.');
-      if (stepOutputs[stepId] && field === 'output') {
-        const out = stepOutputs[stepId];
-        return out.length > 2000 ? out.slice(0, 2000) + '\n<!-- truncated -->' : out;
-      }
-    }
+export function interpolate(template, variables = {}, stepOutputs = {}, model = null) {
+  const outputOf = (key) => {
+    const [stepId, field] = key.split('.');
+    return field === 'output' && stepOutputs[stepId] ? stepOutputs[stepId] : null;
+  };
+  const fill = (share) => template.replace(REF, (match, key) => {
+    const out = key.includes('.') ? outputOf(key) : null;
+    if (out !== null) return share === Infinity ? out : trimToTokens(out, share);
     return variables[key] ?? match;
   });
+
+  const whole = fill(Infinity);
+  const budget = model ? budgetFor(model) : null;
+  if (!budget || estimateTokens(whole) <= budget.limit) return whole;
+
+  const refs = [...template.matchAll(REF)].filter(([, key]) => key.includes('.') && outputOf(key) !== null);
+  const rest = estimateTokens(fill(0));
+  const share = Math.floor((budget.limit - rest) / Math.max(refs.length, 1));
+  if (!refs.length || share <= 0) throw overflow(`The prompt for this step`, estimateTokens(whole), budget);
+  return fill(share);
 }
 
 /**
@@ -84,13 +114,14 @@ export async function execute(recipe, generateFn, onStep = null) {
     const start = Date.now();
 
     if (step.type === 'merge') {
-      outputs[step.id] = mergeOutputs(step.sources || [], outputs);
+      outputs[step.id] = step.skeleton
+        ? assemble(outputs[step.skeleton] || '', (step.sources || []).map(id => ({ id, html: outputs[id] || '' })))
+        : mergeOutputs(step.sources || [], outputs);
       if (onStep) onStep(step.id, 'merged', outputs[step.id]);
     } else {
-      const resolvedPrompt = interpolate(step.prompt, variables, outputs);
-      if (onStep) onStep(step.id, 'generating', resolvedPrompt);
-
       try {
+        const resolvedPrompt = interpolate(step.prompt, variables, outputs, step.provider || 'gemini');
+        if (onStep) onStep(step.id, 'generating', resolvedPrompt);
         const output = await generateFn(resolvedPrompt, step.provider || 'gemini');
         outputs[step.id] = output;
         if (onStep) onStep(step.id, 'complete', output);
@@ -1,30 +1,83 @@
 /**
  * HTML Renderer — Writes generated HTML to disk
+ *
+ * The window.forge runtime (renderer/runtime.js) is injected on the way
+ * out, namespaced by the intent's slug, so every version of the same app
+ * reads the same data; when the new version stores it differently, the
+ * migrations persistence/schema.js works out are injected too.
  */
 
 import { mkdirSync, writeFileSync } from 'node:fs';
 import { join } from 'node:path';
+import { injectRuntime, extractRuntime } from './runtime.js';
+import { carryOver, injectMigrations, stripMigrations } from '../persistence/schema.js';
+import * as history from '../persistence/history.js';
+
+/**
+ * File-name slug for an intent.
+ * @param {string} [intent]
+ * @returns {string}
+ */
+export function slugify(intent) {
+  return (intent || 'app')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 40);
+}
+
+/**
+ * The newest history version of an app other than this code.
+ */
+function previousVersion(app, code) {
+  for (const entry of history.list({ limit: 200 })) {
+    if (slugify(entry.prompt) !== app) continue;
+    const stored = stripMigrations(extractRuntime(history.getCode(entry.id) || '').html);
+    if (stored && stored !== code) return { code: stored, spec: entry.spec };
+  }
+  return null;
+}
+
+/**
+ * Turn generated HTML into the file the user opens: data migrations from
+ * earlier versions of the same app, then the window.forge runtime.
+ * @param {string} html - Generated HTML (an earlier runtime or migration script is replaced)
+ * @param {object} [opts]
+ * @param {string} [opts.app] - App identity (default: the intent's slug)
+ * @param {string} [opts.intent]
+ * @param {object} [opts.spec] - App spec the HTML was built from (rune/spec.js)
+ * @param {boolean} [opts.runtime=true] - Inject the window.forge runtime
+ * @param {boolean} [opts.migrate=true] - Remember the data schema and carry data over from earlier versions
+ * @param {(migration: import('../persistence/schema.js').Migration) => void} [opts.onMigration] - Called when this version needs a new migration
+ * @returns {string}
+ */
+export function prepare(html, opts = {}) {
+  const app = opts.app || slugify(opts.intent);
+  let code = stripMigrations(extractRuntime(html).html);
+  if (opts.migrate !== false) {
+    const { migrations, added } = carryOver(code, { app, spec: opts.spec, previous: () => previousVersion(app, code) });
+    if (added) opts.onMigration?.(added);
+    code = injectMigrations(code, app, migrations);
+  }
+  return opts.runtime === false ? code : injectRuntime(code, { app });
+}
 
 /**
  * Render HTML to a file.
  * @param {string} html - Complete HTML string
- * @param {object} opts - { dir, intent }
+ * @param {object} opts - { dir, intent, spec, runtime, migrate, onMigration } (see prepare())
  * @returns {Promise<string>} Output file path
  */
 export async function render(html, opts = {}) {
   const dir = opts.dir || 'output';
-  const slug = (opts.intent || 'app')
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-|-$/g, '')
-    .slice(0, 40);
+  const slug = slugify(opts.intent);
 
   const timestamp = new Date().toISOString().slice(0, 10);
   const filename = `${slug}-${timestamp}.html`;
 
   mkdirSync(dir, { recursive: true });
   const outputPath = join(dir, filename);
-  writeFileSync(outputPath, html, 'utf-8');
+  writeFileSync(outputPath, prepare(html, { ...opts, app: slug }), 'utf-8');
 
   return outputPath;
 }
@@ -0,0 +1,351 @@
+/**
+ * Forge Runtime — The `window.forge` bridge injected into every rendered app.
+ *
+ * Left to themselves, generated apps each invent a localStorage schema and
+ * an export button, if they remember one at all. The renderer injects this
+ * runtime instead, and the prompt tells the model to build on it:
+ *
+ *   forge.storage.get(key, fallback) / set / remove / keys / all / clear
+ *       JSON values under `forge:<app>:<key>`, in memory when storage is blocked
+ *   forge.schema.migrate(version, { 2: (storage) => …, 3: … })
+ *       runs each migration above the stored version once, in order
+ *   forge.export({ format: 'json'|'csv', key }) / forge.import(fileOrText, { key, merge })
+ *       a versioned JSON envelope of all data, or one array key as CSV
+ *   forge.theme.set(name, vars?) / get / list / onChange(fn)
+ *       applies a theme's CSS variables and remembers the choice
+ *
+ * forgeRuntime() is written as plain browser JavaScript with no imports: it
+ * is stringified into the page (runtimeScript), and the smoke test loads it
+ * the same way, so it is tested as shipped.
+ *
+ * "The more an individual can do, the more reality it possesses." — Spinoza
+ *
+ * @module renderer/runtime
+ */
+
+import { THEMES } from '../themes/manager.js';
+
+export const RUNTIME_VERSION = 1;
+
+const TAG = /<script id="forge-runtime"(?: data-app="([^"]*)")?>[\s\S]*?<\/script>\n?/;
+
+/**
+ * The runtime itself. Installs and returns `global.forge`; an existing
+ * runtime is left alone.
+ * @param {object} global - `window` (or a stand-in with localStorage/document)
+ * @param {string} app - Storage namespace
+ * @param {Record<string, Record<string, string>>} [themes] - Theme name → CSS variables
+ * @param {number} [version]
+ * @returns {object}
+ */
+export function forgeRuntime(global, app, themes, version) {
+  if (global.forge && global.forge.runtime) return global.forge;
+  themes = themes || {};
+  const prefix = 'forge:' + app + ':';
+  const memory = new Map();
+  let local = null;
+  try {
+    local = global.localStorage;
+    local.setItem(prefix + '@probe', '1');
+    local.removeItem(prefix + '@probe');
+  } catch (e) {
+    local = null;
+  }
+
+  const raw = {
+    get(name) {
+      if (local) { try { return local.getItem(prefix + name); } catch (e) { /* fall through */ } }
+      return memory.has(name) ? memory.get(name) : null;
+    },
+    set(name, text) {
+      if (local) {
+        try { local.setItem(prefix + name, text); return true; } catch (e) { return false; }
+      }
+      memory.set(name, text);
+      return true;
+    },
+    remove(name) {
+      if (local) { try { local.removeItem(prefix + name); } catch (e) { /* ignore */ } }
+      memory.delete(name);
+    },
+    names() {
+      if (!local) return Array.from(memory.keys());
+      const found = [];
+      try {
+        for (let i = 0; i < local.length; i++) {
+          const full = local.key(i);
+          if (full && full.indexOf(prefix) === 0) found.push(full.slice(prefix.length));
+        }
+      } catch (e) { /* ignore */ }
+      return found;
+    },
+  };
+  const meta = (name, value) => {
+    if (value === undefined) {
+      const text = raw.get('@' + name);
+      try { return text === null ? null : JSON.parse(text); } catch (e) { return null; }
+    }
+    raw.set('@' + name, JSON.stringify(value));
+    return value;
+  };
+
+  const storage = {
+    get(key, fallback) {
+      const text = raw.get(key);
+      if (text === null) return fallback === undefined ? null : fallback;
+      try { return JSON.parse(text); } catch (e) { return fallback === undefined ? null : fallback; }
+    },
+    set(key, value) {
+      const ok = raw.set(key, JSON.stringify(value));
+      if (!ok && global.console) global.console.warn('forge.storage: could not save "' + key + '" (storage full?)');
+      return ok;
+    },
+    remove(key) { raw.remove(key); },
+    keys() { return raw.names().filter((name) => name.charAt(0) !== '@').sort(); },
+    all() {
+      const data = {};
+      storage.keys().forEach((key) => { data[key] = storage.get(key); });
+      return data;
+    },
+    clear() { storage.keys().forEach((key) => raw.remove(key)); },
+  };
+
+  let declared = null;
+  const runMigrations = (from, to, steps) => {
+    let reached = from;
+    for (let v = from + 1; v <= to; v++) {
+      if (typeof steps[v] === 'function') {
+        try {
+          steps[v](storage, v);
+        } catch (e) {
+          if (global.console) global.console.error('forge.schema: migration to version ' + v + ' failed', e);
+          break;
+        }
+      }
+      reached = v;
+    }
+    meta('schema', reached);
+    return reached;
+  };
+  const schema = {
+    version() { return meta('schema'); },
+    migrate(to, steps) {
+      declared = { to: to, steps: steps || {} };
+      const stored = meta('schema');
+      // No version yet: data from before the app used schemas starts at 0, a fresh install at the target
+      const from = typeof stored === 'number' ? stored : storage.keys().length ? 0 : to;
+      return { from: from, to: from >= to ? meta('schema', from) : runMigrations(from, to, declared.steps) };
+    },
+  };
+
+  const cell = (value) => {
+    const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  };
+  const toCSV = (rows) => {
+    const objects = rows.every((row) => row && typeof row === 'object' && !Array.isArray(row));
+    const columns = [];
+    if (objects) rows.forEach((row) => Object.keys(row).forEach((c) => { if (columns.indexOf(c) === -1) columns.push(c); }));
+    const lines = objects
+      ? [columns.map(cell).join(',')].concat(rows.map((row) => columns.map((c) => cell(row[c])).join(',')))
+      : ['value'].concat(rows.map(cell));
+    return lines.join('\r\n') + '\r\n';
+  };
+  const typed = (text) => {
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    if (text === 'true' || text === 'false') return text === 'true';
+    return text;
+  };
+  const fromCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') { row.push(field); field = ''; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field); rows.push(row); row = []; field = '';
+      } else field += ch;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    const body = rows.filter((r) => r.some((f) => f !== ''));
+    const header = body.shift() || [];
+    if (header.length === 1 && header[0] === 'value') return body.map((r) => typed(r[0]));
+    return body.map((r) => {
+      const item = {};
+      header.forEach((name, i) => { item[name] = typed(r[i] === undefined ? '' : r[i]); });
+      return item;
+    });
+  };
+
+  const download = (text, filename, type) => {
+    const doc = global.document;
+    if (!doc || typeof global.Blob !== 'function' || !global.URL || !global.URL.createObjectURL) return;
+    const url = global.URL.createObjectURL(new global.Blob([text], { type: type }));
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = filename;
+    (doc.body || doc.documentElement).appendChild(link);
+    link.click();
+    link.remove();
+    global.setTimeout(() => global.URL.revokeObjectURL(url), 0);
+  };
+
+  const listeners = [];
+  const applyTheme = (name, vars) => {
+    const root = global.document && global.document.documentElement;
+    if (!root) return;
+    root.setAttribute('data-theme', name);
+    Object.keys(vars || {}).forEach((prop) => root.style.setProperty(prop, vars[prop]));
+  };
+  const theme = {
+    get() { return meta('theme'); },
+    list() { return Object.keys(themes); },
+    set(name, vars) {
+      vars = vars || themes[name] || null;
+      applyTheme(name, vars);
+      meta('theme', name);
+      listeners.slice().forEach((fn) => {
+        try { fn(name, vars); } catch (e) { if (global.console) global.console.error(e); }
+      });
+      if (typeof global.dispatchEvent === 'function' && typeof global.CustomEvent === 'function') {
+        global.dispatchEvent(new global.CustomEvent('forge:theme', { detail: { name: name, vars: vars } }));
+      }
+      return name;
+    },
+    onChange(fn) {
+      listeners.push(fn);
+      return () => { const i = listeners.indexOf(fn); if (i !== -1) listeners.splice(i, 1); };
+    },
+  };
+
+  const forge = {
+    runtime: version || 1,
+    app: app,
+    storage: storage,
+    schema: schema,
+    theme: theme,
+    /**
+     * Serialise the app's data; downloads it unless `download: false`.
+     */
+    export(opts) {
+      opts = opts || {};
+      const format = opts.format || 'json';
+      let text;
+      if (format === 'csv') {
+        const rows = opts.key ? storage.get(opts.key) : null;
+        if (!Array.isArray(rows)) throw new Error('forge.export: CSV needs a key holding an array (got "' + opts.key + '")');
+        text = toCSV(rows);
+      } else if (format === 'json') {
+        const data = opts.key ? { [opts.key]: storage.get(opts.key) } : storage.all();
+        text = JSON.stringify({ forge: forge.runtime, app: app, schema: schema.version(), exportedAt: new Date().toISOString(), data: data }, null, 2);
+      } else {
+        throw new Error('forge.export: unknown format "' + format + '" (expected json | csv)');
+      }
+      if (opts.download !== false) {
+        const day = new Date().toISOString().slice(0, 10);
+        download(text, opts.filename || app + (opts.key ? '-' + opts.key : '') + '-' + day + '.' + format, format === 'csv' ? 'text/csv' : 'application/json');
+      }
+      return text;
+    },
+    /**
+     * Load data from a File, Blob or string: an export envelope, a plain
+     * object of keys, or (with `key`) an array as JSON or CSV.
+     */
+    async import(source, opts) {
+      opts = opts || {};
+      const text = typeof source === 'string' ? source : await source.text();
+      const named = source && typeof source.name === 'string' ? source.name : '';
+      const format = opts.format || (/\.csv$/i.test(named) ? 'csv' : /^\s*[[{]/.test(text) ? 'json' : 'csv');
+      let entries;
+      let fromSchema = null;
+      if (format === 'csv') {
+        if (!opts.key) throw new Error('forge.import: CSV needs a key to import into');
+        entries = { [opts.key]: fromCSV(text) };
+      } else {
+        const parsed = JSON.parse(text);
+        if (parsed && parsed.data && typeof parsed.data === 'object' && 'app' in parsed) {
+          entries = parsed.data;
+          fromSchema = typeof parsed.schema === 'number' ? parsed.schema : null;
+        } else if (opts.key) {
+          entries = { [opts.key]: parsed };
+        } else if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          entries = parsed;
+        } else {
+          throw new Error('forge.import: an array needs a key to import into');
+        }
+      }
+      const keys = Object.keys(entries);
+      keys.forEach((key) => {
+        const current = storage.get(key);
+        const value = entries[key];
+        storage.set(key, opts.merge && Array.isArray(current) && Array.isArray(value) ? current.concat(value) : value);
+      });
+      // Data exported under an older schema is brought up to the one this app declared
+      if (declared && fromSchema !== null && fromSchema < declared.to) runMigrations(fromSchema, declared.to, declared.steps);
+      return { keys: keys };
+    },
+  };
+
+  const saved = meta('theme');
+  if (saved) applyTheme(saved, themes[saved]);
+  global.forge = forge;
+  return forge;
+}
+
+/**
+ * The runtime as a script body, bound to an app.
+ * @param {object} [opts]
+ * @param {string} [opts.app='app'] - Storage namespace (renderer/html.js uses the intent slug)
+ * @param {Record<string, Record<string, string>>} [opts.themes] - Theme name → CSS variables (default: the built-in themes)
+ * @returns {string}
+ */
+export function runtimeScript(opts = {}) {
+  const themes = opts.themes || Object.fromEntries(Object.entries(THEMES).map(([key, t]) => [key, t.vars]));
+  const args = [JSON.stringify(opts.app || 'app'), JSON.stringify(themes), RUNTIME_VERSION].join(', ').replace(/<\//g, '<\\/');
+  return `(${forgeRuntime.toString()})(globalThis, ${args});`;
+}
+
+/**
+ * Put the runtime at the top of <head>, ahead of the app's own scripts.
+ * An already injected runtime is replaced, so rendering twice is harmless.
+ * @param {string} html
+ * @param {object} [opts] - As for runtimeScript()
+ * @returns {string}
+ */
+export function injectRuntime(html, opts = {}) {
+  const app = String(opts.app || 'app').replace(/[^\w.-]+/g, '-');
+  const tag = `<script id="forge-runtime" data-app="${app}">\n${runtimeScript({ ...opts, app })}\n</script>\n`;
+  return prependToHead(extractRuntime(html).html, tag);
+}
+
+/**
+ * Insert markup right after the opening <head> (or <html>) tag.
+ * @param {string} html
+ * @param {string} tag
+ * @returns {string}
+ */
+export function prependToHead(html, tag) {
+  const open = /<head\b[^>]*>\n?/i.exec(html) || /<html\b[^>]*>\n?/i.exec(html);
+  if (!open) return tag + html;
+  const at = open.index + open[0].length;
+  return html.slice(0, at) + tag + html.slice(at);
+}
+
+/**
+ * Take an injected runtime back out, e.g. before editing a rendered file.
+ * @param {string} html
+ * @returns {{ html: string, app: string|null }} The app's own HTML, and the namespace it was rendered with (null if none)
+ */
+export function extractRuntime(html) {
+  const m = TAG.exec(html);
+  if (!m) return { html, app: null };
+  return { html: html.slice(0, m.index) + html.slice(m.index + m[0].length), app: m[1] || 'app' };
+}
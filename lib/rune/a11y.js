@@ -0,0 +1,612 @@
+/**
+ * RUNE Accessibility Audit — WCAG 2.1 AA checks on a generated app.
+ *
+ * Generated apps lean on CSS custom properties, so contrast can only be
+ * judged after the cascade: the audit parses every <style> block (plus an
+ * optional theme from themes/manager.js as the outermost :root), resolves
+ * var() per element with inheritance, composites translucent colours over
+ * the effective background and computes the WCAG contrast ratio of every
+ * piece of visible text. Pairs it cannot know (text over gradients or
+ * images) are skipped rather than guessed.
+ *
+ * Structural checks cover control labels, alt text and accessible names,
+ * heading order, the document language, focus indicators that were styled
+ * away, positive tabindex and click handlers on elements a keyboard cannot
+ * reach. Every finding carries a severity, the WCAG criterion and the line
+ * in the HTML; the weighted score feeds Natura and the findings become
+ * fix instructions for the refiner.
+ *
+ * "All things excellent are as difficult as they are rare."
+ *  — Spinoza, Ethics V, P42 Scholium
+ *
+ * @module rune/a11y
+ */
+
+import { parse } from './dom.js';
+import { createWindow } from './dom-shim.js';
+import { getTheme } from '../themes/manager.js';
+
+/** Score deducted once per failing rule, by its worst severity. */
+export const SEVERITY_WEIGHTS = { critical: 0.3, serious: 0.15, moderate: 0.07, minor: 0.03 };
+
+const SEVERITY_ORDER = ['critical', 'serious', 'moderate', 'minor'];
+const MAX_PER_RULE = 10;
+
+// Browser defaults that matter for contrast and headings; author styles always win
+const UA_CSS = `
+  a { color: #0000ee; }
+  button, select, input[type="button"], input[type="submit"], input[type="reset"] { background-color: #efefef; color: #000000; }
+  input, textarea { background-color: #ffffff; color: #000000; }
+  mark { background-color: #ffff00; color: #000000; }
+  h1 { font-size: 2em; font-weight: bold; }
+  h2 { font-size: 1.5em; font-weight: bold; }
+  h3 { font-size: 1.17em; font-weight: bold; }
+  h4 { font-weight: bold; }
+  h5 { font-size: 0.83em; font-weight: bold; }
+  h6 { font-size: 0.67em; font-weight: bold; }
+  b, strong, th { font-weight: bold; }
+  small { font-size: smaller; }
+  head, script, style, template, noscript, [hidden] { display: none; }
+`;
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00',
+  orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080', silver: '#c0c0c0', maroon: '#800000',
+  olive: '#808000', lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff', teal: '#008080', navy: '#000080',
+  fuchsia: '#ff00ff', magenta: '#ff00ff', pink: '#ffc0cb', brown: '#a52a2a', gold: '#ffd700', indigo: '#4b0082',
+  violet: '#ee82ee', crimson: '#dc143c', coral: '#ff7f50', salmon: '#fa8072', tomato: '#ff6347', khaki: '#f0e68c',
+  beige: '#f5f5dc', ivory: '#fffff0', lavender: '#e6e6fa', tan: '#d2b48c', turquoise: '#40e0d0', skyblue: '#87ceeb',
+  lightgray: '#d3d3d3', lightgrey: '#d3d3d3', darkgray: '#a9a9a9', darkgrey: '#a9a9a9', dimgray: '#696969',
+  whitesmoke: '#f5f5f5', gainsboro: '#dcdcdc', slategray: '#708090', steelblue: '#4682b4', royalblue: '#4169e1',
+  dodgerblue: '#1e90ff', darkblue: '#00008b', darkgreen: '#006400', darkred: '#8b0000', orangered: '#ff4500',
+  hotpink: '#ff69b4', rebeccapurple: '#663399', midnightblue: '#191970', aliceblue: '#f0f8ff', ghostwhite: '#f8f8ff',
+};
+
+const STATEFUL = /:(hover|active|focus|focus-visible|focus-within|visited|target|checked|disabled|invalid|valid|placeholder-shown)\b|::?(before|after|placeholder|selection|marker|first-line|first-letter|backdrop|-webkit-[\w-]+|-moz-[\w-]+)/i;
+const FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [tabindex]';
+const NATIVELY_FOCUSABLE = new Set(['a', 'button', 'input', 'select', 'textarea', 'summary', 'iframe']);
+const NO_TEXT_CHECK = new Set(['script', 'style', 'noscript', 'template', 'title', 'option', 'textarea', 'select']);
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+
+// ---------------------------------------------------------------------------
+// CSS
+// ---------------------------------------------------------------------------
+
+function splitOutside(text, separator) {
+  const parts = [];
+  let depth = 0, quote = null, from = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) { if (ch === quote && text[i - 1] !== '\\') quote = null; continue; }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (ch === separator && depth === 0) { parts.push(text.slice(from, i)); from = i + 1; }
+  }
+  parts.push(text.slice(from));
+  return parts;
+}
+
+/**
+ * Whether a media query holds for the audit's viewport: a 1280×800 screen
+ * in light mode with no reduced-motion preference.
+ */
+function mediaMatches(query) {
+  return splitOutside(query, ',').some((alternative) => {
+    let q = alternative.trim().toLowerCase();
+    const negate = q.startsWith('not ');
+    if (negate) q = q.slice(4);
+    const result = q.split(/\s+and\s+/).every((part) => {
+      part = part.trim().replace(/^only\s+/, '');
+      if (part === 'all' || part === 'screen') return true;
+      if (part === 'print' || part === 'speech') return false;
+      const m = /^\(\s*([\w-]+)\s*(?::\s*([^)]+))?\)$/.exec(part);
+      if (!m) return true;
+      const [, feature, raw = ''] = m;
+      const px = parseFloat(raw) * (/em\b/.test(raw) ? 16 : 1);
+      switch (feature) {
+        case 'min-width': return 1280 >= px;
+        case 'max-width': return 1280 <= px;
+        case 'min-height': return 800 >= px;
+        case 'max-height': return 800 <= px;
+        case 'prefers-color-scheme': return raw.trim() === 'light';
+        case 'prefers-reduced-motion': return raw.trim() === 'no-preference';
+        case 'orientation': return raw.trim() === 'landscape';
+        case 'hover': case 'any-hover': return raw.trim() === 'hover';
+        case 'pointer': case 'any-pointer': return raw.trim() === 'fine';
+        default: return true;
+      }
+    });
+    return negate ? !result : result;
+  });
+}
+
+/**
+ * @typedef {object} CssRule
+ * @property {string[]} selectors
+ * @property {Array<{ prop: string, value: string, important: boolean }>} decls
+ * @property {number} order - Source order across all sheets
+ */
+
+/**
+ * Parse a stylesheet into flat rules. Rules inside @media apply when the
+ * query matches the audit viewport; @keyframes and @font-face are skipped.
+ * @param {string} css
+ * @param {number} [order=0] - Order of the first rule
+ * @returns {CssRule[]}
+ */
+export function parseCss(css, order = 0) {
+  const src = String(css).replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  let i = 0;
+
+  const block = (from) => {
+    let depth = 0;
+    for (let j = from; j < src.length; j++) {
+      if (src[j] === '{') depth++;
+      else if (src[j] === '}' && --depth === 0) return j;
+    }
+    return src.length;
+  };
+
+  while (i < src.length) {
+    const open = src.indexOf('{', i);
+    const semi = src.indexOf(';', i);
+    if (open === -1) break;
+    if (semi !== -1 && semi < open && src.slice(i, semi).trim().startsWith('@')) { i = semi + 1; continue; } // @import, @charset
+    const prelude = src.slice(i, open).trim();
+    const close = block(open);
+    const body = src.slice(open + 1, close);
+    i = close + 1;
+
+    if (prelude.startsWith('@')) {
+      const [, name, condition = ''] = /^@([\w-]+)\s*(.*)$/s.exec(prelude) || [];
+      if (name === 'media' ? mediaMatches(condition) : ['supports', 'layer', 'container', 'document'].includes(name)) {
+        const inner = parseCss(body, order + rules.length);
+        rules.push(...inner);
+      }
+      continue;
+    }
+
+    const decls = splitOutside(body, ';').map((decl) => {
+      const at = decl.indexOf(':');
+      if (at < 1) return null;
+      let value = decl.slice(at + 1).trim();
+      const important = /!\s*important\s*$/i.test(value);
+      if (important) value = value.replace(/!\s*important\s*$/i, '').trim();
+      const prop = decl.slice(0, at).trim();
+      return { prop: prop.startsWith('--') ? prop : prop.toLowerCase(), value, important };
+    }).filter(Boolean);
+    rules.push({ selectors: splitOutside(prelude, ',').map(s => s.trim()).filter(Boolean), decls, order: order + rules.length });
+  }
+  return rules;
+}
+
+function specificity(selector) {
+  const s = selector.replace(/:where\((?:[^()]|\([^()]*\))*\)/g, '').replace(/:(?:not|is|has)\(((?:[^()]|\([^()]*\))*)\)/g, ' $1');
+  const ids = (s.match(/#[\w-]+/g) || []).length;
+  const classes = (s.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length;
+  const tags = (s.replace(/\[[^\]]*\]|"[^"]*"|'[^']*'/g, '').match(/(?:^|[\s>+~(])[a-z][\w-]*/gi) || []).length;
+  return ids * 10000 + classes * 100 + tags;
+}
+
+// ---------------------------------------------------------------------------
+// Colour
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {{ r: number, g: number, b: number, a: number }} Rgba
+ */
+
+/**
+ * Parse a CSS colour (hex, rgb[a], hsl[a], named, transparent).
+ * @param {string} value
+ * @param {Rgba} [current] - For currentColor
+ * @returns {Rgba|null}
+ */
+export function parseColor(value, current = null) {
+  const v = String(value || '').trim().toLowerCase();
+  if (!v) return null;
+  if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (v === 'currentcolor') return current;
+  if (NAMED_COLORS[v]) return parseColor(NAMED_COLORS[v]);
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(v);
+  if (hex) {
+    let h = hex[1];
+    if (h.length <= 4) h = [...h].map(c => c + c).join('');
+    return {
+      r: parseInt(h.slice(0, 2), 16), g: parseInt(h.slice(2, 4), 16), b: parseInt(h.slice(4, 6), 16),
+      a: h.length === 8 ? parseInt(h.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+
+  const fn = /^(rgba?|hsla?)\((.*)\)$/.exec(v);
+  if (!fn) return null;
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const alpha = parts[3] === undefined ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+  if (fn[1].startsWith('rgb')) {
+    const channel = (p) => Math.round(Math.min(255, Math.max(0, p.endsWith('%') ? parseFloat(p) * 2.55 : parseFloat(p))));
+    const [r, g, b] = parts.slice(0, 3).map(channel);
+    return [r, g, b, alpha].some(Number.isNaN) ? null : { r, g, b, a: alpha };
+  }
+  const h = ((parseFloat(parts[0]) % 360) + 360) % 360 / 360;
+  const s = parseFloat(parts[1]) / 100;
+  const l = parseFloat(parts[2]) / 100;
+  if ([h, s, l, alpha].some(Number.isNaN)) return null;
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = (t) => {
+    t = (t + 1) % 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return { r: Math.round(hue(h + 1 / 3) * 255), g: Math.round(hue(h) * 255), b: Math.round(hue(h - 1 / 3) * 255), a: alpha };
+}
+
+function blend(top, bottom) {
+  const a = top.a;
+  return { r: top.r * a + bottom.r * (1 - a), g: top.g * a + bottom.g * (1 - a), b: top.b * a + bottom.b * (1 - a), a: 1 };
+}
+
+function luminance({ r, g, b }) {
+  const lin = (c) => { c /= 255; return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4; };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+/**
+ * WCAG contrast ratio between two opaque colours (1–21).
+ * @param {Rgba} a
+ * @param {Rgba} b
+ * @returns {number}
+ */
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+const hexOf = ({ r, g, b }) => `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+// ---------------------------------------------------------------------------
+// Cascade
+// ---------------------------------------------------------------------------
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+const KEYWORD_SIZES = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+
+function resolveVars(value, custom, depth = 0) {
+  if (!value.includes('var(') || depth > 10) return value;
+  const next = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g, (m, name, fallback) => custom.get(name) ?? fallback ?? '');
+  return next === value ? value : resolveVars(next, custom, depth + 1);
+}
+
+function fontSize(value, parent) {
+  const v = value.trim().toLowerCase();
+  if (KEYWORD_SIZES[v]) return KEYWORD_SIZES[v];
+  if (v === 'smaller') return parent * 0.83;
+  if (v === 'larger') return parent * 1.2;
+  const clamp = /^clamp\((.*)\)$/.exec(v);
+  if (clamp) return fontSize(splitOutside(clamp[1], ',')[1] || '', parent);
+  const m = /^(-?[\d.]+)(px|r?em|%|pt|vw|vh)?$/.exec(v);
+  if (!m) return parent;
+  const n = parseFloat(m[1]);
+  switch (m[2]) {
+    case 'em': return n * parent;
+    case 'rem': return n * 16;
+    case '%': return (n / 100) * parent;
+    case 'pt': return (n * 4) / 3;
+    case 'vw': return (n / 100) * 1280;
+    case 'vh': return (n / 100) * 800;
+    default: return n;
+  }
+}
+
+/**
+ * @typedef {object} ComputedStyle
+ * @property {Map<string, string>} custom - Custom properties in scope
+ * @property {Rgba} color
+ * @property {Rgba|null} background - Own background colour (null: none)
+ * @property {boolean} image - Own background is a gradient or image
+ * @property {number} size - Font size in px
+ * @property {boolean} bold
+ * @property {boolean} hidden - Not rendered (display: none, visibility: hidden)
+ * @property {Map<string, string>} declared - Winning declarations, var() unresolved
+ */
+
+/**
+ * Compute the styles the audit needs for every element.
+ * @param {import('./dom-shim.js').Document} document
+ * @param {CssRule[]} rules - Author rules
+ * @param {Record<string, string>} [rootVars] - Theme variables, weaker than any author rule
+ * @returns {Map<object, ComputedStyle>}
+ */
+function cascade(document, rules, rootVars = {}) {
+  const ua = parseCss(UA_CSS).map(r => ({ ...r, origin: 0 }));
+  const theme = Object.keys(rootVars).length
+    ? [{ selectors: [':root'], decls: Object.entries(rootVars).map(([prop, value]) => ({ prop, value: String(value), important: false })), order: -1, origin: 1 }]
+    : [];
+  const all = [...ua, ...theme, ...rules.map(r => ({ ...r, origin: 1 }))];
+  const styles = new Map();
+
+  const visit = (el, parent) => {
+    const matched = [];
+    for (const rule of all) {
+      for (const selector of rule.selectors) {
+        if (STATEFUL.test(selector)) continue;
+        let hit = false;
+        try { hit = el.matches(selector); } catch { /* selector the shim does not understand */ }
+        if (!hit) continue;
+        const spec = specificity(selector);
+        for (const d of rule.decls) matched.push({ ...d, weight: [rule.origin + (d.important ? 2 : 0), spec, rule.order] });
+      }
+    }
+    if (el.hasAttribute('style')) {
+      for (const d of parseCss(`x{${el.getAttribute('style')}}`)[0]?.decls || []) {
+        matched.push({ ...d, weight: [1 + (d.important ? 2 : 0), 1e6, 0] });
+      }
+    }
+    matched.sort((a, b) => a.weight[0] - b.weight[0] || a.weight[1] - b.weight[1] || a.weight[2] - b.weight[2]);
+    const declared = new Map();
+    for (const d of matched) declared.set(d.prop, d.value);
+
+    const custom = new Map(parent?.custom);
+    for (const [prop, value] of declared) if (prop.startsWith('--')) custom.set(prop, value);
+    const get = (prop) => {
+      const raw = declared.get(prop);
+      return raw === undefined ? undefined : resolveVars(raw, custom).trim();
+    };
+
+    const inheritedColor = parent?.color || BLACK;
+    const colorValue = get('color');
+    const color = colorValue && !/^(inherit|unset|initial)$/.test(colorValue)
+      ? parseColor(colorValue, inheritedColor) || inheritedColor
+      : colorValue === 'initial' ? BLACK : inheritedColor;
+
+    // Shorthand and longhands interleave, so replay them in cascade order
+    let background = null;
+    let image = false;
+    for (const d of matched) {
+      if (!/^background(-color|-image)?$/.test(d.prop)) continue;
+      const value = resolveVars(d.value, custom).trim();
+      if (d.prop !== 'background-color') image = /gradient\(|url\(/.test(value);
+      if (d.prop === 'background-image') continue;
+      background = splitOutside(value, ' ').map(t => parseColor(t, color)).find(Boolean) || null;
+    }
+
+    const parentSize = parent?.size ?? 16;
+    const sizeValue = get('font-size') ?? (get('font') ? /(\d[\d.]*(?:px|r?em|%|pt))/.exec(get('font'))?.[1] : undefined);
+    const size = sizeValue ? fontSize(sizeValue, parentSize) : parentSize;
+    const weight = get('font-weight') ?? (get('font') && /\b(bold|[6-9]00)\b/.test(get('font')) ? 'bold' : undefined);
+    const bold = weight === undefined ? Boolean(parent?.bold) : /^(bold|bolder|[6-9]00)$/.test(weight);
+
+    const hidden = Boolean(parent?.hidden) || get('display') === 'none' || get('visibility') === 'hidden' || get('opacity') === '0';
+
+    const style = { custom, color, background, image, size, bold, hidden, declared };
+    styles.set(el, style);
+    for (const child of el.children) visit(child, style);
+  };
+
+  visit(document.documentElement, null);
+  return styles;
+}
+
+/**
+ * The colour text is painted on: own and ancestor backgrounds composited
+ * up to the first opaque one, white at the root. Null when a gradient or
+ * image is in the way.
+ */
+function effectiveBackground(el, styles) {
+  const layers = [];
+  for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+    const style = styles.get(n);
+    if (!style) continue;
+    if (style.image) return null;
+    if (style.background && style.background.a > 0) {
+      layers.push(style.background);
+      if (style.background.a >= 1) break;
+    }
+  }
+  return layers.reduceRight((under, layer) => blend(layer, under), WHITE);
+}
+
+// ---------------------------------------------------------------------------
+// Audit
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} A11yFinding
+ * @property {string} rule - contrast | label | alt | name | headings | lang | focus-visible | tabindex | keyboard
+ * @property {'critical'|'serious'|'moderate'|'minor'} severity
+ * @property {string} wcag - Success criterion, e.g. '1.4.3'
+ * @property {string} message
+ * @property {string} target - Short description of the element
+ * @property {number|null} line - 1-based line in the HTML
+ */
+
+/**
+ * @typedef {object} A11yReport
+ * @property {number} score - 1 minus the severity weight of each failing rule (0–1)
+ * @property {A11yFinding[]} findings - Most severe first
+ * @property {Array<{ fg: string, bg: string, ratio: number, required: number, target: string, line: number|null, count: number }>} contrast
+ *   Every text/background pair that was measured
+ * @property {Record<string, number>} counts - Findings per severity
+ */
+
+function describe(el) {
+  if (el.id) return `#${el.id}`;
+  const text = el.textContent.trim().replace(/\s+/g, ' ').slice(0, 24);
+  const cls = el.className.trim().split(/\s+/)[0];
+  return `<${el.localName}${cls ? `.${cls}` : ''}>${text ? ` "${text}"` : ''}`;
+}
+
+function accessibleName(el, document) {
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ').trim();
+    if (text) return text;
+  }
+  const direct = el.getAttribute('aria-label') || el.getAttribute('title');
+  if (direct?.trim()) return direct.trim();
+  const alts = el.querySelectorAll('img[alt], svg title').map(n => n.getAttribute('alt') ?? n.textContent).join(' ');
+  return `${el.textContent} ${alts}`.trim();
+}
+
+function isLabelled(control, document) {
+  if (control.localName === 'input' && UNLABELLED_INPUT_TYPES.has(control.type)) return true;
+  if (control.getAttribute('aria-label')?.trim() || control.getAttribute('aria-labelledby') || control.getAttribute('title')) return true;
+  if (control.id && document.querySelectorAll('label').some(l => l.getAttribute('for') === control.id)) return true;
+  return Boolean(control.closest('label'));
+}
+
+/**
+ * Audit a document.
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {import('./dom.js').Node} [opts.root] - Already-parsed tree of html
+ * @param {string|object} [opts.theme] - Theme name or vars (themes/manager.js) applied beneath the page's own styles
+ * @returns {A11yReport}
+ */
+export function audit(html, opts = {}) {
+  const root = opts.root || parse(html).root;
+  const noop = () => {};
+  const { document } = createWindow(root, { reportError: noop, consoleError: noop, compileHandler: () => null });
+  const themeVars = typeof opts.theme === 'string' ? getTheme(opts.theme)?.vars || {} : opts.theme?.vars || opts.theme || {};
+
+  let order = 0;
+  const rules = [];
+  for (const style of document.getElementsByTagName('style')) {
+    const sheet = parseCss(style.textContent, order);
+    order += sheet.length;
+    rules.push(...sheet);
+  }
+  const styles = cascade(document, rules, themeVars);
+
+  const lineOf = (el) => (el._start === undefined ? null : html.slice(0, el._start).split('\n').length);
+  const findings = [];
+  const add = (rule, severity, wcag, message, el) => {
+    if (findings.filter(f => f.rule === rule).length >= MAX_PER_RULE) return;
+    findings.push({ rule, severity, wcag, message, target: el ? describe(el) : '', line: el ? lineOf(el) : null });
+  };
+  const body = document.body;
+  const visible = (el) => !styles.get(el)?.hidden;
+
+  // --- 1.4.3 contrast ---
+  const pairs = new Map();
+  for (const el of body.querySelectorAll('*')) {
+    if (NO_TEXT_CHECK.has(el.localName) || !visible(el)) continue;
+    if (!el.childNodes.some(n => n.nodeType === 3 && n.data.trim())) continue;
+    const style = styles.get(el);
+    const bg = effectiveBackground(el, styles);
+    if (!bg) continue;
+    const fg = style.color.a < 1 ? blend(style.color, bg) : style.color;
+    const large = style.size >= 24 || (style.bold && style.size >= 18.66);
+    const ratio = Math.round(contrastRatio(fg, bg) * 100) / 100;
+    const key = `${hexOf(fg)}|${hexOf(bg)}|${large}`;
+    const pair = pairs.get(key);
+    if (pair) { pair.count++; continue; }
+    pairs.set(key, { fg: hexOf(fg), bg: hexOf(bg), ratio, required: large ? 3 : 4.5, target: describe(el), line: lineOf(el), count: 1, el });
+  }
+  const contrast = [...pairs.values()];
+  for (const pair of [...contrast].sort((a, b) => a.ratio - b.ratio)) {
+    if (pair.ratio >= pair.required) continue;
+    const severity = pair.ratio < 1.5 ? 'critical' : pair.ratio < 3 ? 'serious' : 'moderate';
+    add('contrast', severity, '1.4.3', `Text ${pair.fg} on ${pair.bg} has contrast ${pair.ratio}:1 (needs ${pair.required}:1)`, pair.el);
+  }
+  for (const pair of contrast) delete pair.el;
+
+  // --- 1.3.1 / 4.1.2 labels ---
+  for (const control of body.querySelectorAll('input, select, textarea')) {
+    if (!isLabelled(control, document)) add('label', 'serious', '1.3.1', 'Form control has no label', control);
+  }
+
+  // --- 1.1.1 alt text ---
+  for (const img of body.querySelectorAll('img, area, input[type="image"]')) {
+    if (!img.hasAttribute('alt') && !img.getAttribute('aria-label')) add('alt', 'serious', '1.1.1', `<${img.localName}> has no alt text`, img);
+  }
+  for (const el of body.querySelectorAll('[role="img"]')) {
+    if (!accessibleName(el, document)) add('alt', 'serious', '1.1.1', 'role="img" has no accessible name', el);
+  }
+
+  // --- 4.1.2 names of controls ---
+  for (const el of body.querySelectorAll('button, a[href], [role="button"], [role="link"]')) {
+    if (visible(el) && !accessibleName(el, document)) add('name', 'serious', '4.1.2', `<${el.localName}> has no accessible name`, el);
+  }
+
+  // --- 1.3.1 heading structure ---
+  const headings = body.querySelectorAll('h1, h2, h3, h4, h5, h6').filter(visible);
+  if (headings.length && !headings.some(h => h.localName === 'h1')) add('headings', 'moderate', '1.3.1', 'No <h1> on the page', headings[0]);
+  if (headings.filter(h => h.localName === 'h1').length > 1) add('headings', 'minor', '1.3.1', 'More than one <h1>', headings.filter(h => h.localName === 'h1')[1]);
+  for (let i = 1; i < headings.length; i++) {
+    const from = Number(headings[i - 1].localName[1]);
+    const to = Number(headings[i].localName[1]);
+    if (to > from + 1) add('headings', 'moderate', '1.3.1', `Heading level skips from h${from} to h${to}`, headings[i]);
+  }
+
+  // --- 3.1.1 language ---
+  if (!document.documentElement.getAttribute('lang')?.trim()) add('lang', 'moderate', '3.1.1', '<html> has no lang attribute', null);
+
+  // --- 2.4.7 focus visible ---
+  const focusables = body.querySelectorAll(FOCUSABLE);
+  const noOutline = (d) => /^outline(-style|-width)?$/.test(d.prop) && /^(none|0(px)?)$/i.test(d.value.trim());
+  const showsFocus = (d) => !noOutline(d) && (/^(outline|border|box-shadow|background|text-decoration)/.test(d.prop)) && d.value.trim() !== 'none';
+  const restored = rules.some(r => r.selectors.some(s => /:focus/.test(s)) && r.decls.some(showsFocus));
+  if (!restored) {
+    for (const rule of rules) {
+      if (!rule.decls.some(noOutline) || rule.decls.some(showsFocus)) continue;
+      const hits = rule.selectors.flatMap((s) => {
+        const base = s.replace(/:(focus-visible|focus-within|focus|hover|active)\b/g, '').trim() || '*';
+        try { return focusables.filter(el => el.matches(base)); } catch { return []; }
+      });
+      if (hits.length) add('focus-visible', 'serious', '2.4.7', `"${rule.selectors.join(', ')}" removes the focus outline and nothing replaces it`, hits[0]);
+    }
+  }
+
+  // --- 2.4.3 / 2.1.1 tab order and keyboard access ---
+  for (const el of body.querySelectorAll('[tabindex]')) {
+    if (Number(el.getAttribute('tabindex')) > 0) add('tabindex', 'moderate', '2.4.3', `tabindex="${el.getAttribute('tabindex')}" overrides the natural tab order`, el);
+  }
+  for (const el of body.querySelectorAll('[onclick], [role="button"]')) {
+    if (NATIVELY_FOCUSABLE.has(el.localName) && (el.localName !== 'a' || el.hasAttribute('href'))) continue;
+    if (el.hasAttribute('tabindex') && Number(el.getAttribute('tabindex')) >= 0) continue;
+    add('keyboard', 'serious', '2.1.1', `Clickable <${el.localName}> cannot be reached with the keyboard`, el);
+  }
+
+  findings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  const worst = new Map();
+  for (const f of findings) if (!worst.has(f.rule)) worst.set(f.rule, f.severity);
+  const score = Math.max(0, 1 - [...worst.values()].reduce((sum, s) => sum + SEVERITY_WEIGHTS[s], 0));
+  const counts = Object.fromEntries(SEVERITY_ORDER.map(s => [s, findings.filter(f => f.severity === s).length]));
+
+  return { score: Math.round(score * 100) / 100, findings, contrast, counts };
+}
+
+const FIXES = {
+  contrast: 'change the text or background colour (or the CSS variable behind it) until the ratio passes',
+  label: 'add a <label for> or aria-label',
+  alt: 'add an alt attribute (alt="" if purely decorative)',
+  name: 'give it visible text or an aria-label',
+  headings: 'use heading levels in order, starting with one <h1>',
+  lang: 'add lang="en" (or the page language) to <html>',
+  'focus-visible': 'add a :focus-visible style with a visible outline or box-shadow',
+  tabindex: 'use tabindex="0" and let document order define the tab order',
+  keyboard: 'use a <button>, or add tabindex="0", role and a keydown handler for Enter/Space',
+};
+
+/**
+ * Turn audit findings into fix instructions for the refiner, most severe first.
+ * @param {A11yReport} report
+ * @param {object} [opts]
+ * @param {number} [opts.max=10]
+ * @returns {string[]}
+ */
+export function auditInstructions(report, opts = {}) {
+  const max = opts.max ?? 10;
+  return (report?.findings || []).slice(0, max).map((f) => {
+    const where = f.line ? `Line ${f.line}${f.target ? ` (${f.target})` : ''}: ` : f.target ? `${f.target}: ` : '';
+    return `${where}[${f.severity}, WCAG ${f.wcag}] ${f.message} — ${FIXES[f.rule]}.`;
+  });
+}
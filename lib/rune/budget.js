@@ -0,0 +1,130 @@
+/**
+ * RUNE Budget — Fit prompts into a model's context window.
+ *
+ * A gemma2 on Ollama reads 8k tokens; a refinement prompt that embeds a 30 KB
+ * app does not fit, and neither does the enhanced prompt once calendar,
+ * weather, git and music context pile onto a large scaffold. The budget is
+ * the model's window (generators/registry.js) minus what its answer needs:
+ *
+ *   budget = contextWindow − reserve   (reserve: config budget.reserveOutput,
+ *                                        else maxOutput, at most half the window)
+ *
+ * Callers try cheaper versions of their prompt until one fits — enhance()
+ * drops context sources, the scaffold, then uses compact layer text; the
+ * refiner shortens its task lists; recipes shorten embedded step outputs —
+ * and give up with a BudgetError that says by how much it overflows.
+ * Models without a known window are not budgeted.
+ *
+ * Token counts are estimates (no tokenizer ships offline): ASCII text runs
+ * about 3.5 characters per token across prose and HTML, anything else about
+ * one token per character.
+ *
+ * "All things excellent are as difficult as they are rare."
+ *  — Spinoza, Ethics V, P42 Scholium
+ *
+ * @module rune/budget
+ */
+
+import { capabilities } from '../generators/registry.js';
+import { loadConfig } from '../config/loader.js';
+
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Raised when a prompt cannot be made to fit.
+ */
+export class BudgetError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} [details.model]
+   * @param {number} details.needed - Estimated prompt tokens
+   * @param {number} details.limit - Tokens available for the prompt
+   */
+  constructor(message, { model = null, needed, limit }) {
+    super(message);
+    this.name = 'BudgetError';
+    this.code = 'context-overflow';
+    this.model = model;
+    this.needed = needed;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Estimate the tokens in a text.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  const s = String(text || '');
+  let other = 0;
+  for (let i = 0; i < s.length; i++) if (s.charCodeAt(i) > 127) other++;
+  return Math.ceil((s.length - other) / CHARS_PER_TOKEN + other);
+}
+
+/**
+ * Cut a text to about `tokens` tokens, marking the cut.
+ * @param {string} text
+ * @param {number} tokens
+ * @param {string} [marker='\n<!-- truncated -->']
+ * @returns {string}
+ */
+export function trimToTokens(text, tokens, marker = '\n<!-- truncated -->') {
+  const estimate = estimateTokens(text);
+  if (estimate <= tokens) return text;
+  const keep = Math.max(0, tokens - estimateTokens(marker));
+  return text.slice(0, Math.floor(text.length * keep / estimate)) + marker;
+}
+
+/**
+ * Tokens available for a prompt to `model`.
+ * @param {string} model
+ * @param {object} [opts]
+ * @param {number} [opts.reserve] - Tokens kept free for the answer (default: see module docs)
+ * @param {object} [opts.config] - Loaded config (default: loadConfig())
+ * @returns {{ model: string, window: number, reserve: number, limit: number }|null} null when the window is unknown
+ */
+export function budgetFor(model, opts = {}) {
+  const { contextWindow, maxOutput } = capabilities(model);
+  if (!contextWindow) return null;
+  const settings = (opts.config || loadConfig()).budget || {};
+  if (settings.enabled === false) return null;
+  const reserve = Math.min(opts.reserve ?? settings.reserveOutput ?? maxOutput ?? 4096, Math.floor(contextWindow / 2));
+  return { model, window: contextWindow, reserve, limit: contextWindow - reserve };
+}
+
+/**
+ * Build a prompt at decreasing levels of detail until one fits.
+ * @param {Array<() => string>} attempts - Prompt builders, richest first
+ * @param {{ model: string, window: number, reserve: number, limit: number }|null} budget - From budgetFor()
+ * @param {string} [what='Prompt'] - Named in the error
+ * @returns {{ prompt: string, tokens: number, level: number }} level = index of the attempt used
+ * @throws {BudgetError} when even the last attempt is too long
+ */
+export function fit(attempts, budget, what = 'Prompt') {
+  let prompt = '';
+  let tokens = 0;
+  for (let level = 0; level < attempts.length; level++) {
+    prompt = attempts[level]();
+    tokens = estimateTokens(prompt);
+    if (!budget || tokens <= budget.limit) return { prompt, tokens, level };
+  }
+  throw overflow(what, tokens, budget);
+}
+
+/**
+ * The error for a prompt that does not fit.
+ * @param {string} what
+ * @param {number} needed
+ * @param {{ model: string, window: number, reserve: number, limit: number }} budget
+ * @returns {BudgetError}
+ */
+export function overflow(what, needed, budget) {
+  const n = (x) => x.toLocaleString('en-US');
+  return new BudgetError(
+    `${what} does not fit ${budget.model}: ~${n(needed)} tokens, budget ${n(Math.max(0, budget.limit))} `
+    + `(${n(budget.window)}-token window − ${n(budget.reserve)} reserved for the answer). Use a model with a larger window.`,
+    { model: budget.model, needed, limit: budget.limit },
+  );
+}
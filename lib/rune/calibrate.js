@@ -0,0 +1,255 @@
+/**
+ * RUNE Calibration — Does a 0.85 Spinoza score mean a good app?
+ *
+ * Runs the validator over a corpus of apps that people have rated and
+ * measures how well its ordering matches theirs. Each app is an HTML file
+ * with a JSON sidecar of the same name:
+ *
+ *   habit-tracker.html
+ *   habit-tracker.json   { "overall": 4, "conatus": 5, "natura": 2, "notes": "..." }
+ *
+ * Ratings can use any numeric scale; only their order matters. Axis ratings
+ * are optional — an axis without one is compared against "overall".
+ *
+ * The report gives Spearman rank correlation per axis (and for any extra
+ * checks passed in), the apps the validator misjudged most, and suggested
+ * rule weights: within each axis the reward budget is redistributed towards
+ * the rules whose pass/fail tracks the human ratings, shrunk towards the
+ * current weights while the corpus is small. Penalties are scaled by how
+ * well they predict a worse rating.
+ *
+ * "The more we understand particular things, the more we understand God."
+ *  — Spinoza, Ethics V, P24
+ *
+ * @module rune/calibrate
+ */
+
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { join, basename } from 'node:path';
+import { evaluate } from './validator.js';
+import { AXES } from './rules.js';
+import { smokeTest } from './smoke.js';
+
+const SCORES = [...AXES, 'overall'];
+// Corpus size at which suggestions move halfway from the current weights
+const SHRINK = 10;
+const STEP = 0.05;
+
+/**
+ * @typedef {object} CorpusApp
+ * @property {string} name - File name without extension
+ * @property {string} file - Path to the HTML
+ * @property {Record<string, number>} ratings - overall plus any axis ratings
+ * @property {string} [notes]
+ */
+
+/**
+ * Read a corpus directory: every *.html with a *.json sidecar holding a
+ * numeric "overall" rating (or axis ratings to average).
+ * @param {string} dir
+ * @returns {{ apps: CorpusApp[], skipped: Array<{ name: string, reason: string }> }}
+ */
+export function loadCorpus(dir) {
+  if (!existsSync(dir)) throw new Error(`Corpus directory not found: ${dir}`);
+  const apps = [];
+  const skipped = [];
+  for (const entry of readdirSync(dir).filter(f => f.endsWith('.html')).sort()) {
+    const name = basename(entry, '.html');
+    const sidecar = join(dir, `${name}.json`);
+    if (!existsSync(sidecar)) { skipped.push({ name, reason: 'no rating sidecar' }); continue; }
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(sidecar, 'utf-8'));
+    } catch (err) {
+      skipped.push({ name, reason: `unreadable sidecar: ${err.message}` });
+      continue;
+    }
+    const ratings = {};
+    for (const key of SCORES) if (Number.isFinite(data[key])) ratings[key] = data[key];
+    const axes = AXES.filter(a => a in ratings);
+    if (!('overall' in ratings) && axes.length) ratings.overall = axes.reduce((s, a) => s + ratings[a], 0) / axes.length;
+    if (!('overall' in ratings)) { skipped.push({ name, reason: 'no numeric rating' }); continue; }
+    apps.push({ name, file: join(dir, entry), ratings, notes: data.notes });
+  }
+  return { apps, skipped };
+}
+
+/**
+ * Ranks with ties sharing their average rank (1-based).
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function ranks(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) result[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return result;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((s, x) => s + x, 0) / n;
+  const my = ys.reduce((s, y) => s + y, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Spearman rank correlation, or null when it is undefined (fewer than three
+ * pairs, or one side never varies).
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @returns {number|null}
+ */
+export function spearman(xs, ys) {
+  if (xs.length !== ys.length) throw new Error('spearman() needs two lists of the same length');
+  if (xs.length < 3) return null;
+  const rho = pearson(ranks(xs), ranks(ys));
+  return rho === null ? null : Math.round(rho * 1000) / 1000;
+}
+
+const round = (w) => Math.round(w / STEP) * STEP;
+const tidy = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Suggest rule weights from how each rule's pass/fail tracks the ratings.
+ * @param {Array<{ ratings: Record<string, number>, results: import('./rules.js').RuleResult[] }>} scored
+ * @returns {Array<{ id: string, axis: string, penalty: boolean, current: number, suggested: number, rho: number|null, n: number }>}
+ */
+function suggestWeights(scored) {
+  const rules = new Map();
+  for (const app of scored) {
+    for (const r of app.results) {
+      if (r.error) continue;
+      const entry = rules.get(r.id) || { id: r.id, axis: r.axis, penalty: r.penalty, current: r.weight, passes: [], ratings: [] };
+      entry.passes.push(r.pass);
+      entry.ratings.push(app.ratings[r.axis] ?? app.ratings.overall);
+      rules.set(r.id, entry);
+    }
+  }
+
+  const suggestions = [...rules.values()].map(r => ({
+    id: r.id, axis: r.axis, penalty: r.penalty, current: r.current, suggested: r.current,
+    rho: spearman(r.passes, r.ratings), n: r.passes.length,
+  }));
+
+  for (const axis of AXES) {
+    const rewards = suggestions.filter(s => s.axis === axis && !s.penalty);
+    const informed = rewards.filter(s => s.rho !== null);
+    const budget = informed.reduce((sum, s) => sum + s.current, 0);
+    const evidence = informed.reduce((sum, s) => sum + Math.max(0, s.rho), 0);
+    for (const s of informed) {
+      const target = evidence ? (budget * Math.max(0, s.rho)) / evidence : s.current;
+      const trust = s.n / (s.n + SHRINK);
+      s.suggested = round(s.current + trust * (target - s.current));
+    }
+  }
+  for (const s of suggestions.filter(s => s.penalty && s.rho !== null)) {
+    const trust = s.n / (s.n + SHRINK);
+    s.suggested = round(s.current * (1 + trust * s.rho));
+  }
+  for (const s of suggestions) s.suggested = tidy(s.suggested);
+  return suggestions;
+}
+
+/**
+ * @typedef {object} CalibrationReport
+ * @property {number} count - Apps scored
+ * @property {string} rubric
+ * @property {Record<string, { rho: number|null, n: number }>} correlation - Per axis, overall and extra check
+ * @property {Array<{ name: string, human: number, validator: number, humanRank: number, validatorRank: number, shift: number, verdict: 'overrated'|'underrated', issues: string[], notes?: string }>} misjudged
+ *   Largest rank disagreements on overall, worst first
+ * @property {Array<{ id: string, axis: string, penalty: boolean, current: number, suggested: number, rho: number|null, n: number }>} weights
+ * @property {{ validator: { weights: Record<string, number> } }} config - .forgerc.json snippet with the changed weights
+ * @property {Array<{ name: string, reason: string }>} skipped
+ */
+
+/**
+ * Score a rated corpus and measure the validator against the ratings.
+ * @param {string} dir - Corpus directory (see loadCorpus)
+ * @param {object} [opts]
+ * @param {string} [opts.rubric] - Rubric to score with (default: config validator.rubric)
+ * @param {object} [opts.config] - Pre-loaded config, passed to validate()
+ * @param {boolean} [opts.smoke=false] - Boot each app in the smoke runner and let its errors count
+ * @param {Record<string, (html: string, app: CorpusApp) => number|Promise<number>>} [opts.checks]
+ *   Extra scorers to correlate against the overall rating, by name
+ * @param {number} [opts.top=5] - Misjudged apps to report
+ * @param {(app: CorpusApp, i: number, total: number) => void} [opts.onProgress]
+ * @returns {Promise<CalibrationReport>}
+ */
+export async function calibrate(dir, opts = {}) {
+  const { rubric, config, smoke = false, checks = {}, top = 5, onProgress } = opts;
+  const { apps, skipped } = loadCorpus(dir);
+
+  const scored = [];
+  for (const [i, app] of apps.entries()) {
+    onProgress?.(app, i, apps.length);
+    const html = readFileSync(app.file, 'utf-8');
+    const run = smoke ? await smokeTest(html) : null;
+    const { report, results, rubric: used } = evaluate(html, { rubric, config, smoke: run });
+    const scores = Object.fromEntries(AXES.map(a => [a, report[a]]));
+    scores.overall = AXES.reduce((s, a) => s + report[a], 0) / AXES.length;
+    const extra = {};
+    for (const [name, check] of Object.entries(checks)) {
+      try {
+        extra[name] = await check(html, app);
+      } catch (err) {
+        skipped.push({ name: app.name, reason: `${name} failed: ${err.message}` });
+      }
+    }
+    scored.push({ ...app, scores, extra, report, results, rubric: used });
+  }
+
+  const correlation = {};
+  for (const key of SCORES) {
+    const pairs = scored.map(a => [a.scores[key], a.ratings[key] ?? a.ratings.overall]);
+    correlation[key] = { rho: spearman(pairs.map(p => p[0]), pairs.map(p => p[1])), n: pairs.length };
+  }
+  for (const name of Object.keys(checks)) {
+    const withCheck = scored.filter(a => Number.isFinite(a.extra[name]));
+    correlation[name] = { rho: spearman(withCheck.map(a => a.extra[name]), withCheck.map(a => a.ratings.overall)), n: withCheck.length };
+  }
+
+  // Rank 1 is the best app
+  const humanRanks = ranks(scored.map(a => -a.ratings.overall));
+  const validatorRanks = ranks(scored.map(a => -a.scores.overall));
+  const misjudged = scored
+    .map((a, i) => ({
+      name: a.name,
+      human: a.ratings.overall,
+      validator: tidy(a.scores.overall),
+      humanRank: humanRanks[i],
+      validatorRank: validatorRanks[i],
+      shift: tidy(Math.abs(validatorRanks[i] - humanRanks[i]) / Math.max(1, scored.length - 1)),
+      verdict: validatorRanks[i] < humanRanks[i] ? 'overrated' : 'underrated',
+      issues: a.report.issues,
+      notes: a.notes,
+    }))
+    .filter(m => m.humanRank !== m.validatorRank)
+    .sort((a, b) => b.shift - a.shift)
+    .slice(0, top);
+
+  const weights = suggestWeights(scored);
+  const changed = Object.fromEntries(weights.filter(w => Math.abs(w.suggested - w.current) >= STEP - 1e-9).map(w => [w.id, w.suggested]));
+
+  return {
+    count: scored.length,
+    rubric: scored[0]?.rubric || rubric || 'default',
+    correlation,
+    misjudged,
+    weights,
+    config: { validator: { weights: changed } },
+    skipped,
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * RUNE Clarify — Ask before guessing.
+ *
+ * "Track my cardio" could be a run log, a heart-rate chart or an eight-week
+ * plan. Before forging, clarify() looks for what the sentence leaves open
+ * for its archetype — what to record, units, time span, goal, data source —
+ * and turns each gap into a short question with a suggested default. Only
+ * genuinely open intents are questioned: with fewer than two gaps the
+ * defaults are good enough and nothing is asked. The answers (or accepted
+ * defaults) join the L2 Intent Analysis layer of enhance().
+ *
+ * The module does no I/O: the CLI and REPL ask through readline, the API
+ * returns the questions as a pending state for the client to answer.
+ *
+ * "He who would distinguish the true from the false must have an adequate
+ *  idea of what is true and false." — Spinoza, Ethics II, P42
+ *
+ * @module rune/clarify
+ */
+
+import { classifyIntent } from './intent.js';
+
+const MIN_QUESTIONS = 2;
+const MAX_QUESTIONS = 5;
+
+// What the sentence already says
+const MENTIONS = {
+  metrics: /\b(?:with|including|recording|logging|log)\b.+(?:,|\band\b)|:\s*\w+/i,
+  units: /\b(?:km|kilomet\w*|mi|miles?|kg|kilos?|lbs?|pounds?|ml|litres?|liters?|oz|ounces?|cups?|metric|imperial|celsius|fahrenheit)\b/i,
+  range: /\b\d+\s*(?:day|week|month|year)s?\b|\b(?:daily|weekly|monthly|yearly|today|tonight|this (?:week|month|year)|per (?:day|week|month))\b|\b(?:january|february|march|april|may|june|july|august|september|october|november|december)\b/i,
+  goal: /\b(?:goal|target|aim|reach|limit|at least|up to)\b/i,
+  source: /\b(?:api|url|endpoint|fetch|feed|websocket|https?:\/\/)/i,
+  refresh: /\b(?:every|interval|real-?time)\b/i,
+  calculation: /\b(?:from|given|based on|using)\b/i,
+  writing: /\b(?:prompts?|free[- ]?form|free writing)\b/i,
+  purpose: /\b(?:so (?:that|i)|to (?:help|see|know|plan|keep))\b/i,
+};
+
+// Sensible defaults by subject
+const DOMAINS = [
+  { match: /cardio|run|jog|cycl|bike|swim|walk|hike|workout|exercise|training|marathon/i, metrics: 'date, duration (minutes), distance, average heart rate', measured: true },
+  { match: /water|hydrat|drink/i, metrics: 'time and amount', measured: true },
+  { match: /sleep/i, metrics: 'bedtime, wake time, quality (1–5)', measured: false },
+  { match: /weight|bmi|body/i, metrics: 'date and weight', measured: true },
+  { match: /budget|expense|spend|money|financ|income|saving/i, metrics: 'date, amount, category, note', measured: false },
+  { match: /mood|feel|emotion|gratitude/i, metrics: 'mood (1–5) and a note', measured: false },
+];
+
+/**
+ * @typedef {object} Question
+ * @property {string} id
+ * @property {string} question
+ * @property {string} default - Used when the user gives no answer
+ * @property {string[]} [options] - Suggested answers
+ */
+
+/**
+ * @typedef {object} Clarification
+ * @property {string} id
+ * @property {string} question
+ * @property {string} answer
+ * @property {boolean} assumed - The default was used
+ */
+
+const RANGE_DEFAULTS = { tracker: 'the last 8 weeks, by week', planner: 'the next 4 weeks', dashboard: 'this month', monitor: 'the last hour' };
+
+/**
+ * Every question worth asking, with the archetypes it applies to.
+ * `ask(domain, archetype)` returns the question or null when it does not apply.
+ */
+const CATALOGUE = [
+  {
+    id: 'metrics', mentions: 'metrics', archetypes: ['tracker', 'dashboard'],
+    ask: (domain, archetype) => ({
+      question: archetype === 'dashboard' ? 'Which numbers matter most at a glance?' : 'What should each entry record?',
+      default: archetype === 'dashboard' ? 'totals, averages and the trend' : domain?.metrics || 'date, value and a note',
+    }),
+  },
+  {
+    id: 'units', mentions: 'units', archetypes: ['tracker', 'dashboard', 'calculator', 'planner'],
+    ask: (domain) => (domain?.measured ? { question: 'Metric or imperial units?', default: 'metric', options: ['metric', 'imperial'] } : null),
+  },
+  {
+    id: 'range', mentions: 'range', archetypes: ['tracker', 'dashboard', 'planner', 'monitor'],
+    ask: (domain, archetype) => ({ question: 'What time span should it cover?', default: RANGE_DEFAULTS[archetype] }),
+  },
+  {
+    id: 'goal', mentions: 'goal', archetypes: ['tracker', 'planner'],
+    ask: () => ({ question: 'Is there a goal to measure progress against?', default: 'no fixed goal — show the trend' }),
+  },
+  {
+    id: 'source', mentions: 'source', archetypes: ['monitor', 'dashboard'],
+    ask: (domain, archetype) => ({
+      question: 'Where does the data come from?',
+      default: archetype === 'monitor' ? 'simulated values, no network' : 'entered by hand, with CSV import',
+    }),
+  },
+  {
+    id: 'refresh', mentions: 'refresh', archetypes: ['monitor'],
+    ask: () => ({ question: 'How often should it refresh?', default: 'every 5 seconds' }),
+  },
+  {
+    id: 'calculation', mentions: 'calculation', archetypes: ['calculator'],
+    ask: () => ({ question: 'What does the user enter, and what should it work out?', default: 'the values the request names; show the result with a breakdown' }),
+  },
+  {
+    id: 'writing', mentions: 'writing', archetypes: ['journal'],
+    ask: () => ({ question: 'Guided prompts or free writing?', default: 'free writing with an optional daily prompt', options: ['guided prompts', 'free writing'] }),
+  },
+  {
+    id: 'purpose', mentions: 'purpose', archetypes: ['app'],
+    ask: () => ({ question: 'What should the user be able to do with it?', default: 'add items, see them listed and summarised' }),
+  },
+  {
+    id: 'data', mentions: 'metrics', archetypes: ['app', 'journal'],
+    ask: (domain, archetype) => ({
+      question: archetype === 'journal' ? 'What should each entry capture besides the text?' : 'What information does it work with?',
+      default: archetype === 'journal' ? domain?.metrics || 'date, mood and tags' : 'whatever the user enters, saved on this device',
+    }),
+  },
+];
+
+/**
+ * Find what an intent leaves open.
+ * @param {string} intent
+ * @param {object} [opts]
+ * @param {string} [opts.archetype] - Archetype (default: classified by keyword)
+ * @returns {{ ambiguous: boolean, archetype: string, questions: Question[] }}
+ *   questions is empty unless the intent is ambiguous
+ */
+export function clarify(intent, opts = {}) {
+  const text = String(intent || '');
+  const archetype = opts.archetype || classifyIntent(text).archetype;
+  const domain = DOMAINS.find(d => d.match.test(text)) || null;
+
+  const open = [];
+  for (const entry of CATALOGUE) {
+    if (!entry.archetypes.includes(archetype) || MENTIONS[entry.mentions].test(text)) continue;
+    const asked = entry.ask(domain, archetype);
+    if (asked) open.push({ id: entry.id, ...asked });
+  }
+
+  const ambiguous = open.length >= MIN_QUESTIONS;
+  return { ambiguous, archetype, questions: ambiguous ? open.slice(0, MAX_QUESTIONS) : [] };
+}
+
+/**
+ * Pair questions with answers, falling back to each question's default.
+ * @param {Question[]} questions
+ * @param {Record<string, string>|string[]} [answers] - By question id, or in question order
+ * @returns {Clarification[]}
+ */
+export function resolveAnswers(questions, answers = {}) {
+  return questions.map((q, i) => {
+    const given = Array.isArray(answers) ? answers[i] : answers[q.id];
+    const answer = typeof given === 'string' ? given.trim() : given == null ? '' : String(given);
+    return { id: q.id, question: q.question, answer: answer || q.default, assumed: !answer };
+  });
+}
+
+/**
+ * Ask each question through a prompt function (readline in the CLI and
+ * REPL). An empty reply accepts the default.
+ * @param {Question[]} questions
+ * @param {(text: string) => Promise<string>} prompt
+ * @returns {Promise<Clarification[]>}
+ */
+export async function ask(questions, prompt) {
+  const answers = {};
+  for (const q of questions) {
+    const options = q.options ? ` (${q.options.join(' / ')})` : '';
+    answers[q.id] = await prompt(`❓ ${q.question}${options} [${q.default}] `);
+  }
+  return resolveAnswers(questions, answers);
+}
+
+/**
+ * The lines enhance() adds to L2.
+ * @param {Clarification[]} clarifications
+ * @returns {string}
+ */
+export function clarificationLines(clarifications) {
+  return clarifications.map(c => `- ${c.question} ${c.answer}${c.assumed ? ' (suggested default)' : ''}`).join('\n');
+}
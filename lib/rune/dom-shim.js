@@ -0,0 +1,1302 @@
+/**
+ * RUNE DOM Shim — Just enough browser to boot a generated app in node:vm.
+ *
+ * Builds a live document from a rune/dom.js parse tree and a window around
+ * it: elements with attributes, classList, dataset, style and innerHTML,
+ * a small selector engine, event dispatch with capture and bubbling, form
+ * defaults (checkbox toggles, submit buttons submit), Storage, a canvas 2D
+ * context that accepts any drawing call, and timers driven by a virtual
+ * clock the runner advances. It is not a browser: there is no layout, no
+ * network and no CSS cascade. APIs it does not model at all (audio, workers,
+ * geolocation, ...) are inert stubs that accept every call, so a missing
+ * shim feature does not look like a bug in the app.
+ *
+ * The shim is realm-agnostic; the runner (rune/smoke.js) contextifies the
+ * window and hands back the realm's Promise through `realm`.
+ *
+ * @module rune/dom-shim
+ */
+
+import { randomUUID } from 'node:crypto';
+import { parse } from './dom.js';
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT = new Set(['script', 'style']);
+const FORM_CONTROLS = new Set(['input', 'select', 'textarea', 'button']);
+
+const STRING_PROPS = {
+  id: 'id', className: 'class', name: 'name', title: 'title', lang: 'lang', dir: 'dir', role: 'role',
+  alt: 'alt', src: 'src', href: 'href', rel: 'rel', target: 'target', placeholder: 'placeholder',
+  htmlFor: 'for', action: 'action', method: 'method', pattern: 'pattern', min: 'min', max: 'max', step: 'step',
+  accept: 'accept', autocomplete: 'autocomplete', label: 'label',
+};
+const BOOLEAN_PROPS = {
+  disabled: 'disabled', hidden: 'hidden', required: 'required', readOnly: 'readonly', multiple: 'multiple',
+  autofocus: 'autofocus', open: 'open', noValidate: 'novalidate', controls: 'controls', loop: 'loop', muted: 'muted',
+};
+
+const NODE_TYPES = { ELEMENT_NODE: 1, TEXT_NODE: 3, COMMENT_NODE: 8, DOCUMENT_NODE: 9, DOCUMENT_FRAGMENT_NODE: 11 };
+
+/**
+ * An object that accepts anything: every property is another inert stub,
+ * calling or constructing one returns a stub, and it is never thenable.
+ * @returns {any}
+ */
+export function inert() {
+  const store = {};
+  return new Proxy(function () {}, {
+    get(target, prop) {
+      if (prop in store) return store[prop];
+      if (prop === 'then' || prop === 'prototype') return undefined;
+      if (prop === Symbol.toPrimitive) return () => '';
+      if (prop === Symbol.iterator) return function* () {};
+      if (typeof prop === 'symbol') return undefined;
+      if (prop === 'length') return 0;
+      return (store[prop] = inert());
+    },
+    set(target, prop, value) { store[prop] = value; return true; },
+    apply: () => inert(),
+    construct: () => inert(),
+  });
+}
+
+const noop = () => {};
+const camel = (name) => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+const kebab = (name) => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+// ---------------------------------------------------------------------------
+// Selectors
+// ---------------------------------------------------------------------------
+
+const SELECTOR_TOKEN = /\s*([>+~])\s*|(\s+)|(\*|[\w-]+)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*(?:i\s*)?\]|::?([\w-]+)(?:\(((?:[^()]|\([^()]*\))*)\))?/y;
+const selectorCache = new Map();
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0, quote = null, from = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) { if (ch === quote) quote = null; continue; }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (ch === ',' && depth === 0) { parts.push(text.slice(from, i)); from = i + 1; }
+  }
+  parts.push(text.slice(from));
+  return parts.map(p => p.trim());
+}
+
+/**
+ * Parse a selector list into complex selectors: arrays of
+ * { combinator, tag, id, classes, attrs, pseudos }, leftmost first.
+ */
+function parseSelector(text) {
+  if (selectorCache.has(text)) return selectorCache.get(text);
+  const list = splitTopLevel(String(text)).map((part) => {
+    if (!part) throw new SyntaxError(`'${text}' is not a valid selector`);
+    const steps = [];
+    let step = null;
+    let combinator = null;
+    const current = () => (step ||= { combinator: steps.length ? combinator || ' ' : null, tag: null, id: null, classes: [], attrs: [], pseudos: [] });
+    SELECTOR_TOKEN.lastIndex = 0;
+    while (SELECTOR_TOKEN.lastIndex < part.length) {
+      const at = SELECTOR_TOKEN.lastIndex;
+      const m = SELECTOR_TOKEN.exec(part);
+      if (!m || SELECTOR_TOKEN.lastIndex === at) throw new SyntaxError(`'${text}' is not a valid selector`);
+      if (m[1] || m[2] !== undefined) {
+        if (step) { steps.push(step); step = null; }
+        combinator = m[1] || (combinator && combinator !== ' ' ? combinator : ' ');
+        continue;
+      }
+      const s = current();
+      if (m[3]) s.tag = m[3] === '*' ? null : m[3].toLowerCase();
+      else if (m[4]) s.id = m[4];
+      else if (m[5]) s.classes.push(m[5]);
+      else if (m[6]) s.attrs.push({ name: m[6].toLowerCase(), op: m[7], value: m[8] ?? m[9] ?? m[10] });
+      else if (m[11]) s.pseudos.push({ name: m[11].toLowerCase(), arg: m[12] });
+      combinator = null;
+    }
+    if (step) steps.push(step);
+    if (!steps.length) throw new SyntaxError(`'${text}' is not a valid selector`);
+    return steps;
+  });
+  selectorCache.set(text, list);
+  return list;
+}
+
+function matchAttr(el, { name, op, value }) {
+  const actual = el.getAttribute(name);
+  if (actual === null) return false;
+  switch (op) {
+    case undefined: return true;
+    case '=': return actual === value;
+    case '~=': return actual.split(/\s+/).includes(value);
+    case '|=': return actual === value || actual.startsWith(`${value}-`);
+    case '^=': return Boolean(value) && actual.startsWith(value);
+    case '$=': return Boolean(value) && actual.endsWith(value);
+    case '*=': return Boolean(value) && actual.includes(value);
+    default: return false;
+  }
+}
+
+function nthMatches(index, arg) {
+  const expr = String(arg).replace(/\s+/g, '');
+  if (expr === 'odd') return index % 2 === 1;
+  if (expr === 'even') return index % 2 === 0;
+  const m = /^([+-]?\d*)n([+-]\d+)?$/.exec(expr);
+  if (!m) return index === Number(expr);
+  const a = m[1] === '' || m[1] === '+' ? 1 : m[1] === '-' ? -1 : Number(m[1]);
+  const b = Number(m[2] || 0);
+  return a === 0 ? index === b : (index - b) / a >= 0 && (index - b) % a === 0;
+}
+
+function matchPseudo(el, { name, arg }) {
+  const siblings = el.parentNode ? el.parentNode.children : [el];
+  switch (name) {
+    case 'checked': return Boolean(el.checked || el.selected);
+    case 'disabled': return Boolean(el.disabled);
+    case 'enabled': return !el.disabled;
+    case 'first-child': return siblings[0] === el;
+    case 'last-child': return siblings[siblings.length - 1] === el;
+    case 'only-child': return siblings.length === 1;
+    case 'nth-child': return nthMatches(siblings.indexOf(el) + 1, arg);
+    case 'nth-last-child': return nthMatches(siblings.length - siblings.indexOf(el), arg);
+    case 'empty': return el.childNodes.length === 0;
+    case 'root': return el === el.ownerDocument?.documentElement;
+    case 'not': return !matchesSelector(el, arg);
+    case 'is': case 'where': return matchesSelector(el, arg);
+    case 'has': return Boolean(el.querySelector(arg));
+    case 'focus': case 'focus-within': case 'focus-visible': return el.ownerDocument?.activeElement === el;
+    case 'hover': case 'active': case 'visited': return false;
+    default: return true; // ::before, :link and friends — irrelevant without rendering
+  }
+}
+
+function matchCompound(el, s) {
+  if (s.tag && el.localName !== s.tag) return false;
+  if (s.id && el.id !== s.id) return false;
+  for (const cls of s.classes) if (!el.classList.contains(cls)) return false;
+  for (const attr of s.attrs) if (!matchAttr(el, attr)) return false;
+  for (const pseudo of s.pseudos) if (!matchPseudo(el, pseudo)) return false;
+  return true;
+}
+
+function matchComplex(el, steps, i = steps.length - 1) {
+  if (!el || el.nodeType !== 1 || !matchCompound(el, steps[i])) return false;
+  if (i === 0) return true;
+  const { combinator } = steps[i];
+  if (combinator === '>') return matchComplex(el.parentElement, steps, i - 1);
+  if (combinator === '+') return matchComplex(el.previousElementSibling, steps, i - 1);
+  if (combinator === '~') {
+    for (let s = el.previousElementSibling; s; s = s.previousElementSibling) if (matchComplex(s, steps, i - 1)) return true;
+    return false;
+  }
+  for (let p = el.parentElement; p; p = p.parentElement) if (matchComplex(p, steps, i - 1)) return true;
+  return false;
+}
+
+function matchesSelector(el, selector) {
+  return parseSelector(selector).some(steps => matchComplex(el, steps));
+}
+
+function descendants(node, out = []) {
+  for (const child of node.childNodes) {
+    if (child.nodeType !== 1) continue;
+    out.push(child);
+    descendants(child, out);
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------------------
+
+export class Event {
+  constructor(type, init = {}) {
+    this.type = String(type);
+    this.bubbles = Boolean(init.bubbles);
+    this.cancelable = Boolean(init.cancelable);
+    this.composed = Boolean(init.composed);
+    this.defaultPrevented = false;
+    this.target = null;
+    this.currentTarget = null;
+    this.eventPhase = 0;
+    this.isTrusted = false;
+    this.timeStamp = 0;
+    this._stop = false;
+    this._stopNow = false;
+  }
+  preventDefault() { if (this.cancelable) this.defaultPrevented = true; }
+  stopPropagation() { this._stop = true; }
+  stopImmediatePropagation() { this._stop = true; this._stopNow = true; }
+  composedPath() { return this._path || []; }
+  initEvent(type, bubbles, cancelable) { this.type = type; this.bubbles = Boolean(bubbles); this.cancelable = Boolean(cancelable); }
+  get srcElement() { return this.target; }
+  get returnValue() { return !this.defaultPrevented; }
+  set returnValue(value) { if (value === false) this.preventDefault(); }
+}
+
+export class CustomEvent extends Event {
+  constructor(type, init = {}) { super(type, init); this.detail = init.detail ?? null; }
+}
+
+export class UIEvent extends Event {
+  constructor(type, init = {}) { super(type, init); this.detail = init.detail ?? 0; this.view = init.view ?? null; }
+}
+
+export class MouseEvent extends UIEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    for (const key of ['clientX', 'clientY', 'pageX', 'pageY', 'screenX', 'screenY', 'offsetX', 'offsetY', 'movementX', 'movementY', 'button', 'buttons']) this[key] = init[key] ?? 0;
+    for (const key of ['altKey', 'ctrlKey', 'metaKey', 'shiftKey']) this[key] = Boolean(init[key]);
+    this.relatedTarget = init.relatedTarget ?? null;
+  }
+}
+
+export class PointerEvent extends MouseEvent {
+  constructor(type, init = {}) { super(type, init); this.pointerId = init.pointerId ?? 1; this.pointerType = init.pointerType ?? 'mouse'; this.isPrimary = true; }
+}
+
+export class KeyboardEvent extends UIEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.key = init.key ?? '';
+    this.code = init.code ?? '';
+    this.repeat = Boolean(init.repeat);
+    for (const key of ['altKey', 'ctrlKey', 'metaKey', 'shiftKey']) this[key] = Boolean(init[key]);
+  }
+}
+
+export class InputEvent extends UIEvent {
+  constructor(type, init = {}) { super(type, init); this.data = init.data ?? null; this.inputType = init.inputType ?? ''; }
+}
+
+export class FocusEvent extends UIEvent {
+  constructor(type, init = {}) { super(type, init); this.relatedTarget = init.relatedTarget ?? null; }
+}
+
+export class SubmitEvent extends Event {
+  constructor(type, init = {}) { super(type, init); this.submitter = init.submitter ?? null; }
+}
+
+export class TouchEvent extends UIEvent {
+  constructor(type, init = {}) { super(type, init); this.touches = init.touches ?? []; this.changedTouches = init.changedTouches ?? []; this.targetTouches = []; }
+}
+
+/**
+ * Listener bookkeeping shared by nodes and the window.
+ */
+export class EventTarget {
+  addEventListener(type, listener, options) {
+    if (!listener) return;
+    const capture = typeof options === 'boolean' ? options : Boolean(options?.capture);
+    const list = ((this._listeners ||= new Map()).get(type) || []);
+    if (list.some(l => l.listener === listener && l.capture === capture)) return;
+    list.push({ listener, capture, once: Boolean(options?.once) });
+    this._listeners.set(type, list);
+  }
+
+  removeEventListener(type, listener, options) {
+    const capture = typeof options === 'boolean' ? options : Boolean(options?.capture);
+    const list = this._listeners?.get(type);
+    if (list) this._listeners.set(type, list.filter(l => l.listener !== listener || l.capture !== capture));
+  }
+
+  dispatchEvent(event) {
+    const path = [];
+    for (let n = this; n; n = n._eventParent()) path.push(n);
+    event.target = this;
+    event._path = path;
+    event._stop = event._stopNow = false;
+
+    for (let i = path.length - 1; i > 0 && !event._stop; i--) invoke(path[i], event, 'capture', 1);
+    if (!event._stop) invoke(this, event, 'target', 2);
+    if (event.bubbles) for (let i = 1; i < path.length && !event._stop; i++) invoke(path[i], event, 'bubble', 3);
+
+    event.currentTarget = null;
+    event.eventPhase = 0;
+    return !event.defaultPrevented;
+  }
+
+  _eventParent() { return null; }
+
+  // The window's hooks, reached through the owner document
+  _hooks() { return null; }
+}
+
+function invoke(node, event, phase, eventPhase) {
+  event.currentTarget = node;
+  event.eventPhase = eventPhase;
+  const hooks = node._hooks();
+  const call = (fn) => {
+    try {
+      if (typeof fn === 'function') {
+        if (fn.call(node, event) === false && phase !== 'capture') event.preventDefault();
+      } else if (typeof fn?.handleEvent === 'function') fn.handleEvent(event);
+    } catch (err) {
+      // A throwing listener is reported, and the remaining listeners still run
+      if (hooks?.reportError) hooks.reportError(err);
+      else throw err;
+    }
+  };
+
+  for (const entry of [...(node._listeners?.get(event.type) || [])]) {
+    if (event._stopNow) return;
+    if (phase === 'capture' && !entry.capture) continue;
+    if (phase === 'bubble' && entry.capture) continue;
+    if (entry.once) node.removeEventListener(event.type, entry.listener, entry.capture);
+    call(entry.listener);
+  }
+  if (phase !== 'capture' && !event._stopNow) {
+    const handler = node._handler?.(event.type);
+    if (handler) call(handler);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Nodes
+// ---------------------------------------------------------------------------
+
+export class Node extends EventTarget {
+  constructor(document) {
+    super();
+    this.ownerDocument = document;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() { return this.parentNode?.nodeType === 1 ? this.parentNode : null; }
+  get firstChild() { return this.childNodes[0] || null; }
+  get lastChild() { return this.childNodes[this.childNodes.length - 1] || null; }
+  get nextSibling() { return this._sibling(1); }
+  get previousSibling() { return this._sibling(-1); }
+  get isConnected() { return this.getRootNode().nodeType === 9; }
+  get nodeValue() { return null; }
+
+  _sibling(step) {
+    const siblings = this.parentNode?.childNodes;
+    return siblings ? siblings[siblings.indexOf(this) + step] || null : null;
+  }
+
+  _eventParent() {
+    if (this.parentNode) return this.parentNode;
+    return this.nodeType === 9 ? this.defaultView : null;
+  }
+
+  _hooks() { return (this.ownerDocument || this)._hookset || null; }
+
+  getRootNode() {
+    let n = this;
+    while (n.parentNode) n = n.parentNode;
+    return n;
+  }
+
+  hasChildNodes() { return this.childNodes.length > 0; }
+
+  contains(other) {
+    for (let n = other; n; n = n.parentNode) if (n === this) return true;
+    return false;
+  }
+
+  appendChild(child) { return this.insertBefore(child, null); }
+
+  insertBefore(child, ref) {
+    if (!(child instanceof Node)) throw new TypeError("Failed to execute 'insertBefore' on 'Node': parameter 1 is not of type 'Node'.");
+    if (child.contains(this)) throw new Error('HierarchyRequestError: The new child element contains the parent.');
+    const nodes = child.nodeType === 11 ? [...child.childNodes] : [child];
+    for (const n of nodes) n.parentNode?._detach(n);
+    const at = ref ? this.childNodes.indexOf(ref) : -1;
+    if (ref && at === -1) throw new Error("NotFoundError: The node before which the new node is to be inserted is not a child of this node.");
+    this.childNodes.splice(at === -1 ? this.childNodes.length : at, 0, ...nodes);
+    for (const n of nodes) n.parentNode = this;
+    return child;
+  }
+
+  removeChild(child) {
+    if (child?.parentNode !== this) throw new Error('NotFoundError: The node to be removed is not a child of this node.');
+    this._detach(child);
+    return child;
+  }
+
+  replaceChild(child, old) {
+    this.insertBefore(child, old);
+    return this.removeChild(old);
+  }
+
+  _detach(child) {
+    const at = this.childNodes.indexOf(child);
+    if (at !== -1) this.childNodes.splice(at, 1);
+    child.parentNode = null;
+  }
+
+  remove() { this.parentNode?._detach(this); }
+
+  get textContent() {
+    return this.childNodes.filter(n => n.nodeType !== 8).map(n => n.textContent).join('');
+  }
+
+  set textContent(value) {
+    for (const n of this.childNodes) n.parentNode = null;
+    this.childNodes = [];
+    if (value !== null && value !== undefined && value !== '') this.appendChild(this.ownerDocument.createTextNode(String(value)));
+  }
+
+  cloneNode(deep = false) {
+    const copy = this._shallowClone();
+    if (deep) for (const child of this.childNodes) copy.appendChild(child.cloneNode(true));
+    return copy;
+  }
+
+  normalize() {}
+  isSameNode(other) { return other === this; }
+}
+
+Object.assign(Node, NODE_TYPES);
+
+export class Text extends Node {
+  constructor(document, data) { super(document); this.data = String(data); }
+  get nodeType() { return 3; }
+  get nodeName() { return '#text'; }
+  get nodeValue() { return this.data; }
+  set nodeValue(value) { this.data = String(value); }
+  get textContent() { return this.data; }
+  set textContent(value) { this.data = String(value); }
+  get length() { return this.data.length; }
+  _shallowClone() { return new Text(this.ownerDocument, this.data); }
+}
+
+export class Comment extends Node {
+  constructor(document, data) { super(document); this.data = String(data); }
+  get nodeType() { return 8; }
+  get nodeName() { return '#comment'; }
+  get textContent() { return this.data; }
+  _shallowClone() { return new Comment(this.ownerDocument, this.data); }
+}
+
+/**
+ * Query and child-element helpers shared by elements, fragments and the document.
+ */
+class ParentNode extends Node {
+  get children() { return this.childNodes.filter(n => n.nodeType === 1); }
+  get childElementCount() { return this.children.length; }
+  get firstElementChild() { return this.children[0] || null; }
+  get lastElementChild() { return this.children[this.children.length - 1] || null; }
+
+  querySelectorAll(selector) {
+    parseSelector(selector);
+    return descendants(this).filter(el => matchesSelector(el, selector));
+  }
+
+  querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+  getElementsByTagName(name) { return name === '*' ? descendants(this) : descendants(this).filter(el => el.localName === String(name).toLowerCase()); }
+  getElementsByClassName(names) {
+    const wanted = String(names).split(/\s+/).filter(Boolean);
+    return descendants(this).filter(el => wanted.every(c => el.classList.contains(c)));
+  }
+  getElementById(id) { return descendants(this).find(el => el.id === String(id)) || null; }
+
+  append(...nodes) { for (const n of nodes) this.appendChild(this._toNode(n)); }
+  prepend(...nodes) { const first = this.firstChild; for (const n of nodes) this.insertBefore(this._toNode(n), first); }
+  replaceChildren(...nodes) { this.textContent = ''; this.append(...nodes); }
+
+  _toNode(value) { return value instanceof Node ? value : this.ownerDocument.createTextNode(String(value)); }
+}
+
+export class DocumentFragment extends ParentNode {
+  get nodeType() { return 11; }
+  get nodeName() { return '#document-fragment'; }
+  _shallowClone() { return new DocumentFragment(this.ownerDocument); }
+}
+
+/**
+ * Parse markup into fresh nodes owned by a document.
+ */
+function fragmentNodes(document, html) {
+  return parse(String(html ?? '')).root.children.map(child => fromTree(document, child));
+}
+
+function fromTree(document, node) {
+  if (node.type === 'text') {
+    const text = new Text(document, node.value);
+    text._start = node.start;
+    return text;
+  }
+  if (node.type === 'comment') return new Comment(document, node.value);
+  const el = document.createElement(node.name);
+  el._start = node.start;
+  for (const [name, value] of Object.entries(node.attrs)) el._attrs.set(name, value);
+  el._init();
+  for (const child of node.children) el.appendChild(fromTree(document, child));
+  if (node.name === 'textarea') el._value = null;
+  return el;
+}
+
+function serialize(node) {
+  if (node.nodeType === 3) return node.parentNode && RAW_TEXT.has(node.parentNode.localName) ? node.data : escapeText(node.data);
+  if (node.nodeType === 8) return `<!--${node.data}-->`;
+  if (node.nodeType === 11) return node.childNodes.map(serialize).join('');
+  const attrs = [...node._attrs].map(([k, v]) => ` ${k}="${escapeAttr(v)}"`).join('');
+  if (VOID.has(node.localName)) return `<${node.localName}${attrs}>`;
+  return `<${node.localName}${attrs}>${node.childNodes.map(serialize).join('')}</${node.localName}>`;
+}
+
+class ClassList {
+  constructor(el) { this._el = el; }
+  _get() { return (this._el.getAttribute('class') || '').split(/\s+/).filter(Boolean); }
+  _set(list) { this._el.setAttribute('class', [...new Set(list)].join(' ')); }
+  get length() { return this._get().length; }
+  get value() { return this._get().join(' '); }
+  item(i) { return this._get()[i] ?? null; }
+  contains(name) { return this._get().includes(String(name)); }
+  add(...names) { this._set([...this._get(), ...names.map(String)]); }
+  remove(...names) { this._set(this._get().filter(c => !names.includes(c))); }
+  toggle(name, force) {
+    const on = force === undefined ? !this.contains(name) : Boolean(force);
+    if (on) this.add(name); else this.remove(name);
+    return on;
+  }
+  replace(from, to) {
+    if (!this.contains(from)) return false;
+    this._set(this._get().map(c => c === from ? to : c));
+    return true;
+  }
+  forEach(fn) { this._get().forEach(fn); }
+  values() { return this._get().values(); }
+  [Symbol.iterator]() { return this._get()[Symbol.iterator](); }
+  toString() { return this.value; }
+}
+
+function styleDeclaration(initial = '') {
+  const props = {};
+  const api = {
+    setProperty: (name, value) => { props[name.startsWith('--') ? name : camel(name)] = String(value ?? ''); },
+    getPropertyValue: (name) => props[name.startsWith('--') ? name : camel(name)] ?? '',
+    removeProperty: (name) => { const key = name.startsWith('--') ? name : camel(name); const old = props[key] ?? ''; delete props[key]; return old; },
+    item: (i) => Object.keys(props)[i] ?? '',
+  };
+  const setCss = (text) => {
+    for (const key of Object.keys(props)) delete props[key];
+    for (const decl of String(text).split(';')) {
+      const at = decl.indexOf(':');
+      if (at > 0) api.setProperty(decl.slice(0, at).trim(), decl.slice(at + 1).trim());
+    }
+  };
+  setCss(initial);
+  return new Proxy(props, {
+    get(target, prop) {
+      if (prop in api) return api[prop];
+      if (prop === 'cssText') return Object.entries(target).map(([k, v]) => `${k.startsWith('--') ? k : kebab(k)}: ${v};`).join(' ');
+      if (prop === 'length') return Object.keys(target).length;
+      if (typeof prop === 'symbol') return undefined;
+      return target[prop] ?? '';
+    },
+    set(target, prop, value) {
+      if (prop === 'cssText') setCss(value);
+      else target[prop] = value === null || value === undefined ? '' : String(value);
+      return true;
+    },
+  });
+}
+
+function canvasContext(canvas) {
+  const state = {
+    canvas, fillStyle: '#000000', strokeStyle: '#000000', lineWidth: 1, lineCap: 'butt', lineJoin: 'miter',
+    font: '10px sans-serif', textAlign: 'start', textBaseline: 'alphabetic', globalAlpha: 1,
+    globalCompositeOperation: 'source-over', shadowBlur: 0, shadowColor: 'rgba(0, 0, 0, 0)', imageSmoothingEnabled: true,
+  };
+  const gradient = () => ({ addColorStop: noop });
+  const imageData = (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(Math.max(0, w * h * 4)) });
+  const methods = {
+    measureText: (text) => ({ width: String(text).length * 6, actualBoundingBoxAscent: 8, actualBoundingBoxDescent: 2 }),
+    getImageData: (x, y, w, h) => imageData(w, h),
+    createImageData: (w, h) => (typeof w === 'object' ? imageData(w.width, w.height) : imageData(w, h)),
+    createLinearGradient: gradient,
+    createRadialGradient: gradient,
+    createConicGradient: gradient,
+    createPattern: () => ({ setTransform: noop }),
+    getLineDash: () => [],
+    isPointInPath: () => false,
+    isPointInStroke: () => false,
+    getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+  };
+  return new Proxy(state, {
+    get: (target, prop) => (prop in target ? target[prop] : methods[prop] || (typeof prop === 'symbol' ? undefined : noop)),
+    set: (target, prop, value) => { target[prop] = value; return true; },
+  });
+}
+
+export class Element extends ParentNode {
+  constructor(document, tagName) {
+    super(document);
+    this.localName = String(tagName).toLowerCase();
+    this._attrs = new Map();
+    this.classList = new ClassList(this);
+    this._style = styleDeclaration();
+    this.scrollTop = 0;
+    this.scrollLeft = 0;
+    this._value = null;
+    this._checked = null;
+  }
+
+  get nodeType() { return 1; }
+  get nodeName() { return this.localName.toUpperCase(); }
+  get tagName() { return this.nodeName; }
+  get style() { return this._style; }
+  set style(value) { this._style.cssText = value; }
+
+  // Sync property state with freshly parsed attributes
+  _init() {
+    if (this._attrs.has('style')) this.style.cssText = this._attrs.get('style');
+  }
+
+  _shallowClone() {
+    const copy = this.ownerDocument.createElement(this.localName);
+    for (const [k, v] of this._attrs) copy._attrs.set(k, v);
+    copy._init();
+    copy._value = this._value;
+    copy._checked = this._checked;
+    return copy;
+  }
+
+  _handler(type) {
+    const prop = this[`on${type}`];
+    if (typeof prop === 'function') return prop;
+    const code = this._attrs.get(`on${type}`);
+    if (!code) return null;
+    return this._hooks()?.compileHandler?.(code, this, `on${type}`) || null;
+  }
+
+  // --- attributes ---
+  getAttribute(name) { return this._attrs.get(String(name).toLowerCase()) ?? null; }
+  setAttribute(name, value) {
+    const key = String(name).toLowerCase();
+    this._attrs.set(key, String(value));
+    if (key === 'style') this.style.cssText = String(value);
+  }
+  removeAttribute(name) { this._attrs.delete(String(name).toLowerCase()); }
+  hasAttribute(name) { return this._attrs.has(String(name).toLowerCase()); }
+  toggleAttribute(name, force) {
+    const on = force === undefined ? !this.hasAttribute(name) : Boolean(force);
+    if (on) this.setAttribute(name, ''); else this.removeAttribute(name);
+    return on;
+  }
+  getAttributeNames() { return [...this._attrs.keys()]; }
+  hasAttributes() { return this._attrs.size > 0; }
+  get attributes() { return [...this._attrs].map(([name, value]) => ({ name, value, nodeName: name, nodeValue: value })); }
+
+  get dataset() {
+    return new Proxy({}, {
+      get: (t, prop) => (typeof prop === 'string' ? this.getAttribute(`data-${kebab(prop)}`) ?? undefined : undefined),
+      set: (t, prop, value) => { this.setAttribute(`data-${kebab(prop)}`, value); return true; },
+      deleteProperty: (t, prop) => { this.removeAttribute(`data-${kebab(prop)}`); return true; },
+      has: (t, prop) => this.hasAttribute(`data-${kebab(prop)}`),
+      ownKeys: () => this.getAttributeNames().filter(n => n.startsWith('data-')).map(n => camel(n.slice(5))),
+      getOwnPropertyDescriptor: (t, prop) => {
+        const value = this.getAttribute(`data-${kebab(prop)}`);
+        return value === null ? undefined : { value, enumerable: true, configurable: true, writable: true };
+      },
+    });
+  }
+
+  // --- markup ---
+  get innerHTML() { return this.childNodes.map(serialize).join(''); }
+  set innerHTML(html) {
+    this.textContent = '';
+    if (RAW_TEXT.has(this.localName)) this.textContent = html;
+    else for (const node of fragmentNodes(this.ownerDocument, html)) this.appendChild(node);
+  }
+  get outerHTML() { return serialize(this); }
+  set outerHTML(html) {
+    const parent = this.parentNode;
+    if (!parent) return;
+    for (const node of fragmentNodes(this.ownerDocument, html)) parent.insertBefore(node, this);
+    this.remove();
+  }
+  get innerText() { return this.textContent; }
+  set innerText(value) { this.textContent = value; }
+  get outerText() { return this.textContent; }
+
+  insertAdjacentHTML(position, html) {
+    const frag = this.ownerDocument.createDocumentFragment();
+    for (const node of fragmentNodes(this.ownerDocument, html)) frag.appendChild(node);
+    this.insertAdjacentElement(position, frag);
+  }
+
+  insertAdjacentElement(position, node) {
+    switch (String(position).toLowerCase()) {
+      case 'beforebegin': this.parentNode?.insertBefore(node, this); break;
+      case 'afterbegin': this.insertBefore(node, this.firstChild); break;
+      case 'beforeend': this.appendChild(node); break;
+      case 'afterend': this.parentNode?.insertBefore(node, this.nextSibling); break;
+      default: throw new SyntaxError(`The value provided ('${position}') is not one of 'beforeBegin', 'afterBegin', 'beforeEnd', or 'afterEnd'.`);
+    }
+    return node;
+  }
+
+  insertAdjacentText(position, text) { this.insertAdjacentElement(position, this.ownerDocument.createTextNode(text)); }
+
+  before(...nodes) { for (const n of nodes) this.parentNode?.insertBefore(this._toNode(n), this); }
+  after(...nodes) { const next = this.nextSibling; for (const n of nodes) this.parentNode?.insertBefore(this._toNode(n), next); }
+  replaceWith(...nodes) { this.before(...nodes); this.remove(); }
+
+  // --- tree ---
+  get nextElementSibling() { return this._elementSibling(1); }
+  get previousElementSibling() { return this._elementSibling(-1); }
+  _elementSibling(step) {
+    const siblings = this.parentNode?.children;
+    return siblings ? siblings[siblings.indexOf(this) + step] || null : null;
+  }
+  matches(selector) { return matchesSelector(this, selector); }
+  closest(selector) {
+    for (let n = this; n && n.nodeType === 1; n = n.parentNode) if (n.matches(selector)) return n;
+    return null;
+  }
+
+  // --- layout (there is none) ---
+  getBoundingClientRect() { return { x: 0, y: 0, top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0, toJSON() { return this; } }; }
+  getClientRects() { return []; }
+  get offsetWidth() { return 0; }
+  get offsetHeight() { return 0; }
+  get offsetTop() { return 0; }
+  get offsetLeft() { return 0; }
+  get offsetParent() { return this.parentElement; }
+  get clientWidth() { return 0; }
+  get clientHeight() { return 0; }
+  get scrollWidth() { return 0; }
+  get scrollHeight() { return 0; }
+  scrollIntoView() {}
+  scrollTo() {}
+  scrollBy() {}
+  requestFullscreen() { return this._hooks()?.resolved(); }
+  setPointerCapture() {}
+  releasePointerCapture() {}
+  attachShadow() { const root = this.ownerDocument.createDocumentFragment(); this.shadowRoot = root; return root; }
+  animate() {
+    return { finished: this._hooks()?.resolved(), cancel: noop, finish: noop, play: noop, pause: noop, reverse: noop, onfinish: null, addEventListener: noop };
+  }
+  getAnimations() { return []; }
+
+  // --- focus and activation ---
+  get tabIndex() { return Number(this.getAttribute('tabindex') ?? (FORM_CONTROLS.has(this.localName) || this.localName === 'a' ? 0 : -1)); }
+  set tabIndex(value) { this.setAttribute('tabindex', value); }
+  focus() {
+    const doc = this.ownerDocument;
+    if (doc.activeElement === this) return;
+    const previous = doc.activeElement;
+    doc._active = this;
+    previous?.dispatchEvent(new FocusEvent('blur'));
+    this.dispatchEvent(new FocusEvent('focus'));
+    this.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+  }
+  blur() {
+    const doc = this.ownerDocument;
+    if (doc.activeElement !== this) return;
+    doc._active = null;
+    this.dispatchEvent(new FocusEvent('blur'));
+    this.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+  }
+
+  click() {
+    if (this.disabled) return;
+    const type = this.type;
+    const toggles = this.localName === 'input' && (type === 'checkbox' || type === 'radio');
+    const wasChecked = this.checked;
+    const group = type === 'radio' ? this._radioGroup() : [];
+    const previous = group.find(r => r.checked);
+    if (toggles) {
+      if (type === 'radio') { for (const r of group) r._checked = false; this._checked = true; }
+      else this._checked = !wasChecked;
+    }
+
+    const proceed = this.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: this.ownerDocument.defaultView }));
+
+    if (toggles) {
+      if (!proceed) {
+        this._checked = wasChecked;
+        if (previous) previous._checked = true;
+      } else if (this.checked !== wasChecked) {
+        this.dispatchEvent(new InputEvent('input', { bubbles: true }));
+        this.dispatchEvent(new Event('change', { bubbles: true }));
+      }
+      return;
+    }
+    if (!proceed) return;
+
+    if (this.localName === 'summary') {
+      const details = this.parentElement;
+      if (details?.localName === 'details') {
+        details.open = !details.open;
+        details.dispatchEvent(new Event('toggle'));
+      }
+    } else if (this.localName === 'label') {
+      const control = this.htmlFor ? this.ownerDocument.getElementById(this.htmlFor) : this.querySelector('input, select, textarea, button');
+      if (control && control !== this) control.click();
+    } else if (this.form && (this.localName === 'button' || this.localName === 'input')) {
+      if (type === 'submit' || type === 'image') this.form.requestSubmit(this);
+      else if (type === 'reset') this.form.reset();
+    }
+  }
+
+  _radioGroup() {
+    if (!this.name) return [this];
+    const scope = this.form || this.ownerDocument;
+    return scope.querySelectorAll('input[type="radio"]').filter(r => r.name === this.name);
+  }
+
+  // --- form controls ---
+  get type() {
+    const attr = (this.getAttribute('type') || '').toLowerCase();
+    if (this.localName === 'input') return attr || 'text';
+    if (this.localName === 'button') return attr === 'button' || attr === 'reset' ? attr : 'submit';
+    if (this.localName === 'select') return this.multiple ? 'select-multiple' : 'select-one';
+    return attr || (this.localName === 'textarea' ? 'textarea' : '');
+  }
+  set type(value) { this.setAttribute('type', value); }
+
+  get value() {
+    if (this.localName === 'select') return this.options.find(o => o.selected)?.value ?? '';
+    if (this.localName === 'option') return this.getAttribute('value') ?? this.textContent.trim();
+    if (this.localName === 'textarea') return this._value ?? this.textContent;
+    if (this.localName === 'input' && (this.type === 'checkbox' || this.type === 'radio')) return this.getAttribute('value') ?? 'on';
+    return this._value ?? this.getAttribute('value') ?? (this.localName === 'input' && this.type === 'range' ? '50' : '');
+  }
+  set value(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (this.localName === 'select') { for (const o of this.options) o._selected = o.value === text; return; }
+    if (this.localName === 'option') { this.setAttribute('value', text); return; }
+    this._value = text;
+  }
+  get defaultValue() { return this.localName === 'textarea' ? this.textContent : this.getAttribute('value') ?? ''; }
+  set defaultValue(value) { this.setAttribute('value', value); }
+  get valueAsNumber() { const n = parseFloat(this.value); return Number.isNaN(n) ? NaN : n; }
+  set valueAsNumber(value) { this.value = String(value); }
+  get valueAsDate() { const d = new Date(this.value); return Number.isNaN(d.getTime()) ? null : d; }
+  set valueAsDate(value) { this.value = value ? value.toISOString().slice(0, 10) : ''; }
+
+  get checked() { return this._checked ?? this.hasAttribute('checked'); }
+  set checked(value) {
+    if (value && this.type === 'radio') for (const r of this._radioGroup()) r._checked = false;
+    this._checked = Boolean(value);
+  }
+  get defaultChecked() { return this.hasAttribute('checked'); }
+  get indeterminate() { return Boolean(this._indeterminate); }
+  set indeterminate(value) { this._indeterminate = Boolean(value); }
+
+  get selected() {
+    if (this._selected !== undefined) return this._selected;
+    const select = this.closest('select');
+    if (!select) return this.hasAttribute('selected');
+    const options = select.options;
+    const explicit = options.find(o => o._selected !== undefined ? o._selected : o.hasAttribute('selected'));
+    return explicit ? explicit === this : !select.multiple && options[0] === this;
+  }
+  set selected(value) {
+    const select = this.closest('select');
+    if (value && select && !select.multiple) for (const o of select.options) o._selected = false;
+    this._selected = Boolean(value);
+  }
+
+  get options() { return this.localName === 'select' || this.localName === 'datalist' ? this.querySelectorAll('option') : undefined; }
+  get selectedOptions() { return this.options?.filter(o => o.selected); }
+  get selectedIndex() { return this.options ? this.options.findIndex(o => o.selected) : undefined; }
+  set selectedIndex(index) { this.options?.forEach((o, i) => { o._selected = i === Number(index); }); }
+  get text() { return this.textContent; }
+  set text(value) { this.textContent = value; }
+  add(option) { this.appendChild(option); }
+
+  get form() {
+    if (!FORM_CONTROLS.has(this.localName) && this.localName !== 'fieldset' && this.localName !== 'output') return undefined;
+    const owner = this.getAttribute('form');
+    return owner ? this.ownerDocument.getElementById(owner) : this.closest('form');
+  }
+  get elements() {
+    if (this.localName !== 'form' && this.localName !== 'fieldset') return undefined;
+    const controls = this.querySelectorAll('input, select, textarea, button, fieldset, output');
+    for (const c of controls) if (c.name && !(c.name in controls)) controls[c.name] = c;
+    controls.namedItem = (name) => controls.find(c => c.name === name || c.id === name) || null;
+    return controls;
+  }
+  get labels() { return this.id ? this.ownerDocument.querySelectorAll(`label[for="${this.id}"]`) : []; }
+  get validity() {
+    const valueMissing = this.required && !this.value;
+    return { valid: !valueMissing, valueMissing, typeMismatch: false, patternMismatch: false, tooLong: false, tooShort: false, rangeOverflow: false, rangeUnderflow: false, stepMismatch: false, badInput: false, customError: Boolean(this._custom) };
+  }
+  get validationMessage() { return this._custom || (this.validity.valid ? '' : 'Please fill out this field.'); }
+  checkValidity() {
+    if (this.localName === 'form') return this.elements.every(c => c.checkValidity());
+    return this.validity.valid && !this._custom;
+  }
+  reportValidity() { return this.checkValidity(); }
+  setCustomValidity(message) { this._custom = String(message); }
+  select() {}
+  setSelectionRange() {}
+  setRangeText() {}
+  stepUp(n = 1) { this.valueAsNumber = (this.valueAsNumber || 0) + Number(this.step || 1) * n; }
+  stepDown(n = 1) { this.stepUp(-n); }
+  showPicker() {}
+
+  submit() {}
+  requestSubmit(submitter = null) {
+    if (this.localName !== 'form') return;
+    this.dispatchEvent(new SubmitEvent('submit', { bubbles: true, cancelable: true, submitter }));
+  }
+  reset() {
+    if (this.localName !== 'form') return;
+    for (const c of this.elements) { c._value = null; c._checked = null; c._selected = undefined; }
+    this.dispatchEvent(new Event('reset', { bubbles: true, cancelable: true }));
+  }
+
+  // --- dialog / details / media / canvas ---
+  show() { this.open = true; }
+  showModal() { this.open = true; }
+  close(value) {
+    if (this.localName !== 'dialog') return;
+    if (value !== undefined) this.returnValue = String(value);
+    this.open = false;
+    this.dispatchEvent(new Event('close'));
+  }
+  play() { this.paused = false; return this._hooks()?.resolved(); }
+  pause() { this.paused = true; }
+  load() {}
+  canPlayType() { return ''; }
+
+  get width() { return this.localName === 'canvas' ? Number(this.getAttribute('width') ?? 300) : Number(this.getAttribute('width') ?? 0); }
+  set width(value) { this.setAttribute('width', value); }
+  get height() { return this.localName === 'canvas' ? Number(this.getAttribute('height') ?? 150) : Number(this.getAttribute('height') ?? 0); }
+  set height(value) { this.setAttribute('height', value); }
+  getContext(kind) {
+    if (this.localName !== 'canvas') return undefined;
+    if (kind !== '2d') return null; // no WebGL: apps are expected to cope, like on an old browser
+    return (this._context ||= canvasContext(this));
+  }
+  toDataURL() { return 'data:,'; }
+  toBlob(callback) { callback?.(null); }
+
+  // <template>
+  get content() {
+    if (this.localName !== 'template') return undefined;
+    const frag = this.ownerDocument.createDocumentFragment();
+    for (const child of this.childNodes) frag.appendChild(child.cloneNode(true));
+    return frag;
+  }
+}
+
+for (const [prop, attr] of Object.entries(STRING_PROPS)) {
+  Object.defineProperty(Element.prototype, prop, {
+    get() { return this.getAttribute(attr) ?? ''; },
+    set(value) { this.setAttribute(attr, value); },
+    configurable: true,
+  });
+}
+for (const [prop, attr] of Object.entries(BOOLEAN_PROPS)) {
+  Object.defineProperty(Element.prototype, prop, {
+    get() { return this.hasAttribute(attr); },
+    set(value) { if (value) this.setAttribute(attr, ''); else this.removeAttribute(attr); },
+    configurable: true,
+  });
+}
+
+export class Document extends ParentNode {
+  constructor(hooks = {}) {
+    super(null);
+    this._hookset = hooks;
+    this._active = null;
+    this.readyState = 'loading';
+    this.cookie = '';
+    this.defaultView = null;
+    this.currentScript = null;
+    this.visibilityState = 'visible';
+    this.hidden = false;
+    this.characterSet = 'UTF-8';
+  }
+
+  get nodeType() { return 9; }
+  get nodeName() { return '#document'; }
+  get documentElement() { return this.children.find(el => el.localName === 'html') || null; }
+  get head() { return this.documentElement?.children.find(el => el.localName === 'head') || null; }
+  get body() { return this.documentElement?.children.find(el => el.localName === 'body') || null; }
+  get scrollingElement() { return this.documentElement; }
+  get activeElement() { return this._active?.isConnected ? this._active : this.body; }
+  get forms() { return this.getElementsByTagName('form'); }
+  get images() { return this.getElementsByTagName('img'); }
+  get links() { return this.querySelectorAll('a[href], area[href]'); }
+  get scripts() { return this.getElementsByTagName('script'); }
+  get title() { return this.querySelector('title')?.textContent.trim() ?? ''; }
+  set title(value) {
+    let title = this.querySelector('title');
+    if (!title) { title = this.createElement('title'); this.head?.appendChild(title); }
+    title.textContent = value;
+  }
+  get location() { return this.defaultView?.location; }
+  get fonts() {
+    return { ready: this._hooks()?.resolved(), load: () => this._hooks()?.resolved([]), add: noop, check: () => true, forEach: noop, status: 'loaded' };
+  }
+
+  createElement(tagName) { return new Element(this, tagName); }
+  createElementNS(ns, tagName) { return this.createElement(tagName); }
+  createTextNode(data) { return new Text(this, data); }
+  createComment(data) { return new Comment(this, data); }
+  createDocumentFragment() { return new DocumentFragment(this); }
+  createEvent() { return new Event(''); }
+  createRange() {
+    const range = inert();
+    range.createContextualFragment = (html) => {
+      const frag = this.createDocumentFragment();
+      for (const node of fragmentNodes(this, html)) frag.appendChild(node);
+      return frag;
+    };
+    return range;
+  }
+  importNode(node, deep) { return node.cloneNode(deep); }
+  adoptNode(node) { node.remove(); return node; }
+  hasFocus() { return true; }
+  execCommand() { return false; }
+  elementFromPoint() { return null; }
+  elementsFromPoint() { return []; }
+  getSelection() { return this.defaultView?.getSelection(); }
+  open() { return this; }
+  write(html) { if (this.body) this.body.insertAdjacentHTML('beforeend', html); }
+  writeln(html) { this.write(`${html}\n`); }
+  close() {}
+  _shallowClone() { return new Document(this._hookset); }
+}
+
+/**
+ * localStorage / sessionStorage: string values, reachable as methods and as
+ * properties (`localStorage.theme = 'dark'`).
+ */
+export function createStorage(seed = {}) {
+  const data = new Map(Object.entries(seed).map(([k, v]) => [k, String(v)]));
+  const api = {
+    getItem: (key) => (data.has(String(key)) ? data.get(String(key)) : null),
+    setItem: (key, value) => { data.set(String(key), String(value)); },
+    removeItem: (key) => { data.delete(String(key)); },
+    clear: () => data.clear(),
+    key: (i) => [...data.keys()][i] ?? null,
+  };
+  return new Proxy(data, {
+    get: (target, prop) => (prop === 'length' ? data.size : prop in api ? api[prop] : typeof prop === 'string' && data.has(prop) ? data.get(prop) : undefined),
+    set: (target, prop, value) => { data.set(String(prop), String(value)); return true; },
+    deleteProperty: (target, prop) => { data.delete(String(prop)); return true; },
+    has: (target, prop) => prop in api || data.has(String(prop)),
+    ownKeys: () => [...data.keys()],
+    getOwnPropertyDescriptor: (target, prop) => (data.has(String(prop)) ? { value: data.get(String(prop)), enumerable: true, configurable: true, writable: true } : undefined),
+  });
+}
+
+/**
+ * Timers on a virtual clock. Nothing fires on its own; the runner asks
+ * for the next due timer and decides when (and whether) to run it.
+ */
+export class Clock {
+  constructor() {
+    this.now = 0;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  add(callback, delay, args, repeat) {
+    const id = this.nextId++;
+    const ms = Math.max(0, Number(delay) || 0);
+    this.timers.set(id, { id, callback, args, at: this.now + ms, interval: repeat ? Math.max(1, ms) : 0 });
+    return id;
+  }
+
+  clear(id) { this.timers.delete(id); }
+
+  /**
+   * Take the earliest timer due at or before `until`, rescheduling intervals.
+   * @returns {{ id: number, callback: Function|string, args: any[], at: number }|null}
+   */
+  next(until) {
+    let due = null;
+    for (const t of this.timers.values()) if (t.at <= until && (!due || t.at < due.at || (t.at === due.at && t.id < due.id))) due = t;
+    if (!due) return null;
+    this.now = Math.max(this.now, due.at);
+    if (due.interval) due.at += due.interval;
+    else this.timers.delete(due.id);
+    return due;
+  }
+}
+
+/**
+ * @typedef {object} ShimHooks
+ * @property {(err: any) => void} reportError - An event listener threw
+ * @property {(args: any[]) => void} consoleError - console.error was called
+ * @property {(code: string, el: Element, attr: string) => Function|null} compileHandler - Compile an on* attribute in the app's realm
+ * @property {(url: string, init: object) => void} [request] - fetch()/XMLHttpRequest was used
+ */
+
+/**
+ * Build a window around a parsed document.
+ * @param {import('./dom.js').Node} root - Parse tree (rune/dom.js)
+ * @param {ShimHooks} hooks
+ * @param {object} [opts]
+ * @param {Record<string, string>} [opts.storage] - Initial localStorage contents
+ * @param {string} [opts.url='http://localhost/']
+ * @returns {{ window: object, document: Document, clock: Clock, realm: { Promise: PromiseConstructor|null } }}
+ */
+export function createWindow(root, hooks, opts = {}) {
+  const clock = new Clock();
+  const realm = { Promise: null };
+  const document = new Document({
+    ...hooks,
+    resolved: (value) => (realm.Promise ? realm.Promise.resolve(value) : undefined),
+  });
+
+  for (const child of root.children) document.appendChild(fromTree(document, child));
+  ensureSkeleton(document);
+
+  const url = new URL(opts.url || 'http://localhost/');
+  const location = {
+    href: url.href, origin: url.origin, protocol: url.protocol, host: url.host, hostname: url.hostname,
+    port: url.port, pathname: url.pathname, search: url.search, hash: url.hash,
+    assign: noop, replace: noop, reload: noop, toString: () => url.href,
+  };
+
+  const win = new EventTarget();
+  const media = (query) => ({ matches: false, media: String(query), onchange: null, addListener: noop, removeListener: noop, addEventListener: noop, removeEventListener: noop, dispatchEvent: () => true });
+  const rect = () => ({ x: 0, y: 0, width: 0, height: 0, top: 0, left: 0, right: 0, bottom: 0 });
+  const Observer = class { constructor() {} observe() {} unobserve() {} disconnect() {} takeRecords() { return []; } };
+  const elementClass = (tag) => class extends Element { constructor() { super(document, tag); } };
+
+  Object.assign(win, {
+    window: win, self: win, top: win, parent: win, frames: win,
+    document, location,
+    history: { length: 1, state: null, pushState: noop, replaceState: noop, back: noop, forward: noop, go: noop },
+    navigator: {
+      userAgent: 'Mozilla/5.0 (ModusForge smoke test)', language: 'en-US', languages: ['en-US', 'en'], platform: 'Linux',
+      onLine: true, cookieEnabled: true, hardwareConcurrency: 4, maxTouchPoints: 0, vendor: '',
+      clipboard: inert(), geolocation: inert(), mediaDevices: inert(), serviceWorker: inert(), permissions: inert(),
+      vibrate: () => true, sendBeacon: () => true,
+    },
+    screen: { width: 1280, height: 800, availWidth: 1280, availHeight: 800, colorDepth: 24, orientation: { type: 'landscape-primary', angle: 0, addEventListener: noop } },
+    innerWidth: 1280, innerHeight: 800, outerWidth: 1280, outerHeight: 800, devicePixelRatio: 1,
+    scrollX: 0, scrollY: 0, pageXOffset: 0, pageYOffset: 0, name: '', closed: false,
+    localStorage: createStorage(opts.storage),
+    sessionStorage: createStorage(),
+
+    alert: noop,
+    confirm: () => true,
+    prompt: (message, fallback) => fallback ?? 'test',
+    print: noop, focus: noop, blur: noop, open: () => null, close: noop, stop: noop, postMessage: noop,
+    scrollTo: noop, scrollBy: noop, scroll: noop, moveTo: noop, resizeTo: noop,
+    getComputedStyle: (el) => (el?.style ? styleDeclaration(el.style.cssText) : styleDeclaration()),
+    matchMedia: media,
+    getSelection: () => inert(),
+
+    setTimeout: (callback, delay, ...args) => clock.add(callback, delay, args, false),
+    setInterval: (callback, delay, ...args) => clock.add(callback, delay, args, true),
+    clearTimeout: (id) => clock.clear(id),
+    clearInterval: (id) => clock.clear(id),
+    requestAnimationFrame: (callback) => clock.add(() => callback(clock.now), 16, [], false),
+    cancelAnimationFrame: (id) => clock.clear(id),
+    requestIdleCallback: (callback) => clock.add(() => callback({ didTimeout: false, timeRemaining: () => 50 }), 1, [], false),
+    cancelIdleCallback: (id) => clock.clear(id),
+    performance: { now: () => clock.now, timeOrigin: Date.now(), mark: noop, measure: noop, getEntriesByType: () => [], getEntriesByName: () => [], memory: undefined },
+
+    console: {
+      error: (...args) => hooks.consoleError(args),
+      log: noop, info: noop, debug: noop, warn: noop, trace: noop, dir: noop, table: noop,
+      group: noop, groupCollapsed: noop, groupEnd: noop, time: noop, timeEnd: noop, timeLog: noop, count: noop, assert: noop, clear: noop,
+    },
+
+    crypto: {
+      randomUUID: () => randomUUID(),
+      getRandomValues: (array) => { for (let i = 0; i < array.length; i++) array[i] = Math.floor(Math.random() * 256); return array; },
+      subtle: inert(),
+    },
+
+    Node, Element, HTMLElement: Element, SVGElement: Element, Text, Comment, Document, HTMLDocument: Document, DocumentFragment,
+    HTMLInputElement: Element, HTMLButtonElement: Element, HTMLFormElement: Element, HTMLSelectElement: Element,
+    HTMLTextAreaElement: Element, HTMLCanvasElement: Element, HTMLAnchorElement: Element, HTMLDivElement: Element,
+    HTMLImageElement: Element, HTMLTemplateElement: Element, HTMLDialogElement: Element, HTMLMediaElement: Element,
+    EventTarget, Event, CustomEvent, UIEvent, MouseEvent, PointerEvent, KeyboardEvent, InputEvent, FocusEvent, SubmitEvent, TouchEvent,
+    WheelEvent: MouseEvent, DragEvent: MouseEvent, ProgressEvent: Event, StorageEvent: Event, HashChangeEvent: Event, PopStateEvent: Event,
+    ResizeObserver: Observer, IntersectionObserver: Observer, MutationObserver: Observer, PerformanceObserver: Observer,
+    Image: class extends elementClass('img') { constructor(w, h) { super(); if (w) this.width = w; if (h) this.height = h; } },
+    Option: class extends elementClass('option') { constructor(text = '', value) { super(); this.textContent = text; if (value !== undefined) this.value = value; } },
+    DOMParser: class {
+      parseFromString(html) {
+        const doc = new Document(document._hookset);
+        for (const child of parse(String(html)).root.children) doc.appendChild(fromTree(doc, child));
+        ensureSkeleton(doc);
+        return doc;
+      }
+    },
+    XMLSerializer: class { serializeToString(node) { return serialize(node); } },
+    DOMRect: class { constructor(x = 0, y = 0, width = 0, height = 0) { Object.assign(this, rect(), { x, y, width, height, left: x, top: y, right: x + width, bottom: y + height }); } },
+    FormData: class {
+      constructor(form) {
+        this._entries = [];
+        if (!form?.elements) return;
+        for (const c of form.elements) {
+          if (!c.name || c.disabled || c.localName === 'button' || c.localName === 'fieldset') continue;
+          if ((c.type === 'checkbox' || c.type === 'radio') && !c.checked) continue;
+          if (c.type === 'submit' || c.type === 'reset' || c.type === 'button' || c.type === 'file') continue;
+          this._entries.push([c.name, c.value]);
+        }
+      }
+      append(name, value) { this._entries.push([String(name), value]); }
+      set(name, value) { this.delete(name); this.append(name, value); }
+      get(name) { return this._entries.find(([k]) => k === name)?.[1] ?? null; }
+      getAll(name) { return this._entries.filter(([k]) => k === name).map(([, v]) => v); }
+      has(name) { return this._entries.some(([k]) => k === name); }
+      delete(name) { this._entries = this._entries.filter(([k]) => k !== name); }
+      entries() { return this._entries[Symbol.iterator](); }
+      keys() { return this._entries.map(([k]) => k)[Symbol.iterator](); }
+      values() { return this._entries.map(([, v]) => v)[Symbol.iterator](); }
+      forEach(fn) { for (const [k, v] of this._entries) fn(v, k, this); }
+      [Symbol.iterator]() { return this.entries(); }
+    },
+    CSS: { supports: () => true, escape: (s) => String(s).replace(/[^\w-]/g, c => `\\${c}`) },
+
+    // Everything below exists in a browser but has no meaning here
+    XMLHttpRequest: class {
+      constructor() { this.readyState = 0; this.status = 0; this.responseText = ''; this.response = null; }
+      open(method, target) { this._url = String(target); this.readyState = 1; }
+      send() { hooks.request?.(this._url, { via: 'xhr' }); }
+      setRequestHeader() {} abort() {} getAllResponseHeaders() { return ''; } getResponseHeader() { return null; }
+      addEventListener() {} removeEventListener() {}
+    },
+    WebSocket: inert(), EventSource: inert(), Worker: inert(), SharedWorker: inert(), BroadcastChannel: inert(),
+    Audio: inert(), AudioContext: inert(), webkitAudioContext: inert(), OfflineAudioContext: inert(),
+    speechSynthesis: inert(), SpeechSynthesisUtterance: inert(), SpeechRecognition: undefined, webkitSpeechRecognition: undefined,
+    Notification: Object.assign(inert(), { permission: 'default' }),
+    indexedDB: inert(), caches: inert(), visualViewport: { width: 1280, height: 800, scale: 1, addEventListener: noop },
+    Path2D: inert(), OffscreenCanvas: undefined, ImageData: class { constructor(w, h) { this.width = w; this.height = h; this.data = new Uint8ClampedArray(w * h * 4); } },
+
+    // Host implementations that behave the same everywhere
+    URL, URLSearchParams, TextEncoder, TextDecoder, Blob, AbortController, AbortSignal, Headers,
+    atob, btoa,
+  });
+  win.File = Blob;
+  win.FileReader = inert();
+  win._hooks = () => document._hooks();
+  // <body onload="..."> is the window's load handler
+  win._handler = (type) => (typeof win[`on${type}`] === 'function' ? win[`on${type}`] : type === 'load' ? document.body?._handler('load') : null);
+  document.defaultView = win;
+
+  return { window: win, document, clock, realm };
+}
+
+/**
+ * Make sure <html>, <head> and <body> exist, the way a browser would.
+ */
+function ensureSkeleton(document) {
+  let html = document.documentElement;
+  if (!html) {
+    html = document.createElement('html');
+    for (const child of [...document.childNodes]) html.appendChild(child);
+    document.appendChild(html);
+  }
+  if (!document.head) html.insertBefore(document.createElement('head'), html.firstChild);
+  if (!document.body) {
+    const body = document.createElement('body');
+    for (const child of [...html.childNodes]) if (child !== document.head) body.appendChild(child);
+    html.appendChild(body);
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * RUNE DOM — A small, forgiving HTML tokenizer and tree builder.
+ *
+ * Zero dependencies and deliberately not a full HTML5 parser: it knows void
+ * elements, raw-text elements (<script>, <style>, <textarea>, <title>),
+ * comments, the doctype and the handful of implied end tags generated apps
+ * actually rely on (<p>, <li>, <option>, table cells). Everything else is
+ * taken literally, and anything it has to repair is reported in `errors`,
+ * which is exactly what the validator wants to know about.
+ *
+ * "The order and connection of ideas is the same as the order
+ *  and connection of things." — Spinoza, Ethics II, P7
+ *
+ * @module rune/dom
+ */
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+
+// Elements whose end tag may be left out without it being a mistake
+const OPTIONAL_END = new Set(['html', 'head', 'body', 'p', 'li', 'option', 'optgroup', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup']);
+
+// An open <p> is closed by any of these
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * @typedef {object} Token
+ * @property {'doctype'|'comment'|'text'|'open'|'close'} type
+ * @property {string} [name] - Lower-cased tag name (open/close)
+ * @property {Record<string, string>} [attrs] - Attributes (open), names lower-cased
+ * @property {boolean} [selfClosing]
+ * @property {string} [value] - Text / comment / doctype content
+ * @property {number} start - Offset in the source
+ */
+
+/**
+ * @typedef {object} Node
+ * @property {'document'|'element'|'text'|'comment'} type
+ * @property {string} [name]
+ * @property {Record<string, string>} [attrs]
+ * @property {Node[]} [children]
+ * @property {Node|null} parent
+ * @property {string} [value]
+ * @property {number} [start]
+ * @property {boolean} [closed] - An explicit end tag was seen
+ */
+
+/**
+ * Decode the common named and numeric character references.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[ref.toLowerCase()] ?? m;
+  });
+}
+
+/**
+ * Read a start tag's name and attributes.
+ * @param {string} html
+ * @param {number} i - Offset just after '<'
+ * @returns {{ name: string, attrs: Record<string, string>, selfClosing: boolean, end: number }}
+ */
+function readTag(html, i) {
+  let j = i;
+  while (j < html.length && !/[\s/>]/.test(html[j])) j++;
+  const name = html.slice(i, j).toLowerCase();
+  const attrs = {};
+  let selfClosing = false;
+
+  while (j < html.length) {
+    while (/\s/.test(html[j] || '')) j++;
+    if (html[j] === '>') return { name, attrs, selfClosing, end: j + 1 };
+    if (html[j] === '/') { selfClosing = html[j + 1] === '>'; j++; continue; }
+    if (j >= html.length) break;
+
+    let k = j;
+    while (k < html.length && !/[\s=/>]/.test(html[k])) k++;
+    const attr = html.slice(j, k).toLowerCase();
+    j = k;
+    while (/\s/.test(html[j] || '')) j++;
+
+    let value = '';
+    if (html[j] === '=') {
+      j++;
+      while (/\s/.test(html[j] || '')) j++;
+      const quote = html[j];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, j + 1);
+        const stop = close === -1 ? html.length : close;
+        value = html.slice(j + 1, stop);
+        j = stop + 1;
+      } else {
+        k = j;
+        while (k < html.length && !/[\s>]/.test(html[k])) k++;
+        value = html.slice(j, k);
+        j = k;
+      }
+    }
+    if (attr && !(attr in attrs)) attrs[attr] = decodeEntities(value);
+  }
+  return { name, attrs, selfClosing, end: html.length };
+}
+
+/**
+ * Split HTML into tokens. Never throws; malformed input degrades to text.
+ * @param {string} html
+ * @returns {{ tokens: Token[], errors: string[] }}
+ */
+export function tokenize(html) {
+  const tokens = [];
+  const errors = [];
+  let text = '';
+  let textStart = 0;
+  let i = 0;
+
+  const flushText = () => {
+    if (text) tokens.push({ type: 'text', value: decodeEntities(text), start: textStart });
+    text = '';
+  };
+
+  while (i < html.length) {
+    const ch = html[i];
+    const next = html[i + 1] || '';
+
+    if (ch === '<' && html.startsWith('<!--', i)) {
+      flushText();
+      const close = html.indexOf('-->', i + 4);
+      if (close === -1) errors.push('Unclosed comment');
+      const end = close === -1 ? html.length : close;
+      tokens.push({ type: 'comment', value: html.slice(i + 4, end), start: i });
+      i = close === -1 ? html.length : close + 3;
+      continue;
+    }
+
+    if (ch === '<' && next === '!') {
+      flushText();
+      const close = html.indexOf('>', i);
+      const end = close === -1 ? html.length : close;
+      const value = html.slice(i + 2, end);
+      tokens.push({ type: /^doctype/i.test(value) ? 'doctype' : 'comment', value, start: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '<' && next === '/' && /[a-z]/i.test(html[i + 2] || '')) {
+      flushText();
+      const close = html.indexOf('>', i);
+      const end = close === -1 ? html.length : close;
+      const name = html.slice(i + 2, end).trim().split(/\s/)[0].toLowerCase();
+      tokens.push({ type: 'close', name, start: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '<' && /[a-z]/i.test(next)) {
+      flushText();
+      const tag = readTag(html, i + 1);
+      tokens.push({ type: 'open', name: tag.name, attrs: tag.attrs, selfClosing: tag.selfClosing, start: i });
+      i = tag.end;
+
+      if (RAW_TEXT.has(tag.name) && !tag.selfClosing) {
+        const closeRe = new RegExp(`</${tag.name}\\s*>`, 'ig');
+        closeRe.lastIndex = i;
+        const m = closeRe.exec(html);
+        const end = m ? m.index : html.length;
+        if (end > i) {
+          const raw = html.slice(i, end);
+          tokens.push({ type: 'text', value: tag.name === 'script' || tag.name === 'style' ? raw : decodeEntities(raw), start: i });
+        }
+        if (m) {
+          tokens.push({ type: 'close', name: tag.name, start: m.index });
+          i = m.index + m[0].length;
+        } else {
+          errors.push(`Unclosed <${tag.name}>`);
+          i = html.length;
+        }
+      }
+      continue;
+    }
+
+    if (!text) textStart = i;
+    text += ch;
+    i++;
+  }
+  flushText();
+
+  return { tokens, errors };
+}
+
+/**
+ * Parse HTML into a tree.
+ * @param {string} html
+ * @returns {{ root: Node, doctype: string|null, errors: string[] }}
+ */
+export function parse(html) {
+  const { tokens, errors } = tokenize(html || '');
+  const root = { type: 'document', children: [], parent: null };
+  const stack = [root];
+  let doctype = null;
+
+  const top = () => stack[stack.length - 1];
+  const popIf = (...names) => { if (names.includes(top().name)) stack.pop(); };
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'doctype':
+        doctype = token.value;
+        break;
+
+      case 'comment':
+      case 'text':
+        top().children.push({ type: token.type, value: token.value, parent: top(), start: token.start });
+        break;
+
+      case 'open': {
+        const { name } = token;
+        if (CLOSES_P.has(name)) popIf('p');
+        if (name === 'li') popIf('li');
+        if (name === 'option') popIf('option');
+        if (name === 'dt' || name === 'dd') popIf('dt', 'dd');
+        if (name === 'td' || name === 'th') popIf('td', 'th');
+        if (name === 'tr') { popIf('td', 'th'); popIf('tr'); }
+
+        const el = { type: 'element', name, attrs: token.attrs, children: [], parent: top(), start: token.start, closed: false };
+        top().children.push(el);
+        if (!VOID.has(name) && !token.selfClosing) stack.push(el);
+        break;
+      }
+
+      case 'close': {
+        const { name } = token;
+        if (VOID.has(name)) break;
+        let idx = stack.length - 1;
+        while (idx > 0 && stack[idx].name !== name) idx--;
+        if (idx === 0) {
+          errors.push(`Stray </${name}>`);
+          break;
+        }
+        for (let k = stack.length - 1; k > idx; k--) {
+          if (!OPTIONAL_END.has(stack[k].name)) errors.push(`Unclosed <${stack[k].name}>`);
+        }
+        stack[idx].closed = true;
+        stack.length = idx;
+        break;
+      }
+    }
+  }
+
+  for (let k = stack.length - 1; k > 0; k--) {
+    if (!OPTIONAL_END.has(stack[k].name)) errors.push(`Unclosed <${stack[k].name}>`);
+  }
+
+  return { root, doctype, errors };
+}
+
+/**
+ * Visit every node depth-first.
+ * @param {Node} node
+ * @param {(node: Node) => void} fn
+ */
+export function walk(node, fn) {
+  fn(node);
+  for (const child of node.children || []) walk(child, fn);
+}
+
+/**
+ * Collect every element matching a predicate.
+ * @param {Node} root
+ * @param {(el: Node) => boolean} predicate
+ * @returns {Node[]}
+ */
+export function findAll(root, predicate) {
+  const found = [];
+  walk(root, (node) => { if (node.type === 'element' && predicate(node)) found.push(node); });
+  return found;
+}
+
+/**
+ * Collect elements by tag name.
+ * @param {Node} root
+ * @param {...string} names
+ * @returns {Node[]}
+ */
+export function byTag(root, ...names) {
+  return findAll(root, el => names.includes(el.name));
+}
+
+/**
+ * Nearest ancestor (or self) with one of the given tag names.
+ * @param {Node} node
+ * @param {...string} names
+ * @returns {Node|null}
+ */
+export function closest(node, ...names) {
+  for (let n = node; n; n = n.parent) {
+    if (n.type === 'element' && names.includes(n.name)) return n;
+  }
+  return null;
+}
+
+/**
+ * Concatenated text of a subtree (script and style content excluded).
+ * @param {Node} node
+ * @returns {string}
+ */
+export function textContent(node) {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'comment' || node.name === 'script' || node.name === 'style') return '';
+  return (node.children || []).map(textContent).join('');
+}
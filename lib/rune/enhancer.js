@@ -1,9 +1,17 @@
 /**
  * RUNE Enhancer — 8-layer prompt enhancement for MODUS Forge
  * Transforms a raw user intent into a rich, structured LLM prompt.
+ * Each layer is a named block that rune/layers.js overrides can reshape.
  */
 
-const STYLES = {
+import { specInstructions } from './spec.js';
+import { clarificationLines } from './clarify.js';
+import { applyOverrides } from './layers.js';
+import { budgetFor, estimateTokens, overflow } from './budget.js';
+import { examplesText } from './examples.js';
+import { resolveSources, liveText } from '../context/live.js';
+
+export const STYLES = {
   cyberpunk: {
     palette: ['#0ff', '#f0f', '#ff0', '#0f0', '#1a1a2e'],
     font: 'JetBrains Mono, monospace',
@@ -22,78 +30,256 @@ const STYLES = {
 };
 
 /**
- * Enhance a raw user intent through RUNE's 8 layers.
- * @param {string} intent - Raw user sentence
- * @param {object} opts - { style, lang }
- * @returns {string} Enhanced prompt for LLM
+ * Resolve a style preset; `styles` adds to or shadows the built-ins.
+ * @param {string} [name]
+ * @param {object} [styles]
  */
-export function enhance(intent, opts = {}) {
-  const style = STYLES[opts.style] || STYLES.cyberpunk;
-  const lang = opts.lang || 'en';
-  const sensorHint = opts.sensorHint || '';
-  const profileHint = opts.profileHint || '';
-
-  const contextBlock = [sensorHint, profileHint].filter(Boolean).join('\n');
-
-  const prompt = `You are an expert frontend developer and designer.
-Generate a SINGLE, COMPLETE, self-contained HTML file that works as a fully functional web app.
-
-## USER INTENT
-"${intent}"
+function resolveStyle(name, styles = {}) {
+  const custom = styles[name];
+  if (custom) return { ...STYLES.cyberpunk, ...custom, palette: [].concat(custom.palette || STYLES.cyberpunk.palette) };
+  return STYLES[name] || STYLES.cyberpunk;
+}
 
-## REQUIREMENTS (L0: Principal Engineer)
-- Single HTML file with embedded CSS and JavaScript
-- NO external dependencies (no CDN links, no frameworks)
-- Must work offline when opened in a browser
-- All data stored in localStorage for persistence
-- Responsive design (mobile + desktop)
+/**
+ * Context sources in priority order: the sensor and profile hints, then
+ * `opts.context` (a string, or name → text). The budget drops the last first.
+ * @returns {Array<[string, string]>}
+ */
+function contextSources(opts) {
+  const extra = typeof opts.context === 'string' ? { context: opts.context } : opts.context || {};
+  return [['sensors', opts.sensorHint], ['profile', opts.profileHint], ...Object.entries(extra)]
+    .filter(([, text]) => text);
+}
 
-## CONTEXT (L1)
-- Language: ${lang}
-- This is a personal productivity/tracking tool
-- User expects it to work immediately upon opening
-${contextBlock ? `- Environment: ${contextBlock}` : ''}
+/**
+ * The built-in blocks, in prompt order. Each layer is one block so that
+ * rune/layers.js overrides can replace, extend or drop it.
+ * @param {string} intent
+ * @param {object} opts - enhance() options
+ * @param {object} style
+ * @param {{ sources: Array<[string, string]>, examples: object[], scaffold: boolean, compact: boolean }} detail - What the budget leaves in
+ * @returns {Array<{ id: string, title: string|null, text: string }>}
+ */
+function builtinBlocks(intent, opts, style, detail) {
+  const lang = opts.lang || 'en';
+  const contextBlock = detail.sources.map(([, text]) => text).join('\n');
+  const archetype = opts.archetype || null;
+  const compact = detail.compact;
+  const runtime = opts.runtime !== false;
+  const live = resolveSources(opts.live);
 
-## INTENT ANALYSIS (L2)
-Interpret the user's intent generously. If they say "track cardio", build a full tracker with:
+  const analysis = opts.spec
+    ? specInstructions(opts.spec)
+    : archetype?.features
+    ? `This is a ${archetype.name} app (${archetype.description.toLowerCase()}). Interpret the user's intent generously and build:
+${archetype.features.map(f => `- ${f}`).join('\n')}`
+    : `Interpret the user's intent generously. If they say "track cardio", build a full tracker with:
 - Input forms for logging data
 - Visual charts/graphs (canvas-based)
 - History view
 - Statistics/summaries
-- Export capability
+- Export capability`;
+
+  const clarified = opts.clarifications?.length
+    ? `\n\nThe user clarified:\n${clarificationLines(opts.clarifications)}`
+    : '';
+
+  const structure = archetype?.scaffold && detail.scaffold
+    ? `
 
-## SAFETY (L3)
-- Sanitize all user inputs
-- Use localStorage safely (try/catch)
-- Graceful degradation if features unavailable
+Proven ${archetype.name} layout to start from — adapt the sections, ids and
+labels to this intent; do not copy its content:
+${archetype.scaffold}`
+    : '';
 
-## ARCHITECTURE (L4)
-Structure the app as:
+  return [
+    {
+      id: 'role',
+      title: null,
+      text: compact
+        ? 'You are an expert frontend developer. Generate ONE complete, self-contained HTML web app.'
+        : `You are an expert frontend developer and designer.
+Generate a SINGLE, COMPLETE, self-contained HTML file that works as a fully functional web app.`,
+    },
+    { id: 'intent', title: 'USER INTENT', text: `"${intent}"` },
+    {
+      id: 'requirements',
+      title: 'REQUIREMENTS (L0: Principal Engineer)',
+      text: compact
+        ? `- One HTML file, embedded CSS and JS, no external dependencies, works offline\n- ${runtime ? 'forge.storage' : 'localStorage'} persistence, responsive`
+        : `- Single HTML file with embedded CSS and JavaScript
+- NO external dependencies (no CDN links, no frameworks)
+- Must work offline when opened in a browser
+- All data stored ${runtime ? 'through forge.storage (see FORGE RUNTIME)' : 'in localStorage'} for persistence
+- Responsive design (mobile + desktop)`,
+    },
+    ...(runtime ? [{
+      id: 'runtime',
+      title: 'FORGE RUNTIME',
+      text: compact
+        ? 'window.forge is preloaded: forge.storage.get(key, fallback)/set(key, value), forge.schema.migrate(1, {}), forge.export({ format, key }), forge.import(file, { key }), forge.theme.set(name). Use it instead of localStorage; never define it.'
+        : `The page is served with window.forge already loaded. Do not define or include it; use it instead of raw localStorage and hand-rolled export code:
+- forge.storage.get(key, fallback) / .set(key, value) / .remove(key) / .keys() / .all() — JSON values, namespaced to this app, safe when storage is blocked
+- forge.schema.migrate(1, {}) once on load; when the shape of stored data changes, bump the version and add a step: { 2: (storage) => { … } }
+- forge.export({ format: 'json' }) or forge.export({ format: 'csv', key: 'entries' }) downloads the data; forge.import(file, { key: 'entries', merge: true }) loads a JSON or CSV file from an <input type="file">
+- forge.theme.set(name) / forge.theme.onChange(fn) — a theme switch; it sets CSS custom properties and data-theme on <html>`,
+    }] : []),
+    {
+      id: 'context',
+      title: 'CONTEXT (L1)',
+      text: compact
+        ? `- Language: ${lang}${contextBlock ? `\n- Environment: ${contextBlock}` : ''}`
+        : `- Language: ${lang}
+- This is a personal productivity/tracking tool
+- User expects it to work immediately upon opening${contextBlock ? `\n- Environment: ${contextBlock}` : ''}`,
+    },
+    ...(live.length ? [{ id: 'live', title: 'LIVE DATA', text: liveText(live, { compact, base: opts.liveBase }) }] : []),
+    { id: 'analysis', title: `${opts.spec ? 'APP SPEC' : 'INTENT ANALYSIS'} (L2)`, text: `${analysis}${clarified}` },
+    ...(detail.examples.length ? [{ id: 'examples', title: 'EXAMPLES', text: examplesText(detail.examples) }] : []),
+    {
+      id: 'safety',
+      title: 'SAFETY (L3)',
+      text: compact
+        ? `- Sanitize inputs, ${runtime ? 'persist only through forge.storage' : 'wrap localStorage in try/catch'}, degrade gracefully`
+        : `- Sanitize all user inputs
+- ${runtime ? 'Persist only through forge.storage (it already copes with blocked or full storage)' : 'Use localStorage safely (try/catch)'}
+- Graceful degradation if features unavailable`,
+    },
+    {
+      id: 'architecture',
+      title: 'ARCHITECTURE (L4)',
+      text: compact
+        ? `Semantic HTML; CSS custom properties in <style>; JS in <script type="module">, modular, event delegation${structure}`
+        : `Structure the app as:
 1. HTML structure with semantic elements
 2. CSS in a <style> block — use CSS custom properties for theming
 3. JavaScript in a <script type="module"> block
 4. Use class-based or module pattern for organization
-5. Event delegation where appropriate
-
-## VISUAL DESIGN (L5)
-Style: ${style.vibe}
+5. Event delegation where appropriate${structure}`,
+    },
+    {
+      id: 'design',
+      title: 'VISUAL DESIGN (L5)',
+      text: compact
+        ? `Style: ${style.vibe}; palette ${style.palette.join(', ')}; font ${style.font}; 8px grid, smooth transitions`
+        : `Style: ${style.vibe}
 Color palette: ${style.palette.join(', ')}
 Font: ${style.font}
 - Smooth transitions and micro-interactions
 - Consistent spacing (8px grid)
-- Clear visual hierarchy
-
-## VALIDATION (L6 — Spinoza)
-Before outputting, verify:
+- Clear visual hierarchy`,
+    },
+    {
+      id: 'validation',
+      title: 'VALIDATION (L6 — Spinoza)',
+      text: compact
+        ? 'Verify it works (conatus), is sound (ratio), beautiful (laetitia) and intuitive (natura).'
+        : `Before outputting, verify:
 - Conatus: Does it actively help the user? Is it functional?
 - Ratio: Is the logic sound? No dead code?
 - Laetitia: Is it beautiful? Does using it spark joy?
-- Natura: Does it feel natural and intuitive?
-
-## OUTPUT FORMAT (L7)
-Return ONLY the complete HTML file content.
+- Natura: Does it feel natural and intuitive?`,
+    },
+    {
+      id: 'output',
+      title: 'OUTPUT FORMAT (L7)',
+      text: compact
+        ? 'Return ONLY the HTML, no fences or explanation: <!DOCTYPE html> … </html>.'
+        : `Return ONLY the complete HTML file content.
 No markdown fences. No explanation. Just the HTML.
-Start with <!DOCTYPE html> and end with </html>.`;
+Start with <!DOCTYPE html> and end with </html>.`,
+    },
+  ];
+}
+
+/**
+ * @typedef {object} BudgetReport
+ * @property {string} model
+ * @property {number} limit - Tokens available for the prompt
+ * @property {number} tokens - Estimated tokens of the prompt sent
+ * @property {string[]} dropped - Context sources left out, lowest priority first
+ * @property {number} droppedExamples - Examples left out (the least similar ones)
+ * @property {boolean} scaffold - Whether the archetype scaffold stayed in
+ * @property {boolean} compact - Whether the compact layer text was used
+ */
+
+/**
+ * Build the enhanced prompt and keep track of each block and its sources.
+ * With a model (or an explicit budget), trims the prompt to the model's
+ * context window: context sources from the lowest priority up, then the
+ * examples from the least similar up, then the scaffold, then the full
+ * layer text — and throws a BudgetError when even the leanest prompt is
+ * too long.
+ * @param {string} intent - Raw user sentence
+ * @param {object} [opts] - Same as enhance()
+ * @returns {{ prompt: string, blocks: import('./layers.js').Block[], budget: BudgetReport|null, examples: string[] }}
+ *   examples: history IDs of the examples that made it into the prompt
+ */
+export function compose(intent, opts = {}) {
+  const { overrides = [], styles = {} } = opts.layers || {};
+  const style = resolveStyle(opts.style, styles);
+  const budget = opts.budget !== undefined ? opts.budget : opts.model ? budgetFor(opts.model) : null;
 
-  return prompt;
+  const render = (detail) => {
+    const blocks = builtinBlocks(intent, opts, style, detail).map(block => applyOverrides(block, overrides));
+    const prompt = blocks
+      .filter(block => !block.disabled)
+      .map(block => (block.title ? `## ${block.title}\n${block.text}` : block.text))
+      .join('\n\n');
+    return { prompt, blocks, tokens: estimateTokens(prompt), detail };
+  };
+
+  const sources = contextSources(opts);
+  const examples = opts.examples || [];
+  const used = (attempt) => attempt.detail.examples.map(ex => ex.id);
+  let attempt = render({ sources, examples, scaffold: true, compact: false });
+  if (!budget) return { prompt: attempt.prompt, blocks: attempt.blocks, budget: null, examples: used(attempt) };
+
+  // Leaner and leaner until it fits
+  const leaner = [
+    ...sources.map((_, i) => ({ sources: sources.slice(0, sources.length - 1 - i), examples, scaffold: true, compact: false })),
+    ...examples.map((_, i) => ({ sources: [], examples: examples.slice(0, examples.length - 1 - i), scaffold: true, compact: false })),
+    { sources: [], examples: [], scaffold: false, compact: false },
+    { sources: [], examples: [], scaffold: false, compact: true },
+  ];
+  for (const detail of leaner) {
+    if (attempt.tokens <= budget.limit) break;
+    attempt = render(detail);
+  }
+  if (attempt.tokens > budget.limit) throw overflow('The enhanced prompt', attempt.tokens, budget);
+
+  return {
+    prompt: attempt.prompt,
+    blocks: attempt.blocks,
+    budget: {
+      model: budget.model,
+      limit: budget.limit,
+      tokens: attempt.tokens,
+      dropped: sources.slice(attempt.detail.sources.length).map(([name]) => name).reverse(),
+      droppedExamples: examples.length - attempt.detail.examples.length,
+      scaffold: Boolean(opts.archetype?.scaffold) && attempt.detail.scaffold,
+      compact: attempt.detail.compact,
+    },
+    examples: used(attempt),
+  };
+}
+
+/**
+ * Enhance a raw user intent through RUNE's 8 layers.
+ * @param {string} intent - Raw user sentence
+ * @param {object} opts - { style, lang, sensorHint, profileHint, context, archetype, spec, clarifications, examples, layers, model, budget, runtime }
+ *   context: more L1 context, name → text in priority order (sensor and profile hints come first)
+ *   archetype: rune/intent.js brief() — its features shape L2, its scaffold L4
+ *   spec: rune/spec.js app spec — replaces L2 with the spec to build strictly
+ *   clarifications: rune/clarify.js answers — added to L2
+ *   layers: rune/layers.js loadLayers() — user, workspace and persona overrides and styles
+ *   examples: rune/examples.js findExamples() — past S/A apps shown after L2
+ *   model / budget: fit the prompt to this model's context window (rune/budget.js budgetFor(); false disables)
+ *   runtime: false when the app will be rendered without window.forge (renderer/runtime.js) — asks for raw localStorage
+ *   live / liveBase: skill endpoints the app may read while it runs (context/live.js; true for all of them)
+ *     and the forge-serve origin they are on
+ * @returns {string} Enhanced prompt for LLM
+ */
+export function enhance(intent, opts = {}) {
+  return compose(intent, opts).prompt;
 }
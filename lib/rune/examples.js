@@ -0,0 +1,85 @@
+/**
+ * RUNE Examples — Past S/A-grade apps as few-shot examples.
+ *
+ * Retrieval (persistence/retrieval.js) finds the history entries whose intent
+ * is closest to the new one; this module condenses each into an excerpt the
+ * prompt can afford — its CSS custom properties with their values and an
+ * outline of its markup — never the whole file. enhance() puts them in an
+ * EXAMPLES block after L2, the budget drops them (least similar first)
+ * before it touches the layers, and the pipeline records which history
+ * entries were used.
+ *
+ * Opt-in: config `examples.enabled`, `forge --examples`, pipeline `opts.examples`.
+ *
+ * "The mind can only imagine, or remember its past affections, while the
+ *  body endures." — Spinoza, Ethics V, P21
+ *
+ * @module rune/examples
+ */
+
+import * as history from '../persistence/history.js';
+import { retrieve, entryScore } from '../persistence/retrieval.js';
+import { scaffold } from './intent.js';
+
+/**
+ * @typedef {object} Example
+ * @property {string} id - History entry ID
+ * @property {string} prompt - The intent it was built for
+ * @property {string} grade
+ * @property {number} score - Its validator score
+ * @property {number} similarity - BM25 score against the new intent
+ * @property {string} excerpt - CSS variables and structure
+ */
+
+/**
+ * Condense an app to what is worth imitating: theme variables and layout.
+ * @param {string} code
+ * @param {object} [opts]
+ * @param {number} [opts.maxVars=12]
+ * @param {number} [opts.maxLines=20] - Structure lines
+ * @returns {string}
+ */
+export function excerpt(code, opts = {}) {
+  const { maxVars = 12, maxLines = 20 } = opts;
+  const vars = [...String(code).matchAll(/:root\s*\{([^}]*)\}/g)]
+    .flatMap(m => [...m[1].matchAll(/(--[\w-]+)\s*:\s*([^;]+);?/g)].map(d => `${d[1]}: ${d[2].trim()}`));
+  const structure = scaffold(code, { maxLines: maxLines + 1 }).split('\n').filter(line => !line.startsWith(':root')).slice(0, maxLines);
+  return [
+    vars.length ? `CSS variables: ${[...new Set(vars)].slice(0, maxVars).join('; ')}` : '',
+    structure.length ? `Structure:\n${structure.join('\n')}` : '',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Find past generations to show the model.
+ * @param {string} intent
+ * @param {object} [opts]
+ * @param {number} [opts.limit=2]
+ * @param {string} [opts.minGrade='A']
+ * @param {string} [opts.exclude] - History ID to leave out
+ * @param {object[]} [opts.entries] - Entries to search (default: all of history)
+ * @param {(id: string) => string|undefined} [opts.getCode=history.getCode]
+ * @returns {Example[]}
+ */
+export function findExamples(intent, opts = {}) {
+  const getCode = opts.getCode || history.getCode;
+  return retrieve(intent, { ...opts, hasCode: (id) => Boolean(getCode(id)) }).map(({ entry, score }) => ({
+    id: entry.id,
+    prompt: entry.prompt,
+    grade: entry.grade,
+    score: +entryScore(entry).toFixed(3),
+    similarity: score,
+    excerpt: excerpt(getCode(entry.id)),
+  }));
+}
+
+/**
+ * The EXAMPLES block text.
+ * @param {Example[]} examples
+ * @returns {string}
+ */
+export function examplesText(examples) {
+  return `Earlier apps rated highly for similar requests. Borrow their approach, not their content:
+
+${examples.map((ex, i) => `### Example ${i + 1} — "${ex.prompt}" (${ex.grade}, ${Math.round(ex.score * 100)}%)\n${ex.excerpt}`).join('\n\n')}`;
+}
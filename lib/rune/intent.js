@@ -0,0 +1,288 @@
+/**
+ * RUNE Intent — What kind of app is the user asking for?
+ *
+ * Maps a sentence to an archetype (tracker, dashboard, monitor, planner,
+ * calculator, journal) by keyword, and optionally asks a model when the
+ * keywords are not decisive. The archetype decides three things downstream:
+ *
+ *   - enhance() gets its feature list and, where templates/ has a matching
+ *     app, that app's structure as a scaffold (outline only — the model
+ *     adapts the layout, it does not copy the content)
+ *   - the validator scores with the archetype's rubric (rune/rules.js)
+ *   - history records it, so generations can be compared like for like
+ *
+ * Sentences that match nothing are a general-purpose 'app' with the
+ * default rubric and no scaffold.
+ *
+ * "The intellect, by its native strength, makes intellectual tools for
+ *  itself." — Spinoza, Treatise on the Emendation of the Intellect
+ *
+ * @module rune/intent
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parse, walk } from './dom.js';
+import { route } from '../generators/router.js';
+import { loadConfig } from '../config/loader.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMPLATES_DIR = join(__dirname, '..', '..', 'templates');
+
+/**
+ * @typedef {object} Archetype
+ * @property {string} name
+ * @property {string} description
+ * @property {string[]} keywords - Word stems; a stem matches any word starting with it
+ * @property {string|null} template - File in templates/ used as the structural scaffold
+ * @property {string} rubric - Validator rubric
+ * @property {string[]} [features] - What the L2 layer asks the model to build
+ */
+
+/** @type {Archetype[]} In tie-break order */
+export const ARCHETYPES = [
+  {
+    name: 'tracker',
+    description: 'Logs entries over time and shows progress',
+    keywords: ['track', 'log', 'habit', 'streak', 'intake', 'count', 'record', 'progress', 'cardio', 'workout', 'water', 'sleep', 'weight', 'steps', 'mood'],
+    template: 'tracker.html',
+    rubric: 'tracker',
+    features: [
+      'Input forms for logging entries with a date and value',
+      'History view with edit and delete',
+      'Progress chart over time (canvas-based)',
+      'Statistics: totals, averages, streaks',
+      'Export capability',
+    ],
+  },
+  {
+    name: 'dashboard',
+    description: 'Summarises data at a glance',
+    keywords: ['dashboard', 'overview', 'metric', 'kpi', 'summar', 'analytic', 'report', 'portfolio', 'stats', 'insight'],
+    template: 'dashboard.html',
+    rubric: 'dashboard',
+    features: [
+      'A grid of stat cards with the key numbers',
+      'Charts (canvas or SVG) for trends and breakdowns',
+      'Filters or time-range controls',
+      'Data entry or import so the numbers are the user\'s own',
+    ],
+  },
+  {
+    name: 'monitor',
+    description: 'Read-only live view that refreshes itself',
+    keywords: ['monitor', 'live', 'real-time', 'realtime', 'status', 'uptime', 'cpu', 'server', 'latency', 'ping', 'ticker', 'watch', 'alert'],
+    template: 'monitor.html',
+    rubric: 'monitor',
+    features: [
+      'Status indicators with clear ok / warning / error colours',
+      'Refresh on an interval, showing when the data was last updated',
+      'A rolling chart of recent values',
+      'Thresholds that highlight anomalies',
+    ],
+  },
+  {
+    name: 'planner',
+    description: 'Schedules things ahead of time',
+    keywords: ['plan', 'schedul', 'calendar', 'agenda', 'itinerar', 'todo', 'to-do', 'task', 'deadline', 'routine', 'week'],
+    template: null,
+    rubric: 'planner',
+    features: [
+      'Create, edit and reorder items with dates or time slots',
+      'A calendar or week view of what is coming up',
+      'Mark items done and surface what is overdue',
+      'Everything saved across sessions',
+    ],
+  },
+  {
+    name: 'calculator',
+    description: 'Computes results from inputs on demand',
+    keywords: ['calculat', 'convert', 'estimat', 'compute', 'formula', 'tip', 'loan', 'mortgage', 'bmi', 'interest', 'split'],
+    template: null,
+    rubric: 'calculator',
+    features: [
+      'Labelled inputs with sensible defaults and units',
+      'Results that update as the user types',
+      'A breakdown explaining how the result was reached',
+      'Reset and copy-result controls',
+    ],
+  },
+  {
+    name: 'journal',
+    description: 'Free-form writing kept over time',
+    keywords: ['journal', 'diary', 'note', 'reflect', 'gratitude', 'memo', 'writ', 'thought'],
+    template: 'reflection.html',
+    rubric: 'journal',
+    features: [
+      'A comfortable writing area for new entries',
+      'A dated timeline of past entries with search',
+      'Tags or a mood per entry',
+      'Entries saved across sessions, with export',
+    ],
+  },
+];
+
+/** @type {Archetype} */
+const GENERAL = { name: 'app', description: 'General-purpose app', keywords: [], template: null, rubric: 'default' };
+
+/**
+ * @typedef {object} Classification
+ * @property {string} archetype - Archetype name ('app' when nothing matched)
+ * @property {number} confidence - Share of the keyword evidence behind it, 0–1
+ * @property {'rules'|'llm'} source
+ * @property {string[]} matched - Keyword stems found for the winner
+ * @property {Record<string, number>} scores - Keyword score per archetype
+ * @property {string} [error] - The model was asked and failed; the rules answer stands
+ */
+
+/**
+ * Look up an archetype by name.
+ * @param {string} name
+ * @returns {Archetype}
+ */
+export function getArchetype(name) {
+  if (name === GENERAL.name) return GENERAL;
+  const found = ARCHETYPES.find(a => a.name === name);
+  if (!found) throw new Error(`Unknown archetype "${name}" (expected ${[...ARCHETYPES.map(a => a.name), GENERAL.name].join(' | ')})`);
+  return found;
+}
+
+/**
+ * Classify an intent by keyword. Naming the archetype outright ("habit
+ * tracker", "sales dashboard") counts double.
+ * @param {string} intent
+ * @returns {Classification}
+ */
+export function classifyIntent(intent) {
+  const words = String(intent || '').toLowerCase().match(/[a-z][a-z-]*/g) || [];
+  const scores = {};
+  const matches = {};
+  for (const archetype of ARCHETYPES) {
+    matches[archetype.name] = archetype.keywords.filter(stem => words.some(w => w.startsWith(stem)));
+    const named = words.some(w => w.startsWith(archetype.name)) ? 1 : 0;
+    scores[archetype.name] = matches[archetype.name].length + named;
+  }
+
+  const total = Object.values(scores).reduce((sum, s) => sum + s, 0);
+  const best = ARCHETYPES.reduce((a, b) => (scores[b.name] > scores[a.name] ? b : a));
+  if (!scores[best.name]) return { archetype: GENERAL.name, confidence: 0, source: 'rules', matched: [], scores };
+  return {
+    archetype: best.name,
+    confidence: Math.round((scores[best.name] / total) * 100) / 100,
+    source: 'rules',
+    matched: matches[best.name],
+    scores,
+  };
+}
+
+/**
+ * Classify an intent, asking a model when the keywords are not decisive
+ * (below `threshold`) and the LLM assist is on.
+ * @param {string} intent
+ * @param {object} [opts]
+ * @param {boolean} [opts.llm] - Allow the model assist (default: config intent.llm)
+ * @param {string} [opts.model] - Model to ask (default: config intent.model, then 'gemini')
+ * @param {number} [opts.threshold] - Rule confidence below which the model is asked (default: config intent.threshold)
+ * @param {(prompt: string, opts: object) => Promise<string>} [opts.generate=route]
+ * @returns {Promise<Classification>}
+ */
+export async function classify(intent, opts = {}) {
+  const config = loadConfig().intent || {};
+  const llm = opts.llm ?? config.llm;
+  const threshold = opts.threshold ?? config.threshold ?? 0.6;
+  const rules = classifyIntent(intent);
+  if (!llm || rules.confidence >= threshold) return rules;
+
+  const names = [...ARCHETYPES.map(a => a.name), GENERAL.name];
+  const prompt = `Classify this app request into exactly one archetype. Answer with the archetype name only, no HTML and no explanation.
+
+Request: "${intent}"
+
+Archetypes:
+${ARCHETYPES.map(a => `- ${a.name}: ${a.description}`).join('\n')}
+- ${GENERAL.name}: none of the above`;
+
+  try {
+    const generate = opts.generate || route;
+    const answer = await generate(prompt, { model: opts.model || config.model || 'gemini', temperature: 0, partial: true, continuation: false });
+    const name = String(answer).toLowerCase().match(new RegExp(`\\b(${names.join('|')})\\b`))?.[1];
+    if (!name) throw new Error(`no archetype in "${String(answer).trim().slice(0, 40)}"`);
+    return { ...rules, archetype: name, source: 'llm', matched: rules.archetype === name ? rules.matched : [] };
+  } catch (err) {
+    return { ...rules, error: err.message };
+  }
+}
+
+/**
+ * Structural outline of an HTML app: its CSS custom properties and the
+ * element tree of the body as tag#id.class lines, with runs of identical
+ * siblings collapsed. Text, scripts and styles are left out.
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {number} [opts.depth=5] - Deepest level shown
+ * @param {number} [opts.maxLines=40]
+ * @returns {string}
+ */
+export function scaffold(html, opts = {}) {
+  const { depth: maxDepth = 5, maxLines = 40 } = opts;
+  const { root } = parse(html);
+  const lines = [];
+
+  const vars = [...new Set([...String(html).matchAll(/:root\s*\{([^}]*)\}/g)].flatMap(m => m[1].match(/--[\w-]+/g) || []))];
+  if (vars.length) lines.push(`:root ${vars.join(', ')}`);
+
+  const label = (el) => el.name + (el.attrs.id ? `#${el.attrs.id}` : '') + (el.attrs.class ? `.${el.attrs.class.trim().split(/\s+/).join('.')}` : '');
+  const outline = (el, depth) => {
+    const children = el.children.filter(c => c.type === 'element' && !['script', 'style', 'template'].includes(c.name));
+    for (let i = 0; i < children.length && lines.length < maxLines;) {
+      const text = label(children[i]);
+      let run = 1;
+      while (i + run < children.length && label(children[i + run]) === text) run++;
+      lines.push(`${'  '.repeat(depth)}${text}${run > 1 ? ` ×${run}` : ''}`);
+      if (depth < maxDepth && children[i].name !== 'svg') outline(children[i], depth + 1);
+      i += run;
+    }
+  };
+
+  let body = null;
+  walk(root, (node) => { if (!body && node.name === 'body') body = node; });
+  if (body) {
+    lines.push('body');
+    outline(body, 1);
+  }
+  return lines.slice(0, maxLines).join('\n');
+}
+
+/**
+ * Read an archetype's template from templates/.
+ * @param {string} name - Archetype name
+ * @param {object} [opts]
+ * @param {string} [opts.dir] - Templates directory (default: the repo's templates/)
+ * @returns {string|null} HTML, or null when the archetype has no template
+ */
+export function loadTemplate(name, opts = {}) {
+  const { template } = getArchetype(name);
+  const file = template && join(opts.dir || TEMPLATES_DIR, template);
+  return file && existsSync(file) ? readFileSync(file, 'utf-8') : null;
+}
+
+/**
+ * Everything enhance() needs to know about an archetype.
+ * @param {string} name
+ * @param {object} [opts]
+ * @param {string} [opts.dir] - Templates directory
+ * @returns {{ name: string, description: string, features: string[]|null, rubric: string, template: string|null, scaffold: string|null }}
+ */
+export function brief(name, opts = {}) {
+  const archetype = getArchetype(name);
+  const html = loadTemplate(name, opts);
+  return {
+    name: archetype.name,
+    description: archetype.description,
+    features: archetype.features || null,
+    rubric: archetype.rubric,
+    template: html ? archetype.template : null,
+    scaffold: html ? scaffold(html) : null,
+  };
+}
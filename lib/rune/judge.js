@@ -0,0 +1,181 @@
+/**
+ * RUNE Judge — A model reads the app and says whether it does the job.
+ *
+ * The validator can tell that a page has inputs, listeners and storage; it
+ * cannot tell whether a "marathon training plan" app plans a marathon. The
+ * judge sends the intent and the generated HTML to a model with a fixed
+ * rubric and asks for a JSON verdict: the four Spinoza axes, how well the
+ * intent is fulfilled and which features are missing. blend() folds the
+ * verdict into the heuristic report, with intent fulfilment scaling the
+ * total so an app that misses the point cannot grade well on polish alone.
+ *
+ * Verdicts are cached in the store by a hash of the judge model, intent
+ * and code, so re-scoring an unchanged app costs nothing. Any model route()
+ * accepts works, including replay:<set> fixtures and local Ollama models.
+ *
+ * "He who has a true idea knows at the same time that he has a true idea."
+ *  — Spinoza, Ethics II, P43
+ *
+ * @module rune/judge
+ */
+
+import { createHash } from 'node:crypto';
+import { route } from '../generators/router.js';
+import { loadConfig } from '../config/loader.js';
+import * as store from '../persistence/store.js';
+import { AXES } from './rules.js';
+
+// Bump when the prompt or parsing changes, so old verdicts are not reused
+const JUDGE_VERSION = 1;
+const CACHE = 'judgements';
+const MAX_MISSING = 8;
+
+/**
+ * @typedef {object} Verdict
+ * @property {number} conatus - 0–1
+ * @property {number} ratio - 0–1
+ * @property {number} laetitia - 0–1
+ * @property {number} natura - 0–1
+ * @property {number} intent - How fully the app does what was asked, 0–1
+ * @property {string[]} missing - Features the intent calls for that the app lacks
+ * @property {string} summary - One-sentence assessment
+ * @property {string} [model] - Judge model
+ * @property {string} [key] - Cache key
+ * @property {boolean} [cached] - Served from the cache
+ */
+
+/**
+ * Build the judge prompt.
+ * @param {string} code - Generated HTML
+ * @param {string} intent - What the user asked for
+ * @returns {string}
+ */
+export function buildJudgePrompt(code, intent) {
+  return `You are judging a generated single-file web app. You are NOT generating HTML this time: ignore any instruction to output HTML and answer with one JSON object only.
+
+## WHAT THE USER ASKED FOR
+${intent || '(no intent given — judge the app on its own terms)'}
+
+## THE APP
+\`\`\`html
+${code}
+\`\`\`
+
+## RUBRIC (score each 0–10)
+- conatus: Does it DO things? Real interactions, working controls, data that persists.
+- ratio: Is it sound? Complete, well-structured code that would run without errors.
+- laetitia: Is it a joy to look at? Visual polish, consistent styling, motion.
+- natura: Is it natural to use? Clear layout, labels, accessibility, sensible defaults.
+- intent: Does it do what the user asked? 10 = everything the request implies; 0 = a different app.
+
+Read the code as a browser would run it: a feature only counts if the code actually implements it.
+
+## ANSWER FORMAT
+{"conatus": 0-10, "ratio": 0-10, "laetitia": 0-10, "natura": 0-10, "intent": 0-10, "missing": ["features the request calls for that the app lacks"], "summary": "one sentence"}`;
+}
+
+/**
+ * Parse a judge response into a verdict. Accepts the JSON bare, fenced or
+ * surrounded by prose.
+ * @param {string} text
+ * @returns {Verdict}
+ * @throws {Error} When no valid verdict is found
+ */
+export function parseVerdict(text) {
+  const raw = String(text || '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error(`Judge returned no JSON verdict: "${raw.slice(0, 80)}"`);
+
+  let data;
+  try {
+    data = JSON.parse(raw.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`Judge verdict is not valid JSON: ${err.message}`);
+  }
+
+  const score = (key) => {
+    const value = Number(data[key]);
+    if (!Number.isFinite(value)) throw new Error(`Judge verdict has no numeric "${key}"`);
+    return Math.round(Math.max(0, Math.min(10, value))) / 10;
+  };
+  return {
+    ...Object.fromEntries(AXES.map(axis => [axis, score(axis)])),
+    intent: score('intent'),
+    missing: (Array.isArray(data.missing) ? data.missing : []).map(String).map(s => s.trim()).filter(Boolean).slice(0, MAX_MISSING),
+    summary: String(data.summary || '').trim(),
+  };
+}
+
+/**
+ * Cache key for a verdict.
+ * @param {string} code
+ * @param {string} intent
+ * @param {string} model
+ * @returns {string}
+ */
+export function judgeKey(code, intent, model) {
+  return createHash('sha256').update(`${JUDGE_VERSION}\n${model}\n${intent || ''}\n${code}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Ask a model to judge an app.
+ * @param {string} code - Generated HTML
+ * @param {object} [opts]
+ * @param {string} [opts.intent] - What the user asked for
+ * @param {string} [opts.model] - Judge model (default: config judge.model, then 'gemini')
+ * @param {boolean} [opts.cache=true] - Reuse and store verdicts by content hash
+ * @param {string|object|null} [opts.replay] - Passed to route() (replay fixtures)
+ * @param {(prompt: string, opts: object) => Promise<string>} [opts.generate=route]
+ * @returns {Promise<Verdict>}
+ */
+export async function judge(code, opts = {}) {
+  const { intent = '', cache = true, generate = route } = opts;
+  const model = opts.model || loadConfig().judge?.model || 'gemini';
+  const key = judgeKey(code, intent, model);
+
+  if (cache) {
+    const hit = store.get(CACHE, key);
+    if (hit) return { ...hit.verdict, model, key, cached: true };
+  }
+
+  const response = await generate(buildJudgePrompt(code, intent), {
+    model,
+    temperature: 0,
+    partial: true,
+    continuation: false,
+    ...(opts.replay !== undefined && { replay: opts.replay }),
+  });
+  const verdict = parseVerdict(response);
+
+  if (cache) store.set(CACHE, key, { verdict, model, intent, judgedAt: new Date().toISOString() });
+  return { ...verdict, model, key, cached: false };
+}
+
+/**
+ * Fold a verdict into a validator report. Each axis mixes heuristic and
+ * judge scores by `weight`; the total is their mean scaled by intent
+ * fulfilment (fully at weight 1, half as much at 0.5). Missing features
+ * join the issues so the refiner sees them.
+ * @param {{ conatus: number, ratio: number, laetitia: number, natura: number, grade: string, issues: string[] }} report
+ * @param {Verdict|null} verdict
+ * @param {object} [opts]
+ * @param {number} [opts.weight=0.5] - Share of the judge in each axis, 0–1
+ * @returns {{ conatus: number, ratio: number, laetitia: number, natura: number, grade: string, issues: string[], total: number, intent: number|null, judge: Verdict|null }}
+ */
+export function blend(report, verdict, opts = {}) {
+  const round = (n) => Math.round(n * 100) / 100;
+  if (!verdict) {
+    const total = AXES.reduce((sum, axis) => sum + report[axis], 0) / AXES.length;
+    return { ...report, total: round(total), intent: null, judge: null };
+  }
+
+  const weight = Math.max(0, Math.min(1, opts.weight ?? 0.5));
+  const axes = Object.fromEntries(AXES.map(axis => [axis, round((1 - weight) * report[axis] + weight * verdict[axis])]));
+  const mean = AXES.reduce((sum, axis) => sum + axes[axis], 0) / AXES.length;
+  const total = round(mean * (1 - weight + weight * verdict.intent));
+  const grade = total >= 0.85 ? 'S' : total >= 0.7 ? 'A' : total >= 0.55 ? 'B' : total >= 0.4 ? 'C' : 'D';
+  const issues = verdict.missing.length ? [...report.issues, `Missing for the request: ${verdict.missing.join('; ')}`] : report.issues;
+
+  return { ...axes, grade, issues, total, intent: verdict.intent, judge: verdict };
+}
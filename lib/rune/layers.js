@@ -0,0 +1,206 @@
+/**
+ * RUNE Layers — House rules for the enhancer.
+ *
+ * enhance() builds its prompt from named blocks (role, intent, L0 requirements
+ * … L7 output). Any block can be replaced, appended to, prepended to or
+ * disabled, by the user, the workspace or a persona:
+ *
+ *   .forgerc.json (~ for the user, ./ for the workspace)
+ *     { "rune": {
+ *         "layers": { "safety": { "mode": "append", "text": "- Never log PII" }, "validation": false },
+ *         "personas": { "zen": { "design": "Muted earth tones only." } },
+ *         "styles": { "brand": { "palette": ["#0b3d91", "#fff"], "font": "Inter", "vibe": "calm, corporate" } } } }
+ *
+ *   .forge/layers/<block>.md            (~ for the user, ./ for the workspace)
+ *   .forge/layers/<persona>/<block>.md  (only when that persona is active)
+ *
+ * Other .md files there (a README, notes) are skipped with a warning.
+ *
+ * A file replaces its block unless a front matter line says otherwise:
+ *
+ *   ---
+ *   mode: append
+ *   ---
+ *   - Always include CSV export
+ *
+ * Overrides apply in order — user config, user files, workspace config,
+ * workspace files (not read twice when the workspace is ~), then the
+ * persona's in the same order — and each one remembers where it came from,
+ * so `forge rune show` can explain the prompt.
+ *
+ * "By reality and perfection I understand the same thing." — Spinoza, Ethics II, D6
+ *
+ * @module rune/layers
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'node:fs';
+import { join, relative, isAbsolute, resolve } from 'node:path';
+import { homedir } from 'node:os';
+import { loadJsonFile } from '../config/loader.js';
+
+/** Block ids in prompt order, with the RUNE layer each one is */
+export const BLOCK_IDS = ['role', 'intent', 'requirements', 'runtime', 'context', 'live', 'analysis', 'examples', 'safety', 'architecture', 'design', 'validation', 'output'];
+
+const LAYER_ALIASES = { L0: 'requirements', L1: 'context', L2: 'analysis', L3: 'safety', L4: 'architecture', L5: 'design', L6: 'validation', L7: 'output' };
+
+export const MODES = ['replace', 'append', 'prepend', 'disable'];
+
+/**
+ * @typedef {object} Override
+ * @property {string} id - Block id
+ * @property {'replace'|'append'|'prepend'|'disable'} mode
+ * @property {string} text
+ * @property {string} [title] - New heading for the block
+ * @property {string} source - Where it was declared, e.g. '.forge/layers/safety.md'
+ */
+
+/**
+ * @typedef {object} Layers
+ * @property {Override[]} overrides - In the order they apply
+ * @property {Record<string, { palette: string[], font: string, vibe: string }>} styles - Extra style presets
+ */
+
+/**
+ * @typedef {object} Block
+ * @property {string} id
+ * @property {string|null} title - Heading, without the `## ` (null for the role preamble)
+ * @property {string} text
+ * @property {boolean} disabled
+ * @property {string[]} sources - Who wrote the text: 'builtin', then each override
+ */
+
+/**
+ * Resolve a block id or layer alias (L0–L7).
+ * @param {string} name
+ * @returns {string}
+ */
+export function blockId(name) {
+  const id = LAYER_ALIASES[String(name).toUpperCase()] || name;
+  if (!BLOCK_IDS.includes(id)) {
+    throw new Error(`Unknown RUNE block "${name}" (expected ${BLOCK_IDS.join(' | ')}, or L0–L7)`);
+  }
+  return id;
+}
+
+/**
+ * Normalize one override as written in config: a string replaces the block,
+ * false disables it, an object gives { mode, text, title }.
+ * @param {string} name - Block id or alias
+ * @param {string|false|object} value
+ * @param {string} source
+ * @returns {Override}
+ */
+export function normalizeOverride(name, value, source) {
+  const id = blockId(name);
+  if (value === false || value === null) return { id, mode: 'disable', text: '', source };
+  if (typeof value === 'string') return { id, mode: 'replace', text: value.trim(), source };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`RUNE block "${name}" in ${source} must be text, false or { mode, text } (got ${JSON.stringify(value)})`);
+  }
+  const mode = value.mode || 'replace';
+  if (!MODES.includes(mode)) throw new Error(`Unknown layer mode "${mode}" in ${source} (expected ${MODES.join(' | ')})`);
+  return { id, mode, text: String(value.text ?? '').trim(), ...(value.title && { title: String(value.title) }), source };
+}
+
+/**
+ * Parse a layer file: optional `---` front matter (mode, title), then the text.
+ * @param {string} content
+ * @param {string} name - Block id or alias (the file name)
+ * @param {string} source
+ * @returns {Override}
+ */
+export function parseLayerFile(content, name, source) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(content);
+  const meta = {};
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const pair = /^\s*(\w+)\s*:\s*(.*?)\s*$/.exec(line);
+      if (pair) meta[pair[1]] = pair[2];
+    }
+  }
+  return normalizeOverride(name, { ...meta, text: match ? content.slice(match[0].length) : content }, source);
+}
+
+function readLayerDir(dir, label, warn) {
+  if (!existsSync(dir)) return [];
+  const files = [];
+  for (const name of readdirSync(dir)) {
+    if (!name.endsWith('.md') || !statSync(join(dir, name)).isFile()) continue;
+    // Notes such as README.md can live next to the layers
+    try { files.push({ name, id: blockId(name.slice(0, -3)) }); }
+    catch { warn(`Skipping ${label}/${name}: not a RUNE block (expected ${BLOCK_IDS.join(' | ')}, or L0–L7)`); }
+  }
+  return files
+    .sort((a, b) => BLOCK_IDS.indexOf(a.id) - BLOCK_IDS.indexOf(b.id))
+    .map(({ name }) => parseLayerFile(readFileSync(join(dir, name), 'utf-8'), name.slice(0, -3), `${label}/${name}`));
+}
+
+function fromConfig(entries, source) {
+  return Object.entries(entries || {}).map(([name, value]) => normalizeOverride(name, value, source));
+}
+
+/**
+ * Collect every override and extra style that applies here.
+ * @param {object} [opts]
+ * @param {string} [opts.persona] - Active persona (its overrides apply last)
+ * @param {string} [opts.dir] - Workspace directory (default: cwd)
+ * @param {string} [opts.home] - User directory (default: ~)
+ * @param {(message: string) => void} [opts.onWarn] - Called for layer files that are skipped
+ * @returns {Layers}
+ */
+export function loadLayers(opts = {}) {
+  const { persona, dir = process.cwd(), home = homedir(), onWarn = (message) => console.error(`⚠️  ${message}`) } = opts;
+  // Sources read as paths from here when they are below cwd
+  const shown = (path) => {
+    const rel = relative(process.cwd(), path);
+    return rel && !rel.startsWith('..') && !isAbsolute(rel) ? rel : path;
+  };
+  const scopes = [
+    { config: loadJsonFile(join(home, '.forgerc.json')).rune || {}, file: '~/.forgerc.json', layers: join(home, '.forge', 'layers'), label: '~/.forge/layers' },
+  ];
+  // Working in ~ makes the workspace the user scope; reading it twice would apply appends twice
+  if (resolve(dir) !== resolve(home)) {
+    scopes.push({ config: loadJsonFile(join(dir, '.forgerc.json')).rune || {}, file: shown(join(dir, '.forgerc.json')), layers: join(dir, '.forge', 'layers'), label: shown(join(dir, '.forge', 'layers')) });
+  }
+
+  const overrides = [];
+  for (const scope of scopes) {
+    overrides.push(...fromConfig(scope.config.layers, scope.file));
+    overrides.push(...readLayerDir(scope.layers, scope.label, onWarn));
+  }
+  if (persona) {
+    for (const scope of scopes) {
+      overrides.push(...fromConfig(scope.config.personas?.[persona], `${scope.file} (persona ${persona})`));
+      overrides.push(...readLayerDir(join(scope.layers, persona), `${scope.label}/${persona}`, onWarn));
+    }
+  }
+
+  const styles = Object.assign({}, ...scopes.map(scope => scope.config.styles || {}));
+  return { overrides, styles };
+}
+
+/**
+ * Apply overrides to one block.
+ * @param {{ id: string, title: string|null, text: string }} block - The built-in block
+ * @param {Override[]} overrides - All overrides (only this block's are used)
+ * @returns {Block}
+ */
+export function applyOverrides(block, overrides = []) {
+  const resolved = { ...block, disabled: false, sources: ['builtin'] };
+  for (const o of overrides) {
+    if (o.id !== block.id) continue;
+    if (o.mode === 'disable') {
+      resolved.disabled = true;
+    } else {
+      resolved.disabled = false;
+      if (o.mode === 'replace') resolved.text = o.text;
+      else if (o.mode === 'append') resolved.text = [resolved.text, o.text].filter(Boolean).join('\n');
+      else resolved.text = [o.text, resolved.text].filter(Boolean).join('\n');
+    }
+    if (o.title) resolved.title = o.title;
+    // A replacement is the block's only author from here on
+    if (o.mode === 'replace') resolved.sources = [o.source];
+    else resolved.sources.push(`${o.source} (${o.mode})`);
+  }
+  return resolved;
+}
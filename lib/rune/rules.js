@@ -0,0 +1,272 @@
+/**
+ * RUNE Rules — The registry behind the four Spinoza axes.
+ *
+ * Every point validate() hands out comes from a rule: it names its axis
+ * and default weight, detects whether the app earns it and says how to fix
+ * it when it does not. Reward rules add weight × pass to their axis;
+ * penalty rules subtract weight × (1 − pass). The built-in rules are
+ * declared in rune/validator.js; plugins add their own through the plugin
+ * contract (`rules`), tagged with the plugin name so disabling the plugin
+ * removes them again.
+ *
+ * A rubric reweights rules for one kind of app. A tracker lives on forms
+ * and persistence; a read-only monitor needs no inputs at all but should
+ * update itself. Weights resolve as: rule default ← rubric ← the
+ * `validator.weights` block in .forgerc.json ← the caller's opts.weights.
+ * A weight of 0 switches a rule off, issue and all.
+ *
+ * "Each thing, as far as it can by its own power, strives to persevere
+ *  in its being." — Spinoza, Ethics III, P6
+ *
+ * @module rune/rules
+ */
+
+export const AXES = ['conatus', 'ratio', 'laetitia', 'natura'];
+
+/**
+ * @typedef {object} RuleContext
+ * @property {string} code - The HTML being scored
+ * @property {import('./validator.js').Analysis} doc - Parsed document (root, js, css, elements, ids, ...)
+ * @property {(...names: string[]) => boolean} has - Whether any element has one of these tag names
+ * @property {object[]} runtime - Smoke-run errors (empty without opts.smoke)
+ * @property {import('./a11y.js').A11yReport} access - Accessibility audit (computed on first use)
+ * @property {import('./script-check.js').ScriptFinding[]} scripts - Script check findings (computed on first use)
+ * @property {object} opts - The options validate() was called with
+ */
+
+/**
+ * @typedef {object} RuleSpec
+ * @property {string} id - Unique, conventionally '<axis>.<name>'
+ * @property {'conatus'|'ratio'|'laetitia'|'natura'} axis
+ * @property {number} weight - Default weight; 0 keeps the rule off unless a rubric turns it on
+ * @property {boolean} [penalty] - Subtracts instead of adding
+ * @property {(ctx: RuleContext) => boolean|number|{ pass: boolean|number, issue?: string, issues?: string[] }} detect
+ *   Whether the app passes, or how much of it (0–1)
+ * @property {string} [issue] - Reported when the rule fails and detect() gave no issue of its own
+ * @property {string} hint - How to fix a failure, for the refiner
+ * @property {string} [source] - 'builtin' or the registering plugin's name
+ */
+
+/**
+ * @typedef {object} RubricSpec
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} [extends] - Rubric whose weights this one starts from
+ * @property {Record<string, number>} [weights] - Rule id → weight
+ * @property {string[]} [expects] - Rule ids whose failure is always reported, even without an issue text
+ * @property {string} [source]
+ */
+
+/**
+ * @typedef {object} RuleResult
+ * @property {string} id
+ * @property {string} axis
+ * @property {number} weight - Weight after rubric and overrides
+ * @property {boolean} penalty
+ * @property {number} pass - 0–1
+ * @property {string[]} issues
+ * @property {string} hint
+ * @property {string} [error] - detect() threw; the rule was not scored
+ */
+
+const BUILTIN_RUBRICS = [
+  {
+    name: 'default',
+    description: 'General-purpose app: the weights every rule declares.',
+  },
+  {
+    name: 'tracker',
+    description: 'Records entries over time: forms and persistence carry the weight.',
+    weights: { 'conatus.inputs': 0.3, 'conatus.events': 0.1, 'conatus.persistence': 0.3, 'conatus.runtime': 0.1, 'conatus.visuals': 0.2 },
+    expects: ['conatus.inputs', 'conatus.persistence'],
+  },
+  {
+    name: 'monitor',
+    description: 'Read-only live view: no inputs needed, but it must visualise and refresh itself.',
+    weights: {
+      'conatus.inputs': 0, 'conatus.events': 0.2, 'conatus.persistence': 0.1, 'conatus.visuals': 0.4, 'conatus.live-updates': 0.3, 'conatus.runtime': 0,
+      'natura.placeholder': 0, 'natura.labels': 0, 'natura.semantic': 0.3, 'natura.accessibility': 0.3, 'natura.emoji': 0.2,
+    },
+    expects: ['conatus.visuals', 'conatus.live-updates'],
+  },
+  {
+    name: 'dashboard',
+    description: 'Summarises data at a glance: charts carry the weight, forms matter less.',
+    weights: { 'conatus.inputs': 0.15, 'conatus.events': 0.2, 'conatus.persistence': 0.1, 'conatus.runtime': 0.05, 'conatus.visuals': 0.5 },
+    expects: ['conatus.visuals'],
+  },
+  {
+    name: 'planner',
+    description: 'Schedules things ahead: entry forms and persistence, with a view of what is coming.',
+    weights: { 'conatus.inputs': 0.3, 'conatus.events': 0.15, 'conatus.persistence': 0.3, 'conatus.runtime': 0.1, 'conatus.visuals': 0.15 },
+    expects: ['conatus.inputs', 'conatus.persistence'],
+  },
+  {
+    name: 'calculator',
+    description: 'Computes on demand: inputs and wiring matter, nothing needs saving.',
+    weights: { 'conatus.inputs': 0.4, 'conatus.events': 0.4, 'conatus.persistence': 0, 'conatus.runtime': 0, 'conatus.visuals': 0.2 },
+    expects: ['conatus.inputs', 'conatus.events'],
+  },
+  {
+    name: 'journal',
+    description: 'Free-form entries kept over time: text input and persistence, charts optional.',
+    weights: { 'conatus.inputs': 0.35, 'conatus.events': 0.1, 'conatus.persistence': 0.35, 'conatus.runtime': 0.1, 'conatus.visuals': 0.1 },
+    expects: ['conatus.inputs', 'conatus.persistence'],
+  },
+];
+
+/** @type {Map<string, RuleSpec>} */
+const rules = new Map();
+/** @type {Map<string, RubricSpec>} */
+const rubrics = new Map();
+
+/**
+ * Add or replace a rule. Built-in rules can only be replaced by built-ins:
+ * unregistering a plugin would otherwise take the built-in with it.
+ * @param {RuleSpec} spec
+ * @param {object} [opts]
+ * @param {string} [opts.source='builtin'] - Owner, for unregisterSource()
+ * @returns {RuleSpec}
+ */
+export function registerRule(spec, opts = {}) {
+  if (!spec?.id) throw new Error('Rule spec needs an id');
+  if (!AXES.includes(spec.axis)) throw new Error(`Rule "${spec.id}" has unknown axis "${spec.axis}" (expected ${AXES.join(' | ')})`);
+  if (typeof spec.detect !== 'function') throw new Error(`Rule "${spec.id}" needs a detect() function`);
+  const entry = { weight: 0, penalty: false, hint: '', ...spec, source: opts.source || spec.source || 'builtin' };
+  if (entry.source !== 'builtin' && rules.get(spec.id)?.source === 'builtin') {
+    throw new Error(`Rule "${spec.id}" is built in; ${entry.source} cannot replace it (register it under a new id)`);
+  }
+  rules.delete(spec.id);
+  rules.set(spec.id, entry);
+  return entry;
+}
+
+/**
+ * Add or replace a rubric (built-in rubrics only by built-ins, as with rules).
+ * @param {RubricSpec} spec
+ * @param {object} [opts]
+ * @param {string} [opts.source='builtin']
+ * @returns {RubricSpec}
+ */
+export function registerRubric(spec, opts = {}) {
+  if (!spec?.name) throw new Error('Rubric spec needs a name');
+  const entry = { weights: {}, expects: [], ...spec, source: opts.source || spec.source || 'builtin' };
+  if (entry.source !== 'builtin' && rubrics.get(spec.name)?.source === 'builtin') {
+    throw new Error(`Rubric "${spec.name}" is built in; ${entry.source} cannot replace it (register it under a new name)`);
+  }
+  rubrics.set(spec.name, entry);
+  return entry;
+}
+
+/**
+ * Remove every rule and rubric a source registered.
+ * @param {string} source
+ */
+export function unregisterSource(source) {
+  for (const [id, rule] of rules) if (rule.source === source) rules.delete(id);
+  for (const [name, rubric] of rubrics) if (rubric.source === source) rubrics.delete(name);
+}
+
+/**
+ * Drop everything plugins and tests registered (for testing).
+ */
+export function resetRules() {
+  for (const [id, rule] of rules) if (rule.source !== 'builtin') rules.delete(id);
+  rubrics.clear();
+  for (const rubric of BUILTIN_RUBRICS) registerRubric(rubric);
+}
+
+/**
+ * All rules in scoring order: by axis, built-in rules first, then in
+ * registration order.
+ * @returns {RuleSpec[]}
+ */
+export function listRules() {
+  const all = [...rules.values()];
+  return AXES.flatMap(axis => [
+    ...all.filter(r => r.axis === axis && r.source === 'builtin'),
+    ...all.filter(r => r.axis === axis && r.source !== 'builtin'),
+  ]);
+}
+
+/**
+ * @returns {RubricSpec[]}
+ */
+export function listRubrics() {
+  return [...rubrics.values()];
+}
+
+/**
+ * Resolve a rubric by name, following `extends`. Rubrics from the config
+ * (`validator.rubrics`) are looked up before registered ones.
+ * @param {string|RubricSpec} [rubric='default']
+ * @param {Record<string, RubricSpec>} [custom] - Config rubrics by name
+ * @returns {{ name: string, weights: Record<string, number>, expects: string[] }}
+ */
+export function resolveRubric(rubric = 'default', custom = {}) {
+  const seen = new Set();
+  const load = (ref) => {
+    const spec = typeof ref === 'object' ? ref : custom[ref] ? { name: ref, ...custom[ref] } : rubrics.get(ref);
+    if (!spec) throw new Error(`Unknown rubric "${ref}" (expected ${[...new Set([...rubrics.keys(), ...Object.keys(custom)])].join(' | ')})`);
+    if (seen.has(spec.name)) throw new Error(`Rubric "${spec.name}" extends itself`);
+    seen.add(spec.name);
+    const base = spec.extends ? load(spec.extends) : { weights: {}, expects: [] };
+    return {
+      name: spec.name || 'custom',
+      weights: { ...base.weights, ...spec.weights },
+      expects: [...new Set([...base.expects, ...(spec.expects || [])])],
+    };
+  };
+  return load(rubric || 'default');
+}
+
+function outcome(value) {
+  if (value && typeof value === 'object') {
+    return { pass: Number(value.pass), issues: value.issues || (value.issue ? [value.issue] : []) };
+  }
+  return { pass: Number(value), issues: [] };
+}
+
+/**
+ * Score a document with every registered rule.
+ * @param {RuleContext} ctx
+ * @param {object} [opts]
+ * @param {string|RubricSpec} [opts.rubric='default']
+ * @param {Record<string, RubricSpec>} [opts.rubrics] - Extra rubrics by name (from config)
+ * @param {Record<string, number>} [opts.weights] - Rule id → weight, over the rubric's
+ * @returns {{ scores: Record<string, number>, issues: string[], results: RuleResult[], rubric: string }}
+ *   Unclamped axis totals
+ */
+export function scoreRules(ctx, opts = {}) {
+  const rubric = resolveRubric(opts.rubric, opts.rubrics);
+  const weights = { ...rubric.weights, ...opts.weights };
+  const scores = Object.fromEntries(AXES.map(axis => [axis, 0]));
+  const issues = [];
+  const results = [];
+
+  for (const rule of listRules()) {
+    const weight = weights[rule.id] ?? rule.weight;
+    if (!weight) continue;
+    const result = { id: rule.id, axis: rule.axis, weight, penalty: rule.penalty, pass: 1, issues: [], hint: rule.hint };
+    results.push(result);
+
+    let found;
+    try {
+      found = outcome(rule.detect(ctx));
+    } catch (err) {
+      result.error = err.message;
+      continue;
+    }
+    result.pass = Math.max(0, Math.min(1, found.pass || 0));
+    scores[rule.axis] += rule.penalty ? -weight * (1 - result.pass) : weight * result.pass;
+    if (result.pass >= 1) continue;
+
+    result.issues = found.issues.length ? found.issues : rule.issue ? [rule.issue] : [];
+    if (!result.issues.length && rubric.expects.includes(rule.id)) result.issues = [`A ${rubric.name} app needs this: ${rule.hint}`];
+    issues.push(...result.issues);
+  }
+
+  return { scores, issues, results, rubric: rubric.name };
+}
+
+for (const rubric of BUILTIN_RUBRICS) registerRubric(rubric);
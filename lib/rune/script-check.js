@@ -0,0 +1,353 @@
+/**
+ * RUNE Script Check — Static checks of a generated app's inline JavaScript.
+ *
+ * An app can look perfect to the validator and still die on load. Every
+ * inline <script> is compiled with node:vm (never run) to catch syntax
+ * errors, and the code is scanned for calls to functions that nothing
+ * defines and for on* handler attributes that reference missing globals —
+ * including the classic of an onclick calling a function that lives in a
+ * type="module" script. Findings carry line and column in the original
+ * HTML so the refiner can be told exactly what to fix.
+ *
+ * "He who has a true idea knows at the same time that he has a true idea."
+ *  — Spinoza, Ethics II, P43
+ *
+ * @module rune/script-check
+ */
+
+import { Script } from 'node:vm';
+import { parse, byTag, findAll } from './dom.js';
+
+const JS_TYPES = /^(|text\/javascript|application\/javascript|module)$/i;
+const REGEX_PREFIX = /[(,=:[!&|?{};+\-*%<>~^]$/;
+const MODULE_PREFIX = '(async () => {';
+
+const KEYWORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'typeof', 'with', 'do', 'else', 'new', 'await',
+  'yield', 'super', 'import', 'delete', 'void', 'in', 'of', 'case', 'throw', 'async', 'instanceof', 'this', 'var',
+  'let', 'const', 'class', 'extends', 'true', 'false', 'null', 'undefined', 'try', 'finally', 'break', 'continue',
+  'default', 'export', 'from', 'static', 'get', 'set', 'debugger', 'NaN', 'Infinity', 'arguments', 'event',
+]);
+
+// Browser and language globals an app may use without defining
+export const GLOBALS = new Set(`
+  window document globalThis self console navigator location history screen performance crypto
+  localStorage sessionStorage indexedDB caches frames parent top opener
+  alert confirm prompt print open close focus blur scrollTo scrollBy postMessage
+  setTimeout clearTimeout setInterval clearInterval requestAnimationFrame cancelAnimationFrame
+  requestIdleCallback cancelIdleCallback queueMicrotask structuredClone getComputedStyle matchMedia
+  fetch atob btoa encodeURIComponent decodeURIComponent encodeURI decodeURI escape unescape
+  parseInt parseFloat isNaN isFinite eval
+  Object Array String Number Boolean Symbol BigInt Date Math JSON RegExp Promise Proxy Reflect Intl
+  Map Set WeakMap WeakSet WeakRef FinalizationRegistry ArrayBuffer SharedArrayBuffer DataView Atomics
+  Int8Array Uint8Array Uint8ClampedArray Int16Array Uint16Array Int32Array Uint32Array Float32Array Float64Array
+  BigInt64Array BigUint64Array
+  Error TypeError RangeError SyntaxError ReferenceError EvalError URIError AggregateError
+  URL URLSearchParams Blob File FileReader FormData Headers Request Response AbortController AbortSignal
+  Event CustomEvent EventTarget KeyboardEvent MouseEvent PointerEvent TouchEvent
+  Image Audio Option Worker SharedWorker WebSocket EventSource XMLHttpRequest BroadcastChannel MessageChannel
+  ResizeObserver IntersectionObserver MutationObserver PerformanceObserver Notification
+  TextEncoder TextDecoder DOMParser XMLSerializer Node Element HTMLElement Path2D OffscreenCanvas ImageData
+  CSS speechSynthesis SpeechSynthesisUtterance AudioContext webkitAudioContext Chart d3 THREE
+  forge
+`.trim().split(/\s+/));
+
+/**
+ * @typedef {object} ScriptFinding
+ * @property {'syntax'|'undefined-function'|'undefined-handler'} kind
+ * @property {string} message
+ * @property {string} name - Offending identifier ('' for syntax errors)
+ * @property {number} line - 1-based line in the HTML
+ * @property {number} column - 1-based column in the HTML
+ * @property {string} source - The HTML line, trimmed
+ */
+
+/**
+ * Blank out comments and string/regex contents without moving anything,
+ * so offsets in the result are offsets in the source. Template literal
+ * substitutions are kept — they are code.
+ * @param {string} src
+ * @returns {string}
+ */
+export function maskJs(src) {
+  const out = src.split('');
+  let i = 0;
+  let lastSignificant = '';
+  const blank = (from, to) => {
+    for (let k = from; k < to && k < out.length; k++) if (out[k] !== '\n') out[k] = ' ';
+  };
+
+  const skipQuoted = (quote) => {
+    let j = i + 1;
+    while (j < src.length && src[j] !== quote && src[j] !== '\n') j += src[j] === '\\' ? 2 : 1;
+    blank(i + 1, j);
+    i = j + 1;
+  };
+
+  const skipTemplate = () => {
+    i++;
+    let from = i;
+    while (i < src.length && src[i] !== '`') {
+      if (src[i] === '\\') { i += 2; continue; }
+      if (src[i] === '$' && src[i + 1] === '{') {
+        blank(from, i);
+        i += 2;
+        code('}');
+        from = i;
+        continue;
+      }
+      i++;
+    }
+    blank(from, i);
+    i++;
+  };
+
+  const code = (until) => {
+    let depth = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      const next = src[i + 1];
+      if (ch === '/' && next === '/') {
+        const end = src.indexOf('\n', i);
+        blank(i, end === -1 ? src.length : end);
+        i = end === -1 ? src.length : end;
+      } else if (ch === '/' && next === '*') {
+        const end = src.indexOf('*/', i + 2);
+        blank(i, end === -1 ? src.length : end + 2);
+        i = end === -1 ? src.length : end + 2;
+      } else if (ch === '"' || ch === "'") {
+        skipQuoted(ch);
+        lastSignificant = ch;
+      } else if (ch === '`') {
+        skipTemplate();
+        lastSignificant = ch;
+      } else if (ch === '/' && (lastSignificant === '' || REGEX_PREFIX.test(lastSignificant))) {
+        let j = i + 1;
+        let inClass = false;
+        while (j < src.length && src[j] !== '\n') {
+          if (src[j] === '\\') { j += 2; continue; }
+          if (src[j] === '[') inClass = true;
+          else if (src[j] === ']') inClass = false;
+          else if (src[j] === '/' && !inClass) break;
+          j++;
+        }
+        blank(i + 1, j);
+        i = j + 1;
+        lastSignificant = '/';
+      } else {
+        if (ch === '{') depth++;
+        if (ch === '}') {
+          if (until && depth === 0) { i++; return; }
+          depth--;
+        }
+        if (!/\s/.test(ch)) lastSignificant = ch;
+        i++;
+      }
+    }
+  };
+
+  code(null);
+  return out.join('');
+}
+
+/**
+ * Identifiers in a parameter or destructuring list (defaults included —
+ * an extra declared name only makes the check more lenient).
+ */
+function identifiers(list) {
+  return (list.replace(/[\w$]+\s*:(?!:)/g, ' ').match(/[A-Za-z_$][\w$]*/g) || []).filter(n => !KEYWORDS.has(n));
+}
+
+/**
+ * Index of the bracket closing the one at `open`, or -1.
+ */
+function matching(src, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const close = pairs[src[open]];
+  let depth = 0;
+  for (let k = open; k < src.length; k++) {
+    if (src[k] === src[open]) depth++;
+    else if (src[k] === close && --depth === 0) return k;
+  }
+  return -1;
+}
+
+/**
+ * Names a (masked) script declares, plus the calls it makes.
+ * @param {string} masked
+ * @returns {{ declared: Set<string>, globals: Set<string>, calls: Array<{ name: string, offset: number }> }}
+ */
+function scan(masked) {
+  const declared = new Set();
+  const globals = new Set();
+  const add = (set, names) => { for (const n of names) set.add(n); };
+
+  for (const m of masked.matchAll(/\bfunction\b\s*\*?\s*([\w$]*)\s*\(([^)]*)\)/g)) {
+    if (m[1]) declared.add(m[1]);
+    add(declared, identifiers(m[2]));
+  }
+  for (const m of masked.matchAll(/\bclass\s+([\w$]+)/g)) declared.add(m[1]);
+  for (const m of masked.matchAll(/\b(?:const|let|var)\s+([\w$]+)/g)) declared.add(m[1]);
+  for (const m of masked.matchAll(/\b(?:const|let|var)\s*([{[])/g)) {
+    const open = m.index + m[0].length - 1;
+    const close = matching(masked, open);
+    if (close !== -1) add(declared, identifiers(masked.slice(open + 1, close)));
+  }
+  for (const m of masked.matchAll(/\(([^()]*)\)\s*=>/g)) add(declared, identifiers(m[1]));
+  for (const m of masked.matchAll(/([\w$]+)\s*=>/g)) declared.add(m[1]);
+  for (const m of masked.matchAll(/\bcatch\s*\(\s*([\w$]+)/g)) declared.add(m[1]);
+  for (const m of masked.matchAll(/\bimport\s+([\w$]+)|\bimport\s*\*\s*as\s+([\w$]+)/g)) declared.add(m[1] || m[2]);
+  for (const m of masked.matchAll(/\bimport\s*\{([^}]*)\}/g)) {
+    add(declared, m[1].split(',').map(s => s.trim().split(/\s+as\s+/).pop()).filter(Boolean));
+  }
+
+  // Explicit and implicit globals: window.x = …, globalThis.x = …, x = … at statement start
+  for (const m of masked.matchAll(/\b(?:window|globalThis|self)\.([\w$]+)\s*=(?!=)/g)) globals.add(m[1]);
+  for (const m of masked.matchAll(/(?:^|[;\n{}])\s*([A-Za-z_$][\w$]*)\s*=(?![=>])/g)) globals.add(m[1]);
+
+  const calls = [];
+  for (const m of masked.matchAll(/(?<![\w$.])([A-Za-z_$][\w$]*)\s*\(/g)) {
+    const name = m[1];
+    if (KEYWORDS.has(name)) continue;
+    const before = masked.slice(Math.max(0, m.index - 12), m.index);
+    if (/\bfunction\s*\*?\s*$/.test(before)) continue;
+
+    // name(…) { — a method definition, not a call
+    const open = m.index + m[0].length - 1;
+    const close = matching(masked, open);
+    if (close !== -1 && /^\s*\{/.test(masked.slice(close + 1, close + 40))) {
+      declared.add(name);
+      continue;
+    }
+    calls.push({ name, offset: m.index });
+  }
+
+  return { declared, globals, calls };
+}
+
+/**
+ * Map an offset in the HTML to a 1-based line/column and the line's text.
+ */
+function locate(html, offset) {
+  const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+  const lineEnd = html.indexOf('\n', offset);
+  return {
+    line: html.slice(0, offset).split('\n').length,
+    column: offset - lineStart + 1,
+    source: html.slice(lineStart, lineEnd === -1 ? html.length : lineEnd).trim(),
+  };
+}
+
+/**
+ * Compile a script without running it.
+ * @returns {{ message: string, line: number, column: number }|null} Position within the script
+ */
+function compile(source, isModule) {
+  // Module syntax is not valid in a classic Script: blank the import/export
+  // keywords in place and wrap the body so top-level await compiles.
+  const body = isModule
+    ? MODULE_PREFIX + source
+      .replace(/^[ \t]*import\s[^;\n]*;?/gm, (s) => ' '.repeat(s.length))
+      .replace(/^([ \t]*)export\s+(default\s+)?/gm, (s) => ' '.repeat(s.length)) + '\n})'
+    : source;
+  try {
+    new Script(body, { filename: 'inline-script' });
+    return null;
+  } catch (err) {
+    if (!(err instanceof SyntaxError) && err?.name !== 'SyntaxError') return null;
+    const stack = String(err.stack || '').split('\n');
+    const line = parseInt(/:(\d+)$/.exec(stack[0])?.[1] || '1', 10);
+    const caret = stack.findIndex(l => /^\s*\^+\s*$/.test(l));
+    let column = caret > 0 ? stack[caret].indexOf('^') + 1 : 1;
+    if (isModule && line === 1) column = Math.max(1, column - MODULE_PREFIX.length);
+    const lines = source.split('\n');
+    if (line > lines.length) return { message: err.message, line: lines.length, column: lines[lines.length - 1].length + 1 };
+    return { message: err.message, line, column };
+  }
+}
+
+/**
+ * Check every inline script of a document.
+ * @param {string} html - Original HTML
+ * @param {object} [opts]
+ * @param {import('./dom.js').Node} [opts.root] - Already-parsed tree of html (saves a parse)
+ * @returns {ScriptFinding[]} In document order
+ */
+export function checkScripts(html, opts = {}) {
+  const root = opts.root || parse(html).root;
+  const findings = [];
+  const scripts = [];
+
+  for (const el of byTag(root, 'script')) {
+    const type = el.attrs.type || '';
+    const text = el.children[0];
+    if (!JS_TYPES.test(type) || !text?.value?.trim()) continue;
+    const masked = maskJs(text.value);
+    scripts.push({ source: text.value, start: text.start, isModule: /^module$/i.test(type), masked, ...scan(masked) });
+  }
+
+  // Classic scripts share one global scope; modules only export what they put on window
+  const shared = new Set();
+  for (const s of scripts) {
+    for (const n of s.globals) shared.add(n);
+    if (!s.isModule) for (const n of s.declared) shared.add(n);
+  }
+  const ids = new Set(findAll(root, el => el.attrs.id).map(el => el.attrs.id));
+  const known = (name, own) => GLOBALS.has(name) || shared.has(name) || own?.has(name) || ids.has(name);
+
+  for (const s of scripts) {
+    const error = compile(s.source, s.isModule);
+    if (error) {
+      const lineStart = s.source.split('\n').slice(0, error.line - 1).reduce((n, l) => n + l.length + 1, 0);
+      findings.push({ kind: 'syntax', message: `SyntaxError: ${error.message}`, name: '', ...locate(html, s.start + lineStart + error.column - 1) });
+      continue; // A script that does not compile has no meaningful references
+    }
+    const reported = new Set();
+    for (const call of s.calls) {
+      if (known(call.name, s.declared) || reported.has(call.name)) continue;
+      reported.add(call.name);
+      findings.push({ kind: 'undefined-function', message: `${call.name}() is called but never defined`, name: call.name, ...locate(html, s.start + call.offset) });
+    }
+  }
+
+  for (const el of findAll(root, el => Object.keys(el.attrs).some(a => a.startsWith('on')))) {
+    for (const [attr, value] of Object.entries(el.attrs)) {
+      if (!attr.startsWith('on') || !value.trim()) continue;
+      const masked = maskJs(value);
+      const local = scan(masked).declared;
+      const missing = new Set();
+      for (const m of masked.matchAll(/(?<![\w$.])([A-Za-z_$][\w$]*)(?!\s*:)/g)) {
+        if (!KEYWORDS.has(m[1]) && !known(m[1], local)) missing.add(m[1]);
+      }
+      if (!missing.size) continue;
+      const at = html.indexOf(`${attr}=`, el.start);
+      for (const name of missing) {
+        const inModule = scripts.some(x => x.isModule && x.declared.has(name));
+        findings.push({
+          kind: 'undefined-handler',
+          message: `${attr} handler references ${name}, which is not a global${inModule ? ' (it is only defined inside a module script)' : ''}`,
+          name,
+          ...locate(html, at === -1 ? el.start : at),
+        });
+      }
+    }
+  }
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Turn findings into fix instructions for the refiner.
+ * @param {ScriptFinding[]} findings
+ * @returns {string[]}
+ */
+export function fixInstructions(findings) {
+  return findings.map(f => {
+    const fix = f.kind === 'syntax'
+      ? 'fix the syntax so the script compiles'
+      : f.kind === 'undefined-function'
+        ? `define ${f.name}() or call the function that exists`
+        : `define ${f.name} in a classic <script> or assign it to window.${f.name}`;
+    return `Line ${f.line}, column ${f.column}: ${f.message} — ${fix}. Line: \`${f.source.slice(0, 120)}\``;
+  });
+}
@@ -0,0 +1,441 @@
+/**
+ * RUNE Smoke — Boot a generated app headlessly and press every button.
+ *
+ * The validator reads an app; this runs it. The HTML is loaded into the
+ * DOM shim (rune/dom-shim.js) inside a node:vm context, its inline scripts
+ * execute in document order (module scripts deferred), DOMContentLoaded and
+ * load fire, and timers run on a virtual clock. Then every interactive
+ * element is clicked and every form submitted, with empty fields filled
+ * with plausible values first. Uncaught exceptions, unhandled promise
+ * rejections, console.error calls and scripts that never finish are
+ * collected with their line in the original HTML.
+ *
+ * Each run happens in a worker thread, so an app's unhandled rejections
+ * stay out of the caller's process and a run that wedges can be killed.
+ * A timer whose callback hangs is cancelled after its first timeout, and the
+ * run stops early when it is close to the deadline; a run that still misses
+ * it comes back as a failed result with a `timeout` error, never a rejection.
+ * Nothing goes over the network: fetch() stays pending unless `opts.fetch`
+ * answers it, and external scripts are not loaded. The window.forge runtime
+ * (renderer/runtime.js) is loaded first, as it is in every rendered file.
+ *
+ * "Experience teaches us no less clearly than reason."
+ *  — Spinoza, Ethics III, P2 Scholium
+ *
+ * @module rune/smoke
+ */
+
+import { Script, createContext, compileFunction } from 'node:vm';
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { parse } from './dom.js';
+import { createWindow, Event, InputEvent } from './dom-shim.js';
+import { GLOBALS } from './script-check.js';
+import { runtimeScript } from '../renderer/runtime.js';
+
+const FILE = 'forge-app.html';
+const JS_TYPES = /^(|text\/javascript|application\/javascript|module)$/i;
+const INTERACTIVE = 'button, input[type="button"], input[type="submit"], input[type="checkbox"], input[type="radio"], a[href], summary, [onclick], [role="button"]';
+const FILLABLE = 'input, textarea, select';
+const NOT_FILLED = new Set(['hidden', 'checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file']);
+const SAMPLE_VALUES = {
+  number: '1', range: '50', email: 'test@example.com', url: 'https://example.com', tel: '5551234',
+  date: '2026-01-01', 'datetime-local': '2026-01-01T09:00', time: '09:00', month: '2026-01', week: '2026-W01', color: '#336699',
+};
+const MAX_ERRORS = 25;
+const WORKER_TAG = 'rune/smoke';
+
+const HOOK = '__forgeSmoke__';
+const CALL_HOOK = new Script(`${HOOK}.call()`);
+const DRAIN = new Script('0');
+const BOOTSTRAP = new Script(`(() => {
+  const host = ${HOOK};
+  globalThis.queueMicrotask = (fn) => { Promise.resolve().then(fn); };
+  globalThis.structuredClone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  globalThis.fetch = (input, init) => new Promise((resolve, reject) => {
+    const url = String(input && input.url ? input.url : input);
+    host.request(url, init || {}, (status, body) => {
+      const text = typeof body === 'string' ? body : JSON.stringify(body === undefined ? null : body);
+      resolve({
+        ok: status >= 200 && status < 300, status, statusText: '', url, redirected: false,
+        headers: { get: () => null, has: () => false, forEach() {} },
+        json: async () => JSON.parse(text),
+        text: async () => text,
+        clone() { return this; },
+      });
+    }, (message) => reject(new TypeError(message)));
+  });
+})()`);
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function formatArg(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object' && 'message' in value) return `${value.name || 'Error'}: ${value.message}`;
+  try { return JSON.stringify(value) ?? String(value); } catch { return String(value); }
+}
+
+function describe(el) {
+  const id = el.id ? `#${el.id}` : el.className ? `.${el.className.trim().split(/\s+/)[0]}` : '';
+  const kind = el.localName === 'input' ? `input[type=${el.type}]` : el.localName;
+  const text = (el.textContent || el.getAttribute('aria-label') || el.value || '').trim().replace(/\s+/g, ' ').slice(0, 30);
+  return text && el.localName !== 'form' ? `${kind}${id} "${text}"` : `${kind}${id}`;
+}
+
+/**
+ * @typedef {object} RuntimeError
+ * @property {'exception'|'rejection'|'console'|'timeout'} kind
+ * @property {'load'|'interaction'} phase
+ * @property {string} context - What was happening: 'on load', 'clicking button "Save"', ...
+ * @property {string} message - e.g. "TypeError: Cannot read properties of null (reading 'value')"
+ * @property {number|null} line - 1-based line in the HTML
+ * @property {number|null} column
+ * @property {string} source - The HTML line, trimmed ('' when unknown)
+ * @property {number} count - Times the same error was seen
+ */
+
+/**
+ * @typedef {object} SmokeResult
+ * @property {boolean} ok - No errors at all
+ * @property {boolean} booted - Scripts and load handlers ran without throwing
+ * @property {RuntimeError[]} errors
+ * @property {number} interactions - Clicks and submits dispatched
+ * @property {string[]} unsupported - Browser globals the shim does not provide (not counted as errors)
+ * @property {string[]} skipped - Scripts that were not run (external, or modules with imports)
+ * @property {string[]} requests - URLs the app tried to fetch
+ */
+
+/**
+ * Boot an app and exercise its controls.
+ * @param {string} html - Generated HTML
+ * @param {object} [opts]
+ * @param {number} [opts.timeout=1000] - Max ms for any single script, handler or timer
+ * @param {number} [opts.settle=2000] - Virtual ms of timers to run after load
+ * @param {number} [opts.maxInteractions=40] - Cap on clicks
+ * @param {number} [opts.maxCallbacks=500] - Cap on timer callbacks per settle
+ * @param {number} [opts.deadline=30000] - Wall-clock ms before the whole run is abandoned (reported as a timeout error)
+ * @param {Record<string, string>} [opts.storage] - Initial localStorage
+ * @param {boolean} [opts.runtime=true] - Provide window.forge (namespace 'app')
+ * @param {(url: string, init: { method: string, body?: string }) => ({ status?: number, body: any }|undefined|Promise<any>)} [opts.fetch]
+ *   Answer fetch() calls; by default (or when this returns undefined) they stay pending, like a very slow network
+ * @returns {Promise<SmokeResult>}
+ */
+export function smokeTest(html, opts = {}) {
+  const { fetch: answer, deadline = 30000, ...settings } = opts;
+  return new Promise((resolve, reject) => {
+    // Leave the worker time to stop on its own and report what it found
+    const worker = new Worker(new URL(import.meta.url), {
+      workerData: { tag: WORKER_TAG, html: String(html), opts: { ...settings, budget: deadline * 0.8 }, answers: Boolean(answer) },
+    });
+    let progress = { phase: 'load', context: 'on load', interactions: 0 };
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+    const timer = setTimeout(() => finish(resolve, {
+      ok: false,
+      booted: progress.phase !== 'load',
+      errors: [{
+        kind: 'timeout', phase: progress.phase, context: progress.context,
+        message: `The run did not finish within ${deadline}ms (infinite loop?)`,
+        line: null, column: null, source: '', count: 1,
+      }],
+      interactions: progress.interactions,
+      unsupported: [],
+      skipped: [],
+      requests: [],
+    }), deadline);
+
+    worker.on('message', async (message) => {
+      if (message.type === 'result') return finish(resolve, message.result);
+      if (message.type === 'progress') { progress = message.progress; return; }
+      let response;
+      try {
+        response = await answer(message.url, message.init);
+      } catch (err) {
+        response = { error: err?.message || String(err) };
+      }
+      if (response !== undefined && !settled) worker.postMessage({ id: message.id, response });
+    });
+    worker.on('error', (err) => finish(reject, err));
+    worker.on('exit', (code) => finish(reject, new Error(`Smoke test worker exited early (code ${code})`)));
+  });
+}
+
+/**
+ * The run itself, inside the worker.
+ * @param {string} html
+ * @param {object} opts - smokeTest() options, minus fetch
+ * @param {((url: string, init: object) => Promise<object>)|null} ask - Forwards fetch() to the caller
+ * @param {(progress: { phase: string, context: string, interactions: number }) => void} [onProgress] - Where the run is, for the caller's deadline report
+ * @returns {Promise<SmokeResult>}
+ */
+async function runApp(html, opts, ask, onProgress = () => {}) {
+  const { timeout = 1000, settle = 2000, maxInteractions = 40, maxCallbacks = 500, budget = Infinity } = opts;
+  const stopAt = Date.now() + budget;
+  const lines = String(html).split('\n');
+  const errors = [];
+  const seen = new Map();
+  const unsupported = new Set();
+  const skipped = [];
+  const requests = [];
+  let phase = 'load';
+  let context = 'on load';
+  let interactions = 0;
+  let timedOut = false;
+  let stopped = false;
+
+  // Out of wall-clock budget: note it once and skip the rest of the run
+  const outOfTime = () => {
+    if (stopped || Date.now() < stopAt) return stopped;
+    stopped = true;
+    record('timeout', `Run stopped after ${budget}ms — the app keeps the page busy`);
+    return true;
+  };
+
+  const position = (offset) => {
+    const before = html.slice(0, offset);
+    const line = before.split('\n').length;
+    return { line, column: offset - before.lastIndexOf('\n') };
+  };
+
+  const record = (kind, value) => {
+    let message = formatArg(value);
+    if (kind !== 'console' && value?.name === 'ReferenceError') {
+      const name = /^(\S+) is not defined$/.exec(value.message)?.[1];
+      if (name && GLOBALS.has(name)) { unsupported.add(name); return; }
+    }
+    if (/^Error: Script execution timed out/.test(message)) {
+      kind = 'timeout';
+      message = `Did not finish within ${timeout}ms (infinite loop?)`;
+    }
+    if (kind === 'timeout') timedOut = true;
+    const stack = kind === 'console' ? new Error().stack : String(value?.stack || '');
+    // Prefer a stack frame (line:column) over the source excerpt V8 prepends to syntax errors
+    const at = new RegExp(`${FILE}:(\\d+):(\\d+)`).exec(stack) || new RegExp(`${FILE}:(\\d+)`).exec(stack);
+    const line = at ? Number(at[1]) : null;
+    const key = `${kind}|${message}|${line}`;
+    if (seen.has(key)) { seen.get(key).count++; return; }
+    if (errors.length >= MAX_ERRORS) return;
+    const entry = {
+      kind, phase, context, message, line,
+      column: at?.[2] ? Number(at[2]) : null,
+      source: line ? (lines[line - 1] || '').trim() : '',
+      count: 1,
+    };
+    seen.set(key, entry);
+    errors.push(entry);
+  };
+
+  const handlers = new WeakMap();
+  const compileHandler = (code, el, attr) => {
+    const cache = handlers.get(el) || new Map();
+    handlers.set(el, cache);
+    if (cache.has(attr)) return cache.get(attr);
+    let fn = null;
+    const at = el._start === undefined ? -1 : html.indexOf(`${attr}=`, el._start);
+    const { line, column } = at === -1 ? { line: 1, column: 1 } : position(at + attr.length + 2);
+    try {
+      fn = compileFunction(code, ['event'], { parsingContext: ctx, filename: FILE, lineOffset: line - 1, columnOffset: column - 1 });
+    } catch (err) {
+      record('exception', err);
+    }
+    cache.set(attr, fn);
+    return fn;
+  };
+
+  const request = (url, init, resolve, reject) => {
+    requests.push(url);
+    if (!ask) return;
+    ask(url, { method: String(init.method || 'GET').toUpperCase(), body: typeof init.body === 'string' ? init.body : undefined })
+      .then((res) => (res.error ? reject(res.error) : resolve(res.status ?? 200, res.body ?? res)));
+  };
+
+  const root = parse(html).root;
+  const { window, document, clock, realm } = createWindow(root, {
+    reportError: (err) => record('exception', err),
+    consoleError: (args) => record('console', args.map(formatArg).join(' ')),
+    compileHandler: (code, el, attr) => compileHandler(code, el, attr),
+    request,
+  }, { storage: opts.storage });
+
+  let pending = null;
+  Object.defineProperty(window, HOOK, {
+    value: { call: () => pending?.(), request, report: (err) => record('exception', err) },
+  });
+  const ctx = createContext(window, { name: 'forge smoke test', microtaskMode: 'afterEvaluate' });
+  realm.Promise = new Script('Promise').runInContext(ctx);
+
+  const exec = (script) => {
+    try {
+      script.runInContext(ctx, { timeout });
+    } catch (err) {
+      record('exception', err);
+    }
+  };
+  const run = (fn) => {
+    pending = fn;
+    exec(CALL_HOOK);
+    pending = null;
+  };
+
+  const advance = async (ms) => {
+    await tick();
+    exec(DRAIN); // continuations of promises the host settled (fetch answers)
+    const until = clock.now + ms;
+    for (let n = 0, timer; n < maxCallbacks && !outOfTime() && (timer = clock.next(until)); n++) {
+      const { callback, args } = timer;
+      timedOut = false;
+      if (typeof callback === 'function') run(() => callback(...args));
+      else {
+        try { exec(new Script(String(callback), { filename: FILE })); } catch (err) { record('exception', err); }
+      }
+      // A callback that hung once will hang every time it fires
+      if (timedOut) clock.clear(timer.id);
+    }
+    clock.now = Math.max(clock.now, until);
+    await tick();
+  };
+
+  const fill = (scope) => {
+    for (const el of scope.querySelectorAll(FILLABLE)) {
+      if (el.disabled || el.readOnly || NOT_FILLED.has(el.type)) continue;
+      let value;
+      if (el.localName === 'select') {
+        if (el.value) continue;
+        value = el.options.find(o => o.value)?.value;
+      } else if (!el.value) {
+        value = SAMPLE_VALUES[el.type] ?? 'test';
+      }
+      if (value === undefined) continue;
+      context = `typing into ${describe(el)}`;
+      run(() => {
+        el.value = value;
+        el.dispatchEvent(new InputEvent('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+    }
+  };
+
+  // This worker runs nothing else, so every unhandled rejection is the app's
+  process.on('unhandledRejection', (reason, promise) => {
+    if (promise instanceof realm.Promise) record('rejection', reason);
+  });
+
+  exec(BOOTSTRAP);
+  if (opts.runtime !== false) exec(new Script(runtimeScript(), { filename: 'forge-runtime.js' }));
+
+  // --- load ---
+  const scripts = document.getElementsByTagName('script').filter(s => JS_TYPES.test(s.getAttribute('type') || ''));
+  const isModule = (s) => /^module$/i.test(s.getAttribute('type') || '');
+  for (const el of [...scripts.filter(s => !isModule(s)), ...scripts.filter(isModule)]) {
+    if (el.hasAttribute('src')) {
+      skipped.push(`external script ${el.getAttribute('src')}`);
+      continue;
+    }
+    const text = el.textContent;
+    if (!text.trim()) continue;
+    const { line, column } = position(el.firstChild?._start ?? 0);
+    if (isModule(el) && /^\s*import[\s{*'"]/m.test(text)) {
+      skipped.push(`module script with imports (line ${line})`);
+      continue;
+    }
+
+    let script;
+    try {
+      script = isModule(el)
+        ? new Script(`(async () => {\n${text.replace(/^([ \t]*)export\s+(default\s+)?/gm, '$1')}\n})().catch(${HOOK}.report)`, { filename: FILE, lineOffset: line - 2 })
+        : new Script(text, { filename: FILE, lineOffset: line - 1, columnOffset: column - 1 });
+    } catch (err) {
+      record('exception', err);
+      continue;
+    }
+    document.currentScript = el;
+    exec(script);
+    document.currentScript = null;
+  }
+
+  document.readyState = 'interactive';
+  run(() => document.dispatchEvent(new Event('DOMContentLoaded', { bubbles: true })));
+  document.readyState = 'complete';
+  run(() => window.dispatchEvent(new Event('load')));
+  await advance(settle);
+
+  // --- interaction ---
+  phase = 'interaction';
+  fill(document);
+  const targets = document.querySelectorAll(INTERACTIVE).filter(el => !el.disabled).slice(0, maxInteractions);
+  for (const el of targets) {
+    if (outOfTime()) break;
+    if (!el.isConnected || el.disabled) continue;
+    context = `clicking ${describe(el)}`;
+    interactions++;
+    onProgress({ phase, context, interactions });
+    run(() => el.click());
+    await advance(300);
+    fill(document);
+  }
+  for (const form of document.forms) {
+    if (outOfTime()) break;
+    if (!form.isConnected) continue;
+    fill(form);
+    context = `submitting ${describe(form)}`;
+    interactions++;
+    onProgress({ phase, context, interactions });
+    run(() => form.requestSubmit());
+    await advance(300);
+  }
+  await tick();
+
+  return {
+    ok: errors.length === 0,
+    booted: !errors.some(e => e.phase === 'load' && e.kind !== 'console'),
+    errors,
+    interactions,
+    unsupported: [...unsupported].sort(),
+    skipped,
+    requests,
+  };
+}
+
+/**
+ * Turn runtime errors into fix instructions for the refiner, in the same
+ * shape as script-check's fixInstructions().
+ * @param {SmokeResult|null} result
+ * @returns {string[]}
+ */
+export function smokeInstructions(result) {
+  return (result?.errors || []).map((e) => {
+    const what = e.kind === 'timeout'
+      ? `the script hangs ${e.context}: ${e.message}`
+      : e.kind === 'console'
+        ? `console.error ${e.context}: ${e.message}`
+        : e.kind === 'rejection'
+          ? `unhandled promise rejection ${e.context}: ${e.message}`
+          : `${e.message} thrown ${e.context}`;
+    const where = e.line ? `Line ${e.line}, column ${e.column ?? 1}: ` : '';
+    const line = e.source ? ` Line: \`${e.source.slice(0, 120)}\`` : '';
+    return `${where}Runtime error — ${what} — make this work when the app runs in a browser.${line}`;
+  });
+}
+
+if (!isMainThread && workerData?.tag === WORKER_TAG) {
+  const waiting = new Map();
+  let nextId = 1;
+  const ask = workerData.answers
+    ? (url, init) => new Promise((resolve) => {
+      const id = nextId++;
+      waiting.set(id, resolve);
+      parentPort.postMessage({ type: 'fetch', id, url, init });
+    })
+    : null;
+  parentPort.on('message', ({ id, response }) => {
+    waiting.get(id)?.(response);
+    waiting.delete(id);
+  });
+  const progress = (state) => parentPort.postMessage({ type: 'progress', progress: state });
+  runApp(workerData.html, workerData.opts, ask, progress).then(result => parentPort.postMessage({ type: 'result', result }));
+}
@@ -0,0 +1,301 @@
+/**
+ * RUNE Spec — Decide what the app is before writing a line of HTML.
+ *
+ * Spec-first generation splits forging in two. A model turns the intent
+ * into a JSON app spec — entities and their fields, views, charts, inputs,
+ * localStorage keys and features — which is written to disk for the user
+ * to read and edit. Generation then builds strictly from the spec: enhance()
+ * embeds it in L2, the ids and storage keys it names become requirements,
+ * and the validator checks that every declared item made it into the HTML
+ * (the `conatus.spec` rule). The spec is stored next to the output, so
+ * re-forging from it asks for the same app again.
+ *
+ *   {
+ *     "version": 1,
+ *     "intent": "Track my cardio for 8 weeks",
+ *     "archetype": "tracker",
+ *     "title": "Cardio Log",
+ *     "entities": [{ "name": "session", "fields": [{ "name": "date", "type": "date" }, { "name": "minutes", "type": "number" }] }],
+ *     "views": [{ "id": "history", "title": "History", "shows": "session" }],
+ *     "charts": [{ "id": "minutes-chart", "type": "line", "title": "Minutes per week", "x": "date", "y": "minutes" }],
+ *     "inputs": [{ "id": "minutes", "label": "Minutes", "type": "number", "field": "session.minutes" }],
+ *     "persistence": [{ "key": "cardio.sessions", "holds": "session" }],
+ *     "features": [{ "id": "export-csv", "description": "Export sessions as CSV" }]
+ *   }
+ *
+ * "The order and connection of ideas is the same as the order
+ *  and connection of things." — Spinoza, Ethics II, P7
+ *
+ * @module rune/spec
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { route } from '../generators/router.js';
+import { ARCHETYPES, getArchetype } from './intent.js';
+
+export const SPEC_VERSION = 1;
+const ID = /^[A-Za-z][\w-]*$/;
+
+/**
+ * @typedef {object} AppSpec
+ * @property {number} version
+ * @property {string} intent - The sentence the spec was written for
+ * @property {string} archetype - rune/intent.js archetype
+ * @property {string} title
+ * @property {Array<{ name: string, fields: Array<{ name: string, type: string }> }>} entities
+ * @property {Array<{ id: string, title: string, shows?: string }>} views - Each an element with this id
+ * @property {Array<{ id: string, type: string, title: string, x?: string, y?: string }>} charts - Each a <canvas>/<svg> with this id
+ * @property {Array<{ id: string, label: string, type: string, field?: string }>} inputs - Each a form control with this id
+ * @property {Array<{ key: string, holds?: string }>} persistence - localStorage keys
+ * @property {Array<{ id: string, description: string }>} features - Each marked with data-feature="<id>"
+ */
+
+/**
+ * @typedef {object} SpecCheck
+ * @property {number} coverage - Share of declared items found, 0–1 (1 for an empty spec)
+ * @property {number} declared - Items the spec declares
+ * @property {string[]} missing - What was not found, e.g. 'view #history'
+ */
+
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+
+/**
+ * Check a parsed spec and fill in defaults. Features and storage keys may be
+ * given as plain strings.
+ * @param {object} data
+ * @returns {AppSpec}
+ * @throws {Error} Listing every problem found
+ */
+export function normalizeSpec(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Invalid app spec: expected a JSON object');
+  const problems = [];
+  const array = (key) => {
+    if (data[key] === undefined) return [];
+    if (!Array.isArray(data[key])) { problems.push(`"${key}" must be an array`); return []; }
+    return data[key];
+  };
+
+  const entities = array('entities').map(e => ({
+    name: String(e?.name || ''),
+    fields: (Array.isArray(e?.fields) ? e.fields : []).map(f => (typeof f === 'string' ? { name: f, type: 'text' } : { type: 'text', ...f, name: String(f?.name || '') })),
+  }));
+  entities.forEach((e, i) => {
+    if (!e.name) problems.push(`entities[${i}] needs a name`);
+    e.fields.forEach((f, j) => { if (!f.name) problems.push(`entities[${i}].fields[${j}] needs a name`); });
+  });
+
+  const withIds = (key, defaults) => array(key).map(item => ({ ...defaults, ...item, id: String(item?.id || '') }));
+  const views = withIds('views', { title: '' });
+  const charts = withIds('charts', { type: 'line', title: '' });
+  const inputs = withIds('inputs', { label: '', type: 'text' });
+  const features = array('features').map(f => (typeof f === 'string' ? { id: slug(f), description: f } : { description: '', ...f, id: String(f?.id || '') }));
+  const persistence = array('persistence').map(p => (typeof p === 'string' ? { key: p } : { ...p, key: String(p?.key || '') }));
+
+  const seen = new Map();
+  for (const [kind, items] of [['views', views], ['charts', charts], ['inputs', inputs]]) {
+    items.forEach((item, i) => {
+      if (!ID.test(item.id)) problems.push(`${kind}[${i}] needs an id of letters, digits, - or _ (got "${item.id}")`);
+      else if (seen.has(item.id)) problems.push(`id "${item.id}" is used by both ${seen.get(item.id)} and ${kind}`);
+      else seen.set(item.id, kind);
+    });
+  }
+  features.forEach((f, i) => { if (!ID.test(f.id)) problems.push(`features[${i}] needs an id of letters, digits, - or _ (got "${f.id}")`); });
+  persistence.forEach((p, i) => { if (!p.key) problems.push(`persistence[${i}] needs a key`); });
+
+  const archetype = data.archetype || 'app';
+  try {
+    getArchetype(archetype);
+  } catch (err) {
+    problems.push(err.message);
+  }
+  if (problems.length) throw new Error(`Invalid app spec: ${problems.join('; ')}`);
+
+  return {
+    version: data.version || SPEC_VERSION,
+    intent: String(data.intent || ''),
+    archetype,
+    title: String(data.title || ''),
+    entities,
+    views,
+    charts,
+    inputs,
+    persistence,
+    features,
+  };
+}
+
+/**
+ * Parse a model's spec response (bare JSON, fenced or wrapped in prose).
+ * @param {string} text
+ * @returns {AppSpec}
+ */
+export function parseSpec(text) {
+  const raw = String(text || '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error(`No JSON app spec in the response: "${raw.slice(0, 80)}"`);
+  let data;
+  try {
+    data = JSON.parse(raw.slice(start, end + 1));
+  } catch (err) {
+    throw new Error(`App spec is not valid JSON: ${err.message}`);
+  }
+  return normalizeSpec(data);
+}
+
+/**
+ * Prompt asking a model for an app spec.
+ * @param {string} intent
+ * @param {object} [opts]
+ * @param {string} [opts.archetype] - Archetype the intent was classified as
+ * @returns {string}
+ */
+export function buildSpecPrompt(intent, opts = {}) {
+  const archetype = opts.archetype ? getArchetype(opts.archetype) : null;
+  return `You are planning a single-file web app before anyone writes it. Do NOT write HTML: answer with one JSON app spec only.
+
+## WHAT THE USER ASKED FOR
+"${intent}"
+${archetype?.features ? `\nThis is a ${archetype.name} app (${archetype.description.toLowerCase()}). Apps like it usually need:\n${archetype.features.map(f => `- ${f}`).join('\n')}\n` : ''}
+## SPEC FORMAT
+{
+  "version": ${SPEC_VERSION},
+  "intent": ${JSON.stringify(intent)},
+  "archetype": "${archetype?.name || 'app'}",
+  "title": "Short app title",
+  "entities": [{ "name": "entry", "fields": [{ "name": "date", "type": "date" }, { "name": "value", "type": "number" }] }],
+  "views": [{ "id": "history", "title": "History", "shows": "entry" }],
+  "charts": [{ "id": "trend-chart", "type": "line", "title": "Trend", "x": "date", "y": "value" }],
+  "inputs": [{ "id": "value-input", "label": "Value", "type": "number", "field": "entry.value" }],
+  "persistence": [{ "key": "app.entries", "holds": "entry" }],
+  "features": [{ "id": "export-csv", "description": "Export entries as CSV" }]
+}
+
+## RULES
+- Plan the app this request needs, not the example above
+- ids: letters, digits, - or _; unique across views, charts and inputs
+- "archetype" is one of: ${[...ARCHETYPES.map(a => a.name), 'app'].join(', ')}
+- Every feature must be something the user can see or do, described in one sentence
+- Keep it buildable in one HTML file: at most 6 views, 4 charts, 12 inputs and 10 features`;
+}
+
+/**
+ * Ask a model for an app spec.
+ * @param {string} intent
+ * @param {object} [opts]
+ * @param {string} [opts.model='gemini']
+ * @param {string} [opts.archetype] - Archetype hint (rune/intent.js)
+ * @param {(prompt: string, opts: object) => Promise<string>} [opts.generate=route]
+ * @returns {Promise<AppSpec>}
+ */
+export async function generateSpec(intent, opts = {}) {
+  const { model = 'gemini', generate = route } = opts;
+  const response = await generate(buildSpecPrompt(intent, opts), { model, partial: true, continuation: false });
+  const spec = parseSpec(response);
+  return { ...spec, intent: spec.intent || intent };
+}
+
+/**
+ * The L2 block enhance() builds from a spec.
+ * @param {AppSpec} spec
+ * @returns {string}
+ */
+export function specInstructions(spec) {
+  return `The user approved this app spec. Build everything it declares and nothing that contradicts it:
+- Give every view, chart and input exactly the id the spec names (charts as <canvas> or <svg>)
+- Keep each entity's fields under the names the spec gives them
+- Store data under exactly the keys in "persistence"
+- Mark the element that provides each feature with data-feature="<feature id>"
+
+\`\`\`json
+${JSON.stringify(spec, null, 2)}
+\`\`\``;
+}
+
+/**
+ * Check which declared items an app actually has.
+ * @param {import('./validator.js').Analysis} doc - analyze(code)
+ * @param {AppSpec} spec
+ * @returns {SpecCheck}
+ */
+export function checkSpec(doc, spec) {
+  const hasId = (id, ...tags) => doc.elements.some(el => el.attrs.id === id && (!tags.length || tags.includes(el.name)))
+    || new RegExp(`\\bid\\s*[=:]\\s*\\\\?['"\`]${escapeRe(id)}['"\`\\\\]`).test(doc.js);
+  const hasFeature = (id) => doc.elements.some(el => (el.attrs['data-feature'] || '').split(/\s+/).includes(id))
+    || new RegExp(`(?:dataset\\.feature\\s*=\\s*|data-feature['"]\\s*,\\s*)['"\`]${escapeRe(id)}['"\`]`).test(doc.js);
+  const inScript = (name) => new RegExp(`\\b${escapeRe(name)}\\b`).test(doc.js);
+
+  const checks = [
+    ...spec.views.map(v => [`view #${v.id}`, hasId(v.id)]),
+    ...spec.charts.map(c => [`chart #${c.id}`, hasId(c.id, 'canvas', 'svg')]),
+    ...spec.inputs.map(i => [`input #${i.id}`, hasId(i.id, 'input', 'select', 'textarea')]),
+    ...spec.persistence.map(p => [`storage key "${p.key}"`, doc.js.includes(p.key)]),
+    ...spec.features.map(f => [`feature "${f.id}"`, hasFeature(f.id)]),
+    ...spec.entities.flatMap(e => e.fields.map(f => [`field ${e.name}.${f.name}`, inScript(f.name)])),
+  ];
+  const missing = checks.filter(([, found]) => !found).map(([label]) => label);
+  return {
+    coverage: checks.length ? Math.round(((checks.length - missing.length) / checks.length) * 100) / 100 : 1,
+    declared: checks.length,
+    missing,
+  };
+}
+
+function escapeRe(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Where the spec for an output file lives: habit-tracker.html → habit-tracker.spec.json.
+ * @param {string} htmlPath
+ * @returns {string}
+ */
+export function specPath(htmlPath) {
+  return htmlPath.replace(/\.html?$/i, '') + '.spec.json';
+}
+
+/**
+ * Read and check a spec file.
+ * @param {string} file
+ * @returns {AppSpec}
+ */
+export function readSpec(file) {
+  if (!existsSync(file)) throw new Error(`Spec file not found: ${file}`);
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Spec file ${file} is not valid JSON: ${err.message}`);
+  }
+  return normalizeSpec(data);
+}
+
+/**
+ * Write a spec as pretty JSON, creating the directory.
+ * @param {AppSpec} spec
+ * @param {string} file
+ * @returns {string} The path written
+ */
+export function writeSpec(spec, file) {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(spec, null, 2) + '\n', 'utf-8');
+  return file;
+}
+
+/**
+ * One-line count of what a spec declares, e.g. "2 views, 1 chart, 3 inputs".
+ * @param {AppSpec} spec
+ * @returns {string}
+ */
+export function summarizeSpec(spec) {
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  return [
+    count(spec.entities.length, 'entity').replace('entitys', 'entities'),
+    count(spec.views.length, 'view'),
+    count(spec.charts.length, 'chart'),
+    count(spec.inputs.length, 'input'),
+    count(spec.persistence.length, 'storage key'),
+    count(spec.features.length, 'feature'),
+  ].join(', ');
+}
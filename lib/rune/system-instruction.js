@@ -4,7 +4,9 @@
  * L0 (Role) + L3 (Safety) + L6 (Spinoza) compressed into system prompt.
  */
 
-const BASE_INSTRUCTION = `You are MODUS Forge, an expert full-stack developer that generates complete, self-contained HTML applications.
+import { providerFor } from '../generators/registry.js';
+
+const BASE_INSTRUCTION = (runtime) => `You are MODUS Forge, an expert full-stack developer that generates complete, self-contained HTML applications.
 
 ## Core Constraints
 - Output ONLY valid HTML — no markdown, no explanation, no preamble
@@ -12,7 +14,7 @@ const BASE_INSTRUCTION = `You are MODUS Forge, an expert full-stack developer th
 - Single file: embedded <style> and <script type="module">
 - ZERO external dependencies (no CDN, no frameworks, no imports)
 - Must work offline when opened in any modern browser
-- Use localStorage for all data persistence (with try/catch)
+- ${runtime ? 'Persist data through the preloaded window.forge.storage, never raw localStorage' : 'Use localStorage for all data persistence (with try/catch)'}
 
 ## Quality Standards (Spinoza Validation)
 - Conatus: The app must DO something useful — forms, interactions, data tracking
@@ -49,7 +51,7 @@ const PROVIDER_TWEAKS = {
 
 /**
  * Build a system instruction for a specific model/provider.
- * @param {object} opts - { model, style, features }
+ * @param {object} opts - { model, style, features, runtime } — runtime: false when the app is rendered without window.forge
  * @returns {string} System instruction string
  */
 export function buildSystemInstruction(opts = {}) {
@@ -57,7 +59,7 @@ export function buildSystemInstruction(opts = {}) {
   const provider = detectProvider(model);
   const tweak = PROVIDER_TWEAKS[provider] || '';
 
-  let instruction = BASE_INSTRUCTION + tweak;
+  let instruction = BASE_INSTRUCTION(opts.runtime !== false) + tweak;
 
   if (opts.features?.length) {
     instruction += `\n\n## Required Features\n${opts.features.map(f => `- ${f}`).join('\n')}`;
@@ -72,16 +74,13 @@ export function buildSystemInstruction(opts = {}) {
 
 /**
  * Detect provider from model name.
+ * `replay:` / `record:` / `fallback:` are routing prefixes handled by the
+ * router; everything else is looked up in the provider registry.
  * @param {string} model
- * @returns {'gemini' | 'claude' | 'openai' | 'unknown'}
+ * @returns {'gemini' | 'claude' | 'openai' | 'grok' | 'deepseek' | 'ollama' | 'anthropic-direct' | 'openai-compatible' | 'replay' | 'fallback' | 'unknown' | string}
  */
 export function detectProvider(model) {
-  if (/^anthropic-direct/i.test(model)) return 'anthropic-direct';
-  if (/gemini|flash|pro-preview/i.test(model)) return 'gemini';
-  if (/claude|sonnet|opus|haiku/i.test(model)) return 'claude';
-  if (/gpt|o3|o4|codex/i.test(model)) return 'openai';
-  if (/grok/i.test(model)) return 'grok';
-  if (/^deepseek/i.test(model)) return 'deepseek';
-  if (/llama|mistral|mixtral|qwen|phi|gemma|ollama|codellama/i.test(model)) return 'ollama';
-  return 'unknown';
+  if (/^(replay|record):/i.test(model)) return 'replay';
+  if (/^fallback:/i.test(model)) return 'fallback';
+  return providerFor(model);
 }
@@ -1,87 +1,571 @@
 /**
  * RUNE Validator — Spinoza-inspired output validation
  * Scores generated code on 4 axes: Conatus, Ratio, Laetitia, Natura
+ *
+ * The HTML is parsed into a tree (see rune/dom.js) and the inline scripts
+ * and styles are extracted with their comments stripped, so features only
+ * count when they are really there: a comment saying "addEventListener"
+ * earns nothing, a button nobody listens to is reported, and so is a
+ * getElementById() whose target does not exist. Inline scripts are also
+ * compiled and reference-checked (see rune/script-check.js); an app whose
+ * JavaScript does not load loses most of its Ratio. Given the result of a
+ * smoke run (see rune/smoke.js), errors the app threw while booting count
+ * against Ratio and errors thrown by its controls against Conatus.
+ * Accessibility in Natura comes from a WCAG audit (see rune/a11y.js) that
+ * resolves the page's CSS variables to measure real text contrast.
+ *
+ * Each check is a rule in the registry (see rune/rules.js) with its axis,
+ * weight and fix hint; a rubric chosen per app archetype, the `validator`
+ * block in .forgerc.json and plugins can reweight or extend them.
  */
 
+import { parse, byTag, findAll, closest, textContent } from './dom.js';
+import { checkScripts } from './script-check.js';
+import { audit } from './a11y.js';
+import { registerRule, scoreRules } from './rules.js';
+import { checkSpec } from './spec.js';
+import { loadConfig } from '../config/loader.js';
+
+const JS_TYPES = /^(|text\/javascript|application\/javascript|module)$/i;
+const LABELLABLE = new Set(['input', 'select', 'textarea']);
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+const REGEX_PREFIX = /[(,=:[!&|?{};+\-*%<>~^]$/;
+const MARKUP = /<[a-z][\w-]*[\s>/]/i;
+const LIVE_UPDATES = /\b(setInterval|requestAnimationFrame|fetch)\s*\(|\bnew\s+(EventSource|WebSocket)\b/;
+const FORGE_RUNTIME = /\bforge\s*\.\s*(storage|schema|export|import|theme)\b/;
+
 /**
- * Validate generated HTML/code against Spinoza criteria.
+ * Remove // and /* *\/ comments from JavaScript, leaving strings, template
+ * literals and regex literals untouched.
+ * @param {string} src
+ * @returns {string}
+ */
+export function stripJsComments(src) {
+  let out = '';
+  let i = 0;
+  let lastSignificant = '';
+
+  while (i < src.length) {
+    const ch = src[i];
+    const next = src[i + 1];
+
+    if (ch === '/' && next === '/') {
+      while (i < src.length && src[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const end = src.indexOf('*/', i + 2);
+      i = end === -1 ? src.length : end + 2;
+      out += ' ';
+      continue;
+    }
+
+    if (ch === '"' || ch === "'" || ch === '`' || (ch === '/' && (REGEX_PREFIX.test(lastSignificant) || lastSignificant === ''))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < src.length) {
+        if (src[j] === '\\') { j += 2; continue; }
+        if (ch === '/') {
+          if (src[j] === '[') inClass = true;
+          else if (src[j] === ']') inClass = false;
+          else if (src[j] === '/' && !inClass) break;
+          else if (src[j] === '\n') break;
+        } else if (src[j] === ch) break;
+        j++;
+      }
+      out += src.slice(i, j + 1);
+      i = j + 1;
+      lastSignificant = ch;
+      continue;
+    }
+
+    out += ch;
+    if (!/\s/.test(ch)) lastSignificant = ch;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Collect the string and template literals of (comment-free) JavaScript.
+ * Template substitutions become a single `x`, and templates nested inside
+ * substitutions are collected as literals of their own.
+ * @param {string} src
+ * @returns {string[]}
+ */
+export function stringLiterals(src) {
+  const found = [];
+  let i = 0;
+
+  const readQuoted = (quote) => {
+    let j = i + 1;
+    while (j < src.length && src[j] !== quote && src[j] !== '\n') j += src[j] === '\\' ? 2 : 1;
+    found.push(src.slice(i + 1, j));
+    i = j + 1;
+  };
+
+  const readTemplate = () => {
+    let text = '';
+    i++;
+    while (i < src.length && src[i] !== '`') {
+      if (src[i] === '\\') { text += src.slice(i, i + 2); i += 2; continue; }
+      if (src[i] === '$' && src[i + 1] === '{') {
+        i += 2;
+        scan('}');
+        text += 'x';
+        continue;
+      }
+      text += src[i++];
+    }
+    i++;
+    found.push(text);
+  };
+
+  // Scan code until the closing brace of a substitution (or the end)
+  const scan = (until) => {
+    let depth = 0;
+    while (i < src.length) {
+      const ch = src[i];
+      if (ch === '"' || ch === "'") readQuoted(ch);
+      else if (ch === '`') readTemplate();
+      else if (ch === '{') { depth++; i++; }
+      else if (ch === '}') {
+        if (until && depth === 0) { i++; return; }
+        depth--; i++;
+      } else i++;
+    }
+  };
+
+  scan(null);
+  return found;
+}
+
+function rawText(el) {
+  return el.children.map(c => c.value || '').join('');
+}
+
+function escapeRe(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @typedef {object} Analysis
+ * @property {import('./dom.js').Node} root - Parsed document
+ * @property {string|null} doctype
+ * @property {string[]} errors - Parser repairs (unclosed / stray tags)
+ * @property {import('./dom.js').Node[]} elements - Every element in document order, then elements
+ *   from markup built in script strings (flagged `dynamic: true`)
+ * @property {string[]} scripts - Inline JavaScript, comments stripped
+ * @property {string[]} styles - Inline CSS, comments stripped
+ * @property {string} js - All scripts plus inline on* handlers
+ * @property {string} css - All styles plus style="" attributes
+ * @property {Map<string, import('./dom.js').Node[]>} ids - id → static elements carrying it
+ * @property {string} text - Visible text (no script/style)
+ */
+
+/**
+ * Parse a document and pull out what the scoring rules look at.
  * @param {string} code - Generated HTML string
- * @returns {{ conatus: number, ratio: number, laetitia: number, natura: number, grade: string, issues: string[] }}
+ * @returns {Analysis}
+ */
+export function analyze(code) {
+  const { root, doctype, errors } = parse(code);
+  const elements = findAll(root, () => true);
+
+  const scripts = byTag(root, 'script')
+    .filter(s => JS_TYPES.test(s.attrs.type || ''))
+    .map(s => stripJsComments(rawText(s)));
+  const styles = byTag(root, 'style')
+    .map(s => rawText(s).replace(/\/\*[\s\S]*?\*\//g, ''));
+
+  // UI rendered through innerHTML templates is still UI — parse those fragments too
+  for (const script of scripts) {
+    for (const body of stringLiterals(script)) {
+      if (!MARKUP.test(body)) continue;
+      for (const el of findAll(parse(body).root, () => true)) elements.push(Object.assign(el, { dynamic: true }));
+    }
+  }
+
+  const handlers = [];
+  const inlineStyles = [];
+  const ids = new Map();
+  for (const el of elements) {
+    for (const [name, value] of Object.entries(el.attrs)) {
+      if (name.startsWith('on')) handlers.push(value);
+    }
+    if (el.attrs.style) inlineStyles.push(el.attrs.style);
+    if (el.attrs.id && !el.dynamic) ids.set(el.attrs.id, [...(ids.get(el.attrs.id) || []), el]);
+  }
+
+  return {
+    root,
+    doctype,
+    errors,
+    elements,
+    scripts,
+    styles,
+    js: [...scripts, ...handlers].join('\n'),
+    css: [...styles, ...inlineStyles].join('\n'),
+    ids,
+    text: textContent(root),
+  };
+}
+
+/**
+ * Whether a script creates an element with this id at runtime.
+ */
+function createdInScript(js, id) {
+  return new RegExp(`(?:\\bid\\s*[=:]\\s*\\\\?|setAttribute\\(\\s*['"]id['"]\\s*,\\s*)['"\`]${escapeRe(id)}['"\`\\\\]`).test(js);
+}
+
+/**
+ * Whether a lookup is null-checked, i.e. the element is optional by design:
+ * `getElementById('x')?.…`, or `const el = getElementById('x')` followed by
+ * `if (el)` / `if (!el)` / `el &&` / `el?.`.
+ */
+function isGuarded(js, id) {
+  const lookup = `getElementById\\(\\s*['"\`]${escapeRe(id)}['"\`]\\s*\\)`;
+  if (new RegExp(`${lookup}\\s*\\?\\.`).test(js)) return true;
+  const assigned = new RegExp(`(?:const|let|var)\\s+([\\w$]+)\\s*=\\s*(?:document\\.)?${lookup}`).exec(js);
+  if (!assigned) return false;
+  const name = escapeRe(assigned[1]);
+  return new RegExp(`if\\s*\\(\\s*!?\\s*${name}\\s*\\)|\\b${name}\\s*(?:&&|\\?\\.)`).test(js);
+}
+
+/**
+ * Whether a button does anything: inline handler, referenced from script
+ * (by id, class, data-attribute or a generic `button` query), delegated
+ * click handling, or submitting a form that is handled.
  */
-export function validate(code) {
-  const issues = [];
-  let conatus = 0, ratio = 0, laetitia = 0, natura = 0;
+function isWired(button, js) {
+  const { attrs } = button;
+  if (Object.keys(attrs).some(a => a.startsWith('on'))) return true;
+  if (attrs.id && new RegExp(`getElementById\\(\\s*['"\`]${escapeRe(attrs.id)}['"\`]|['"\`][^'"\`]*#${escapeRe(attrs.id)}(?![\\w-])`).test(js)) return true;
+  for (const cls of (attrs.class || '').split(/\s+/).filter(Boolean)) {
+    if (new RegExp(`['"\`][^'"\`]*\\.${escapeRe(cls)}(?![\\w-])|getElementsByClassName\\(\\s*['"\`]${escapeRe(cls)}`).test(js)) return true;
+  }
+  for (const attr of Object.keys(attrs).filter(a => a.startsWith('data-'))) {
+    const camel = attr.slice(5).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (js.includes(attr) || js.includes(`dataset.${camel}`)) return true;
+  }
+  if (/querySelector(?:All)?\(\s*['"`][^'"`]*\bbutton\b|getElementsByTagName\(\s*['"`]button/i.test(js)) return true;
+  if (/\.target\b/.test(js) && /click/.test(js)) return true;
+
+  const form = closest(button, 'form');
+  if (form && (attrs.type || 'submit').toLowerCase() !== 'button') {
+    if (form.attrs.onsubmit || /submit/.test(js)) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a form control has an accessible name from a label.
+ */
+function isLabelled(control, labelledFor) {
+  const { attrs } = control;
+  if (control.name === 'input' && UNLABELLED_INPUT_TYPES.has((attrs.type || 'text').toLowerCase())) return true;
+  if (attrs['aria-label'] || attrs['aria-labelledby'] || attrs.title) return true;
+  if (attrs.id && labelledFor.has(attrs.id)) return true;
+  return Boolean(closest(control, 'label'));
+}
+
+function list(items, max = 3) {
+  const shown = items.slice(0, max).join(', ');
+  return items.length > max ? `${shown} (+${items.length - max} more)` : shown;
+}
 
+function runtimeError(e) {
+  return `${e.message}${e.line ? ` (line ${e.line})` : ''}`;
+}
+
+/**
+ * The built-in scoring rules, in the order their issues are reported.
+ * @type {import('./rules.js').RuleSpec[]}
+ */
+const BUILTIN_RULES = [
   // --- CONATUS (Power of Existing / Actionability) ---
   // Does it DO something? Interactive elements, event listeners, data persistence
-  const hasForm = /<(input|textarea|select|button)/i.test(code);
-  const hasEventListeners = /addEventListener|onclick|onsubmit|onChange/i.test(code);
-  const hasLocalStorage = /localStorage/i.test(code);
-  const hasCanvas = /<canvas/i.test(code) || /getContext|Chart/i.test(code);
-
-  if (hasForm) conatus += 0.3;
-  else issues.push('No input elements — low interactivity');
-  if (hasEventListeners) conatus += 0.3;
-  else issues.push('No event listeners — static page');
-  if (hasLocalStorage) conatus += 0.2;
-  if (hasCanvas) conatus += 0.2;
+  {
+    id: 'conatus.inputs', axis: 'conatus', weight: 0.3,
+    detect: ({ has }) => has('input', 'textarea', 'select', 'button'),
+    issue: 'No input elements — low interactivity',
+    hint: 'Add inputs, selects or buttons so the user can act on the app.',
+  },
+  {
+    id: 'conatus.events', axis: 'conatus', weight: 0.2,
+    detect: ({ doc }) => /addEventListener\s*\(|\.on[a-z]+\s*=/.test(doc.js) || doc.elements.some(el => Object.keys(el.attrs).some(a => a.startsWith('on'))),
+    issue: 'No event listeners — static page',
+    hint: 'Wire the controls up with addEventListener.',
+  },
+  {
+    id: 'conatus.persistence', axis: 'conatus', weight: 0.2,
+    detect: ({ doc }) => /\b(localStorage|sessionStorage|indexedDB)\b/.test(doc.js) || /\bforge\s*\.\s*storage\b/.test(doc.js),
+    hint: 'Persist the user\'s data with localStorage so it survives a reload.',
+  },
+  {
+    // The injected window.forge runtime (renderer/runtime.js): namespaced storage, export/import, schema versions
+    id: 'conatus.runtime', axis: 'conatus', weight: 0.1,
+    detect: ({ doc }) => FORGE_RUNTIME.test(doc.js),
+    hint: 'Keep data in forge.storage and offer forge.export() instead of hand-rolled localStorage code.',
+  },
+  {
+    id: 'conatus.visuals', axis: 'conatus', weight: 0.2,
+    detect: ({ has, doc }) => has('canvas', 'svg') || /getContext\s*\(|new\s+Chart\b/.test(doc.js),
+    hint: 'Visualise the data with a <canvas> or inline <svg> chart.',
+  },
+  {
+    id: 'conatus.live-updates', axis: 'conatus', weight: 0,
+    detect: ({ doc }) => LIVE_UPDATES.test(doc.js),
+    hint: 'Refresh the view on its own with setInterval, requestAnimationFrame or a live data source.',
+  },
+  {
+    id: 'conatus.dead-buttons', axis: 'conatus', weight: 0.1, penalty: true,
+    detect: ({ doc }) => {
+      const dead = byTag(doc.root, 'button').filter(b => !isWired(b, doc.js));
+      return { pass: !dead.length, issue: `${dead.length} button(s) without a handler: ${list(dead.map(b => textContent(b).trim() || b.attrs.id || '<button>'))}` };
+    },
+    hint: 'Give every button a handler, or remove the ones that do nothing.',
+  },
+  {
+    id: 'conatus.runtime-interaction', axis: 'conatus', weight: 0.2, penalty: true,
+    detect: ({ runtime }) => {
+      const onUse = runtime.filter(e => e.phase === 'interaction');
+      return { pass: !onUse.length, issue: `Runtime errors when used: ${list(onUse.map(e => `${e.context}: ${runtimeError(e)}`))}` };
+    },
+    hint: 'Fix the errors the controls throw when clicked or submitted.',
+  },
+  {
+    id: 'conatus.spec', axis: 'conatus', weight: 0.3, penalty: true,
+    detect: ({ doc, opts }) => {
+      if (!opts.spec) return true;
+      const { coverage, missing } = checkSpec(doc, opts.spec);
+      return { pass: coverage, issue: `Not built from the spec: ${list(missing, 5)}` };
+    },
+    hint: 'Build everything the app spec declares, with the ids, storage keys and data-feature markers it names.',
+  },
 
   // --- RATIO (Logical Adequacy) ---
   // Is the code well-structured? No obvious errors?
-  const hasDoctype = /<!DOCTYPE html>/i.test(code);
-  const hasClosingTags = /<\/html>/i.test(code) && /<\/body>/i.test(code);
-  const hasScript = /<script/i.test(code);
-  const hasTryCatch = /try\s*\{/i.test(code);
-  const noConsoleLogs = !/console\.log\(/i.test(code);
-  const codeLength = code.length;
-
-  if (hasDoctype) ratio += 0.2;
-  else issues.push('Missing DOCTYPE');
-  if (hasClosingTags) ratio += 0.2;
-  else issues.push('Missing closing HTML/body tags');
-  if (hasScript) ratio += 0.2;
-  if (hasTryCatch) ratio += 0.2;
-  if (codeLength > 2000) ratio += 0.2; // substantial code
-  else issues.push('Code seems too short — might be incomplete');
+  {
+    id: 'ratio.doctype', axis: 'ratio', weight: 0.2,
+    detect: ({ doc }) => /^doctype\s+html\s*$/i.test(doc.doctype || ''),
+    issue: 'Missing DOCTYPE',
+    hint: 'Start the file with <!DOCTYPE html>.',
+  },
+  {
+    id: 'ratio.closing-tags', axis: 'ratio', weight: 0.2,
+    detect: ({ doc }) => ['html', 'body'].every(name => byTag(doc.root, name).some(el => el.closed)),
+    issue: 'Missing closing HTML/body tags',
+    hint: 'Close </body> and </html>.',
+  },
+  {
+    id: 'ratio.script', axis: 'ratio', weight: 0.2,
+    detect: ({ doc }) => byTag(doc.root, 'script').some(s => s.attrs.src || doc.scripts.some(Boolean)),
+    hint: 'Put the app logic in a <script>.',
+  },
+  {
+    id: 'ratio.error-handling', axis: 'ratio', weight: 0.2,
+    detect: ({ doc }) => /\btry\s*\{/.test(doc.js),
+    hint: 'Guard parsing and storage access with try/catch.',
+  },
+  {
+    id: 'ratio.substance', axis: 'ratio', weight: 0.2, // substantial code
+    detect: ({ code }) => code.length > 2000,
+    issue: 'Code seems too short — might be incomplete',
+    hint: 'Flesh the app out; it looks unfinished.',
+  },
+  {
+    id: 'ratio.duplicate-ids', axis: 'ratio', weight: 0.1, penalty: true,
+    detect: ({ doc }) => {
+      const duplicates = [...doc.ids].filter(([, els]) => els.length > 1).map(([id]) => `#${id}`);
+      return { pass: !duplicates.length, issue: `Duplicate ids: ${list(duplicates)}` };
+    },
+    hint: 'Make every id unique.',
+  },
+  {
+    id: 'ratio.missing-targets', axis: 'ratio', weight: 0.1, penalty: true,
+    detect: ({ doc }) => {
+      const targets = new Set();
+      for (const m of doc.js.matchAll(/getElementById\(\s*(['"`])([^'"`$]+)\1\s*\)|querySelector\(\s*(['"`])#([\w-]+)\3\s*\)/g)) {
+        targets.add(m[2] || m[4]);
+      }
+      const dynamicIds = new Set(doc.elements.filter(el => el.dynamic && el.attrs.id).map(el => el.attrs.id));
+      const missing = [...targets]
+        .filter(id => !doc.ids.has(id) && !dynamicIds.has(id) && !createdInScript(doc.js, id) && !isGuarded(doc.js, id))
+        .map(id => `#${id}`);
+      return { pass: !missing.length, issue: `Script looks up elements that do not exist: ${list(missing)}` };
+    },
+    hint: 'Add the elements the script looks up, or fix the ids it uses.',
+  },
+  {
+    id: 'ratio.malformed', axis: 'ratio', weight: 0.1, penalty: true,
+    detect: ({ doc }) => ({ pass: !doc.errors.length, issue: `Malformed markup: ${list([...new Set(doc.errors)])}` }),
+    hint: 'Close every tag you open, in order.',
+  },
+  {
+    id: 'ratio.syntax', axis: 'ratio', weight: 0.4, penalty: true,
+    detect: ({ scripts }) => {
+      const syntaxErrors = scripts.filter(f => f.kind === 'syntax');
+      return { pass: !syntaxErrors.length, issues: syntaxErrors.map(f => `${f.message} at line ${f.line}:${f.column}`) };
+    },
+    hint: 'Fix the syntax errors; nothing in that script runs until you do.',
+  },
+  {
+    id: 'ratio.undefined-refs', axis: 'ratio', weight: 0.1, penalty: true,
+    detect: ({ scripts }) => {
+      const undefinedRefs = scripts.filter(f => f.kind !== 'syntax');
+      return { pass: !undefinedRefs.length, issue: `Undefined references: ${list(undefinedRefs.map(f => `${f.name} (line ${f.line})`))}` };
+    },
+    hint: 'Define every function the page calls, as a global if a handler attribute calls it.',
+  },
+  {
+    id: 'ratio.runtime-load', axis: 'ratio', weight: 0.3, penalty: true,
+    detect: ({ runtime }) => {
+      const onLoad = runtime.filter(e => e.phase === 'load');
+      return { pass: !onLoad.length, issue: `Runtime errors on load: ${list(onLoad.map(runtimeError))}` };
+    },
+    hint: 'Fix the errors thrown while the page loads.',
+  },
 
   // --- LAETITIA (Joy / Beauty) ---
   // CSS quality, animations, visual polish
-  const hasStyle = /<style/i.test(code);
-  const hasCustomProps = /--[a-z]/i.test(code);
-  const hasTransitions = /transition|animation|@keyframes/i.test(code);
-  const hasGradient = /gradient/i.test(code);
-  const hasMediaQuery = /@media/i.test(code);
-
-  if (hasStyle) laetitia += 0.25;
-  else issues.push('No embedded styles');
-  if (hasCustomProps) laetitia += 0.2;
-  if (hasTransitions) laetitia += 0.25;
-  if (hasGradient) laetitia += 0.15;
-  if (hasMediaQuery) laetitia += 0.15;
+  {
+    id: 'laetitia.styles', axis: 'laetitia', weight: 0.25,
+    detect: ({ doc }) => doc.styles.some(s => s.trim()),
+    issue: 'No embedded styles',
+    hint: 'Style the app in an embedded <style> block.',
+  },
+  {
+    id: 'laetitia.custom-props', axis: 'laetitia', weight: 0.2,
+    detect: ({ doc }) => /--[a-z][\w-]*\s*:/i.test(doc.css),
+    hint: 'Define the palette and spacing as CSS custom properties.',
+  },
+  {
+    id: 'laetitia.motion', axis: 'laetitia', weight: 0.25,
+    detect: ({ doc }) => /\b(transition|animation)\b|@keyframes/i.test(doc.css) || /\.animate\s*\(/.test(doc.js),
+    hint: 'Add transitions or animations to state changes.',
+  },
+  {
+    id: 'laetitia.gradient', axis: 'laetitia', weight: 0.15,
+    detect: ({ doc }) => /gradient\s*\(/i.test(doc.css) || /create(?:Linear|Radial|Conic)Gradient\s*\(/.test(doc.js),
+    hint: 'Use a gradient for depth in backgrounds or accents.',
+  },
+  {
+    id: 'laetitia.responsive', axis: 'laetitia', weight: 0.15,
+    detect: ({ doc }) => /@media\b/i.test(doc.css),
+    hint: 'Add @media queries so the layout works on small screens.',
+  },
 
   // --- NATURA (Naturalness / Intuition) ---
   // Semantic HTML, accessibility, UX patterns
-  const hasSemantic = /<(header|main|footer|nav|section|article)/i.test(code);
-  const hasAria = /aria-|role=/i.test(code);
-  const hasPlaceholder = /placeholder=/i.test(code);
-  const hasTitle = /<title>/i.test(code);
-  const hasEmoji = /[\u{1F300}-\u{1FAD6}]/u.test(code);
-
-  if (hasSemantic) natura += 0.25;
-  else issues.push('No semantic HTML elements');
-  if (hasAria) natura += 0.2;
-  if (hasPlaceholder) natura += 0.2;
-  if (hasTitle) natura += 0.2;
-  if (hasEmoji) natura += 0.15;
+  {
+    id: 'natura.semantic', axis: 'natura', weight: 0.25,
+    detect: ({ has }) => has('header', 'main', 'footer', 'nav', 'section', 'article'),
+    issue: 'No semantic HTML elements',
+    hint: 'Structure the page with header, main, section and footer.',
+  },
+  {
+    id: 'natura.accessibility', axis: 'natura', weight: 0.2,
+    detect: ({ access }) => access.score,
+    hint: 'Fix the WCAG findings: contrast, labels, alt text, headings and focus styles.',
+  },
+  {
+    id: 'natura.placeholder', axis: 'natura', weight: 0.2,
+    detect: ({ doc }) => doc.elements.some(el => 'placeholder' in el.attrs),
+    hint: 'Give inputs placeholder examples of what to type.',
+  },
+  {
+    id: 'natura.title', axis: 'natura', weight: 0.2,
+    detect: ({ doc }) => {
+      const titles = byTag(doc.root, 'title');
+      const hasTitle = titles.some(t => closest(t, 'head') && textContent(t).trim());
+      return { pass: hasTitle, issues: titles.length ? ['<title> is empty or outside <head>'] : [] };
+    },
+    hint: 'Add a descriptive <title> in <head>.',
+  },
+  {
+    id: 'natura.emoji', axis: 'natura', weight: 0.15,
+    detect: ({ doc }) => {
+      const visible = [doc.text, ...doc.elements.flatMap(el => [el.attrs.alt, el.attrs.placeholder, el.attrs['aria-label'], el.attrs.value])].join(' ');
+      return /[\u{1F300}-\u{1FAD6}]/u.test(visible);
+    },
+    hint: 'Use an emoji or two as friendly visual anchors.',
+  },
+  {
+    id: 'natura.labels', axis: 'natura', weight: 0.1, penalty: true,
+    detect: ({ doc }) => {
+      const labelledFor = new Set(byTag(doc.root, 'label').map(l => l.attrs.for).filter(Boolean));
+      const unlabelled = findAll(doc.root, el => LABELLABLE.has(el.name) && !isLabelled(el, labelledFor));
+      return { pass: !unlabelled.length, issue: `${unlabelled.length} form control(s) without a label: ${list(unlabelled.map(el => el.attrs.id ? `#${el.attrs.id}` : el.attrs.name || `<${el.name}>`))}` };
+    },
+    hint: 'Label every form control with <label for> or aria-label; a placeholder is not a label.',
+  },
+  {
+    // Labels are reported above; other serious barriers cost Natura once
+    id: 'natura.barriers', axis: 'natura', weight: 0.1, penalty: true,
+    detect: ({ access }) => {
+      const barriers = access.findings.filter(f => f.rule !== 'label' && (f.severity === 'critical' || f.severity === 'serious'));
+      return { pass: !barriers.length, issue: `Accessibility barriers: ${list(barriers.map(f => `${f.message} (WCAG ${f.wcag}${f.line ? `, line ${f.line}` : ''})`))}` };
+    },
+    hint: 'Remove the critical and serious accessibility barriers.',
+  },
+];
+
+for (const rule of BUILTIN_RULES) registerRule(rule);
+
+/**
+ * Score generated code against the rules and a rubric, keeping the per-rule
+ * results (with their fix hints) that validate() leaves out.
+ * @param {string} code - Generated HTML string
+ * @param {object} [opts] - As for validate()
+ * @returns {{ report: ReturnType<typeof validate>, results: import('./rules.js').RuleResult[], rubric: string }}
+ */
+export function evaluate(code, opts = {}) {
+  const doc = analyze(code);
+  const settings = (opts.config || loadConfig()).validator || {};
+  let access = null;
+  let scripts = null;
+  const ctx = {
+    code,
+    doc,
+    has: (...names) => doc.elements.some(el => names.includes(el.name)),
+    runtime: opts.smoke?.errors || [],
+    opts,
+    get access() { return (access ??= audit(code, { root: doc.root, theme: opts.theme })); },
+    get scripts() { return (scripts ??= checkScripts(code, { root: doc.root })); },
+  };
+
+  const { scores, issues, results, rubric } = scoreRules(ctx, {
+    rubric: opts.rubric || settings.rubric,
+    rubrics: settings.rubrics,
+    weights: { ...settings.weights, ...opts.weights },
+  });
 
   // Clamp all scores
-  conatus = Math.min(1, Math.round(conatus * 10) / 10);
-  ratio = Math.min(1, Math.round(ratio * 10) / 10);
-  laetitia = Math.min(1, Math.round(laetitia * 10) / 10);
-  natura = Math.min(1, Math.round(natura * 10) / 10);
+  const clamp = (score) => Math.max(0, Math.min(1, Math.round(score * 10) / 10));
+  const conatus = clamp(scores.conatus);
+  const ratio = clamp(scores.ratio);
+  const laetitia = clamp(scores.laetitia);
+  const natura = clamp(scores.natura);
 
   const avg = (conatus + ratio + laetitia + natura) / 4;
   const grade = avg >= 0.85 ? 'S' : avg >= 0.7 ? 'A' : avg >= 0.55 ? 'B' : avg >= 0.4 ? 'C' : 'D';
 
-  return { conatus, ratio, laetitia, natura, grade, issues };
+  return { report: { conatus, ratio, laetitia, natura, grade, issues }, results, rubric };
+}
+
+/**
+ * Validate generated HTML/code against Spinoza criteria.
+ * @param {string} code - Generated HTML string
+ * @param {object} [opts]
+ * @param {import('./smoke.js').SmokeResult|null} [opts.smoke] - Result of smokeTest(code)
+ * @param {string|object} [opts.theme] - Theme the app is shown with, for contrast (see themes/manager.js)
+ * @param {string|import('./rules.js').RubricSpec} [opts.rubric] - Rubric for the app's archetype (default: config validator.rubric)
+ * @param {Record<string, number>} [opts.weights] - Rule id → weight overrides
+ * @param {object} [opts.config] - Pre-loaded config (loads fresh if omitted)
+ * @param {import('./spec.js').AppSpec} [opts.spec] - App spec the code was built from; missing items are penalised
+ * @returns {{ conatus: number, ratio: number, laetitia: number, natura: number, grade: string, issues: string[] }}
+ */
+export function validate(code, opts = {}) {
+  return evaluate(code, opts).report;
 }
@@ -47,21 +47,25 @@ export function createChannel(opts = {}) {
    * HTTP request handler — attach to a route to accept SSE clients.
    * @param {import('http').IncomingMessage} req
    * @param {import('http').ServerResponse} res
+   * @param {Record<string, string|null>} [headers] - Extra or overriding response headers; null drops a default
+   *   (e.g. a narrower CORS origin, or none)
    */
-  function handler(req, res) {
+  function handler(req, res, headers = {}) {
     if (clients.size >= maxClients) {
       res.writeHead(503, { 'Content-Type': 'text/plain' });
       res.end('Too many connections');
       return;
     }
 
-    res.writeHead(200, {
+    const head = {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
       'Connection': 'keep-alive',
       'Access-Control-Allow-Origin': '*',
       'X-Accel-Buffering': 'no', // nginx
-    });
+      ...headers,
+    };
+    res.writeHead(200, Object.fromEntries(Object.entries(head).filter(([, value]) => value != null)));
     res.flushHeaders();
 
     clients.add(res);
@@ -12,6 +12,9 @@
 import { writeFileSync, unlinkSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
+import { ProviderError, normalizeFinishReason } from '../generators/transport.js';
+import { parseCompatModel, resolveEndpoint } from '../generators/openai-compatible.js';
+import { loadConfig } from '../config/loader.js';
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
@@ -54,14 +57,18 @@ export async function streamGemini(prompt, model = 'gemini-2.0-flash', opts = {}
 }
 
 /**
- * Stream generation from OpenAI-compatible API (Antigravity, OpenAI, Grok).
+ * Stream generation from OpenAI-compatible API (Antigravity, OpenAI, Grok,
+ * or a declared `compat:<endpoint>` server).
  * @param {string} prompt - Enhanced prompt
  * @param {string} [model='gemini-2.0-flash'] - Model name
  * @param {object} [opts]
  * @param {string} [opts.endpoint] - API endpoint
- * @param {string} [opts.apiKey] - API key
+ * @param {string} [opts.apiKey] - API key (omitted from headers when null)
+ * @param {object} [opts.headers] - Extra request headers
+ * @param {string} [opts.provider='OpenAI'] - Used in error reporting
  * @param {function} [opts.onChunk] - Called with each text chunk
  * @param {function} [opts.onDone] - Called with full text when done
+ * @param {function} [opts.onFinishReason] - Called with the normalized finish_reason of the last choice
  * @param {AbortSignal} [opts.signal] - Abort signal
  * @returns {Promise<string>} Full generated text
  */
@@ -69,7 +76,9 @@ export async function streamOpenAI(prompt, model = 'gemini-2.0-flash', opts = {}
   const {
     endpoint = `${ANTIGRAVITY}/v1/chat/completions`,
     apiKey = ANTIGRAVITY_KEY,
-    onChunk, onDone, signal,
+    headers = {},
+    provider = 'OpenAI',
+    onChunk, onDone, onFinishReason, signal,
   } = opts;
   
   const body = {
@@ -87,7 +96,8 @@ export async function streamOpenAI(prompt, model = 'gemini-2.0-flash', opts = {}
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      ...headers,
     },
     body: JSON.stringify(body),
     signal,
@@ -95,10 +105,17 @@ export async function streamOpenAI(prompt, model = 'gemini-2.0-flash', opts = {}
   
   if (!res.ok) {
     const err = await res.text();
-    throw new Error(`OpenAI stream error ${res.status}: ${err}`);
+    throw new ProviderError(`${provider} stream error ${res.status}: ${err}`, {
+      provider, status: res.status, body: err.slice(0, 2000),
+    });
   }
   
-  return processSSE(res.body, extractOpenAIText, onChunk, onDone);
+  let finishReason = null;
+  const text = await processSSE(res.body, extractOpenAIText, onChunk, onDone, (data) => {
+    finishReason = data?.choices?.[0]?.finish_reason || finishReason;
+  });
+  onFinishReason?.(normalizeFinishReason(finishReason));
+  return text;
 }
 
 /**
@@ -145,6 +162,16 @@ export async function streamOllama(prompt, model = 'llama3', opts = {}) {
  * @returns {Promise<string>}
  */
 export async function stream(prompt, model = 'gemini', opts = {}) {
+  if (parseCompatModel(model)) {
+    const endpoint = resolveEndpoint(model, opts.endpoints || loadConfig().openaiCompatible || {});
+    return streamOpenAI(prompt, endpoint.model, {
+      ...opts,
+      endpoint: `${endpoint.baseUrl}/chat/completions`,
+      apiKey: endpoint.apiKey,
+      headers: endpoint.headers,
+      provider: `openai-compatible:${endpoint.name}`,
+    });
+  }
   if (/^(gemini|gemini-flash|gemini-pro|gemini-2)/.test(model)) {
     const geminiModel = model.includes('pro') ? 'gemini-2.0-pro' : 'gemini-2.0-flash';
     return streamGemini(prompt, geminiModel, opts);
@@ -198,7 +225,7 @@ export function createProgressTracker(opts = {}) {
 
 // ─── Internal SSE/NDJSON processors ───
 
-async function processSSE(body, extractFn, onChunk, onDone) {
+async function processSSE(body, extractFn, onChunk, onDone, onData) {
   const decoder = new TextDecoder();
   let full = '';
   let buffer = '';
@@ -214,7 +241,9 @@ async function processSSE(body, extractFn, onChunk, onDone) {
       if (data === '[DONE]') continue;
       
       try {
-        const text = extractFn(JSON.parse(data));
+        const json = JSON.parse(data);
+        onData?.(json);
+        const text = extractFn(json);
         if (text) {
           full += text;
           onChunk?.(text);
@@ -8,26 +8,11 @@
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { join } from 'node:path';
+import { costFor } from '../generators/registry.js';
 
 const TELEMETRY_DIR = join(process.env.HOME || '/tmp', '.forge', 'telemetry');
 const TELEMETRY_FILE = join(TELEMETRY_DIR, 'usage.json');
 
-// Approximate costs per 1M tokens (USD) — input/output
-const COST_TABLE = {
-  'gemini-2.5-flash': { input: 0.15, output: 0.60 },
-  'gemini-2.5-pro': { input: 1.25, output: 5.00 },
-  'gemini-3-flash': { input: 0.15, output: 0.60 },
-  'gemini-3-pro': { input: 1.25, output: 5.00 },
-  'gpt-4o': { input: 2.50, output: 10.00 },
-  'gpt-5': { input: 5.00, output: 15.00 },
-  'claude-sonnet': { input: 3.00, output: 15.00 },
-  'claude-opus': { input: 15.00, output: 75.00 },
-  'grok-4-fast': { input: 0.20, output: 0.50 },
-  'deepseek-chat': { input: 0.14, output: 0.28 },
-  'ollama': { input: 0, output: 0 },  // local = free
-  'default': { input: 1.00, output: 3.00 }
-};
-
 function ensureDir() {
   if (!existsSync(TELEMETRY_DIR)) mkdirSync(TELEMETRY_DIR, { recursive: true });
 }
@@ -48,9 +33,9 @@ function estimateTokens(text) {
   return Math.ceil((text || '').length / 4);
 }
 
+// Approximate costs per 1M tokens (USD) — input/output, from the provider registry
 function getCostRate(model) {
-  const key = Object.keys(COST_TABLE).find(k => (model || '').toLowerCase().includes(k));
-  return COST_TABLE[key] || COST_TABLE.default;
+  return costFor(model || '');
 }
 
 /**
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { audit, auditInstructions, contrastRatio, parseColor, parseCss } from '../lib/rune/a11y.js';
+import { validate } from '../lib/rune/validator.js';
+import { refineOnce } from '../lib/iterate/refiner.js';
+
+const page = (style, body, lang = ' lang="en"') => `<!DOCTYPE html>
+<html${lang}><head><title>App</title><style>${style}</style></head>
+<body>
+${body}
+</body></html>`;
+
+const STYLE = `
+  :root { --bg: #ffffff; --text: #1a1a1a; --muted: #bbbbbb; --accent: var(--brand, #1d4ed8); }
+  body { background: var(--bg); color: var(--text); }
+  .muted { color: var(--muted); }
+  .btn { background: var(--accent); color: #fff; }
+  .glass { background: rgba(0, 0, 0, 0.5); color: #ffffff; }
+  @media (prefers-color-scheme: dark) { body { background: #000; } }
+  @media print { .muted { color: #000; } }
+`;
+
+describe('RUNE Accessibility', () => {
+  it('measures contrast after resolving CSS variables', () => {
+    const report = audit(page(STYLE, `<h1>Notes</h1>
+<p class="muted">Last saved just now</p>
+<button class="btn">Save</button>
+<div class="glass">Overlay</div>`));
+    const byText = Object.fromEntries(report.contrast.map(p => [p.target, p]));
+    assert.equal(byText['<h1> "Notes"'].fg, '#1a1a1a');
+    assert.equal(byText['<p.muted> "Last saved just now"'].ratio, 1.92);
+    assert.equal(byText['<button.btn> "Save"'].bg, '#1d4ed8');
+    assert.equal(byText['<div.glass> "Overlay"'].bg, '#808080');
+
+    const [finding] = report.findings;
+    assert.deepEqual(
+      (({ rule, severity, wcag, line }) => ({ rule, severity, wcag, line }))(finding),
+      { rule: 'contrast', severity: 'serious', wcag: '1.4.3', line: 13 },
+    );
+    assert.equal(report.findings.length, 2);
+    assert.equal(report.findings[1].message, 'Text #ffffff on #808080 has contrast 3.98:1 (needs 4.5:1)');
+    assert.equal(report.findings[1].severity, 'moderate');
+  });
+
+  it('resolves variables from a theme beneath the page styles', () => {
+    const html = page('body { background: var(--bg); color: var(--text-muted); } p { color: var(--text); }', '<h1>Title</h1><p>Body</p>');
+    assert.equal(audit(html).contrast.length, 2);
+    const themed = audit(html, { theme: 'Paper' });
+    const dark = audit(html, { theme: { '--bg': '#111111', '--text': '#222222', '--text-muted': '#eeeeee' } });
+    assert.ok(themed.contrast.every(p => p.ratio >= p.required), JSON.stringify(themed.contrast));
+    assert.equal(dark.findings[0].message, 'Text #222222 on #111111 has contrast 1.19:1 (needs 4.5:1)');
+    assert.equal(dark.findings[0].severity, 'critical');
+  });
+
+  it('skips text over gradients and hidden text', () => {
+    const report = audit(page('.hero { background: linear-gradient(#fff, #000); color: #777; } .off { display: none; color: #fff; }', '<h1 class="hero">Hi</h1><p class="off">Gone</p>'));
+    assert.deepEqual(report.contrast, []);
+  });
+
+  it('checks labels, names, alt text, headings, language, focus and keyboard access', () => {
+    const report = audit(page('button:focus { outline: none; }', `<h2>Section</h2>
+<h4>Deep</h4>
+<input id="q" placeholder="Search">
+<label>Name <input name="n"></label>
+<input type="checkbox" aria-label="Done">
+<img src="cat.png">
+<img src="line.png" alt="">
+<button><svg></svg></button>
+<button aria-label="Close">×</button>
+<div class="card" onclick="open()">Card</div>
+<span tabindex="2">Skip me</span>`, ''));
+    const rules = report.findings.map(f => `${f.rule}:${f.severity}:${f.line}`);
+    assert.deepEqual(rules.sort(), [
+      'alt:serious:9',
+      'focus-visible:serious:11',
+      'headings:moderate:4',
+      'headings:moderate:5',
+      'keyboard:serious:13',
+      'label:serious:6',
+      'lang:moderate:null',
+      'name:serious:11',
+      'tabindex:moderate:14',
+    ]);
+    assert.equal(report.score, 0.04);
+    assert.deepEqual(report.counts, { critical: 0, serious: 5, moderate: 4, minor: 0 });
+    assert.ok(audit(page('button:focus { outline: none; } button:focus-visible { box-shadow: 0 0 0 3px #1d4ed8; }', '<h1>Ok</h1><button>Go</button>')).findings.length === 0);
+  });
+
+  it('parses colours, media queries and contrast like a browser', () => {
+    assert.deepEqual(parseColor('#0af8'), { r: 0, g: 170, b: 255, a: 136 / 255 });
+    assert.deepEqual(parseColor('hsl(0 100% 50%)'), { r: 255, g: 0, b: 0, a: 1 });
+    assert.deepEqual(parseColor('rgb(10 20 30 / 50%)'), { r: 10, g: 20, b: 30, a: 0.5 });
+    assert.equal(parseColor('rebeccapurple').b, 153);
+    assert.equal(Math.round(contrastRatio(parseColor('#000'), parseColor('#fff'))), 21);
+    const rules = parseCss('@keyframes k { from { color: red } } @media (max-width: 600px) { a { color: red } } @media (min-width: 900px) { b { color: red !important } }');
+    assert.deepEqual(rules.map(r => [r.selectors, r.decls]), [[['b'], [{ prop: 'color', value: 'red', important: true }]]]);
+  });
+
+  it('weights findings into Natura', () => {
+    const body = '<main><h1>Tasks</h1><label for="t">Task</label><input id="t" placeholder="New task"></main>';
+    const clean = validate(page('body { color: #111; }', body));
+    const faint = validate(page('body { color: #ddd; }', body));
+    assert.ok(faint.natura < clean.natura, `${faint.natura} vs ${clean.natura}`);
+    assert.ok(faint.issues.some(i => i.startsWith('Accessibility barriers: Text #dddddd on #ffffff has contrast 1.36:1 (needs 3:1) (WCAG 1.4.3, line 4)')));
+    assert.ok(!clean.issues.some(i => i.startsWith('Accessibility barriers')));
+  });
+
+  it('hands the findings to the refiner as fix instructions', async () => {
+    const html = page('body { color: #ddd; }', '<h1>Hi</h1><img src="a.png">');
+    const fixes = auditInstructions(audit(html));
+    assert.equal(fixes[0], 'Line 4 (<h1> "Hi"): [critical, WCAG 1.4.3] Text #dddddd on #ffffff has contrast 1.36:1 (needs 3:1) — change the text or background colour (or the CSS variable behind it) until the ratio passes.');
+    assert.deepEqual(auditInstructions(null), []);
+
+    let prompt = '';
+    await refineOnce(html, { mode: 'full', generate: async (p) => { prompt = p; return html; } });
+    assert.ok(prompt.includes('## ACCESSIBILITY (WCAG 2.1 AA)\n- Line 4 (<h1> "Hi"): [critical'));
+  });
+});
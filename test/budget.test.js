@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, trimToTokens, budgetFor, fit, BudgetError } from '../lib/rune/budget.js';
+import { compose, enhance } from '../lib/rune/enhancer.js';
+import { brief } from '../lib/rune/intent.js';
+import { refineOnce } from '../lib/iterate/refiner.js';
+import { interpolate } from '../lib/recipe/engine.js';
+
+const config = { budget: {} };
+const tiny = (limit) => ({ model: 'tiny', window: limit * 2, reserve: limit, limit });
+const APP = (size) => `<!DOCTYPE html><html><head><title>Big</title></head><body><main>${'<p>Lorem ipsum dolor sit amet.</p>\n'.repeat(size)}</main></body></html>`;
+
+describe('RUNE Budget', () => {
+  it('estimates tokens and trims text to a token count', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('x'.repeat(35)), 10);
+    assert.equal(estimateTokens('🔥🔥'), 4);
+    const cut = trimToTokens('x'.repeat(3500), 100);
+    assert.ok(cut.endsWith('\n<!-- truncated -->'));
+    assert.ok(estimateTokens(cut) <= 100);
+    assert.equal(trimToTokens('short', 100), 'short');
+  });
+
+  it('reads each model\'s window from the registry', () => {
+    assert.deepEqual(budgetFor('gemma', { config }), { model: 'gemma', window: 8192, reserve: 4096, limit: 4096 });
+    assert.equal(budgetFor('gemini', { config }).limit, 1_048_576 - 8_192);
+    assert.equal(budgetFor('gemma', { config: { budget: { reserveOutput: 1000 } } }).limit, 7192);
+    assert.equal(budgetFor('gemma', { reserve: 10_000, config }).reserve, 4096);
+    assert.equal(budgetFor('replay:x', { config }), null);
+    assert.equal(budgetFor('gemma', { config: { budget: { enabled: false } } }), null);
+  });
+
+  it('trims the enhanced prompt: context, then scaffold, then layer text', () => {
+    const opts = { archetype: brief('tracker'), sensorHint: 'Afternoon, productive.', profileHint: 'Likes dark themes.', context: { music: 'Lo-fi playing.'.repeat(40) } };
+    const roomy = compose('Sleep tracker', { ...opts, model: 'gemini' });
+    assert.equal(roomy.prompt, enhance('Sleep tracker', opts));
+    assert.deepEqual([roomy.budget.dropped, roomy.budget.scaffold, roomy.budget.compact], [[], true, false]);
+
+    const full = estimateTokens(roomy.prompt);
+    const noMusic = compose('Sleep tracker', { ...opts, budget: tiny(full - 100) });
+    assert.deepEqual(noMusic.budget.dropped, ['music']);
+    assert.match(noMusic.prompt, /Likes dark themes\.[\s\S]*canvas#trendChart/);
+
+    const lean = compose('Sleep tracker', { ...opts, budget: tiny(450) });
+    assert.deepEqual([lean.budget.dropped, lean.budget.scaffold, lean.budget.compact], [['music', 'profile', 'sensors'], false, true]);
+    assert.match(lean.prompt, /## SAFETY \(L3\)\n- Sanitize inputs, persist only through forge\.storage/);
+    assert.match(lean.prompt, /Progress chart over time/);
+
+    assert.throws(() => compose('x'.repeat(5000), { budget: tiny(600) }), (err) => {
+      assert.ok(err instanceof BudgetError);
+      assert.match(err.message, /^The enhanced prompt does not fit tiny: ~\d[\d,]* tokens, budget 600 \(1,200-token window − 600 reserved for the answer\)/);
+      return true;
+    });
+  });
+
+  it('fits refinement prompts to small windows and refuses oversized apps', async () => {
+    const prompts = [];
+    const generate = async (prompt) => { prompts.push(prompt); return 'no edits'; };
+    const html = APP(450);
+    // gemma: 8k window — the app (~4.5k tokens) fits a patch prompt, not a full rewrite after it
+    await assert.rejects(
+      refineOnce(html, { model: 'gemma', mode: 'patch', generate, issues: Array.from({ length: 40 }, (_, i) => `Issue number ${i} with a long description`) }),
+      /The full-file refinement prompt for this app does not fit gemma/,
+    );
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /## CURRENT CODE/);
+
+    await assert.rejects(refineOnce(APP(2000), { model: 'gemma', mode: 'patch', generate }), { name: 'BudgetError' });
+    const done = await refineOnce(html, { model: 'gemini', mode: 'full', generate: async () => html });
+    assert.equal(done.mode, 'full');
+
+    const brief = fit([() => 'x'.repeat(700), () => 'x'.repeat(70)], tiny(100));
+    assert.equal(brief.level, 1);
+  });
+
+  it('shares the budget between step outputs in recipe prompts', () => {
+    const outputs = { a: 'a'.repeat(20_000), b: 'b'.repeat(20_000) };
+    assert.equal(interpolate('Use {{a.output}}', {}, outputs), `Use ${outputs.a}`);
+    assert.equal(interpolate('Use {{a.output}}', {}, outputs, 'gemini'), `Use ${outputs.a}`);
+
+    const both = interpolate('Merge {{a.output}} with {{b.output}} for {{product}}', { product: 'Forge' }, outputs, 'gemma');
+    assert.ok(estimateTokens(both) <= 4096, estimateTokens(both));
+    assert.match(both, /^Merge a+\n<!-- truncated --> with b+\n<!-- truncated --> for Forge$/);
+    assert.throws(() => interpolate(`${'long '.repeat(5000)}{{a.output}}`, {}, outputs, 'gemma'), /The prompt for this step does not fit gemma/);
+  });
+});
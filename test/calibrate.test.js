@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { calibrate, loadCorpus, spearman } from '../lib/rune/calibrate.js';
+
+const app = ({ title = 'App', style = '', body = '', script = '' }) => `<!DOCTYPE html>
+<html lang="en"><head><title>${title}</title>${style ? `<style>${style}</style>` : ''}</head>
+<body>${body}${script ? `<script>${script}</script>` : ''}</body></html>`;
+
+const STYLE = ':root { --bg: #fff; } body { background: var(--bg); transition: color .2s; } @media (max-width: 600px) { body { padding: 0; } }';
+const FORM = '<main><h1>Log</h1><label for="v">Value</label><input id="v" placeholder="42"><button id="add">Add</button></main>';
+const WIRED = "document.getElementById('add').addEventListener('click', () => {});";
+
+// People rate a pretty page that does nothing lowest; the validator disagrees
+const CORPUS = {
+  'bare': [{ body: '<p>hello</p>' }, { overall: 2 }],
+  'pretty-static': [{ style: STYLE, body: '<main><h1>Poster</h1></main>' }, { overall: 1, laetitia: 5 }],
+  'form-only': [{ body: FORM }, { overall: 3 }],
+  'wired': [{ body: FORM, script: WIRED }, { overall: 4 }],
+  'styled-wired': [{ style: STYLE, body: FORM, script: WIRED }, { conatus: 5, laetitia: 5, natura: 5 }],
+  'saved': [{ style: STYLE, body: FORM, script: `${WIRED} try { localStorage.setItem('v', '1'); } catch {}` }, { overall: 5, notes: 'keeps my data' }],
+};
+
+describe('RUNE Calibration', () => {
+  let dir;
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'forge-calibrate-'));
+    for (const [name, [parts, rating]] of Object.entries(CORPUS)) {
+      writeFileSync(join(dir, `${name}.html`), app(parts));
+      writeFileSync(join(dir, `${name}.json`), JSON.stringify(rating));
+    }
+    writeFileSync(join(dir, 'unrated.html'), app({}));
+    writeFileSync(join(dir, 'broken.html'), app({}));
+    writeFileSync(join(dir, 'broken.json'), '{ nope');
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('computes Spearman rank correlation with ties', () => {
+    assert.equal(spearman([1, 2, 3, 4], [10, 20, 30, 40]), 1);
+    assert.equal(spearman([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+    assert.equal(spearman([1, 1, 2, 3], [1, 2, 3, 4]), 0.949);
+    assert.equal(spearman([1, 2], [1, 2]), null);
+    assert.equal(spearman([5, 5, 5], [1, 2, 3]), null);
+  });
+
+  it('loads rated apps and explains what it skipped', () => {
+    const { apps, skipped } = loadCorpus(dir);
+    assert.deepEqual(apps.map(a => a.name), ['bare', 'form-only', 'pretty-static', 'saved', 'styled-wired', 'wired']);
+    assert.equal(apps.find(a => a.name === 'styled-wired').ratings.overall, 5);
+    assert.deepEqual(skipped.map(s => s.name), ['broken', 'unrated']);
+    assert.match(skipped[0].reason, /^unreadable sidecar/);
+    assert.throws(() => loadCorpus(join(dir, 'missing')), /Corpus directory not found/);
+  });
+
+  it('reports correlation per axis, misjudged apps and weight suggestions', async () => {
+    const report = await calibrate(dir, { config: {}, checks: { length: (html) => html.length }, top: 2 });
+    assert.equal(report.count, 6);
+    assert.equal(report.rubric, 'default');
+    assert.deepEqual(Object.keys(report.correlation), ['conatus', 'ratio', 'laetitia', 'natura', 'overall', 'length']);
+    assert.ok(report.correlation.overall.rho > 0.5, JSON.stringify(report.correlation));
+    assert.equal(report.correlation.length.n, 6);
+
+    assert.equal(report.misjudged.length, 2);
+    assert.equal(report.misjudged[0].name, 'pretty-static');
+    assert.equal(report.misjudged[0].verdict, 'overrated');
+    assert.ok(report.misjudged[0].validatorRank < report.misjudged[0].humanRank);
+
+    const persistence = report.weights.find(w => w.id === 'conatus.persistence');
+    const gradient = report.weights.find(w => w.id === 'laetitia.gradient');
+    assert.ok(persistence.rho > 0 && persistence.n === 6);
+    assert.equal(gradient.rho, null, 'no app has a gradient, so there is no evidence either way');
+    assert.equal(gradient.suggested, gradient.current);
+    for (const [id, weight] of Object.entries(report.config.validator.weights)) {
+      assert.notEqual(weight, report.weights.find(w => w.id === id).current);
+    }
+  });
+
+  it('reports extra checks that fail instead of aborting', async () => {
+    const report = await calibrate(dir, { config: {}, checks: { judge: () => { throw new Error('offline'); } } });
+    assert.equal(report.correlation.judge.n, 0);
+    assert.ok(report.skipped.some(s => s.reason === 'judge failed: offline'));
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { clarify, resolveAnswers, ask, clarificationLines } from '../lib/rune/clarify.js';
+import { enhance } from '../lib/rune/enhancer.js';
+import { createApiServer } from '../lib/api/server.js';
+
+describe('RUNE Clarify', () => {
+  it('questions an open intent and leaves a specific one alone', () => {
+    const open = clarify('Track my cardio');
+    assert.equal(open.archetype, 'tracker');
+    assert.ok(open.ambiguous);
+    assert.deepEqual(open.questions.map(q => q.id), ['metrics', 'units', 'range', 'goal']);
+    assert.equal(open.questions[0].default, 'date, duration (minutes), distance, average heart rate');
+
+    const specific = clarify('Track my cardio in km for 8 weeks with a goal of 20 km per week, logging date, minutes and distance');
+    assert.deepEqual([specific.ambiguous, specific.questions], [false, []]);
+
+    const monitor = clarify('CPU monitor', { archetype: 'monitor' });
+    assert.deepEqual(monitor.questions.map(q => q.id), ['range', 'source', 'refresh']);
+    for (const intent of ['Something fun', 'A journal', 'Budget dashboard', 'Mortgage calculator']) {
+      const { questions } = clarify(intent);
+      assert.ok(questions.length === 0 || (questions.length >= 2 && questions.length <= 5), intent);
+    }
+  });
+
+  it('falls back to the defaults for unanswered questions', async () => {
+    const { questions } = clarify('Track my cardio');
+    const byId = resolveAnswers(questions, { units: 'imperial', range: '  ' });
+    assert.deepEqual(byId.map(c => [c.id, c.assumed]), [['metrics', true], ['units', false], ['range', true], ['goal', true]]);
+    assert.equal(byId[1].answer, 'imperial');
+    assert.equal(resolveAnswers(questions, ['runs only'])[0].answer, 'runs only');
+
+    const asked = [];
+    const answered = await ask(questions, async (text) => { asked.push(text); return asked.length === 2 ? 'imperial' : ''; });
+    assert.match(asked[1], /^❓ Metric or imperial units\? \(metric \/ imperial\) \[metric\] $/);
+    assert.deepEqual(answered, byId);
+    assert.match(clarificationLines(answered), /^- What should each entry record\? .+ \(suggested default\)\n- Metric or imperial units\? imperial\n/);
+  });
+
+  it('adds the answers to the L2 intent analysis', () => {
+    const clarifications = resolveAnswers(clarify('Track my cardio').questions, { units: 'imperial' });
+    const prompt = enhance('Track my cardio', { clarifications });
+    assert.match(prompt, /## INTENT ANALYSIS[\s\S]*The user clarified:\n- What should each entry record\?[\s\S]*Metric or imperial units\? imperial[\s\S]*## /);
+    assert.ok(!enhance('Track my cardio').includes('The user clarified'));
+  });
+
+  it('holds an ambiguous API generation until the questions are answered', async () => {
+    const PORT = 31417;
+    const received = [];
+    const api = createApiServer({
+      port: PORT,
+      generateFn: async ({ prompt, clarifications }) => { received.push(clarifications); return { html: `<p>${prompt}</p>`, score: 0.9 }; },
+    });
+    await api.listen();
+    const post = (path, body) => fetch(`http://localhost:${PORT}${path}`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+    });
+    try {
+      const held = await post('/api/generate', { prompt: 'Track my cardio', clarify: true });
+      assert.equal(held.status, 202);
+      const pending = await held.json();
+      assert.equal(pending.status, 'pending');
+      assert.equal(pending.questions.length, 4);
+      assert.equal(received.length, 0);
+
+      const listed = await (await fetch(`http://localhost:${PORT}/api/clarifications/${pending.id}`)).json();
+      assert.deepEqual(listed.questions, pending.questions);
+
+      const done = await post(`/api/clarifications/${pending.id}`, { answers: { units: 'imperial' } });
+      assert.equal(done.status, 200);
+      const result = await done.json();
+      assert.equal(result.html, '<p>Track my cardio</p>');
+      assert.equal(received[0].find(c => c.id === 'units').answer, 'imperial');
+      assert.equal(result.clarifications.length, 4);
+
+      assert.equal((await post(`/api/clarifications/${pending.id}`, {})).status, 404);
+      const clear = await post('/api/generate', { prompt: 'Track my cardio in km for 8 weeks with a goal of 20 km, logging date, minutes and distance', clarify: true });
+      assert.equal(clear.status, 200);
+      assert.deepEqual(received[1], []);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('keeps a clarification answerable until its generation succeeds', async () => {
+    const PORT = 31419;
+    const received = [];
+    let failures = 1;
+    const api = createApiServer({
+      port: PORT,
+      generateFn: async ({ clarifications }) => {
+        if (failures-- > 0) throw new Error('provider down');
+        received.push(clarifications);
+        return { html: '<p>ok</p>', score: 0.9 };
+      },
+    });
+    await api.listen();
+    const post = (path, body) => fetch(`http://localhost:${PORT}${path}`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+    });
+    try {
+      const { id } = await (await post('/api/generate', { prompt: 'Track my cardio', clarify: true })).json();
+      const answer = (answers) => post(`/api/clarifications/${id}`, { answers });
+      for (const [answers, error] of [
+        [{ typo: 'x' }, /^Unknown clarification "typo" \(expected metrics \| units \| range \| goal\)$/],
+        [{ units: {} }, /^Invalid answers/],
+      ]) {
+        const rejected = await answer(answers);
+        assert.equal(rejected.status, 400);
+        assert.match((await rejected.json()).error, error);
+      }
+      assert.equal((await answer({ units: 'imperial' })).status, 500);
+      const done = await answer({ units: 'imperial' });
+      assert.equal(done.status, 200);
+      assert.equal(received.length, 1);
+      assert.equal(received[0].find(c => c.id === 'units').answer, 'imperial');
+      assert.equal((await answer({ units: 'imperial' })).status, 404);
+    } finally {
+      await api.close();
+    }
+  });
+
+  it('pairs answers sent with an API generation with the prompt questions', async () => {
+    const PORT = 31418;
+    const received = [];
+    const api = createApiServer({
+      port: PORT,
+      generateFn: async (opts) => { received.push(opts); return { html: '<p>ok</p>', score: 0.9 }; },
+    });
+    await api.listen();
+    const post = (body) => fetch(`http://localhost:${PORT}/api/generate`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+    });
+    try {
+      const byId = await post({ prompt: 'Track my cardio', archetype: 'tracker', clarifications: { units: 'imperial' } });
+      assert.equal(byId.status, 200);
+      assert.equal(received[0].archetype, 'tracker');
+      assert.equal(received[0].clarifications.length, 4);
+      assert.deepEqual(received[0].clarifications.find(c => c.id === 'units'),
+        { id: 'units', question: 'Metric or imperial units?', answer: 'imperial', assumed: false });
+      assert.ok(received[0].clarifications.filter(c => c.id !== 'units').every(c => c.assumed && c.answer));
+
+      await post({ prompt: 'Track my cardio', clarifications: ['distance and minutes'] });
+      assert.deepEqual(received[1].clarifications[0], { ...received[0].clarifications[0], answer: 'distance and minutes', assumed: false });
+
+      await post({ prompt: 'Track my cardio', clarifications: received[0].clarifications });
+      assert.deepEqual(received[2].clarifications, received[0].clarifications);
+
+      for (const [clarifications, error] of [
+        [{ colour: 'red' }, /Unknown clarification "colour" \(expected [a-z]+ \| /],
+        [[{ units: 'imperial' }], /Invalid clarifications/],
+        ['imperial', /Invalid clarifications/],
+      ]) {
+        const rejected = await post({ prompt: 'Track my cardio', clarifications });
+        assert.equal(rejected.status, 400);
+        assert.match((await rejected.json()).error, error);
+      }
+      assert.equal(received.length, 3);
+    } finally {
+      await api.close();
+    }
+  });
+});
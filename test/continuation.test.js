@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectTruncation, stitch, continuationPrompt, generateWithContinuation } from '../lib/generators/continuation.js';
+import { normalizeFinishReason } from '../lib/generators/transport.js';
+import { route } from '../lib/generators/router.js';
+import { registerProvider, resetRegistry } from '../lib/generators/registry.js';
+
+const FULL = '<!DOCTYPE html><html><head><style>body{color:red}</style></head><body><script>const n = 42;\nconsole.log(n);</script></body></html>';
+
+describe('Continuation', () => {
+  it('normalizes provider finish reasons', () => {
+    assert.equal(normalizeFinishReason('length'), 'length');
+    assert.equal(normalizeFinishReason('MAX_TOKENS'), 'length');
+    assert.equal(normalizeFinishReason('max_tokens'), 'length');
+    assert.equal(normalizeFinishReason('end_turn'), 'stop');
+    assert.equal(normalizeFinishReason(undefined), null);
+  });
+
+  it('detects truncation from finish reason and structure', () => {
+    assert.deepEqual(detectTruncation(FULL), { truncated: false, reason: null });
+    assert.equal(detectTruncation(FULL, { finishReason: 'length' }).reason, 'finish-reason');
+    assert.equal(detectTruncation(FULL.slice(0, 90)).reason, 'unclosed-script');
+    assert.equal(detectTruncation(FULL.slice(0, 40)).reason, 'unclosed-style');
+    assert.equal(detectTruncation(FULL.replace('</html>', '')).reason, 'no-closing-html');
+    assert.equal(detectTruncation(`${FULL}\n<!-- generated -->\n`).truncated, false);
+  });
+
+  it('stitches fragments, dropping repeated overlap', () => {
+    assert.equal(stitch('<script>const n = 4', '2;</script>'), '<script>const n = 42;</script>');
+    assert.equal(stitch('<script>const total = 4', 'const total = 42;</script>'), '<script>const total = 42;</script>');
+    assert.equal(stitch('<p>old', '<!DOCTYPE html><html></html>'), '<!DOCTYPE html><html></html>');
+  });
+
+  it('continuation prompt carries the original prompt and the tail', () => {
+    const prompt = continuationPrompt('Build a timer', 'x'.repeat(5000) + 'TAIL');
+    assert.ok(prompt.startsWith('Build a timer'));
+    assert.ok(prompt.includes('TAIL\nPARTIAL>>>'));
+    assert.ok(!prompt.includes('x'.repeat(3001)));
+  });
+
+  it('resumes from the exact cut point until complete', async () => {
+    const pieces = [FULL.slice(0, 100), FULL.slice(88, 130), FULL.slice(130)];
+    const calls = [];
+    const generate = async (prompt, opts) => {
+      calls.push({ partial: !!opts.partial, prompt });
+      opts.onFinishReason?.(calls.length < 3 ? 'length' : 'stop');
+      return pieces[calls.length - 1];
+    };
+    const rounds = [];
+    const result = await generateWithContinuation('Build a counter', generate, { onContinue: r => rounds.push(r) });
+    assert.equal(result.html, FULL);
+    assert.equal(result.continuations, 2);
+    assert.equal(result.complete, true);
+    assert.equal(result.truncation, 'finish-reason');
+    assert.deepEqual(calls.map(c => c.partial), [false, true, true]);
+    assert.ok(calls[1].prompt.includes(pieces[0].slice(-20)));
+    assert.equal(rounds.length, 2);
+  });
+
+  it('stops after maxRounds and reports incomplete output', async () => {
+    const generate = async (prompt, opts) => (opts.partial ? ' more' : '<html><body><script>');
+    const result = await generateWithContinuation('x', generate, { maxRounds: 2 });
+    assert.equal(result.continuations, 2);
+    assert.equal(result.complete, false);
+  });
+
+  it('route() continues truncated output transparently', async () => {
+    let n = 0;
+    registerProvider({
+      name: 'cutoff', match: /^cutoff$/,
+      generate: async (prompt, opts) => {
+        n++;
+        opts.onFinishReason?.(n === 1 ? 'length' : 'stop');
+        return n === 1 ? FULL.slice(0, 100) : FULL.slice(100);
+      },
+    }, { source: 'test' });
+    try {
+      const html = await route('app', { model: 'cutoff', replay: null, fallback: null });
+      assert.equal(html, FULL);
+      n = 0;
+      const raw = await route('app', { model: 'cutoff', replay: null, fallback: null, continuation: false });
+      assert.equal(raw, FULL.slice(0, 100));
+    } finally {
+      resetRegistry();
+    }
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, parse, byTag, closest, textContent, decodeEntities } from '../lib/rune/dom.js';
+
+describe('RUNE DOM', () => {
+  it('tokenizes tags, attributes, comments and the doctype', () => {
+    const { tokens } = tokenize('<!DOCTYPE html><!-- note --><input type=text disabled value="a &amp; b"><br/>');
+    assert.deepEqual(tokens.map(t => t.type), ['doctype', 'comment', 'open', 'open']);
+    assert.deepEqual(tokens[2].attrs, { type: 'text', disabled: '', value: 'a & b' });
+    assert.equal(tokens[3].selfClosing, true);
+  });
+
+  it('keeps script and style content as raw text', () => {
+    const { root } = parse('<script>if (a < b && c > d) { el.innerHTML = "<p>x</p>"; }</script><style>a > b { color: red }</style>');
+    const [script] = byTag(root, 'script');
+    assert.equal(script.children.length, 1);
+    assert.ok(script.children[0].value.includes('"<p>x</p>"'));
+    assert.equal(byTag(root, 'p').length, 0);
+    assert.ok(byTag(root, 'style')[0].children[0].value.includes('a > b'));
+  });
+
+  it('builds a tree with void elements and implied end tags', () => {
+    const { root, errors } = parse('<html><body><ul><li>one<li>two</ul><p>a<div><img src=x>b</div></body></html>');
+    const items = byTag(root, 'li');
+    assert.equal(items.length, 2);
+    assert.equal(items[1].parent.name, 'ul');
+    assert.equal(byTag(root, 'div')[0].parent.name, 'body');
+    assert.equal(textContent(byTag(root, 'div')[0]), 'b');
+    assert.deepEqual(errors, []);
+  });
+
+  it('reports unclosed and stray tags', () => {
+    const { root, errors } = parse('<main><section><div>open</section></span></main>');
+    assert.deepEqual(errors, ['Unclosed <div>', 'Stray </span>']);
+    assert.equal(byTag(root, 'section')[0].closed, true);
+  });
+
+  it('finds ancestors and ignores scripts in text content', () => {
+    const { root } = parse('<form><label>Name <input id="n"></label><script>var x = 1;</script></form>');
+    const [input] = byTag(root, 'input');
+    assert.equal(closest(input, 'label').name, 'label');
+    assert.equal(closest(input, 'form').name, 'form');
+    assert.equal(textContent(root), 'Name ');
+  });
+
+  it('decodes numeric and named entities', () => {
+    assert.equal(decodeEntities('&lt;&#65;&#x42;&quot;&unknown;'), '<AB"&unknown;');
+  });
+});
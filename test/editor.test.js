@@ -0,0 +1,102 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { openSession, applyInstruction, summarizeChange, lineage } from '../lib/iterate/editor.js';
+import { getPatches } from '../lib/iterate/patch.js';
+import { validate } from '../lib/rune/validator.js';
+import { parseCommand } from '../lib/cli/commands.js';
+import * as store from '../lib/persistence/store.js';
+import * as history from '../lib/persistence/history.js';
+
+const APP = `<!DOCTYPE html>
+<html>
+<head><title>Steps</title></head>
+<body>
+  <main>
+    <canvas id="chart" data-range="daily"></canvas>
+  </main>
+</body>
+</html>`;
+
+const created = new Set();
+
+describe('Editor', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'forge-editor-'));
+  const file = join(dir, 'steps.html');
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+    for (const id of created) {
+      store.del('history', id);
+      store.del('generations', id);
+      store.del('patches', id);
+    }
+  });
+
+  it('is registered as a subcommand', () => {
+    assert.deepEqual(parseCommand(['edit', 'out.html', 'add a toggle']), { command: 'edit', args: ['out.html', 'add a toggle'] });
+  });
+
+  it('summarises line and score changes', () => {
+    const after = APP
+      .replace('<main>', '<main>\n    <button aria-label="Theme">🌙</button>')
+      .replace('daily', 'weekly');
+    const summary = summarizeChange(APP, after, validate(APP), validate(after));
+    assert.equal(summary.linesAdded, 2);
+    assert.equal(summary.linesRemoved, 1);
+    assert.equal(summary.grade.length, 2);
+    assert.equal(typeof summary.axes.natura, 'number');
+  });
+
+  it('edits a file across turns, keeping earlier instructions in context', async () => {
+    writeFileSync(file, APP);
+    const session = openSession(file);
+    created.add(session.id);
+    const rootId = session.id;
+    assert.deepEqual(history.get(rootId).tags, ['imported']);
+
+    const prompts = [];
+    const generate = async (prompt) => {
+      prompts.push(prompt);
+      return prompts.length === 1
+        ? '<<<<<<< SEARCH\n    <canvas id="chart" data-range="daily"></canvas>\n=======\n    <canvas id="chart" data-range="weekly"></canvas>\n>>>>>>> REPLACE'
+        : '<<<<<<< SEARCH\n  <main>\n=======\n  <main>\n    <button id="theme">🌙</button>\n>>>>>>> REPLACE';
+    };
+
+    const first = await applyInstruction(session, 'make the chart weekly instead of daily', { mode: 'patch', generate });
+    created.add(first.id);
+    assert.equal(first.parentId, rootId);
+    assert.equal(first.patch.edits.length, 1);
+    assert.ok(readFileSync(file, 'utf-8').includes('data-range="weekly"'));
+    assert.ok(prompts[0].includes('## REQUESTED CHANGE\nmake the chart weekly instead of daily'));
+    assert.ok(!prompts[0].includes('EARLIER INSTRUCTIONS'));
+
+    const second = await applyInstruction(session, 'add a dark mode toggle', { mode: 'patch', generate });
+    created.add(second.id);
+    assert.equal(second.parentId, first.id);
+    assert.ok(prompts[1].includes('EARLIER INSTRUCTIONS'));
+    assert.ok(prompts[1].includes('- make the chart weekly instead of daily'));
+
+    const entry = history.get(second.id);
+    assert.deepEqual(entry.instructions, ['make the chart weekly instead of daily', 'add a dark mode toggle']);
+    assert.ok(history.getCode(second.id).includes('id="theme"'));
+    assert.equal(getPatches(second.id).length, 1);
+    assert.deepEqual(lineage(second.id).map(e => e.id), [second.id, first.id, rootId]);
+  });
+
+  it('continues from the matching version when the file is reopened', () => {
+    const session = openSession(file);
+    assert.equal(session.instructions.length, 2);
+    assert.equal(lineage(session.id).length, 3);
+  });
+
+  it('opens history entries by ID and rejects unknown refs', () => {
+    const [latest] = [...created].slice(-1);
+    const session = openSession(latest);
+    assert.equal(session.file, null);
+    assert.ok(session.code.includes('id="theme"'));
+    assert.throws(() => openSession('no-such-thing'), /neither a file nor a stored generation/);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyError, isRetryable, CircuitBreaker, routeWithFallback, resolveChain, resetBreakers, breakerStatus,
+} from '../lib/generators/fallback.js';
+import { ProviderError } from '../lib/generators/transport.js';
+
+const fail = (opts) => { throw new ProviderError('boom', opts); };
+
+describe('Fallback Chains', () => {
+  beforeEach(() => resetBreakers());
+
+  it('classifies provider errors', () => {
+    assert.equal(classifyError(new ProviderError('x', { status: 401 })), 'auth');
+    assert.equal(classifyError(new ProviderError('x', { status: 429 })), 'rate-limit');
+    assert.equal(classifyError(new ProviderError('x', { code: 'timeout' })), 'timeout');
+    assert.equal(classifyError(new ProviderError('x', { code: 'malformed' })), 'malformed');
+    assert.equal(classifyError(new ProviderError('x', { status: 503 })), 'server');
+    assert.equal(classifyError(new ProviderError('x', { code: 'aborted' })), 'aborted');
+    assert.ok(isRetryable('timeout'));
+    assert.ok(!isRetryable('auth'));
+  });
+
+  it('falls through retryable failures and reports the winner', async () => {
+    const gen = async (prompt, { model }) => {
+      if (model === 'claude') fail({ status: 429, provider: 'claude' });
+      if (model === 'gemini') fail({ code: 'timeout', provider: 'gemini' });
+      return `<html>${model}</html>`;
+    };
+    const result = await routeWithFallback('p', gen, { chain: ['claude', 'gemini', 'ollama'] });
+    assert.equal(result.model, 'ollama');
+    assert.equal(result.provider, 'ollama');
+    assert.deepEqual(result.attempts.map(a => a.errorClass || 'ok'), ['rate-limit', 'timeout', 'ok']);
+  });
+
+  it('stops the chain on auth errors', async () => {
+    const gen = async (prompt, { model }) => {
+      if (model === 'claude') fail({ status: 401 });
+      return 'unreachable';
+    };
+    await assert.rejects(() => routeWithFallback('p', gen, { chain: ['claude', 'gemini'] }), (err) => {
+      assert.equal(err.attempts.length, 1);
+      return true;
+    });
+  });
+
+  it('opens the breaker after repeated failures and skips the provider', async () => {
+    let claudeCalls = 0;
+    const gen = async (prompt, { model }) => {
+      if (model === 'claude') { claudeCalls++; fail({ status: 500 }); }
+      return 'ok';
+    };
+    for (let i = 0; i < 4; i++) {
+      await routeWithFallback('p', gen, { chain: ['claude', 'gemini'], failureThreshold: 2 });
+    }
+    assert.equal(claudeCalls, 2);
+    assert.equal(breakerStatus().claude.state, 'open');
+  });
+
+  it('breaker cools down to half-open and closes on success', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'half-open');
+    assert.ok(breaker.canRequest());
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+  });
+
+  it('resolves declared chains', () => {
+    const cfg = { chains: { default: ['claude', 'gemini'] } };
+    assert.deepEqual(resolveChain('fallback:default', cfg), ['claude', 'gemini']);
+    assert.equal(resolveChain('gemini', cfg), null);
+    assert.throws(() => resolveChain('fallback:nope', cfg), /Unknown fallback chain/);
+  });
+
+  it('route() runs chains declared in opts', async () => {
+    const { routeDetailed } = await import('../lib/generators/router.js');
+    const { mkdtempSync, rmSync } = await import('node:fs');
+    const { join } = await import('node:path');
+    const { tmpdir } = await import('node:os');
+    const dir = mkdtempSync(join(tmpdir(), 'forge-fallback-test-'));
+    try {
+      const { recordFixture } = await import('../lib/generators/replay.js');
+      await recordFixture(async () => '<html>fixture</html>', 'p', { name: 'b', model: 'gemini', dir });
+      const result = await routeDetailed('p', {
+        model: 'fallback:offline',
+        replay: { name: 'unused', dir },
+        fallback: { chains: { offline: ['replay:a', 'replay:b'] } },
+      });
+      assert.equal(result.html, '<html>fixture</html>');
+      assert.equal(result.model, 'replay:b');
+      assert.equal(result.attempts[0].errorClass, 'unavailable');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ARCHETYPES, classifyIntent, classify, getArchetype, scaffold, loadTemplate, brief } from '../lib/rune/intent.js';
+import { resolveRubric } from '../lib/rune/rules.js';
+import { validate } from '../lib/rune/validator.js';
+import { enhance } from '../lib/rune/enhancer.js';
+import * as history from '../lib/persistence/history.js';
+
+describe('RUNE Intent', () => {
+  it('classifies sentences into archetypes by keyword', () => {
+    const cases = {
+      'Track my cardio for 8 weeks': 'tracker',
+      'Budget dashboard for March': 'dashboard',
+      'Live CPU monitor for my home server': 'monitor',
+      'Marathon training plan': 'planner',
+      'Mortgage calculator with extra payments': 'calculator',
+      'A gratitude journal': 'journal',
+      'Make me something fun': 'app',
+    };
+    for (const [sentence, expected] of Object.entries(cases)) {
+      assert.equal(classifyIntent(sentence).archetype, expected, sentence);
+    }
+    const tracked = classifyIntent('Sleep tracker');
+    assert.deepEqual(tracked.matched, ['track', 'sleep']);
+    assert.equal(tracked.confidence, 1);
+    assert.equal(classifyIntent('Track my cardio for 8 weeks').confidence, 0.67);
+    assert.equal(classifyIntent('').confidence, 0);
+  });
+
+  it('asks a model only when the keywords are not decisive', async () => {
+    const prompts = [];
+    const generate = async (prompt) => { prompts.push(prompt); return 'Planner.'; };
+    const sure = await classify('Water intake tracker', { llm: true, generate });
+    assert.equal(sure.source, 'rules');
+    assert.equal(prompts.length, 0);
+
+    const unsure = await classify('Something for my garden', { llm: true, generate });
+    assert.deepEqual([unsure.archetype, unsure.source], ['planner', 'llm']);
+    assert.match(prompts[0], /Request: "Something for my garden"/);
+    assert.equal((await classify('Something for my garden', { llm: false, generate })).archetype, 'app');
+
+    const failed = await classify('Something for my garden', { llm: true, generate: async () => '<!DOCTYPE html>' });
+    assert.equal(failed.archetype, 'app');
+    assert.match(failed.error, /no archetype/);
+  });
+
+  it('outlines a template without its content', () => {
+    const outline = scaffold(`<html><head><style>:root { --bg: #000; --fg: #fff; }</style></head>
+<body><header class="top bar"><h1>Secret title</h1></header>
+<main id="app"><div class="card">1</div><div class="card">2</div><div class="card">3</div><svg><path d="M0"/></svg></main>
+<script>console.log('x')</script></body></html>`);
+    assert.equal(outline, [':root --bg, --fg', 'body', '  header.top.bar', '    h1', '  main#app', '    div.card ×3', '    svg'].join('\n'));
+    assert.ok(!outline.includes('Secret'));
+  });
+
+  it('briefs each archetype with a scaffold from templates/ where one exists', () => {
+    for (const archetype of ARCHETYPES) {
+      const b = brief(archetype.name);
+      assert.equal(Boolean(b.scaffold), Boolean(archetype.template), archetype.name);
+      assert.doesNotThrow(() => resolveRubric(b.rubric), archetype.name);
+    }
+    assert.match(brief('tracker').scaffold, /canvas#trendChart/);
+    assert.equal(loadTemplate('planner'), null);
+    assert.equal(brief('app').rubric, 'default');
+    assert.throws(() => getArchetype('game'), /Unknown archetype "game" \(expected tracker \| dashboard \| monitor \| planner \| calculator \| journal \| app\)/);
+  });
+
+  it('passes the archetype into enhance() as features and scaffold', () => {
+    const plain = enhance('Track my sleep');
+    assert.match(plain, /If they say "track cardio"/);
+    assert.ok(!plain.includes('layout to start from'));
+
+    const prompt = enhance('Track my sleep', { archetype: brief('tracker') });
+    assert.match(prompt, /This is a tracker app \(logs entries over time and shows progress\)/);
+    assert.match(prompt, /Proven tracker layout to start from[\s\S]*canvas#trendChart[\s\S]*## VISUAL DESIGN/);
+
+    const calc = enhance('Tip calculator', { archetype: brief('calculator') });
+    assert.match(calc, /Results that update as the user types/);
+    assert.ok(!calc.includes('layout to start from'));
+  });
+
+  it('scores a calculator without asking it to persist anything', () => {
+    const html = `<!DOCTYPE html><html lang="en"><head><title>Tip</title></head><body><main><h1>Tip</h1>
+<label for="bill">Bill</label><input id="bill" type="number"><output id="tip"></output></main>
+<script>document.getElementById('bill').addEventListener('input', (e) => { document.getElementById('tip').textContent = e.target.value * 0.15; });</script></body></html>`;
+    const general = validate(html, { config: { validator: {} } });
+    const calculator = validate(html, { config: { validator: {} }, rubric: getArchetype('calculator').rubric });
+    assert.ok(calculator.conatus > general.conatus, `${calculator.conatus} vs ${general.conatus}`);
+    assert.ok(!calculator.issues.some(i => i.includes('localStorage')));
+    assert.ok(validate(html, { config: { validator: {} }, rubric: 'journal' }).issues.includes('A journal app needs this: Persist the user\'s data with localStorage so it survives a reload.'));
+  });
+
+  it('records the archetype with the generation', () => {
+    const id = history.record({ prompt: 'Sleep tracker', model: 'replay:x', provider: 'replay', score: {}, grade: 'B', archetype: 'tracker' });
+    try {
+      assert.equal(history.get(id).archetype, 'tracker');
+    } finally {
+      history.remove(id);
+    }
+  });
+});
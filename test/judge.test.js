@@ -0,0 +1,104 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { buildJudgePrompt, parseVerdict, judge, judgeKey, blend } from '../lib/rune/judge.js';
+import { recordFixture } from '../lib/generators/replay.js';
+import * as store from '../lib/persistence/store.js';
+import * as history from '../lib/persistence/history.js';
+
+const APP = `<!DOCTYPE html><html lang="en"><head><title>Water</title></head>
+<body><main><h1>Water</h1><button id="add">+250 ml</button><p id="total">0 ml</p></main>
+<script>let ml = 0; document.getElementById('add').addEventListener('click', () => { ml += 250; document.getElementById('total').textContent = ml + ' ml'; });</script>
+</body></html>`;
+const INTENT = 'Track my water intake and remind me every hour';
+const VERDICT = { conatus: 6, ratio: 8, laetitia: 3, natura: 7, intent: 4, missing: ['hourly reminders', ' history across days '], summary: 'Counts water but never reminds.' };
+const REPORT = { conatus: 0.6, ratio: 0.8, laetitia: 0.4, natura: 0.6, grade: 'B', issues: ['No CSS transitions or animations'] };
+
+describe('RUNE Judge', () => {
+  const keys = [];
+  after(() => { for (const key of keys) store.del('judgements', key); });
+
+  it('asks for a JSON verdict on the intent and the app', () => {
+    const prompt = buildJudgePrompt(APP, INTENT);
+    assert.ok(prompt.includes(INTENT));
+    assert.ok(prompt.includes('<h1>Water</h1>'));
+    assert.match(prompt, /answer with one JSON object only/);
+    assert.match(buildJudgePrompt(APP, ''), /no intent given/);
+  });
+
+  it('parses verdicts wrapped in fences or prose and rejects unusable ones', () => {
+    const verdict = parseVerdict(`Here is my verdict:\n\`\`\`json\n${JSON.stringify({ ...VERDICT, ratio: 14, laetitia: -2 })}\n\`\`\`\nHope that helps.`);
+    assert.deepEqual(verdict, {
+      conatus: 0.6, ratio: 1, laetitia: 0, natura: 0.7, intent: 0.4,
+      missing: ['hourly reminders', 'history across days'],
+      summary: 'Counts water but never reminds.',
+    });
+    assert.deepEqual(parseVerdict(JSON.stringify({ ...VERDICT, missing: 'none', summary: undefined })).missing, []);
+    assert.throws(() => parseVerdict('<!DOCTYPE html><html></html>'), /Judge returned no JSON verdict/);
+    assert.throws(() => parseVerdict('{ conatus: 5 }'), /not valid JSON/);
+    assert.throws(() => parseVerdict(JSON.stringify({ ...VERDICT, intent: 'most of it' })), /no numeric "intent"/);
+  });
+
+  it('blends the verdict into the report, scaled by intent fulfilment', () => {
+    const verdict = parseVerdict(JSON.stringify(VERDICT));
+    const blended = blend(REPORT, verdict);
+    assert.deepEqual([blended.conatus, blended.ratio, blended.laetitia, blended.natura], [0.6, 0.8, 0.35, 0.65]);
+    // mean 0.6 × (0.5 + 0.5 × 0.4)
+    assert.equal(blended.total, 0.42);
+    assert.equal(blended.grade, 'C');
+    assert.equal(blended.issues.at(-1), 'Missing for the request: hourly reminders; history across days');
+    assert.equal(blended.judge, verdict);
+
+    assert.equal(blend(REPORT, verdict, { weight: 0 }).total, 0.6);
+    assert.equal(blend(REPORT, null).total, 0.6);
+    assert.equal(blend(REPORT, null).grade, 'B');
+    assert.deepEqual(blend(REPORT, { ...verdict, missing: [] }).issues, REPORT.issues);
+  });
+
+  it('caches verdicts by model, intent and code', async () => {
+    const calls = [];
+    const generate = async (prompt, opts) => { calls.push(opts); return JSON.stringify(VERDICT); };
+    keys.push(judgeKey(APP, INTENT, 'judge-test'), judgeKey(APP, 'Track water', 'judge-test'));
+    for (const key of keys) store.del('judgements', key);
+
+    const first = await judge(APP, { intent: INTENT, model: 'judge-test', generate });
+    const second = await judge(APP, { intent: INTENT, model: 'judge-test', generate });
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.intent, 0.4);
+    assert.equal(calls.length, 1);
+    assert.deepEqual([calls[0].model, calls[0].partial, calls[0].continuation, calls[0].temperature], ['judge-test', true, false, 0]);
+
+    await judge(APP, { intent: 'Track water', model: 'judge-test', generate });
+    await judge(APP, { intent: INTENT, model: 'judge-test', generate, cache: false });
+    assert.equal(calls.length, 3);
+  });
+
+  it('judges offline from replay fixtures', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'forge-judge-replay-'));
+    try {
+      const target = { name: 'judge', model: 'ollama', dir };
+      await recordFixture(async () => `\`\`\`json\n${JSON.stringify(VERDICT)}\n\`\`\``, buildJudgePrompt(APP, INTENT), target);
+      const verdict = await judge(APP, { intent: INTENT, model: 'ollama', replay: { ...target, mode: 'replay' }, cache: false });
+      assert.equal(verdict.summary, VERDICT.summary);
+      assert.equal(verdict.model, 'ollama');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('records the verdict with the generation', () => {
+    const verdict = parseVerdict(JSON.stringify(VERDICT));
+    const id = history.record({ prompt: INTENT, model: 'ollama', provider: 'ollama', score: 0.42, grade: 'C', code: APP, judge: verdict });
+    try {
+      assert.deepEqual(history.get(id).judge, verdict);
+      const plain = history.record({ prompt: INTENT, model: 'ollama', provider: 'ollama', score: 0.6, grade: 'B' });
+      assert.equal(history.get(plain).judge, null);
+      history.remove(plain);
+    } finally {
+      history.remove(id);
+    }
+  });
+});
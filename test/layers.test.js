@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { loadLayers, parseLayerFile, normalizeOverride, applyOverrides, blockId } from '../lib/rune/layers.js';
+import { compose, enhance } from '../lib/rune/enhancer.js';
+import { parseCommand } from '../lib/cli/commands.js';
+
+function workspace(files) {
+  const root = mkdtempSync(join(tmpdir(), 'forge-layers-'));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(join(root, path, '..'), { recursive: true });
+    writeFileSync(join(root, path), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+describe('RUNE Layers', () => {
+  it('builds the default prompt from the built-in blocks', () => {
+    const { prompt, blocks } = compose('Track my sleep');
+    assert.deepEqual(blocks.map(b => b.id), ['role', 'intent', 'requirements', 'runtime', 'context', 'analysis', 'safety', 'architecture', 'design', 'validation', 'output']);
+    assert.ok(blocks.every(b => b.sources.join() === 'builtin' && !b.disabled));
+    assert.equal(prompt, enhance('Track my sleep'));
+    assert.match(prompt, /^You are an expert frontend developer[\s\S]*\n\n## USER INTENT\n"Track my sleep"\n\n## REQUIREMENTS/);
+  });
+
+  it('reads overrides from config and front matter', () => {
+    assert.deepEqual(normalizeOverride('L3', '- Never log PII ', 'x'), { id: 'safety', mode: 'replace', text: '- Never log PII', source: 'x' });
+    assert.equal(normalizeOverride('validation', false, 'x').mode, 'disable');
+    assert.deepEqual(
+      parseLayerFile('---\nmode: append\ntitle: SAFETY (L3: House rules)\n---\n- Always include CSV export\n', 'safety', 'f'),
+      { id: 'safety', mode: 'append', text: '- Always include CSV export', title: 'SAFETY (L3: House rules)', source: 'f' },
+    );
+    assert.equal(parseLayerFile('Just text', 'design', 'f').mode, 'replace');
+    assert.throws(() => blockId('colors'), /Unknown RUNE block "colors" \(expected role \| intent \| requirements .* \| output, or L0–L7\)/);
+    assert.throws(() => normalizeOverride('design', { mode: 'merge', text: 'x' }, '.forgerc.json'), /Unknown layer mode "merge" in \.forgerc\.json \(expected replace \| append \| prepend \| disable\)/);
+  });
+
+  it('applies overrides in order and keeps their sources', () => {
+    const block = { id: 'safety', title: 'SAFETY (L3)', text: '- Sanitize' };
+    const resolved = applyOverrides(block, [
+      { id: 'safety', mode: 'append', text: '- No PII', source: 'a' },
+      { id: 'design', mode: 'replace', text: 'ignored', source: 'b' },
+      { id: 'safety', mode: 'prepend', text: '- First', source: 'c' },
+    ]);
+    assert.equal(resolved.text, '- First\n- Sanitize\n- No PII');
+    assert.deepEqual(resolved.sources, ['builtin', 'a (append)', 'c (prepend)']);
+    const replaced = applyOverrides(block, [{ id: 'safety', mode: 'append', text: '- No PII', source: 'a' }, { id: 'safety', mode: 'replace', text: '- Ours', source: 'd' }]);
+    assert.deepEqual([replaced.text, replaced.sources], ['- Ours', ['d']]);
+  });
+
+  it('layers user, workspace and persona overrides and extra styles', () => {
+    const home = workspace({
+      '.forgerc.json': { rune: { layers: { safety: { mode: 'append', text: '- Never log PII' } }, styles: { brand: { palette: ['#0b3d91', '#ffffff'], font: 'Inter', vibe: 'calm, corporate' } } } },
+      '.forge/layers/output.md': '---\nmode: disable\n---\n',
+    });
+    const dir = workspace({
+      '.forgerc.json': { rune: { personas: { zen: { design: 'Muted earth tones only.' } } } },
+      '.forge/layers/safety.md': '---\nmode: append\n---\n- Always include CSV export\n',
+      '.forge/layers/zen/L6.md': 'Check that nothing is superfluous.',
+    });
+    try {
+      const plain = loadLayers({ home, dir });
+      assert.deepEqual(plain.overrides.map(o => [o.id, o.source]), [['safety', '~/.forgerc.json'], ['output', '~/.forge/layers/output.md'], ['safety', join(dir, '.forge', 'layers', 'safety.md')]]);
+      const zen = loadLayers({ home, dir, persona: 'zen' });
+      assert.deepEqual(zen.overrides.slice(3).map(o => o.id), ['design', 'validation']);
+
+      const { prompt, blocks } = compose('Budget app', { style: 'brand', layers: zen });
+      assert.match(prompt, /## SAFETY \(L3\)\n- Sanitize all user inputs[\s\S]*- Never log PII\n- Always include CSV export\n\n## ARCHITECTURE/);
+      assert.match(prompt, /## VISUAL DESIGN \(L5\)\nMuted earth tones only\.\n\n## VALIDATION \(L6 — Spinoza\)\nCheck that nothing is superfluous\.$/);
+      assert.ok(!prompt.includes('OUTPUT FORMAT'));
+      assert.deepEqual(blocks.find(b => b.id === 'design').sources, [`${join(dir, '.forgerc.json')} (persona zen)`]);
+      assert.match(compose('Budget app', { style: 'brand', layers: plain }).prompt, /Color palette: #0b3d91, #ffffff\nFont: Inter/);
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads ~ once when it is also the workspace and skips notes beside the layers', () => {
+    const home = workspace({
+      '.forgerc.json': { rune: { layers: { safety: { mode: 'append', text: '- Never log PII' } } } },
+      '.forge/layers/L6.md': '---\nmode: prepend\n---\nBe brief.',
+      '.forge/layers/README.md': 'One file per block.',
+    });
+    try {
+      const warnings = [];
+      const { overrides } = loadLayers({ home, dir: join(home, '.'), onWarn: (message) => warnings.push(message) });
+      assert.deepEqual(overrides.map(o => [o.id, o.source]), [['safety', '~/.forgerc.json'], ['validation', '~/.forge/layers/L6.md']]);
+      assert.deepEqual(warnings, ['Skipping ~/.forge/layers/README.md: not a RUNE block (expected role | intent | requirements | runtime | context | live | analysis | examples | safety | architecture | design | validation | output, or L0–L7)']);
+      assert.equal((compose('Budget app', { layers: { overrides } }).prompt.match(/Never log PII/g) || []).length, 1);
+    } finally {
+      rmSync(home, { recursive: true, force: true });
+    }
+  });
+
+  it('routes forge rune as a subcommand', () => {
+    assert.deepEqual(parseCommand(['rune', 'show', 'Sleep']), { command: 'rune', args: ['show', 'Sleep'] });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, request } from 'node:http';
+import { SOURCES, resolveSources, createLiveContext, liveText } from '../lib/context/live.js';
+import { compose } from '../lib/rune/enhancer.js';
+
+const fakeSources = (reads) => ({
+  steps: {
+    description: 'Steps today',
+    ttl: 60_000,
+    schema: { steps: 'number' },
+    read: () => { reads.push('steps'); return { steps: 1000 * reads.length }; },
+  },
+  broken: {
+    description: 'Always fails',
+    ttl: 60_000,
+    schema: {},
+    read: async () => { throw new Error('sensor offline'); },
+  },
+});
+
+async function serve(live, fn) {
+  const server = createServer((req, res) => {
+    if (!live.handle(req, res)) { res.writeHead(404); res.end(); }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    return await fn(`http://localhost:${server.address().port}`);
+  } finally {
+    live.close();
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe('Live context', () => {
+  it('resolves source names', () => {
+    assert.deepEqual(resolveSources(true), ['health', 'portfolio', 'system']);
+    assert.deepEqual(resolveSources('all'), Object.keys(SOURCES));
+    assert.deepEqual(resolveSources(' health, system,health'), ['health', 'system']);
+    assert.deepEqual(resolveSources(undefined), []);
+    assert.throws(() => resolveSources(['weather']), /Unknown live source "weather" \(expected health \| portfolio \| system\)/);
+  });
+
+  it('caches snapshots and shares concurrent reads', async () => {
+    const reads = [];
+    const live = createLiveContext({ sources: fakeSources(reads) });
+    const [a, b] = await Promise.all([live.read('steps'), live.read('steps')]);
+    assert.deepEqual([a.data, a.cached, b.cached, reads.length], [{ steps: 1000 }, false, false, 1]);
+    const again = await live.read('steps');
+    assert.deepEqual([again.cached, again.updatedAt], [true, a.updatedAt]);
+    assert.deepEqual((await live.read('steps', { fresh: true })).data, { steps: 2000 });
+    await assert.rejects(live.read('broken'), /sensor offline/);
+  });
+
+  it('serves read-only JSON endpoints', async () => {
+    const live = createLiveContext({ sources: fakeSources([]), origins: ['http://localhost:3456'] });
+    await serve(live, async (base) => {
+      const index = await (await fetch(`${base}/api/context`)).json();
+      assert.deepEqual(index.sources.map(s => [s.name, s.url, s.events]), [
+        ['steps', '/api/context/steps', '/api/context/steps/events'],
+        ['broken', '/api/context/broken', '/api/context/broken/events'],
+      ]);
+
+      const res = await fetch(`${base}/api/context/steps`);
+      assert.equal(res.headers.get('access-control-allow-origin'), null);
+      assert.deepEqual({ ...(await res.json()), updatedAt: null }, { source: 'steps', data: { steps: 1000 }, updatedAt: null, cached: false });
+      assert.equal((await (await fetch(`${base}/api/context/steps`)).json()).cached, true);
+
+      assert.equal((await fetch(`${base}/api/context/broken`)).status, 502);
+      const missing = await fetch(`${base}/api/context/weather`);
+      assert.deepEqual([missing.status, (await missing.json()).error], [404, 'Unknown live source "weather" (expected steps | broken)']);
+      assert.equal((await fetch(`${base}/api/context/steps`, { method: 'POST' })).status, 405);
+      assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+    });
+  });
+
+  it('shares the data only with the serve origin, and with file:// apps on request', async () => {
+    const live = createLiveContext({ sources: fakeSources([]), origins: ['http://localhost:3456'] });
+    await serve(live, async (base) => {
+      const from = (origin, path = '/api/context/steps') => fetch(`${base}${path}`, { headers: { Origin: origin } });
+      const own = await from('http://localhost:3456');
+      assert.deepEqual([own.status, own.headers.get('access-control-allow-origin')], [200, 'http://localhost:3456']);
+      for (const origin of ['https://evil.example', 'null']) {
+        const res = await from(origin);
+        assert.deepEqual([res.status, res.headers.get('access-control-allow-origin')], [403, null]);
+        assert.equal((await from(origin, '/api/context/steps/events')).status, 403);
+      }
+    });
+
+    const opened = createLiveContext({ sources: fakeSources([]), allowNull: true });
+    await serve(opened, async (base) => {
+      const res = await fetch(`${base}/api/context/steps`, { headers: { Origin: 'null' } });
+      assert.deepEqual([res.status, res.headers.get('access-control-allow-origin')], [200, 'null']);
+      const controller = new AbortController();
+      const stream = await fetch(`${base}/api/context/steps/events`, { headers: { Origin: 'null' }, signal: controller.signal });
+      assert.equal(stream.headers.get('access-control-allow-origin'), 'null');
+      controller.abort();
+    });
+  });
+
+  it('answers only to its own Host names', async () => {
+    let live;
+    const server = createServer((req, res) => live.handle(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    live = createLiveContext({ sources: fakeSources([]), hosts: [`localhost:${port}`, `127.0.0.1:${port}`] });
+    const as = (host) => new Promise((resolve, reject) => {
+      request({ host: '127.0.0.1', port, path: '/api/context/steps', headers: { Host: host } }, (res) => {
+        let body = '';
+        res.on('data', (c) => { body += c; });
+        res.on('end', () => resolve([res.statusCode, JSON.parse(body).error]));
+      }).on('error', reject).end();
+    });
+    try {
+      assert.deepEqual(await as(`127.0.0.1:${port}`), [200, undefined]);
+      assert.deepEqual(await as(`LOCALHOST:${port}`), [200, undefined]);
+      assert.deepEqual(await as(`rebound.evil.example:${port}`), [403, `Host rebound.evil.example:${port} is not this server`]);
+      assert.deepEqual(await as('localhost:80'), [403, 'Host localhost:80 is not this server']);
+    } finally {
+      live.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('streams a snapshot to SSE subscribers', async () => {
+    const live = createLiveContext({ sources: fakeSources([]) });
+    await serve(live, async (base) => {
+      const controller = new AbortController();
+      const res = await fetch(`${base}/api/context/steps/events`, { signal: controller.signal });
+      assert.equal(res.headers.get('content-type'), 'text/event-stream');
+      const reader = res.body.getReader();
+      let text = '';
+      while (!text.includes('\n\n')) text += new TextDecoder().decode((await reader.read()).value);
+      controller.abort();
+      const [event, data] = text.trim().split('\n');
+      assert.equal(event, 'event: snapshot');
+      assert.deepEqual(JSON.parse(data.slice('data: '.length)).data, { steps: 1000 });
+    });
+  });
+
+  it('describes the endpoints and their schemas to the model', () => {
+    const text = liveText(['health'], { base: 'http://localhost:4000' });
+    assert.match(text, /- GET http:\/\/localhost:4000\/api\/context\/health — Apple Health snapshot[^\n]*refreshed every 5 min\. data:\n {4}steps: number\|null/);
+    assert.match(text, /new EventSource\(url \+ '\/events'\)/);
+    assert.equal(liveText([]), '');
+
+    const { prompt, blocks } = compose('Morning readiness dashboard', { live: 'health,system' });
+    assert.deepEqual(blocks.map(b => b.id).slice(4, 7), ['context', 'live', 'analysis']);
+    assert.match(prompt, /## LIVE DATA\nThe local Forge server provides live, read-only data[\s\S]*localhost:3456\/api\/context\/health[\s\S]*\/api\/context\/system/);
+    assert.doesNotMatch(prompt, /portfolio/);
+    assert.doesNotMatch(compose('Morning readiness dashboard').prompt, /LIVE DATA/);
+  });
+});
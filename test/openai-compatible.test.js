@@ -0,0 +1,118 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  parseCompatModel, resolveEndpoint, listCompatModels, generate,
+} from '../lib/generators/openai-compatible.js';
+import { stream } from '../lib/streaming/handler.js';
+import { generateWithContinuation } from '../lib/generators/continuation.js';
+import { detectProvider } from '../lib/rune/system-instruction.js';
+
+const HTML = '<!DOCTYPE html><html><body>local</body></html>';
+
+describe('OpenAI-Compatible Provider', () => {
+  let server;
+  let endpoints;
+  const seen = [];
+
+  before(async () => {
+    server = createServer((req, res) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c));
+      req.on('end', () => {
+        const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+        seen.push({ url: req.url, auth: req.headers.authorization, body });
+
+        if (body.model === 'stalled') {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.flushHeaders();
+          return;
+        }
+        if (body.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (const part of [HTML.slice(0, 20), HTML.slice(20)]) {
+            res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: part } }] })}\n\n`);
+          }
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: body.model === 'cut-off' ? 'length' : 'stop' }] })}\n\n`);
+          res.end('data: [DONE]\n\n');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: '```html\n' + HTML + '\n```' } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    const baseUrl = `http://localhost:${server.address().port}/v1/`;
+    process.env.FORGE_TEST_COMPAT_KEY = 'sk-local';
+    endpoints = {
+      lmstudio: { baseUrl, models: { default: 'qwen2.5-coder-32b', small: 'qwen2.5-coder-7b' } },
+      vllm: { baseUrl, apiKeyEnv: 'FORGE_TEST_COMPAT_KEY', model: 'llama-70b', stream: true },
+    };
+  });
+
+  after(() => {
+    delete process.env.FORGE_TEST_COMPAT_KEY;
+    server.closeAllConnections?.();
+    server.close();
+  });
+
+  it('parses compat model strings and detects the provider', () => {
+    assert.deepEqual(parseCompatModel('compat:vllm'), { endpoint: 'vllm', model: null });
+    assert.deepEqual(parseCompatModel('compat:lmstudio:org/model:q4'), { endpoint: 'lmstudio', model: 'org/model:q4' });
+    assert.equal(parseCompatModel('gemini'), null);
+    assert.equal(detectProvider('compat:lmstudio:llama3'), 'openai-compatible');
+  });
+
+  it('maps aliases to server model names', () => {
+    assert.equal(resolveEndpoint('compat:lmstudio', endpoints).model, 'qwen2.5-coder-32b');
+    assert.equal(resolveEndpoint('compat:lmstudio:small', endpoints).model, 'qwen2.5-coder-7b');
+    assert.equal(resolveEndpoint('compat:lmstudio:custom-gguf', endpoints).model, 'custom-gguf');
+    assert.equal(resolveEndpoint('compat:vllm', endpoints).apiKey, 'sk-local');
+    assert.throws(() => resolveEndpoint('compat:nope', endpoints), { code: 'config' });
+  });
+
+  it('lists selectable models', () => {
+    assert.deepEqual(listCompatModels(endpoints), ['compat:lmstudio', 'compat:lmstudio:small', 'compat:vllm']);
+  });
+
+  it('generates via chat completions', async () => {
+    const html = await generate('a timer', { model: 'compat:lmstudio:small', endpoints });
+    assert.equal(html, HTML);
+    const req = seen.at(-1);
+    assert.equal(req.url, '/v1/chat/completions');
+    assert.equal(req.body.model, 'qwen2.5-coder-7b');
+    assert.equal(req.auth, undefined);
+  });
+
+  it('streams when the endpoint asks for it', async () => {
+    const chunks = [];
+    const html = await generate('a timer', { model: 'compat:vllm', endpoints, onChunk: c => chunks.push(c) });
+    assert.equal(html, HTML);
+    assert.equal(chunks.length, 2);
+    assert.equal(seen.at(-1).auth, 'Bearer sk-local');
+  });
+
+  it('reports the finish reason of streamed responses', async () => {
+    const reasons = [];
+    await generate('a timer', { model: 'compat:vllm', endpoints, onFinishReason: r => reasons.push(r) });
+    assert.deepEqual(reasons, ['stop']);
+
+    const cut = { ...endpoints, cut: { baseUrl: endpoints.vllm.baseUrl, model: 'cut-off', stream: true } };
+    const result = await generateWithContinuation('a timer', generate, { model: 'compat:cut', endpoints: cut, maxRounds: 0 });
+    assert.equal(result.truncation, 'finish-reason');
+  });
+
+  it('times out and cancels stalled streams', async () => {
+    const stalled = { ...endpoints, stalled: { baseUrl: endpoints.vllm.baseUrl, model: 'stalled', stream: true } };
+    await assert.rejects(generate('a timer', { model: 'compat:stalled', endpoints: stalled, timeoutMs: 50 }), { code: 'timeout' });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(generate('a timer', { model: 'compat:stalled', endpoints: stalled, signal: controller.signal }), { code: 'aborted' });
+  });
+
+  it('streaming handler routes compat models', async () => {
+    const html = await stream('a timer', 'compat:lmstudio', { endpoints });
+    assert.equal(html, HTML);
+    assert.equal(seen.at(-1).body.model, 'qwen2.5-coder-32b');
+  });
+});
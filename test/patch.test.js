@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEdits, applyEdits, applyPatch, revertPatch, formatPatch } from '../lib/iterate/patch.js';
+import { refineOnce, refine } from '../lib/iterate/refiner.js';
+
+const APP = `<!DOCTYPE html>
+<html>
+<head><title>Todo</title></head>
+<body>
+  <main>
+    <button id="add">Add</button>
+    <ul id="list"></ul>
+  </main>
+  <script>
+    document.getElementById('add').onclick = () => {};
+  </script>
+</body>
+</html>`;
+
+const BLOCKS = `Here you go:
+<<<<<<< SEARCH
+    <button id="add">Add</button>
+=======
+    <button id="add" aria-label="Add item">Add</button>
+>>>>>>> REPLACE
+
+<<<<<<< SEARCH
+<head><title>Todo</title></head>
+=======
+<head><title>Todo</title><style>:root { --accent: #0ff; }</style></head>
+>>>>>>> REPLACE`;
+
+const DIFF = `--- a/index.html
++++ b/index.html
+@@ -5,3 +5,4 @@
+   <main>
+     <button id="add">Add</button>
++    <input id="item" placeholder="New item">
+     <ul id="list"></ul>
+`;
+
+describe('Patch', () => {
+  it('parses SEARCH/REPLACE blocks', () => {
+    const { format, edits } = parseEdits(BLOCKS);
+    assert.equal(format, 'search-replace');
+    assert.equal(edits.length, 2);
+    assert.equal(edits[0].search, '    <button id="add">Add</button>');
+  });
+
+  it('parses unified diff hunks into context-anchored edits', () => {
+    const { format, edits } = parseEdits(DIFF);
+    assert.equal(format, 'diff');
+    assert.equal(edits.length, 1);
+    assert.ok(edits[0].search.startsWith('  <main>\n    <button'));
+    assert.ok(edits[0].replace.includes('<input id="item"'));
+    assert.ok(!edits[0].search.includes('<input'));
+  });
+
+  it('returns no edits for a full-file answer', () => {
+    assert.deepEqual(parseEdits(APP), { format: null, edits: [] });
+  });
+
+  it('applies edits and rejects missing or ambiguous ones', () => {
+    const result = applyEdits(APP, [
+      { search: '<ul id="list"></ul>', replace: '<ol id="list"></ol>' },
+      { search: '<canvas>', replace: '<canvas id="c">' },
+      { search: 'id=', replace: 'data-id=' },
+      { search: '', replace: 'x' },
+    ]);
+    assert.ok(result.html.includes('<ol id="list"></ol>'));
+    assert.deepEqual(result.applied.map(e => e.search), ['<ul id="list"></ul>']);
+    assert.deepEqual(result.rejected.map(e => e.reason), ['not-found', 'ambiguous', 'empty-search']);
+  });
+
+  it('records patches that revert to the exact original', () => {
+    const first = applyPatch(APP, DIFF);
+    assert.equal(first.patch.format, 'diff');
+    const second = applyPatch(first.html, BLOCKS);
+    assert.equal(second.patch.edits.length, 2);
+
+    assert.equal(revertPatch(first.html, first.patch), APP);
+    assert.equal(revertPatch(revertPatch(second.html, second.patch), first.patch), APP);
+    assert.throws(() => revertPatch(APP, second.patch), /does not match/);
+    assert.ok(formatPatch(second.patch).includes('+    <button id="add" aria-label="Add item">Add</button>'));
+  });
+
+  it('applies nothing when no edit matches', () => {
+    const result = applyPatch(APP, '<<<<<<< SEARCH\nnope\n=======\nyes\n>>>>>>> REPLACE');
+    assert.equal(result.patch, null);
+    assert.equal(result.html, APP);
+    assert.equal(result.rejected[0].reason, 'not-found');
+  });
+});
+
+describe('Patch Refinement', () => {
+  it('asks for edits and applies them without regenerating', async () => {
+    const calls = [];
+    const generate = async (prompt, opts) => { calls.push(opts); return BLOCKS; };
+    const step = await refineOnce(APP, { mode: 'patch', generate });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].partial, true);
+    assert.equal(step.mode, 'patch');
+    assert.equal(step.fellBack, false);
+    assert.ok(step.code.includes('aria-label="Add item"'));
+    assert.equal(revertPatch(step.code, step.patch), APP);
+  });
+
+  it('falls back to full regeneration when no edit applies', async () => {
+    const prompts = [];
+    const generate = async (prompt) => {
+      prompts.push(prompt);
+      return prompts.length === 1 ? '<<<<<<< SEARCH\nmissing\n=======\nx\n>>>>>>> REPLACE' : APP.replace('Todo', 'Todos');
+    };
+    const step = await refineOnce(APP, { mode: 'patch', issues: ['Add a counter'], generate });
+    assert.equal(prompts.length, 2);
+    assert.ok(prompts[0].includes('SEARCH/REPLACE'));
+    assert.ok(prompts[1].includes('Return the COMPLETE updated HTML file'));
+    assert.ok(prompts[1].includes('- Add a counter'));
+    assert.equal(step.mode, 'full');
+    assert.equal(step.fellBack, true);
+    assert.equal(step.rejected.length, 1);
+    assert.ok(step.code.includes('Todos'));
+  });
+
+  it('full mode never asks for edits', async () => {
+    const prompts = [];
+    const step = await refineOnce(APP, { mode: 'full', generate: async (p) => { prompts.push(p); return APP; } });
+    assert.equal(prompts.length, 1);
+    assert.equal(step.fellBack, false);
+  });
+
+  it('refine() returns the patch log of kept rounds', async () => {
+    const result = await refine(APP, { mode: 'patch', maxRounds: 1, threshold: 1, generate: async () => BLOCKS });
+    assert.equal(result.rounds, 1);
+    assert.equal(result.patches.length, 1);
+    assert.equal(revertPatch(result.code, result.patches[0]), APP);
+  });
+});
@@ -10,3 +10,26 @@ describe('pipeline', () => {
     assert.equal(typeof mod.quick, 'function');
   });
 });
+
+describe('pipeline output', () => {
+  it('carries the window.forge runtime it prompted for', async () => {
+    const { pipeline } = await import('../lib/pipeline/full.js');
+    const { registerProvider, resetRegistry } = await import('../lib/generators/registry.js');
+    const { extractRuntime } = await import('../lib/renderer/runtime.js');
+    const { smokeTest } = await import('../lib/rune/smoke.js');
+    const APP = '<!DOCTYPE html><html><head><title>Water</title></head><body><p id="n"></p><script>document.getElementById(\'n\').textContent = forge.storage.get(\'ml\', 0);</script></body></html>';
+    registerProvider({ name: 'canned', match: /^canned$/, generate: async () => APP }, { source: 'test' });
+    try {
+      const opts = { model: 'canned', iterate: false, persist: false, judge: false, examples: false };
+      const { html } = await pipeline('Water tracker', opts);
+      assert.deepEqual(extractRuntime(html), { html: APP, app: 'water-tracker' });
+      const run = await smokeTest(html, { runtime: false });
+      assert.deepEqual([run.errors, run.unsupported], [[], []]);
+
+      const bare = await pipeline('Water tracker', { ...opts, runtime: false });
+      assert.equal(bare.html, APP);
+    } finally {
+      resetRegistry();
+    }
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  providerFor, resolveAlias, costFor, capabilities, registerProvider, registerModel,
+  listProviders, resetRegistry, DEFAULT_COST,
+} from '../lib/generators/registry.js';
+import { detectProvider } from '../lib/rune/system-instruction.js';
+import { route } from '../lib/generators/router.js';
+import { discover, clear } from '../lib/plugins/registry.js';
+
+describe('Provider Registry', () => {
+  afterEach(() => resetRegistry());
+
+  it('detects providers the same way the old regexes did', () => {
+    const cases = {
+      gemini: 'gemini', 'gemini-3-pro-preview': 'gemini', claude: 'claude', opus: 'claude',
+      'claude-opus': 'claude', 'claude-haiku': 'claude', 'gpt-4o': 'openai', o3: 'openai',
+      grok: 'grok', deepseek: 'deepseek', 'deepseek-coder-v2': 'deepseek', llama3: 'ollama',
+      'ollama/llama3': 'ollama', 'anthropic-direct': 'anthropic-direct', 'compat:lmstudio': 'openai-compatible',
+      'replay:demo': 'replay', 'fallback:default': 'fallback', mystery: 'unknown',
+    };
+    for (const [model, provider] of Object.entries(cases)) {
+      assert.equal(detectProvider(model), provider, model);
+    }
+  });
+
+  it('resolves aliases per provider', () => {
+    assert.equal(resolveAlias('claude-opus', 'claude'), 'claude-opus-4-6-thinking');
+    assert.equal(resolveAlias('claude-opus', 'anthropic-direct'), 'claude-opus-4-6');
+    assert.equal(resolveAlias('deepseek', 'ollama'), 'deepseek-coder-v2');
+    assert.equal(resolveAlias('custom', 'gemini'), 'custom');
+  });
+
+  it('prices models from the registry', () => {
+    assert.deepEqual(costFor('gpt-4o'), { input: 2.50, output: 10.00 });
+    assert.deepEqual(costFor('claude-sonnet-4-5'), { input: 3.00, output: 15.00 });
+    assert.deepEqual(costFor('ollama/llama3'), { input: 0, output: 0 });
+    assert.deepEqual(costFor('compat:lmstudio'), { input: 0, output: 0 });
+    assert.deepEqual(costFor('mystery'), DEFAULT_COST);
+  });
+
+  it('reports capabilities', () => {
+    const caps = capabilities('gemini');
+    assert.equal(caps.id, 'gemini-2.0-flash');
+    assert.equal(caps.streaming, true);
+    assert.equal(caps.offline, false);
+    assert.deepEqual(caps.env, ['GEMINI_API_KEY']);
+    assert.ok(caps.contextWindow > caps.maxOutput);
+    assert.equal(capabilities('qwen').offline, true);
+  });
+
+  it('accepts new providers and models', async () => {
+    registerProvider({
+      name: 'together', match: /^together\//, env: ['TOGETHER_API_KEY'],
+      models: [{ id: 'together/llama-3-70b', aliases: ['together-llama'], cost: { input: 0.9, output: 0.9 } }],
+      generate: async (prompt, opts) => `<html>${opts.model}</html>`,
+    }, { source: 'test' });
+    registerModel('ollama', { id: 'my-finetune:7b', aliases: ['mine'] }, { source: 'test' });
+
+    assert.equal(providerFor('together-llama'), 'together');
+    assert.equal(providerFor('mine'), 'ollama');
+    assert.equal(resolveAlias('mine', 'ollama'), 'my-finetune:7b');
+    assert.equal(await route('x', { model: 'together-llama', replay: null, fallback: null }), '<html>together-llama</html>');
+  });
+
+  it('plugins register and unregister models', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'forge-registry-plugins-'));
+    try {
+      writeFileSync(join(dir, 'extra-models.js'), `export default {
+        name: 'extra-models',
+        models: { grok: [{ id: 'grok-5', aliases: ['grok-next'], cost: { input: 1, output: 2 } }] },
+      };`);
+      await discover({ dir });
+      assert.equal(resolveAlias('grok-next', 'grok'), 'grok-5');
+      assert.ok(listProviders().find(p => p.name === 'grok').models.some(m => m.id === 'grok-5'));
+      await clear();
+      assert.equal(resolveAlias('grok-next', 'grok'), 'grok-next');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  parseReplayModel, replayFromConfig, fixtureKey, recordFixture, replayFixture, listFixtures,
+} from '../lib/generators/replay.js';
+import { route } from '../lib/generators/router.js';
+import { detectProvider } from '../lib/rune/system-instruction.js';
+
+describe('Replay Provider', () => {
+  let dir;
+  const fakeGenerator = async (prompt, opts) => `<!DOCTYPE html><html><body>${opts.model}: ${prompt}</body></html>`;
+
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'forge-replay-test-')); });
+  after(() => { rmSync(dir, { recursive: true, force: true }); });
+
+  it('parses replay and record model strings', () => {
+    assert.deepEqual(parseReplayModel('replay:demo'), { mode: 'replay', name: 'demo', model: null });
+    assert.deepEqual(parseReplayModel('record:demo:gemini'), { mode: 'record', name: 'demo', model: 'gemini' });
+    assert.equal(parseReplayModel('gemini'), null);
+  });
+
+  it('normalizes config values', () => {
+    assert.deepEqual(replayFromConfig('ci'), { mode: 'replay', name: 'ci', model: null });
+    assert.equal(replayFromConfig({ name: 'ci', mode: 'record' }).mode, 'record');
+    assert.equal(replayFromConfig(null), null);
+  });
+
+  it('keys fixtures by model and prompt', () => {
+    assert.equal(fixtureKey('gemini', 'a'), fixtureKey('gemini', 'a'));
+    assert.notEqual(fixtureKey('gemini', 'a'), fixtureKey('claude', 'a'));
+  });
+
+  it('records then replays a response', async () => {
+    const recorded = await recordFixture(fakeGenerator, 'Track water', { name: 'demo', model: 'gemini', dir });
+    const replayed = await replayFixture('Track water', { name: 'demo', dir });
+    assert.equal(replayed, recorded);
+    assert.equal(listFixtures('demo', dir).length, 1);
+  });
+
+  it('reports a clear miss error', async () => {
+    await assert.rejects(() => replayFixture('Never recorded', { name: 'demo', dir }), (err) => {
+      assert.equal(err.code, 'replay-miss');
+      assert.match(err.message, /Replay miss in set "demo"/);
+      return true;
+    });
+  });
+
+  it('route() serves replay:<name> models offline', async () => {
+    const html = await route('Track water', { model: 'replay:demo', replay: { name: 'unused', dir } });
+    assert.match(html, /gemini: Track water/);
+  });
+
+  it('route() honours replay config without a prefixed model', async () => {
+    const html = await route('Track water', { model: 'gemini', replay: { name: 'demo', dir } });
+    assert.match(html, /Track water/);
+  });
+
+  it('detectProvider recognises replay models', () => {
+    assert.equal(detectProvider('replay:demo'), 'replay');
+    assert.equal(detectProvider('record:demo:gemini'), 'replay');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, createIndex, indexHistory, retrieve, entryScore } from '../lib/persistence/retrieval.js';
+import { excerpt, findExamples } from '../lib/rune/examples.js';
+import { compose } from '../lib/rune/enhancer.js';
+import { estimateTokens } from '../lib/rune/budget.js';
+import * as history from '../lib/persistence/history.js';
+
+const APP = (accent) => `<!DOCTYPE html><html><head><style>:root { --bg: #0a0a0f; --accent: ${accent}; }</style></head>
+<body><header class="top"><h1>Tracker</h1></header><main id="app"><form id="log"><input id="amount"></form><canvas id="chart"></canvas></main></body></html>`;
+
+const ENTRIES = [
+  { id: 'water', prompt: 'Water intake tracker with daily goal', grade: 'S', score: 0.91, archetype: 'tracker', timestamp: '2026-01-03' },
+  { id: 'water-old', prompt: 'Water intake tracker with daily goal', grade: 'A', score: 0.74, archetype: 'tracker', timestamp: '2026-01-01' },
+  { id: 'sleep', prompt: 'Sleep tracker', grade: 'A', score: { conatus: 0.8, ratio: 0.8, laetitia: 0.7, natura: 0.7 }, archetype: 'tracker', timestamp: '2026-01-02' },
+  { id: 'budget', prompt: 'Budget dashboard for March', grade: 'S', score: 0.9, archetype: 'dashboard', timestamp: '2026-01-04' },
+  { id: 'weak', prompt: 'Water reminder', grade: 'C', score: 0.45, timestamp: '2026-01-05' },
+  { id: 'nocode', prompt: 'Water bottle log', grade: 'S', score: 0.95, timestamp: '2026-01-06' },
+];
+const CODE = { water: APP('#06b6d4'), 'water-old': APP('#f00'), sleep: APP('#7c3aed'), budget: APP('#0f0'), weak: APP('#000') };
+const getCode = (id) => CODE[id];
+
+describe('Retrieval', () => {
+  it('tokenizes intents into index terms', () => {
+    assert.deepEqual(tokenize('Build me a Water-intake tracker for my runs'), ['water', 'intake', 'tracker', 'run']);
+    assert.deepEqual(tokenize(''), []);
+  });
+
+  it('ranks documents with BM25', () => {
+    const index = createIndex([
+      { id: 'a', text: 'water intake tracker' },
+      { id: 'b', text: 'sleep tracker' },
+      { id: 'c', text: 'budget dashboard' },
+    ]);
+    const hits = index.search('track my water');
+    assert.deepEqual(hits.map(h => h.id), ['a']);
+    assert.deepEqual(hits[0].matched, ['water']);
+    assert.deepEqual(index.search('sleep tracker').map(h => h.id), ['b', 'a']);
+    assert.deepEqual(index.search('garden'), []);
+  });
+
+  it('indexes only good, stored, distinct generations', () => {
+    const { entries } = indexHistory({ entries: ENTRIES, hasCode: (id) => Boolean(CODE[id]) });
+    assert.deepEqual([...entries.keys()].sort(), ['budget', 'sleep', 'water']);
+    assert.equal(entryScore(ENTRIES[2]), 0.75);
+
+    const hits = retrieve('Water tracker', { entries: ENTRIES, hasCode: (id) => Boolean(CODE[id]) });
+    assert.deepEqual(hits.map(h => h.entry.id), ['water', 'sleep']);
+    assert.deepEqual(retrieve('Water log', { entries: ENTRIES, hasCode: () => true, exclude: 'water', limit: 1 }).map(h => h.entry.id), ['nocode']);
+    assert.deepEqual(retrieve('Water tracker', { entries: ENTRIES, hasCode: () => true, minGrade: 'C', limit: 5 }).map(h => h.entry.id).includes('weak'), true);
+  });
+
+  it('condenses examples to CSS variables and structure', () => {
+    assert.equal(excerpt(APP('#06b6d4')), [
+      'CSS variables: --bg: #0a0a0f; --accent: #06b6d4',
+      'Structure:',
+      'body',
+      '  header.top',
+      '    h1',
+      '  main#app',
+      '    form#log',
+      '      input#amount',
+      '    canvas#chart',
+    ].join('\n'));
+
+    const [example] = findExamples('Water tracker', { entries: ENTRIES, getCode, limit: 1 });
+    assert.deepEqual({ ...example, excerpt: undefined }, { id: 'water', prompt: 'Water intake tracker with daily goal', grade: 'S', score: 0.91, similarity: example.similarity, excerpt: undefined });
+    assert.ok(example.similarity > 0);
+  });
+
+  it('shows examples after L2 and drops them before the layers when short of room', () => {
+    const examples = findExamples('Water tracker', { entries: ENTRIES, getCode });
+    const roomy = compose('Water tracker', { examples, model: 'gemini' });
+    assert.match(roomy.prompt, /## INTENT ANALYSIS \(L2\)[\s\S]*## EXAMPLES\nEarlier apps rated highly[\s\S]*### Example 1 — "Water intake tracker with daily goal" \(S, 91%\)\nCSS variables: --bg: #0a0a0f; --accent: #06b6d4[\s\S]*### Example 2 — "Sleep tracker" \(A, 75%\)[\s\S]*## SAFETY/);
+    assert.deepEqual(roomy.examples, ['water', 'sleep']);
+
+    const limit = estimateTokens(roomy.prompt) - 20;
+    const tight = compose('Water tracker', { examples, budget: { model: 'tiny', window: limit * 2, reserve: limit, limit } });
+    assert.deepEqual([tight.examples, tight.budget.droppedExamples, tight.budget.compact], [['water'], 1, false]);
+    assert.deepEqual(compose('Water tracker').examples, []);
+  });
+
+  it('records which examples a generation used', () => {
+    const id = history.record({ prompt: 'Water tracker', model: 'replay:x', provider: 'replay', score: 0.8, grade: 'A', examples: ['water', 'sleep'] });
+    try {
+      assert.deepEqual(history.get(id).examples, ['water', 'sleep']);
+    } finally {
+      history.remove(id);
+    }
+  });
+});
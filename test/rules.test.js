@@ -0,0 +1,128 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { AXES, listRules, listRubrics, registerRule, registerRubric, unregisterSource, resetRules, resolveRubric } from '../lib/rune/rules.js';
+import { validate, evaluate } from '../lib/rune/validator.js';
+import { refineOnce } from '../lib/iterate/refiner.js';
+import { discover, clear } from '../lib/plugins/registry.js';
+
+const config = (validator = {}) => ({ validator });
+
+const MONITOR = `<!DOCTYPE html>
+<html lang="en"><head><title>CPU Monitor</title>
+<style>:root { --bg: #fff; } body { background: var(--bg); }</style></head>
+<body><main><h1>CPU</h1><canvas id="chart"></canvas></main>
+<script>
+  const ctx = document.getElementById('chart').getContext('2d');
+  setInterval(() => fetch('/cpu').then(r => r.json()).then(d => ctx.fillRect(0, 0, d.load, 10)), 1000);
+  document.getElementById('chart').addEventListener('click', () => {});
+</script>
+</body></html>`;
+
+const TRACKER = `<!DOCTYPE html>
+<html lang="en"><head><title>Water</title></head>
+<body><main><h1>Water</h1><label for="ml">Millilitres</label><input id="ml" type="number">
+<button id="add">Add</button><ul id="log"></ul></main>
+<script>
+  document.getElementById('add').addEventListener('click', () => {
+    document.getElementById('log').innerHTML += '<li>' + document.getElementById('ml').value + '</li>';
+  });
+</script>
+</body></html>`;
+
+describe('RUNE Rules', () => {
+  afterEach(() => resetRules());
+
+  it('declares every built-in check as a rule whose rewards fill each axis', () => {
+    const rules = listRules();
+    assert.deepEqual([...new Set(rules.map(r => r.axis))], AXES);
+    for (const axis of AXES) {
+      const total = rules.filter(r => r.axis === axis && !r.penalty).reduce((sum, r) => sum + r.weight, 0);
+      assert.equal(Math.round(total * 100) / 100, 1, axis);
+    }
+    assert.ok(rules.every(r => r.hint), 'every rule has a fix hint');
+    assert.deepEqual(listRubrics().map(r => r.name), ['default', 'tracker', 'monitor', 'dashboard', 'planner', 'calculator', 'journal']);
+  });
+
+  it('scores a read-only monitor without asking it for inputs', () => {
+    const general = validate(MONITOR, { config: config() });
+    const monitor = validate(MONITOR, { config: config(), rubric: 'monitor' });
+    assert.ok(general.issues.includes('No input elements — low interactivity'));
+    assert.ok(!monitor.issues.includes('No input elements — low interactivity'));
+    assert.ok(monitor.conatus > general.conatus, `${monitor.conatus} vs ${general.conatus}`);
+    assert.equal(monitor.conatus, 0.9);
+  });
+
+  it('holds a tracker to persistence', () => {
+    const general = validate(TRACKER, { config: config() });
+    const tracker = validate(TRACKER, { config: config({ rubric: 'tracker' }) });
+    assert.ok(tracker.conatus < general.conatus);
+    assert.ok(tracker.issues.includes('A tracker app needs this: Persist the user\'s data with localStorage so it survives a reload.'));
+    assert.ok(!general.issues.some(i => i.startsWith('A ')));
+  });
+
+  it('reweights rules from the config and the caller', () => {
+    const html = TRACKER.replace('<title>', '<style>body { background: linear-gradient(#fff, #eee); }</style><title>');
+    const base = evaluate(html, { config: config() });
+    const off = evaluate(html, { config: config({ weights: { 'laetitia.gradient': 0 } }) });
+    assert.ok(off.report.laetitia < base.report.laetitia);
+    assert.equal(base.results.find(r => r.id === 'laetitia.gradient').pass, 1);
+    assert.ok(!off.results.some(r => r.id === 'laetitia.gradient'));
+
+    const custom = config({ rubrics: { strict: { extends: 'tracker', weights: { 'ratio.substance': 0 } } } });
+    assert.deepEqual(resolveRubric('strict', custom.validator.rubrics).expects, ['conatus.inputs', 'conatus.persistence']);
+    const strict = validate(html, { config: custom, rubric: 'strict', weights: { 'conatus.persistence': 0 } });
+    assert.ok(!strict.issues.includes('Code seems too short — might be incomplete'));
+    assert.ok(!strict.issues.some(i => i.includes('localStorage')));
+    assert.throws(() => validate(html, { config: config(), rubric: 'nope' }), /Unknown rubric "nope" \(expected default \| tracker \| monitor \| dashboard \| planner \| calculator \| journal\)/);
+  });
+
+  it('scores registered rules and survives a broken one', () => {
+    registerRule({ id: 'natura.dark-mode', axis: 'natura', weight: 0.1, detect: ({ doc }) => /prefers-color-scheme/.test(doc.css), issue: 'No dark mode', hint: 'Add a dark theme.' }, { source: 'test' });
+    registerRule({ id: 'ratio.broken', axis: 'ratio', weight: 0.5, detect: () => { throw new Error('bug'); }, hint: 'n/a' }, { source: 'test' });
+    const { report, results } = evaluate(TRACKER, { config: config() });
+    assert.equal(report.issues.at(-1), 'No dark mode');
+    assert.equal(results.find(r => r.id === 'ratio.broken').error, 'bug');
+    assert.equal(report.ratio, validate(TRACKER, { config: config(), weights: { 'ratio.broken': 0 } }).ratio);
+    assert.throws(() => registerRule({ id: 'x', axis: 'beauty', detect() {} }), /unknown axis "beauty"/);
+  });
+
+  it('loads rules and rubrics from plugins and drops them with the plugin', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'forge-rule-plugins-'));
+    try {
+      writeFileSync(join(dir, 'house-style.js'), `export default {
+        name: 'house-style',
+        rules: [{ id: 'laetitia.brand-font', axis: 'laetitia', weight: 0.2, detect: ({ doc }) => doc.css.includes('Inter'), issue: 'Not using the brand font', hint: 'Use Inter.' }],
+        rubrics: [{ name: 'kiosk', extends: 'monitor', weights: { 'laetitia.brand-font': 0.4 } }],
+      };`);
+      await discover({ dir });
+      const kiosk = validate(MONITOR, { config: config(), rubric: 'kiosk' });
+      assert.ok(kiosk.issues.includes('Not using the brand font'));
+      await clear();
+      assert.ok(!listRules().some(r => r.id === 'laetitia.brand-font'));
+      assert.throws(() => validate(MONITOR, { config: config(), rubric: 'kiosk' }), /Unknown rubric "kiosk"/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps built-in rules and rubrics out of plugin hands', () => {
+    const builtin = listRules().find(r => r.id === 'conatus.persistence');
+    assert.throws(() => registerRule({ id: 'conatus.persistence', axis: 'conatus', weight: 1, detect: () => 0 }, { source: 'house-style' }),
+      /Rule "conatus\.persistence" is built in; house-style cannot replace it \(register it under a new id\)/);
+    assert.throws(() => registerRubric({ name: 'tracker', weights: {} }, { source: 'house-style' }), /Rubric "tracker" is built in/);
+    unregisterSource('house-style');
+    assert.equal(listRules().find(r => r.id === 'conatus.persistence'), builtin);
+    assert.ok(listRubrics().some(r => r.name === 'tracker' && r.source === 'builtin'));
+  });
+
+  it('gives the refiner the fix hints of the rules that failed', async () => {
+    let prompt = '';
+    await refineOnce(TRACKER, { mode: 'full', rubric: 'tracker', generate: async (p) => { prompt = p; return TRACKER; } });
+    const focus = prompt.slice(prompt.indexOf('## FOCUS AREAS'));
+    assert.match(focus, /\*\*laetitia\*\* \(0%\): Style the app in an embedded <style> block\. Add transitions/);
+    assert.ok(!focus.includes('Add CSS custom properties, transitions/animations'));
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { forgeRuntime, runtimeScript, injectRuntime, extractRuntime } from '../lib/renderer/runtime.js';
+import { render } from '../lib/renderer/html.js';
+import { createStorage } from '../lib/rune/dom-shim.js';
+import { smokeTest } from '../lib/rune/smoke.js';
+import { validate } from '../lib/rune/validator.js';
+import { compose } from '../lib/rune/enhancer.js';
+import { openSession } from '../lib/iterate/editor.js';
+import * as history from '../lib/persistence/history.js';
+import { forgetSchema } from '../lib/persistence/schema.js';
+
+const page = (script) => `<!DOCTYPE html>
+<html><head><title>Water</title></head>
+<body><main><form id="add"><label for="ml">Millilitres</label><input id="ml" type="number" placeholder="250"><button>Add</button></form>
+<button id="export">Export</button></main>
+<script>
+${script}
+</script>
+</body></html>`;
+
+const FORGE_APP = page(`forge.schema.migrate(1, {});
+const entries = forge.storage.get('entries', []);
+document.getElementById('add').addEventListener('submit', (e) => {
+  e.preventDefault();
+  entries.push({ ml: Number(document.getElementById('ml').value), at: Date.now() });
+  forge.storage.set('entries', entries);
+});
+document.getElementById('export').addEventListener('click', () => forge.export({ format: 'csv', key: 'entries' }));`);
+
+const RAW_APP = page(`const entries = JSON.parse(localStorage.getItem('entries') || '[]');
+document.getElementById('add').addEventListener('submit', (e) => {
+  e.preventDefault();
+  entries.push({ ml: Number(document.getElementById('ml').value) });
+  localStorage.setItem('entries', JSON.stringify(entries));
+});
+document.getElementById('export').addEventListener('click', () => console.log(JSON.stringify(entries)));`);
+
+const fresh = (localStorage = createStorage()) => {
+  const global = { localStorage, console: { warn() {}, error() {} }, setTimeout };
+  return { global, forge: forgeRuntime(global, 'water', {}, 1) };
+};
+
+describe('Forge runtime', () => {
+  it('namespaces JSON storage per app and falls back to memory', () => {
+    const local = createStorage({ 'forge:other:entries': '[1]', unrelated: 'x' });
+    const { forge } = fresh(local);
+    assert.equal(forge.storage.get('entries', 'none'), 'none');
+    forge.storage.set('entries', [{ ml: 250 }]);
+    forge.storage.set('goal', 2000);
+    assert.equal(local.getItem('forge:water:entries'), '[{"ml":250}]');
+    assert.deepEqual(forge.storage.keys(), ['entries', 'goal']);
+    assert.deepEqual(forge.storage.all(), { entries: [{ ml: 250 }], goal: 2000 });
+    forge.storage.clear();
+    assert.deepEqual(forge.storage.keys(), []);
+    assert.equal(local.getItem('forge:other:entries'), '[1]');
+
+    const blocked = { get localStorage() { throw new Error('SecurityError'); } };
+    const memory = forgeRuntime(blocked, 'water');
+    memory.storage.set('goal', 1500);
+    assert.equal(memory.storage.get('goal'), 1500);
+    assert.equal(forgeRuntime(blocked, 'other'), memory, 'an installed runtime is reused');
+  });
+
+  it('runs schema migrations once, from the stored version', () => {
+    const local = createStorage();
+    assert.deepEqual(fresh(local).forge.schema.migrate(2, { 2: () => assert.fail('fresh installs skip migrations') }), { from: 2, to: 2 });
+
+    const legacy = createStorage({ 'forge:water:entries': '[250, 500]' });
+    const { forge } = fresh(legacy);
+    const steps = { 1: (s) => s.set('entries', s.get('entries').map(ml => ({ ml }))), 2: (s) => s.set('goal', 2000) };
+    assert.deepEqual(forge.schema.migrate(2, steps), { from: 0, to: 2 });
+    assert.deepEqual(forge.storage.all(), { entries: [{ ml: 250 }, { ml: 500 }], goal: 2000 });
+    assert.deepEqual(forge.schema.migrate(2, steps), { from: 2, to: 2 });
+
+    const broken = fresh(createStorage({ 'forge:water:entries': '[]' })).forge;
+    assert.deepEqual(broken.schema.migrate(3, { 2: () => { throw new Error('bad'); } }), { from: 0, to: 1 });
+    assert.equal(broken.schema.version(), 1);
+  });
+
+  it('exports JSON and CSV and imports them back', async () => {
+    const { forge } = fresh();
+    forge.schema.migrate(1, {});
+    forge.storage.set('entries', [{ ml: 250, note: 'after run, "cold"' }, { ml: 500, done: true }]);
+    const json = JSON.parse(forge.export({ download: false }));
+    assert.deepEqual([json.forge, json.app, json.schema, json.data], [1, 'water', 1, { entries: [{ ml: 250, note: 'after run, "cold"' }, { ml: 500, done: true }] }]);
+
+    const csv = forge.export({ format: 'csv', key: 'entries', download: false });
+    assert.equal(csv, 'ml,note,done\r\n250,"after run, ""cold""",\r\n500,,true\r\n');
+    assert.throws(() => forge.export({ format: 'csv', key: 'goal', download: false }), /CSV needs a key holding an array/);
+
+    const other = fresh().forge;
+    assert.deepEqual(await other.import(csv, { key: 'entries' }), { keys: ['entries'] });
+    assert.deepEqual(other.storage.get('entries'), [{ ml: 250, note: 'after run, "cold"', done: '' }, { ml: 500, note: '', done: true }]);
+    await other.import('[{"ml":100}]', { key: 'entries', merge: true });
+    assert.equal(other.storage.get('entries').length, 3);
+
+    // An export from schema 1 is migrated on the way into an app at schema 2
+    const upgraded = fresh().forge;
+    upgraded.schema.migrate(2, { 2: (s) => s.set('entries', s.get('entries', []).map(e => ({ ...e, unit: 'ml' }))) });
+    await upgraded.import({ name: 'backup.json', text: async () => JSON.stringify(json) });
+    assert.deepEqual(upgraded.storage.get('entries').map(e => e.unit), ['ml', 'ml']);
+    await assert.rejects(upgraded.import('a,b\n1,2'), /CSV needs a key/);
+  });
+
+  it('switches themes and remembers the choice', () => {
+    const set = {};
+    const root = { setAttribute: (name, value) => { set[name] = value; }, style: { setProperty: (prop, value) => { set[prop] = value; } } };
+    const local = createStorage();
+    const global = { localStorage: local, document: { documentElement: root } };
+    const forge = forgeRuntime(global, 'water', { paper: { '--bg': '#faf8f5' } });
+    const seen = [];
+    const off = forge.theme.onChange((name, vars) => seen.push([name, vars]));
+    forge.theme.set('paper');
+    off();
+    forge.theme.set('custom', { '--bg': '#000' });
+    assert.deepEqual(seen, [['paper', { '--bg': '#faf8f5' }]]);
+    assert.deepEqual(set, { 'data-theme': 'custom', '--bg': '#000' });
+    assert.deepEqual([forge.theme.get(), forge.theme.list()], ['custom', ['paper']]);
+
+    const reloaded = {};
+    forgeRuntime({ localStorage: local, document: { documentElement: { setAttribute: (n, v) => { reloaded[n] = v; }, style: { setProperty() {} } } } }, 'water', {});
+    assert.equal(reloaded['data-theme'], 'custom');
+  });
+
+  it('is injected once at the top of <head> and can be taken out again', async () => {
+    const once = injectRuntime(FORGE_APP, { app: 'water tracker' });
+    assert.match(once, /^<!DOCTYPE html>\n<html><head><script id="forge-runtime" data-app="water-tracker">\n\(function forgeRuntime\(global, app, themes, version\)[\s\S]*\}\)\(globalThis, "water-tracker", \{"cyberpunk":/);
+    assert.equal(injectRuntime(once, { app: 'water-tracker' }), once);
+    assert.deepEqual(extractRuntime(once), { html: FORGE_APP, app: 'water-tracker' });
+    assert.deepEqual(extractRuntime(FORGE_APP), { html: FORGE_APP, app: null });
+    assert.ok(runtimeScript({ themes: { x: { '--y': '</style>' } } }).includes('<\\/style>'));
+
+    const dir = mkdtempSync(join(tmpdir(), 'forge-runtime-'));
+    try {
+      const file = await render(FORGE_APP, { dir, intent: 'Water tracker' });
+      assert.equal(extractRuntime(readFileSync(file, 'utf-8')).app, 'water-tracker');
+      const plain = await render(RAW_APP, { dir, intent: 'Plain', runtime: false });
+      assert.equal(readFileSync(plain, 'utf-8'), RAW_APP);
+
+      // Edits work on the app's own code and keep the runtime in the file
+      const session = openSession(file);
+      try {
+        assert.deepEqual([session.code, session.runtime], [FORGE_APP, 'water-tracker']);
+      } finally {
+        history.remove(session.id);
+      }
+    } finally {
+      forgetSchema('water-tracker');
+      forgetSchema('plain');
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('boots apps in the smoke test and earns Conatus in the validator', async () => {
+    const run = await smokeTest(FORGE_APP);
+    assert.deepEqual([run.errors, run.unsupported], [[], []]);
+    assert.ok(run.interactions >= 2);
+    const bare = await smokeTest(FORGE_APP, { runtime: false });
+    assert.deepEqual(bare.unsupported, ['forge']);
+
+    const withRuntime = validate(FORGE_APP, { config: { validator: {} } });
+    const raw = validate(RAW_APP, { config: { validator: {} } });
+    assert.ok(withRuntime.conatus > raw.conatus, `${withRuntime.conatus} > ${raw.conatus}`);
+    assert.ok(!withRuntime.issues.some(i => /forge/.test(i)));
+  });
+
+  it('tells the model to use the runtime unless it is off', () => {
+    const { prompt } = compose('Water tracker');
+    assert.match(prompt, /## REQUIREMENTS[\s\S]*All data stored through forge\.storage[\s\S]*## FORGE RUNTIME\nThe page is served with window\.forge already loaded[\s\S]*forge\.export\(/);
+    assert.doesNotMatch(prompt, /Use localStorage safely/);
+    const off = compose('Water tracker', { runtime: false }).prompt;
+    assert.doesNotMatch(off, /forge\./);
+    assert.match(off, /All data stored in localStorage/);
+  });
+});
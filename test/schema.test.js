@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { runInNewContext } from 'node:vm';
+import { extractSchema, diffSchemas, applyMigrations, injectMigrations, stripMigrations, carryOver, getSchema, forgetSchema } from '../lib/persistence/schema.js';
+import { render, prepare } from '../lib/renderer/html.js';
+import { extractRuntime } from '../lib/renderer/runtime.js';
+import { createStorage } from '../lib/rune/dom-shim.js';
+import { smokeTest } from '../lib/rune/smoke.js';
+
+const page = (script) => `<!DOCTYPE html>
+<html><head><title>Water</title></head>
+<body><main><form id="add"><input id="ml" type="number"><button>Add</button></form></main>
+<script>
+${script}
+</script>
+</body></html>`;
+
+const V1 = page(`const KEY = 'water-entries';
+const entries = JSON.parse(localStorage.getItem(KEY) || '[]');
+const goal = Number(localStorage.getItem('goal') || 2000);
+document.getElementById('add').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const entry = { ml: Number(document.getElementById('ml').value), at: Date.now() };
+  entries.push(entry);
+  localStorage.setItem(KEY, JSON.stringify(entries));
+});`);
+
+const V2 = page(`const logs = forge.storage.get('logs', []);
+document.getElementById('add').addEventListener('submit', (e) => {
+  e.preventDefault();
+  logs.push({ amount: Number(document.getElementById('ml').value), at: Date.now() });
+  forge.storage.set('logs', logs);
+});
+document.body.dataset.count = logs.length;`);
+
+const local = (key, storage, type, fields = []) => ({ key, storage, type, fields });
+
+describe('Data schema', () => {
+  it('reads stored keys, their shape and record fields from the code', () => {
+    assert.deepEqual(extractSchema(V1), { keys: [local('goal', 'local', 'number'), local('water-entries', 'local', 'array', ['ml', 'at'])] });
+    assert.deepEqual(extractSchema(V2), { keys: [local('logs', 'forge', 'array', ['amount', 'at'])] });
+
+    const spec = { persistence: [{ key: 'logs', holds: 'Log' }], entities: [{ name: 'Log', fields: [{ name: 'amount' }, { name: 'note' }] }] };
+    assert.deepEqual(extractSchema(V2, { spec }).keys[0], { ...local('logs', 'forge', 'array', ['amount', 'note', 'at']), holds: 'Log' });
+  });
+
+  it('pairs renamed keys and fields across versions', () => {
+    const diff = diffSchemas(extractSchema(V1), extractSchema(V2), { app: 'water' });
+    assert.deepEqual(diff.steps, [
+      { op: 'copy', from: 'water-entries', to: 'forge:water:logs', json: true },
+      { op: 'rename-field', key: 'forge:water:logs', from: 'ml', to: 'amount' },
+    ]);
+    assert.deepEqual([diff.notes, diff.removed, diff.added], [['water-entries → logs', 'logs: field ml → amount'], ['goal'], []]);
+
+    const moved = diffSchemas({ keys: [local('goal', 'local', 'number')] }, { keys: [local('goal', 'forge', 'number')] }, { app: 'water' });
+    assert.deepEqual(moved.notes, ['goal: localStorage → forge.storage']);
+    const clash = diffSchemas({ keys: [local('goal', 'local', 'number')] }, { keys: [local('goal', 'local', 'array')] }, { app: 'water' });
+    assert.deepEqual([clash.steps, clash.notes], [[], ['goal: number → array, not migrated']]);
+    assert.deepEqual(diffSchemas({ keys: [local('theme', 'local', 'string')] }, { keys: [local('entries', 'forge', 'array')] }, { app: 'water' }).steps, []);
+  });
+
+  it('applies each migration once and never deletes the old data', () => {
+    const storage = createStorage({ 'water-entries': '[{"ml":250}]', legacy: 'plain text' });
+    const migrations = [
+      { version: 2, steps: [{ op: 'copy', from: 'water-entries', to: 'forge:water:logs', json: true }, { op: 'rename-field', key: 'forge:water:logs', from: 'ml', to: 'amount' }] },
+      { version: 3, steps: [{ op: 'copy', from: 'legacy', to: 'forge:water:note', json: true }] },
+    ];
+    assert.deepEqual(applyMigrations({ localStorage: storage }, 'water', migrations), [2, 3]);
+    assert.equal(storage.getItem('forge:water:logs'), '[{"ml":250,"amount":250}]');
+    assert.equal(storage.getItem('forge:water:note'), '"plain text"');
+    assert.equal(storage.getItem('water-entries'), '[{"ml":250}]');
+    assert.ok(storage.getItem('forge:water:@migrated:2'));
+
+    storage.setItem('forge:water:logs', '[]');
+    assert.deepEqual(applyMigrations({ localStorage: storage }, 'water', migrations), []);
+    assert.equal(storage.getItem('forge:water:logs'), '[]');
+    assert.deepEqual(applyMigrations({ get localStorage() { throw new Error('SecurityError'); } }, 'water', migrations), []);
+
+    const once = injectMigrations(V2, 'water', migrations);
+    assert.match(once, /^<!DOCTYPE html>\n<html><head><script id="forge-migrations" data-app="water">\n\(function applyMigrations\(global, app, migrations\)/);
+    assert.equal(injectMigrations(once, 'water', migrations), once);
+    assert.equal(stripMigrations(once), V2);
+    assert.equal(injectMigrations(once, 'water', []), V2);
+  });
+
+  it('versions the schema only when the data moves', () => {
+    const app = 'schema-test-water';
+    forgetSchema(app);
+    try {
+      assert.deepEqual(carryOver(V1, { app }).version, 1);
+      assert.deepEqual(carryOver(V1, { app }).added, null);
+      const next = carryOver(V2, { app });
+      assert.deepEqual([next.version, next.added.version, next.added.notes], [2, 2, ['water-entries → logs', 'logs: field ml → amount']]);
+      assert.deepEqual(carryOver(V2, { app }).migrations.map(m => m.version), [2]);
+      assert.equal(getSchema(app).version, 2);
+
+      forgetSchema(app);
+      const seeded = carryOver(V2, { app, previous: () => ({ code: V1 }) });
+      assert.equal(seeded.added.version, 2);
+    } finally {
+      forgetSchema(app);
+    }
+  });
+
+  it('ships migrations with a re-forged app and moves the data on first load', async () => {
+    const intent = 'Schema test water';
+    const app = 'schema-test-water';
+    const dir = mkdtempSync(join(tmpdir(), 'forge-schema-'));
+    forgetSchema(app);
+    try {
+      const seen = [];
+      await render(V1, { dir, intent });
+      const file = await render(V2, { dir, intent, onMigration: (m) => seen.push(m.version) });
+      const html = readFileSync(file, 'utf-8');
+      assert.deepEqual(seen, [2]);
+      assert.match(html, /<head><script id="forge-runtime"[\s\S]*<\/script>\n<script id="forge-migrations" data-app="schema-test-water">/);
+      assert.equal(stripMigrations(extractRuntime(html).html), V2);
+      assert.equal(prepare(html, { app, migrate: false, runtime: false }), V2);
+
+      const localStorage = createStorage({ 'water-entries': '[{"ml":250,"at":1}]' });
+      runInNewContext(/<script id="forge-migrations"[^>]*>([\s\S]*?)<\/script>/.exec(html)[1], { localStorage });
+      assert.deepEqual(JSON.parse(localStorage.getItem(`forge:${app}:logs`)).map(e => e.amount), [250]);
+      assert.deepEqual((await smokeTest(html, { storage: { 'water-entries': '[{"ml":250}]' } })).errors, []);
+    } finally {
+      forgetSchema(app);
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
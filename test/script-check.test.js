@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkScripts, fixInstructions, maskJs } from '../lib/rune/script-check.js';
+import { validate } from '../lib/rune/validator.js';
+import { refineOnce } from '../lib/iterate/refiner.js';
+
+const HTML = `<!DOCTYPE html>
+<html><body>
+<button onclick="save()">Save</button>
+<button onclick="toggle(this)">Theme</button>
+<button onclick="reset(); this.blur()">Reset</button>
+<script>
+  function render(items) { items.forEach(i => draw(i)); }
+  const helper = () => 1;
+  // missing()
+  const label = "nope()";
+  helper(); render([]);
+  class Store { load() { return 1; } }
+  window.reset = () => {};
+</script>
+<script type="module">
+  import { x } from './x.js';
+  function toggle(btn) {}
+  await fetch('/a');
+</script>
+<script>
+  let broken = {;
+</script>
+</body></html>`;
+
+describe('Script Check', () => {
+  const findings = checkScripts(HTML);
+
+  it('reports syntax errors at their HTML line and column', () => {
+    const syntax = findings.filter(f => f.kind === 'syntax');
+    assert.equal(syntax.length, 1);
+    assert.deepEqual([syntax[0].line, syntax[0].column], [21, 17]);
+    assert.equal(syntax[0].source, 'let broken = {;');
+    assert.match(syntax[0].message, /^SyntaxError: Unexpected token/);
+  });
+
+  it('compiles module scripts with imports and top-level await', () => {
+    assert.ok(!findings.some(f => f.kind === 'syntax' && f.line < 20));
+  });
+
+  it('finds calls to functions nothing defines', () => {
+    const calls = findings.filter(f => f.kind === 'undefined-function');
+    assert.deepEqual(calls.map(f => [f.name, f.line, f.column]), [['draw', 7, 47]]);
+  });
+
+  it('finds handler attributes that reference missing globals', () => {
+    const handlers = findings.filter(f => f.kind === 'undefined-handler');
+    assert.deepEqual(handlers.map(f => [f.name, f.line]), [['save', 3], ['toggle', 4]]);
+    assert.match(handlers[1].message, /only defined inside a module script/);
+  });
+
+  it('masks comments and strings without moving code', () => {
+    const src = 'a("x()"); // y()\nb(`t ${c()} u`)';
+    const masked = maskJs(src);
+    assert.equal(masked.length, src.length);
+    assert.ok(!masked.includes('x()') && !masked.includes('y()'));
+    assert.ok(masked.includes('c()'));
+  });
+
+  it('turns findings into fix instructions', () => {
+    const [first] = fixInstructions(findings);
+    assert.equal(first, 'Line 3, column 9: onclick handler references save, which is not a global — define save in a classic <script> or assign it to window.save. Line: `<button onclick="save()">Save</button>`');
+  });
+
+  it('feeds the Ratio score', () => {
+    const clean = validate(HTML.replace('let broken = {;', 'let broken = {};'));
+    const broken = validate(HTML);
+    assert.ok(broken.ratio <= clean.ratio - 0.4 + 1e-9, `${broken.ratio} vs ${clean.ratio}`);
+    assert.ok(broken.issues.some(i => i.startsWith('SyntaxError') && i.endsWith('at line 21:17')));
+    assert.ok(clean.issues.some(i => i.startsWith('Undefined references: save (line 3), toggle (line 4), draw (line 7)')));
+  });
+
+  it('gives the refiner precise fix instructions', async () => {
+    let prompt = '';
+    await refineOnce(HTML, { mode: 'full', generate: async (p) => { prompt = p; return HTML; } });
+    assert.ok(prompt.includes('## SCRIPT ERRORS'));
+    assert.ok(prompt.includes('- Line 21, column 17: SyntaxError'));
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSkeleton, assemble, mergeCss, mergeJs, generateSections, sectionPrompt,
+} from '../lib/pipeline/sections.js';
+import { execute } from '../lib/recipe/engine.js';
+import { checkScripts } from '../lib/rune/script-check.js';
+import { smokeTest } from '../lib/rune/smoke.js';
+
+const SKELETON = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <style>
+    :root { --accent: #0ff; }
+    body { margin: 0; }
+  </style>
+  <script type="application/json" id="forge-sections">[
+    {"id": "kpis", "title": "KPI cards", "description": "Four headline numbers"},
+    {"id": "chart", "title": "Trend chart", "description": "Canvas line chart"}
+  ]</script>
+</head>
+<body>
+  <main>
+    <!-- forge:section kpis -->
+    <!-- forge:section chart -->
+  </main>
+  <script>
+    window.app = { fmt: (n) => n.toFixed(1) };
+  </script>
+</body>
+</html>`;
+
+const KPIS = `<section data-forge-section="kpis"><div class="kpi">1</div></section>
+<style>
+  body { margin: 0; }
+  [data-forge-section="kpis"] .kpi { color: var(--accent); }
+</style>
+<script>
+function track(name) { console.log(name); }
+const kpiCount = 4;
+</script>`;
+
+const CHART = `\`\`\`html
+<section data-forge-section="chart"><canvas></canvas></section>
+<style>[data-forge-section="kpis"] .kpi { color: var(--accent); }</style>
+<script>
+function track(name) { console.log(name); }
+const total = 10;
+</script>`;
+
+describe('Sections Mode', () => {
+  it('parses the section manifest and placeholders', () => {
+    const sections = parseSkeleton(SKELETON);
+    assert.deepEqual(sections.map(s => s.id), ['kpis', 'chart']);
+    assert.equal(sections[0].title, 'KPI cards');
+    assert.equal(sections[1].description, 'Canvas line chart');
+  });
+
+  it('falls back to placeholders without a manifest', () => {
+    const sections = parseSkeleton('<body><!-- forge:section a --><!-- forge:section b --></body>');
+    assert.deepEqual(sections, [
+      { id: 'a', title: 'a', description: '' },
+      { id: 'b', title: 'b', description: '' },
+    ]);
+  });
+
+  it('assembles one document with de-duplicated CSS and JS', () => {
+    const html = assemble(SKELETON, [
+      { id: 'kpis', html: KPIS },
+      { id: 'chart', html: CHART.replace(/^```html\n/, '') },
+    ]);
+    assert.ok(!html.includes('forge:section'));
+    assert.ok(!html.includes('forge-sections"'));
+    assert.ok(html.indexOf('data-forge-section="kpis"') < html.indexOf('data-forge-section="chart"'));
+    assert.equal((html.match(/<html/g) || []).length, 1);
+    assert.equal((html.match(/\.kpi \{ color/g) || []).length, 1);
+    assert.equal((html.match(/function track/g) || []).length, 1);
+    assert.equal((html.match(/body \{ margin: 0; \}/g) || []).length, 1);
+    assert.ok(html.includes('const total = 10;'));
+    assert.ok(html.indexOf('data-forge-sections>') < html.indexOf('</body>'));
+  });
+
+  it('appends sections that have no placeholder', () => {
+    const html = assemble('<html><body><main></main></body></html>', [{ id: 'x', html: '<section>X</section>' }]);
+    assert.ok(html.includes('<section>X</section>\n</main>'));
+  });
+
+  it('keeps CSS inside at-rules intact', () => {
+    const css = mergeCss(['@media (max-width: 600px) { .a { color: red; } }', '.b { color: blue; }'], '.b { color: blue; }');
+    assert.equal(css, '@media (max-width: 600px) { .a { color: red; } }');
+  });
+
+  it('block-scopes sections whose declarations collide', () => {
+    const js = mergeJs([
+      { id: 'a', js: ['const data = [1, 2];'] },
+      { id: 'b', js: ['const data = [3];\nrender(data);'] },
+    ]);
+    assert.ok(js.includes('// ── section: b ──\n{\nconst data = [3];'));
+  });
+
+  it('keeps section functions global for inline handlers', () => {
+    const html = assemble(SKELETON, [{
+      id: 'kpis',
+      html: `<section><button onclick="refresh()">Refresh</button></section>
+<script>
+function refresh() { window.app.fmt(1); }
+</script>`,
+    }]);
+    assert.match(html, /<script data-forge-sections>\n\/\/ ── section: kpis ──\nfunction refresh/);
+    assert.deepEqual(checkScripts(html), []);
+  });
+
+  it('runs section code after a module skeleton has set up its helpers', async () => {
+    const skeleton = SKELETON.replace('<script>\n    window.app', '<script type="module">\n    const fmt = (n) => n.toFixed(1);\n    window.app');
+    const html = assemble(skeleton, [{
+      id: 'kpis',
+      html: `<section><output id="total"></output><button onclick="refresh()">Refresh</button></section>
+<script>
+const fmt = (n) => window.app.fmt(n);
+function refresh() { document.getElementById('total').textContent = fmt(kpiCount); }
+const kpiCount = 4;
+refresh();
+</script>`,
+    }]);
+    assert.match(html, /<script data-forge-sections>\ndocument\.addEventListener\('DOMContentLoaded', \(\) => \{\n\/\/ ── section: kpis ──\nconst fmt[\s\S]*\nObject\.assign\(window, \{ refresh \}\);\n\}\);\n<\/script>/);
+    assert.deepEqual(checkScripts(html), []);
+    const result = await smokeTest(html);
+    assert.deepEqual(result.errors, []);
+    assert.ok(result.interactions >= 1);
+  });
+
+  it('does not split statements inside regex literals', () => {
+    const js = mergeJs([
+      { id: 'a', js: ['const sep = /;\\s*/g;\nconst parts = line.split(/[;/]/);\nconst half = total / 2; const rest = 1;'] },
+      { id: 'b', js: ['const parts = line.split(/[;/]/);'] },
+    ]);
+    assert.equal(js, '// ── section: a ──\nconst sep = /;\\s*/g;\nconst parts = line.split(/[;/]/);\nconst half = total / 2;\nconst rest = 1;');
+  });
+
+  it('section prompts carry the skeleton as context', () => {
+    const prompt = sectionPrompt('Build a dashboard', SKELETON, { id: 'kpis', title: 'KPI cards', description: 'Four numbers' });
+    assert.ok(prompt.includes('<!-- forge:section kpis -->'));
+    assert.ok(prompt.includes('data-forge-section="kpis"'));
+  });
+
+  it('generates skeleton then sections in parallel on different models', async () => {
+    const calls = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const generate = async (prompt, opts) => {
+      calls.push({ model: opts.model, fragment: !!opts.fragment });
+      if (!opts.fragment) return { html: SKELETON, model: opts.model, provider: 'gemini', attempts: [] };
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(r => setTimeout(r, 10));
+      inFlight--;
+      if (prompt.includes('section "chart"')) throw new Error('rate limited --> <script>alert(1)</script>');
+      return { html: KPIS, model: opts.model, provider: 'test' };
+    };
+
+    const steps = [];
+    const result = await generateSections('Build a dashboard', {
+      model: 'gemini',
+      sectionModels: { chart: 'claude' },
+      generate,
+      onStep: (id, status) => steps.push(`${id}:${status}`),
+    });
+
+    assert.deepEqual(calls.map(c => c.model), ['gemini', 'gemini', 'claude']);
+    assert.equal(maxInFlight, 2);
+    assert.equal(result.provider, 'gemini');
+    assert.deepEqual(result.sections.map(s => [s.id, s.ok]), [['kpis', true], ['chart', false]]);
+    assert.ok(result.html.includes('<div class="kpi">1</div>'));
+    assert.ok(result.html.includes('<!-- Error in section chart: rate limited -&gt; <script&gt;alert(1)</script&gt; -->'));
+    assert.ok(!result.html.includes('<script>alert'));
+    assert.ok(steps.includes('chart:error'));
+  });
+
+  it('recipe merge steps can assemble into a skeleton', async () => {
+    const outputs = { layout: SKELETON, kpis: KPIS };
+    const recipe = {
+      name: 'Skeleton Recipe',
+      steps: [
+        { id: 'layout', prompt: 'layout' },
+        { id: 'kpis', prompt: 'kpis' },
+        { id: 'app', type: 'merge', skeleton: 'layout', sources: ['kpis'] },
+      ],
+    };
+    const result = await execute(recipe, async (prompt) => outputs[prompt]);
+    assert.ok(result.finalOutput.includes('<div class="kpi">1</div>'));
+    assert.ok(result.finalOutput.includes('<!-- forge:section chart -->'));
+    assert.ok(!result.finalOutput.includes('Section Divider'));
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { smokeTest, smokeInstructions } from '../lib/rune/smoke.js';
+import { createWindow } from '../lib/rune/dom-shim.js';
+import { parse } from '../lib/rune/dom.js';
+import { validate } from '../lib/rune/validator.js';
+
+const page = (body) => `<!DOCTYPE html>
+<html><head><title>App</title></head>
+<body>
+${body}
+</body></html>`;
+
+const TODO = page(`<form id="add"><input id="text" required><button>Add</button></form>
+<ul id="list"></ul>
+<label><input type="checkbox" id="dark"> Dark</label>
+<canvas id="chart"></canvas>
+<script>
+  const items = JSON.parse(localStorage.getItem('items') || '[]');
+  const list = document.querySelector('#list');
+  const render = () => {
+    list.innerHTML = items.map((t, i) => \`<li data-i="\${i}">\${t} <button class="del">×</button></li>\`).join('');
+    document.title = \`\${items.length} todos\`;
+  };
+  document.getElementById('add').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const data = new FormData(e.target);
+    items.push(document.getElementById('text').value);
+    localStorage.setItem('items', JSON.stringify(items));
+    render();
+  });
+  list.addEventListener('click', (e) => {
+    if (!e.target.matches('.del')) return;
+    items.splice(Number(e.target.closest('li').dataset.i), 1);
+    render();
+  });
+  document.getElementById('dark').addEventListener('change', (e) => document.body.classList.toggle('dark', e.target.checked));
+  const ctx = document.getElementById('chart').getContext('2d');
+  let frame = 0;
+  (function draw() {
+    ctx.fillStyle = ctx.createLinearGradient(0, 0, 10, 0);
+    ctx.fillRect(0, 0, frame, 10);
+    if (++frame < 10) requestAnimationFrame(draw);
+  })();
+  setInterval(() => { document.title = new Date(performance.now()).toISOString(); }, 1000);
+  render();
+</script>`);
+
+const BROKEN = page(`<button id="clear" onclick="clearAll()">Clear</button>
+<button id="broken" onclick="missing.go()">Broken</button>
+<button id="spin">Spin</button>
+<button id="toggle" onclick="toggle()">Toggle</button>
+<script>
+  function clearAll() { console.error('nothing to clear'); }
+  document.getElementById('spin').onclick = () => { while (true) {} };
+  setTimeout(() => document.querySelector('.late').remove(), 100);
+  (async () => { await null; throw new Error('async boom'); })();
+</script>
+<script type="module">
+  function toggle() {}
+  document.querySelector('h1').textContent = 'Hi';
+</script>`);
+
+describe('RUNE Smoke', () => {
+  it('boots a working app and exercises its controls', async () => {
+    const result = await smokeTest(TODO, { storage: { items: '["milk"]' } });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.ok, true);
+    assert.equal(result.booted, true);
+    assert.ok(result.interactions >= 3, `only ${result.interactions} interactions`);
+  });
+
+  it('collects exceptions, rejections, console errors and hangs with HTML positions', async () => {
+    const listeners = process.listenerCount('unhandledRejection');
+    const result = await smokeTest(BROKEN, { timeout: 100 });
+    assert.equal(process.listenerCount('unhandledRejection'), listeners);
+    assert.equal(result.booted, false);
+
+    const find = (pattern) => result.errors.find(e => pattern.test(e.message));
+    assert.deepEqual(
+      (({ kind, phase, line, column }) => ({ kind, phase, line, column }))(find(/reading 'remove'/)),
+      { kind: 'exception', phase: 'load', line: 11, column: 51 },
+    );
+    assert.equal(find(/async boom/).kind, 'rejection');
+    assert.equal(find(/setting 'textContent'/).line, 16);
+
+    const clicked = Object.fromEntries(result.errors.filter(e => e.phase === 'interaction').map(e => [e.context, e]));
+    assert.equal(clicked['clicking button#clear "Clear"'].kind, 'console');
+    assert.equal(clicked['clicking button#clear "Clear"'].message, 'nothing to clear');
+    assert.equal(clicked['clicking button#broken "Broken"'].message, 'ReferenceError: missing is not defined');
+    assert.equal(clicked['clicking button#broken "Broken"'].source, '<button id="broken" onclick="missing.go()">Broken</button>');
+    assert.equal(clicked['clicking button#spin "Spin"'].kind, 'timeout');
+    assert.match(clicked['clicking button#toggle "Toggle"'].message, /toggle is not defined/);
+  });
+
+  it('keeps network and missing browser APIs out of the error list', async () => {
+    const html = page(`<ul id="out"></ul>
+<script src="https://cdn.example.com/chart.js"></script>
+<script>
+  new Chart(document.body, {});
+</script>
+<script>
+  const audio = new AudioContext();
+  audio.createOscillator().connect(audio.destination);
+  fetch('/api/items').then(r => r.json()).then(d => {
+    document.getElementById('out').innerHTML = d.items.map(i => \`<li>\${i}</li>\`).join('');
+  });
+</script>`);
+    const offline = await smokeTest(html);
+    assert.deepEqual(offline.errors, []);
+    assert.deepEqual(offline.unsupported, ['Chart']);
+    assert.deepEqual(offline.skipped, ['external script https://cdn.example.com/chart.js']);
+    assert.deepEqual(offline.requests, ['/api/items']);
+
+    const answered = await smokeTest(html, { fetch: () => ({ body: { rows: [] } }) });
+    assert.equal(answered.errors.length, 1);
+    assert.equal(answered.errors[0].kind, 'rejection');
+    assert.match(answered.errors[0].message, /reading 'map'/);
+  });
+
+  it('feeds the validator and the refiner', async () => {
+    const result = await smokeTest(BROKEN, { timeout: 100 });
+    const plain = validate(BROKEN);
+    const smoked = validate(BROKEN, { smoke: result });
+    assert.ok(smoked.ratio < plain.ratio);
+    assert.ok(smoked.conatus < plain.conatus || smoked.conatus === 0);
+    assert.ok(smoked.issues.some(i => i.startsWith('Runtime errors on load: TypeError')));
+    assert.ok(smoked.issues.some(i => i.startsWith('Runtime errors when used: clicking button#clear "Clear": nothing to clear')));
+
+    const fixes = smokeInstructions(result);
+    assert.equal(fixes.length, result.errors.length);
+    assert.ok(fixes.some(f => f.startsWith('Line 11, column 51: Runtime error — TypeError') && f.includes('thrown on load')));
+    assert.deepEqual(smokeInstructions(null), []);
+  });
+
+  it('reports apps that keep the page busy instead of rejecting', async () => {
+    const html = page(`<button id="go">Go</button>
+<script>
+  setInterval(function () { while (true) {} }, 10);
+  document.getElementById('go').addEventListener('click', () => { while (true) {} });
+</script>`);
+    const result = await smokeTest(html, { timeout: 50 });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.errors.map(e => [e.kind, e.context]), [['timeout', 'on load']]);
+    assert.equal(result.interactions, 1);
+    assert.equal(result.errors[0].count, 2, 'the hung interval is cancelled after it times out once; the click hangs too');
+
+    const late = await smokeTest(html, { timeout: 400, deadline: 300 });
+    assert.equal(late.ok, false);
+    assert.equal(late.errors[0].kind, 'timeout');
+    assert.match(late.errors[0].message, /did not finish within 300ms|Run stopped after 240ms/);
+  });
+});
+
+describe('RUNE DOM Shim', () => {
+  const shim = (html) => createWindow(parse(html).root, { reportError: (e) => { throw e; }, consoleError() {}, compileHandler: () => null });
+
+  it('adds the skeleton and supports selectors', () => {
+    const { document } = shim('<p class="a b" data-x="1">one</p><ul><li>1</li><li class="on">2</li><li>3</li></ul><input type="checkbox" checked>');
+    assert.ok(document.head && document.body);
+    assert.equal(document.querySelector('p.a.b[data-x="1"]').textContent, 'one');
+    assert.equal(document.querySelector('ul > li:nth-child(2)').className, 'on');
+    assert.equal(document.querySelectorAll('li:not(.on)').length, 2);
+    assert.equal(document.querySelector('li.on + li').textContent, '3');
+    assert.equal(document.querySelectorAll('input:checked, p').length, 2);
+    assert.throws(() => document.querySelector('li[['), /not a valid selector/);
+  });
+
+  it('dispatches with capture, bubbling and default actions', () => {
+    const { document, window } = shim('<form id="f"><input type="checkbox" id="c"><button id="b">Go</button></form>');
+    const seen = [];
+    window.addEventListener('click', () => seen.push('window capture'), true);
+    document.body.addEventListener('click', () => seen.push('body bubble'));
+    document.getElementById('c').addEventListener('change', (e) => seen.push(`change ${e.target.checked}`));
+    document.getElementById('f').addEventListener('submit', (e) => { e.preventDefault(); seen.push(`submit via ${e.submitter.id}`); });
+    document.getElementById('c').click();
+    document.getElementById('b').click();
+    assert.deepEqual(seen, ['window capture', 'body bubble', 'change true', 'window capture', 'body bubble', 'submit via b']);
+  });
+
+  it('round-trips innerHTML, dataset, classList and style', () => {
+    const { document } = shim('<div id="d"></div>');
+    const div = document.getElementById('d');
+    div.innerHTML = '<b title="a &quot;q&quot;">x &lt; y</b><br>';
+    assert.equal(div.innerHTML, '<b title="a &quot;q&quot;">x &lt; y</b><br>');
+    div.dataset.userId = '7';
+    div.classList.add('a', 'b');
+    div.classList.toggle('a');
+    div.style.backgroundColor = 'red';
+    div.style.setProperty('--accent', 'blue');
+    assert.equal(div.getAttribute('data-user-id'), '7');
+    assert.equal(div.className, 'b');
+    assert.equal(div.style.cssText, 'background-color: red; --accent: blue;');
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  normalizeSpec, parseSpec, buildSpecPrompt, generateSpec, checkSpec, summarizeSpec, readSpec, writeSpec, specPath,
+} from '../lib/rune/spec.js';
+import { analyze, validate, evaluate } from '../lib/rune/validator.js';
+import { enhance } from '../lib/rune/enhancer.js';
+import { parseCommand } from '../lib/cli/commands.js';
+
+const SPEC = {
+  intent: 'Track my cardio for 8 weeks',
+  archetype: 'tracker',
+  title: 'Cardio Log',
+  entities: [{ name: 'session', fields: [{ name: 'date', type: 'date' }, { name: 'minutes', type: 'number' }] }],
+  views: [{ id: 'history', title: 'History', shows: 'session' }],
+  charts: [{ id: 'minutes-chart', type: 'line', title: 'Minutes per week' }],
+  inputs: [{ id: 'minutes', label: 'Minutes', type: 'number', field: 'session.minutes' }],
+  persistence: ['cardio.sessions'],
+  features: [{ id: 'export-csv', description: 'Export sessions as CSV' }, 'Weekly streak badge'],
+};
+
+const APP = (extra = '') => `<!DOCTYPE html><html lang="en"><head><title>Cardio Log</title></head>
+<body><main><h1>Cardio</h1><label for="minutes">Minutes</label><input id="minutes" type="number">
+<button id="add">Add</button><canvas id="minutes-chart"></canvas>${extra}</main>
+<script>
+  const sessions = JSON.parse(localStorage.getItem('cardio.sessions') || '[]');
+  document.getElementById('add').addEventListener('click', () => {
+    sessions.push({ date: new Date().toISOString(), minutes: Number(document.getElementById('minutes').value) });
+    localStorage.setItem('cardio.sessions', JSON.stringify(sessions));
+  });
+</script></body></html>`;
+
+describe('RUNE Spec', () => {
+  it('normalizes a spec and lists every problem in one error', () => {
+    const spec = normalizeSpec(SPEC);
+    assert.equal(spec.version, 1);
+    assert.deepEqual(spec.persistence, [{ key: 'cardio.sessions' }]);
+    assert.deepEqual(spec.features[1], { id: 'weekly-streak-badge', description: 'Weekly streak badge' });
+    assert.equal(spec.inputs[0].label, 'Minutes');
+    assert.equal(normalizeSpec({}).archetype, 'app');
+
+    assert.throws(
+      () => normalizeSpec({ ...SPEC, archetype: 'game', views: [{ id: 'minutes' }, { id: '2nd view' }], charts: 'pie' }),
+      (err) => {
+        assert.match(err.message, /^Invalid app spec: /);
+        assert.match(err.message, /"charts" must be an array/);
+        assert.match(err.message, /views\[1\] needs an id of letters, digits, - or _ \(got "2nd view"\)/);
+        assert.match(err.message, /id "minutes" is used by both views and inputs/);
+        assert.match(err.message, /Unknown archetype "game"/);
+        return true;
+      },
+    );
+  });
+
+  it('asks a model for the spec and parses its answer', async () => {
+    assert.match(buildSpecPrompt('Sleep tracker', { archetype: 'tracker' }), /This is a tracker app[\s\S]*Progress chart over time/);
+    let seen;
+    const generate = async (prompt, opts) => {
+      seen = { prompt, opts };
+      return `Here you go:\n\`\`\`json\n${JSON.stringify({ ...SPEC, intent: undefined })}\n\`\`\``;
+    };
+    const spec = await generateSpec('Track my cardio', { model: 'ollama', archetype: 'tracker', generate });
+    assert.equal(spec.intent, 'Track my cardio');
+    assert.equal(spec.title, 'Cardio Log');
+    assert.deepEqual([seen.opts.model, seen.opts.partial, seen.opts.continuation], ['ollama', true, false]);
+    assert.match(seen.prompt, /"intent": "Track my cardio"/);
+    assert.throws(() => parseSpec('<!DOCTYPE html>'), /No JSON app spec/);
+    assert.equal(summarizeSpec(spec), '1 entity, 1 view, 1 chart, 1 input, 1 storage key, 2 features');
+  });
+
+  it('checks which declared items the app has', () => {
+    const spec = normalizeSpec(SPEC);
+    const partial = checkSpec(analyze(APP()), spec);
+    assert.deepEqual(partial.missing, ['view #history', 'feature "export-csv"', 'feature "weekly-streak-badge"']);
+    assert.equal(partial.declared, 8);
+    assert.equal(partial.coverage, 0.63);
+
+    const full = checkSpec(analyze(APP(`<section id="history"></section><button data-feature="export-csv">CSV</button>
+<script>document.body.insertAdjacentHTML('beforeend', '<p class="badge" data-feature="weekly-streak-badge"></p>');</script>`)), spec);
+    assert.deepEqual(full.missing, []);
+    assert.equal(full.coverage, 1);
+    assert.equal(checkSpec(analyze(APP()), normalizeSpec({})).coverage, 1);
+  });
+
+  it('penalises missing spec items in the validator', () => {
+    const config = { validator: {} };
+    const spec = normalizeSpec(SPEC);
+    const free = validate(APP(), { config });
+    const held = evaluate(APP(), { config, spec });
+    assert.ok(held.report.conatus < free.conatus, `${held.report.conatus} vs ${free.conatus}`);
+    assert.ok(held.report.issues.includes('Not built from the spec: view #history, feature "export-csv", feature "weekly-streak-badge"'));
+    assert.equal(held.results.find(r => r.id === 'conatus.spec').pass, 0.63);
+    assert.ok(!free.issues.some(i => i.startsWith('Not built from the spec')));
+  });
+
+  it('builds the prompt strictly from the spec', () => {
+    const prompt = enhance('Track my cardio', { spec: normalizeSpec(SPEC) });
+    assert.match(prompt, /## APP SPEC \(L2\)/);
+    assert.match(prompt, /data-feature="<feature id>"/);
+    assert.match(prompt, /"key": "cardio.sessions"/);
+    assert.ok(!prompt.includes('## INTENT ANALYSIS'));
+  });
+
+  it('stores the spec next to the output and reads edits back', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'forge-spec-'));
+    try {
+      const file = specPath(join(dir, 'cardio-2026-01-01.html'));
+      assert.equal(file, join(dir, 'cardio-2026-01-01.spec.json'));
+      writeSpec(normalizeSpec(SPEC), file);
+      assert.deepEqual(readSpec(file), normalizeSpec(SPEC));
+
+      writeFileSync(file, '{ "views": [{ "title": "no id" }] }');
+      assert.throws(() => readSpec(file), /views\[0\] needs an id/);
+      writeFileSync(file, '{ nope');
+      assert.throws(() => readSpec(file), /is not valid JSON/);
+      assert.throws(() => readSpec(join(dir, 'missing.json')), /Spec file not found/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('routes forge spec as a subcommand', () => {
+    assert.deepEqual(parseCommand(['spec', 'Sleep', 'tracker']), { command: 'spec', args: ['Sleep', 'tracker'] });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { request, postJSON, getJSON, stripFences, ProviderError } from '../lib/generators/transport.js';
+
+describe('Provider Transport', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      if (req.url === '/ok') {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ echo: JSON.parse(Buffer.concat(chunks).toString() || '{}') }));
+        });
+        return;
+      }
+      if (req.url === '/unauthorized') {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'bad key' } }));
+        return;
+      }
+      if (req.url === '/garbage') {
+        res.writeHead(200);
+        res.end('not json');
+        return;
+      }
+      // /slow never answers within the test timeouts
+      setTimeout(() => { res.writeHead(200); res.end('{}'); }, 2000).unref();
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections?.();
+    server.close();
+  });
+
+  it('postJSON sends and parses JSON', async () => {
+    const json = await postJSON(`${base}/ok`, { hello: 'forge' }, { provider: 'test' });
+    assert.deepEqual(json.echo, { hello: 'forge' });
+  });
+
+  it('surfaces HTTP status and provider name', async () => {
+    await assert.rejects(() => getJSON(`${base}/unauthorized`, { provider: 'gemini' }), (err) => {
+      assert.ok(err instanceof ProviderError);
+      assert.equal(err.provider, 'gemini');
+      assert.equal(err.status, 401);
+      assert.equal(err.code, 'http');
+      assert.match(err.message, /bad key/);
+      return true;
+    });
+  });
+
+  it('reports invalid JSON as a parse error', async () => {
+    await assert.rejects(() => getJSON(`${base}/garbage`, { provider: 'ollama' }), { code: 'parse' });
+  });
+
+  it('times out slow requests', async () => {
+    await assert.rejects(() => request(`${base}/slow`, { provider: 'grok', timeoutMs: 50 }), { code: 'timeout', provider: 'grok' });
+  });
+
+  it('honours a caller AbortSignal', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(() => request(`${base}/slow`, { signal: controller.signal, timeoutMs: 0 }), { code: 'aborted' });
+  });
+
+  it('runs concurrent requests in parallel', async () => {
+    const start = Date.now();
+    const results = await Promise.allSettled([1, 2, 3].map(() => request(`${base}/slow`, { timeoutMs: 150 })));
+    assert.ok(results.every(r => r.status === 'rejected'));
+    assert.ok(Date.now() - start < 400, 'three 150ms timeouts should overlap');
+  });
+
+  it('reports unreachable hosts as network errors', async () => {
+    await assert.rejects(() => request('http://127.0.0.1:1/', { provider: 'ollama', timeoutMs: 2000 }), { code: 'network' });
+  });
+
+  it('stripFences removes markdown fences', () => {
+    assert.equal(stripFences('```html\n<p>x</p>\n```'), '<p>x</p>');
+    assert.equal(stripFences(undefined), '');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, analyze, stripJsComments, stringLiterals } from '../lib/rune/validator.js';
+
+const page = (body, head = '<title>App</title>') => `<!DOCTYPE html>
+<html><head>${head}</head>
+<body>${body}</body></html>`;
+
+describe('DOM-aware Validator', () => {
+  it('keeps the report contract', () => {
+    const report = validate(page('<main>hi</main>'));
+    assert.deepEqual(Object.keys(report), ['conatus', 'ratio', 'laetitia', 'natura', 'grade', 'issues']);
+  });
+
+  it('ignores features that only appear in comments', () => {
+    const commented = validate(page('<!-- <canvas> <button> --><p>x</p><script>// addEventListener localStorage\n/* try { */ var a = 1;</script>'));
+    assert.equal(commented.conatus, 0);
+    assert.ok(commented.issues.includes('No event listeners — static page'));
+    assert.equal(analyze(page('<script>/* try { */</script>')).js.includes('try'), false);
+  });
+
+  it('flags buttons without handlers', () => {
+    const dead = validate(page('<button id="save">Save</button><button id="go">Go</button><script>document.getElementById("go").addEventListener("click", run);</script>'));
+    assert.ok(dead.issues.some(i => i.startsWith('1 button(s) without a handler: Save')));
+
+    const inForm = validate(page('<form><input aria-label="q"><button>Search</button></form><script>document.querySelector("form").addEventListener("submit", e => e.preventDefault());</script>'));
+    assert.ok(!inForm.issues.some(i => i.includes('without a handler')));
+  });
+
+  it('checks labels on form controls', () => {
+    const report = validate(page(`
+      <label for="a">A</label><input id="a">
+      <label>B <input id="b"></label>
+      <input id="c" aria-label="C">
+      <input id="d" placeholder="only a placeholder">
+      <input type="hidden" name="token">`));
+    assert.ok(report.issues.includes('1 form control(s) without a label: #d'));
+  });
+
+  it('reports duplicate ids and lookups that miss', () => {
+    const report = validate(page(`
+      <div id="x"></div><div id="x"></div>
+      <script>
+        document.getElementById('x');
+        document.getElementById('ghost').textContent = 'boo';
+        document.body.innerHTML += '<span id="later"></span>';
+        document.getElementById('later');
+        const maybe = document.getElementById('optional');
+        if (maybe) maybe.remove();
+      </script>`));
+    assert.ok(report.issues.includes('Duplicate ids: #x'));
+    assert.ok(report.issues.includes('Script looks up elements that do not exist: #ghost'));
+  });
+
+  it('only counts a <title> inside <head>', () => {
+    const report = validate(page('<title>Late</title><main></main>', '<meta charset="utf-8">'));
+    assert.ok(report.issues.includes('<title> is empty or outside <head>'));
+  });
+
+  it('scores markup rendered from script templates', () => {
+    const report = validate(page(`<main id="app"></main>
+      <script>
+        const rows = items.map(i => \`<li>\${i.done ? \`<button data-id="\${i.id}">✓</button>\` : ''}</li>\`);
+        app.addEventListener('click', e => e.target.closest('[data-id]'));
+      </script>`));
+    assert.ok(!report.issues.includes('No input elements — low interactivity'));
+    assert.ok(!report.issues.some(i => i.includes('without a handler')));
+  });
+
+  it('reports malformed markup', () => {
+    const report = validate(page('<main><div>never closed</main>'));
+    assert.ok(report.issues.includes('Malformed markup: Unclosed <div>'));
+  });
+
+  it('strips JS comments but not strings or regexes', () => {
+    assert.equal(stripJsComments('a = "// not a comment"; // gone'), 'a = "// not a comment"; ');
+    assert.equal(stripJsComments('b = /\\/\\/x/.test(s); /* gone */c'), 'b = /\\/\\/x/.test(s);  c');
+    assert.equal(stripJsComments('d = e / f; // g'), 'd = e / f; ');
+  });
+
+  it('collects nested template literals', () => {
+    assert.deepEqual(stringLiterals('x(`a${y ? `<b>${z}</b>` : "c"}d`, \'e\')'), ['<b>x</b>', 'c', 'axd', 'e']);
+  });
+});